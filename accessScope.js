@@ -0,0 +1,181 @@
+// accessScope.js - ruolo dell'utente e perimetro dei dati visibili (allevatore, trasformatore, tecnico)
+// COSA FA (alto livello)
+// - Legge ruolo e perimetro dagli attributi di <html>, scritti da chi pubblica la pagina per l'utente
+//   (apiServer.js li scrive nelle pagine che serve, vedi USO li'):
+//   data-role="allevatore|trasformatore|tecnico", data-azienda="<nome azienda>" (allevatore),
+//   data-caseificio="<nome caseificio come in data.json>" (trasformatore).
+// - Senza data-role (o con un ruolo sconosciuto) il perimetro e' il piu' stretto: allevatore senza azienda,
+//   tutte le aziende anonime. Il ruolo 'tecnico' (tutto visibile) va dichiarato esplicitamente.
+// - Prima che i dati arrivino alle viste e alla cache locale (dataLoader.js, loaderCaseificio.js, csvImporter.js)
+//   sostituisce il nome delle aziende fuori perimetro con uno pseudonimo stabile ("Azienda 0K3X9QZ", hash del
+//   nome: lo stesso tra sessioni, file e server). Gli pseudonimi gia' assegnati sono riconosciuti e restano tali:
+//   - allevatore: vede per nome solo la propria azienda; le altre restano nei confronti di gruppo, anonime;
+//   - trasformatore: vede per nome le aziende del proprio caseificio;
+//   - tecnico: vede tutto.
+// - Il selettore aziende (benchmarkAllevatore.js) e' disponibile solo a tecnico e trasformatore
+//   (canSelectAzienda / selectable); l'allevatore resta sulla propria azienda.
+// - Numerosita' minima dei gruppi di confronto (minGroupSize, attributo data-min-group, default 5): con meno
+//   aziende mediana, media e distribuzione del gruppo rivelerebbero i valori dei vicini. Le viste allargano
+//   il gruppo (senza filtro provincia) o non mostrano le serie di gruppo.
+// - Espone API su window.ACCESS_SCOPE: ROLES, role, azienda, caseificio, canSelectAzienda, isVisible,
+//   isPseudonym, nameOf, scopeRows, scopeReport, selectable, cacheTag, minGroupSize.
+//
+// NOTA
+// - Con i file statici il browser scarica comunque data.json intero: il perimetro qui evita solo che nomi
+//   fuori perimetro arrivino alle viste e alla cache IndexedDB. Con la sorgente 'api' (dataSource.js)
+//   apiServer.js carica questo stesso modulo e spedisce righe gia' nel perimetro; data-scope-salt
+//   (solo lato server) rende gli pseudonimi non ricavabili dal nome.
+//
+// DIPENDENZE
+// - DATA_FIELDS (kpiRegistry.js) per la forma canonica dei nomi di caseificio. Consumatori: dataLoader.js (RAW e report qualita'), loaderCaseificio.js (campioni conferitori),
+//   csvImporter.js (righe importate), apiServer.js (righe spedite con la sorgente 'api'),
+//   benchmarkAllevatore.js (selettore aziende, gruppo minimo), benchmarkTrasformatore.js (gruppo minimo).
+(function () {
+  const ROLES = {
+    allevatore:    'Allevatore',
+    trasformatore: 'Trasformatore',
+    tecnico:       'Tecnico'
+  };
+  const PSEUDONYM = 'Azienda ';
+  const PSEUDONYM_RE = /^Azienda [0-9A-Z]{7}$/;
+  const DEFAULT_MIN_GROUP = 5;
+  const canon = window.DATA_FIELDS.canon;   // nomi di caseificio confrontati in forma canonica
+
+  const attrs = document.documentElement.dataset || {};
+  const role = ROLES[attrs.role] ? attrs.role : 'allevatore';
+  const salt = String(attrs.scopeSalt || '');
+  const ownAzienda = String(attrs.azienda || '').trim();
+  const ownCaseificio = canon(attrs.caseificio);
+  const minGroup = Number.isInteger(Number(attrs.minGroup)) && Number(attrs.minGroup) >= 1
+    ? Number(attrs.minGroup)
+    : DEFAULT_MIN_GROUP;
+
+  const pseudonyms = new Map();   // nome reale -> pseudonimo
+
+  if (!ROLES[attrs.role]) {
+    console.warn('[accessScope] data-role mancante o sconosciuto: perimetro allevatore senza azienda');
+  } else if (role === 'allevatore' && !ownAzienda) {
+    console.warn('[accessScope] ruolo allevatore senza data-azienda: tutte le aziende saranno anonime');
+  }
+
+  /**
+   * True se il nome e' uno pseudonimo assegnato da nameOf (qui o dal server).
+   */
+  function isPseudonym(name) {
+    return PSEUDONYM_RE.test(String(name || '').trim());
+  }
+
+  /**
+   * Hash FNV-1a a 32 bit di una stringa, in base 36 su 7 caratteri.
+   */
+  function hash36(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(36).toUpperCase().padStart(7, '0');
+  }
+
+  /**
+   * True se il nome dell'azienda e' nel perimetro dell'utente.
+   * @param {string} azienda nome azienda
+   * @param {string} [caseificio] caseificio della riga (ruolo trasformatore)
+   * @returns {boolean}
+   */
+  function isVisible(azienda, caseificio) {
+    if (role === 'tecnico') return true;
+    const name = String(azienda || '').trim();
+    if (!name || isPseudonym(name)) return true;
+    if (role === 'allevatore') return name === ownAzienda;
+    return !!ownCaseificio && canon(caseificio) === ownCaseificio;
+  }
+
+  /**
+   * Nome da mostrare: il nome reale se nel perimetro, altrimenti lo pseudonimo (stabile: hash del nome).
+   * @param {string} azienda nome azienda
+   * @param {string} [caseificio] caseificio della riga
+   * @returns {string}
+   */
+  function nameOf(azienda, caseificio) {
+    if (isVisible(azienda, caseificio)) return azienda;
+    const name = String(azienda).trim();
+    let alias = pseudonyms.get(name);
+    if (!alias) {
+      alias = PSEUDONYM + hash36(salt + '|' + name);
+      pseudonyms.set(name, alias);
+    }
+    return alias;
+  }
+
+  /**
+   * Righe con le aziende fuori perimetro anonime (copie; le righe nel perimetro restano le stesse).
+   * @param {Array<Object>} rows righe data.json {Azienda, Caseificio, ...}
+   * @param {string} [caseificio] caseificio delle righe che non lo riportano (campioni conferitori)
+   * @returns {Array<Object>}
+   */
+  function scopeRows(rows, caseificio) {
+    if (role === 'tecnico' || !Array.isArray(rows)) return rows;
+    return rows.map(r => {
+      const c = r && (r.Caseificio || caseificio);
+      if (!r || isVisible(r.Azienda, c)) return r;
+      return Object.assign({}, r, { Azienda: nameOf(r.Azienda, c) });
+    });
+  }
+
+  /**
+   * Anonimizza gli esempi del report qualita' dati (problemi e campioni ripetuti), sul posto.
+   * @param {Object|null} report report di DATA_QUALITY
+   * @returns {Object|null} lo stesso report
+   */
+  function scopeReport(report) {
+    if (role === 'tecnico' || !report) return report;
+    const fix = ex => { if (ex && ex.Azienda) ex.Azienda = nameOf(ex.Azienda, ex.Caseificio); };
+    (report.issues || []).forEach(i => (i.examples || []).forEach(fix));
+    if (report.duplicates) (report.duplicates.examples || []).forEach(fix);
+    return report;
+  }
+
+  /**
+   * Aziende che l'utente puo' scegliere nel selettore: tutte quelle nel perimetro (tecnico, trasformatore),
+   * solo la propria per l'allevatore.
+   * @param {string[]} list aziende presenti nei dati
+   * @returns {string[]}
+   */
+  function selectable(list) {
+    if (role === 'tecnico') return list;
+    if (role === 'allevatore') return list.filter(a => !!ownAzienda && a === ownAzienda);
+    return list.filter(a => !isPseudonym(a));
+  }
+
+  /**
+   * Etichetta del perimetro per le chiavi della cache locale: righe gia' anonimizzate per un utente
+   * non vanno riusate da un altro sullo stesso browser.
+   * @returns {string} es. 'tecnico', 'allevatore:<azienda>', 'trasformatore:<caseificio>'
+   */
+  function cacheTag() {
+    if (role === 'tecnico') return role;
+    return role + ':' + (role === 'allevatore' ? ownAzienda : ownCaseificio);
+  }
+
+  window.ACCESS_SCOPE = {
+    ROLES,
+    /** Ruolo dell'utente: 'allevatore' | 'trasformatore' | 'tecnico' */
+    role() { return role; },
+    /** Azienda dell'allevatore ('' per gli altri ruoli) */
+    azienda() { return role === 'allevatore' ? ownAzienda : ''; },
+    /** Caseificio del trasformatore (attributo data-caseificio, '' se assente) */
+    caseificio() { return role === 'trasformatore' ? String(attrs.caseificio || '').trim() : ''; },
+    /** True se l'utente puo' cambiare azienda nel selettore */
+    canSelectAzienda() { return role !== 'allevatore'; },
+    isVisible,
+    isPseudonym,
+    nameOf,
+    scopeRows,
+    scopeReport,
+    selectable,
+    cacheTag,
+    /** Numero minimo di aziende per mostrare le statistiche di un gruppo di confronto */
+    minGroupSize() { return minGroup; }
+  };
+})();
@@ -0,0 +1,443 @@
+// aggregationEngine.js - motore di aggregazione del benchmark, eseguito in un Web Worker
+// COSA FA (alto livello)
+// - Aggrega le righe KPI per anno-mese-azienda (media aritmetica o geometrica), calcola mediana/media
+//   del gruppo, percentile rank mensile dell'azienda e bins dell'istogramma (Freedman-Diaconis).
+// - Lo stesso file gira in due contesti:
+//   - nel Worker: risponde ai messaggi { id, type, ctx, payload } con { id, ok, result | error };
+//   - nella pagina: crea il Worker ed espone window.AGG_ENGINE con API a Promise.
+//     Se il Worker non e' disponibile (es. pagina aperta da file://) esegue gli stessi calcoli nel thread principale.
+//
+// MESSAGGI
+// - aggregate  { monthly, samples?, log, azienda } -> { months: [{ key, year, month, azi, center, n }] }
+//   monthly: parziali mensili {Azienda, year, month, sum, n} del gruppo + azienda (da DATA_STORE, dataStore.js):
+//   sum e' la somma dei valori (o dei logaritmi se log), piu' parziali della stessa azienda-mese si sommano;
+//   samples: campioni conferitori {year, month, value} (se presenti il gruppo sono i campioni, non le aziende).
+//   Il contesto (mappa anno-mese e campioni indicizzati per mese) resta nel Worker per i messaggi successivi.
+// - percentiles {} -> [{ key, pr }]: PR mensile dell'azienda rispetto al gruppo del mese.
+// - histogram  { months: [{y, m}] } -> { data, edges, min, max, step, aziAgg, pr, n }: istogramma del periodo
+//   (medie per azienda, oppure campioni conferitori) e PR dell'azienda.
+//
+// DIPENDENZE
+// - Nessuna (nel Worker non ci sono DOM, KPI_REGISTRY ne' Chart.js: la scala log arriva nel payload).
+// - Consumatori: benchmarkAllevatore.js (updatePR/updateKPI/updateHistogram), performanceAllevatore.js (aggGeometric).
+//   La pagina trasformatore non lo carica: il suo gruppo sono le aziende di un solo caseificio (poche righe da
+//   DATA_STORE) e le medie restano sincrone in benchmarkTrasformatore.js con MONTHLY_MEANS (monthlyMeans.js).
+(function (root) {
+  const WORKER_SRC = 'aggregationEngine.js';
+
+  // ==========================================================================
+  // CALCOLI (puri, condivisi tra Worker e pagina)
+  // ==========================================================================
+
+  /**
+   * Media aritmetica su un array di numeri, ignorando valori non finiti.
+   * @param {number[]} values lista di valori numerici
+   * @returns {number|null} media aritmetica, oppure null se nessun valore valido
+   */
+  function aggArithmetic(values) {
+    let s = 0;
+    let n = 0;
+    for (const v of values) {
+      if (isFinite(v)) {
+        s += v;
+        n++;
+      }
+    }
+    return n ? s / n : null;
+  }
+
+  /**
+   * Media geometrica su un array di numeri positivi (KPI in scala log: cellule, carica).
+   * @param {number[]} values lista di valori numerici
+   * @returns {number|null} media geometrica, oppure null se nessun valore valido
+   */
+  function aggGeometric(values) {
+    let s = 0;
+    let n = 0;
+    for (const v of values) {
+      if (isFinite(v) && v > 0) {
+        s += Math.log(v);
+        n++;
+      }
+    }
+    return n ? Math.exp(s / n) : null;
+  }
+
+  /**
+   * Percentile rank approssimato di un valore rispetto a un array di numeri.
+   * Gestisce gli ex-aequo distribuendo 0.5 sui pari.
+   * @param {number[]} arr valori del gruppo
+   * @param {number} v valore dell'azienda
+   * @returns {number|null} percentile 0..100, oppure null se input non valido
+   */
+  function percentileRank(arr, v) {
+    if (typeof v !== 'number' || isNaN(v)) return null;
+    let count = 0;
+    let ties = 0;
+    let n = 0;
+    for (const x of arr) {
+      if (typeof x !== 'number' || isNaN(x)) continue;
+      n++;
+      if (x < v) count++;
+      else if (x === v) ties++;
+    }
+    return n ? Math.round(((count + 0.5 * ties) / n) * 100) : null;
+  }
+
+  /**
+   * Mediana di un array di numeri, ignorando i non finiti.
+   * @param {number[]} arr valori numerici
+   * @returns {number|null} mediana oppure null se array vuoto
+   */
+  function median(arr) {
+    const a = arr.filter(x => isFinite(x)).sort((x, y) => x - y);
+    const n = a.length;
+    if (!n) return null;
+    const m = Math.floor(n / 2);
+    return (n % 2) ? a[m] : (a[m - 1] + a[m]) / 2;
+  }
+
+  /**
+   * Numero di bins con regola di Freedman-Diaconis, limitato tra 6 e 15.
+   * @param {number[]} values valori della distribuzione
+   * @returns {number}
+   */
+  function freedmanBins(values) {
+    const n = values.length;
+    if (n < 2) return 6;
+
+    const s = values.slice().sort((a, b) => a - b);
+    const q1 = s[Math.floor(0.25 * (n - 1))];
+    const q3 = s[Math.floor(0.75 * (n - 1))];
+    let iqr = q3 - q1;
+    if (!isFinite(iqr) || iqr === 0) {
+      iqr = (s[n - 1] - s[0]) / 4;
+      if (!isFinite(iqr) || iqr === 0) iqr = 1;
+    }
+
+    const h = 2 * iqr * Math.pow(n, -1 / 3);
+    let bins = Math.ceil((s[n - 1] - s[0]) / (h || 1)) || 6;
+    if (bins < 6) bins = 6;
+    if (bins > 15) bins = 15;
+    return bins;
+  }
+
+  /**
+   * Contesto di calcolo: medie per anno-mese-azienda (dai parziali mensili) e campioni conferitori indicizzati per mese.
+   * Ogni parziale viene letto una sola volta; i messaggi successivi lavorano sugli indici.
+   * @param {{monthly:Array<Object>, samples?:Array<Object>, log:boolean, azienda:string}} input
+   * @returns {{log:boolean, azienda:string, ym:Map, samplesByYM:Map|null}}
+   */
+  function buildContext(input) {
+    const agg = input.log ? aggGeometric : aggArithmetic;
+
+    // 'year-month' -> Map(Azienda -> { sum, n })
+    const raw = new Map();
+    for (const p of input.monthly || []) {
+      const key = p.year + '-' + p.month;
+      let byAz = raw.get(key);
+      if (!byAz) raw.set(key, byAz = new Map());
+      let acc = byAz.get(p.Azienda);
+      if (!acc) byAz.set(p.Azienda, acc = { sum: 0, n: 0 });
+      acc.sum += p.sum;
+      acc.n += p.n;
+    }
+
+    // 'year-month' -> { year, month, by: Map(Azienda -> valore aggregato) }
+    const ym = new Map();
+    raw.forEach((byAz, key) => {
+      const parts = key.split('-').map(Number);
+      const by = new Map();
+      byAz.forEach((acc, az) => {
+        if (!acc.n) return;
+        by.set(az, input.log ? Math.exp(acc.sum / acc.n) : acc.sum / acc.n);
+      });
+      if (by.size) ym.set(key, { year: parts[0], month: parts[1], by });
+    });
+
+    let samplesByYM = null;
+    if (Array.isArray(input.samples)) {
+      samplesByYM = new Map();
+      for (const s of input.samples) {
+        const key = s.year + '-' + s.month;
+        let list = samplesByYM.get(key);
+        if (!list) samplesByYM.set(key, list = []);
+        list.push(s.value);
+      }
+      // i mesi con soli campioni (senza dati dell'azienda) restano nelle serie del gruppo
+      samplesByYM.forEach((list, key) => {
+        if (ym.has(key) || agg(list) == null) return;
+        const parts = key.split('-').map(Number);
+        ym.set(key, { year: parts[0], month: parts[1], by: new Map() });
+      });
+    }
+
+    return { log: !!input.log, azienda: input.azienda, ym, samplesByYM };
+  }
+
+  /**
+   * Valori del gruppo di un mese: campioni conferitori se presenti, altrimenti le medie delle aziende.
+   */
+  function groupValues(ctx, key, bucket) {
+    if (ctx.samplesByYM) return ctx.samplesByYM.get(key) || [];
+    return Array.from(bucket.by.values());
+  }
+
+  /**
+   * Serie mensili: valore azienda, mediana (aziende) o media (campioni) del gruppo, numerosita'.
+   * @param {Object} ctx contesto da buildContext
+   * @returns {{months: Array<{key:string, year:number, month:number, azi:number|null, center:number|null, n:number}>}}
+   */
+  function aggregate(ctx) {
+    const agg = ctx.log ? aggGeometric : aggArithmetic;
+    const months = [];
+    ctx.ym.forEach((bucket, key) => {
+      const group = groupValues(ctx, key, bucket);
+      const azi = bucket.by.has(ctx.azienda) ? bucket.by.get(ctx.azienda) : null;
+      const center = ctx.samplesByYM ? (group.length ? agg(group) : null) : median(group);
+      months.push({ key, year: bucket.year, month: bucket.month, azi, center, n: group.length });
+    });
+    months.sort((a, b) => (a.year - b.year) || (a.month - b.month));
+    return { months };
+  }
+
+  /**
+   * Percentile rank mensile dell'azienda rispetto al gruppo del mese.
+   * @param {Object} ctx contesto da buildContext
+   * @returns {Array<{key:string, pr:number|null}>}
+   */
+  function percentiles(ctx) {
+    const out = [];
+    ctx.ym.forEach((bucket, key) => {
+      const azi = bucket.by.get(ctx.azienda);
+      out.push({ key, pr: azi != null ? percentileRank(groupValues(ctx, key, bucket), azi) : null });
+    });
+    return out;
+  }
+
+  /**
+   * Istogramma del periodo: valori del gruppo (media per azienda sui mesi del periodo, oppure
+   * tutti i campioni conferitori dei mesi), bins Freedman-Diaconis e PR dell'azienda.
+   * @param {Object} ctx contesto da buildContext
+   * @param {Array<{y:number, m:number}>} months mesi del periodo (m = 0..11)
+   * @returns {{data:Array<Object>, edges:number[], min:number, max:number, step:number, aziAgg:number|null, pr:number|null, n:number}}
+   */
+  function histogram(ctx, months) {
+    const agg = ctx.log ? aggGeometric : aggArithmetic;
+    const keys = (months || []).map(ym => ym.y + '-' + ym.m);
+
+    let vals = [];
+    let aziAgg = null;
+    if (ctx.samplesByYM) {
+      const aziVals = [];
+      keys.forEach(key => {
+        const bucket = ctx.ym.get(key);
+        const vAz = bucket ? bucket.by.get(ctx.azienda) : undefined;
+        if (isFinite(vAz)) aziVals.push(vAz);
+        const s = ctx.samplesByYM.get(key);
+        if (s) vals = vals.concat(s);
+      });
+      aziAgg = aziVals.length ? agg(aziVals) : null;
+    } else {
+      // Map azienda -> valori mensili nel periodo
+      const perAz = new Map();
+      keys.forEach(key => {
+        const bucket = ctx.ym.get(key);
+        if (!bucket) return;
+        bucket.by.forEach((val, az) => {
+          if (!isFinite(val)) return;
+          if (!perAz.has(az)) perAz.set(az, []);
+          perAz.get(az).push(val);
+        });
+      });
+      perAz.forEach((list, az) => {
+        const v = agg(list);
+        if (v == null) return;
+        vals.push(v);
+        if (az === ctx.azienda) aziAgg = v;
+      });
+    }
+
+    if (!vals.length) return { data: [], edges: [], min: null, max: null, step: null, aziAgg, pr: null, n: 0 };
+
+    let mn = Infinity;
+    let mx = -Infinity;
+    for (const v of vals) {
+      if (v < mn) mn = v;
+      if (v > mx) mx = v;
+    }
+
+    let bins;
+    let step;
+    let edges;
+    let centers;
+    let counts;
+    if (mn === mx) {
+      // Tutti i valori uguali: un unico bin centrato
+      bins = 1;
+      step = 1;
+      edges = [mn - 0.5, mn + 0.5];
+      centers = [mn];
+      counts = [vals.length];
+    } else {
+      bins = freedmanBins(vals);
+      step = (mx - mn) / bins;
+      if (!isFinite(step) || step <= 0) step = 1;
+      edges = [];
+      for (let i = 0; i <= bins; i++) edges.push(mn + i * step);
+      centers = [];
+      for (let i = 0; i < bins; i++) centers.push(mn + (i + 0.5) * step);
+      counts = new Array(bins).fill(0);
+      for (const v of vals) {
+        let idx = Math.floor((v - mn) / step);
+        if (idx >= bins) idx = bins - 1;
+        if (idx < 0) idx = 0;
+        counts[idx]++;
+      }
+    }
+
+    const total = counts.reduce((a, c) => a + c, 0) || 1;
+    const data = centers.map((c, i) => ({
+      x: c,
+      y: Math.round((counts[i] / total) * 1000) / 10,
+      count: counts[i],
+      from: edges[i],
+      to: edges[i + 1]
+    }));
+
+    return { data, edges, min: mn, max: mx, step, aziAgg, pr: percentileRank(vals, aziAgg), n: vals.length };
+  }
+
+  // Contesto corrente (uno solo: ogni "aggregate" sostituisce il precedente)
+  let current = null;
+
+  /**
+   * Esegue un messaggio e ne restituisce il risultato.
+   * percentiles/histogram su un contesto superato (ctx diverso) restituiscono null.
+   * @param {{type:string, ctx:number, payload:Object}} msg
+   * @returns {*}
+   */
+  function handle(msg) {
+    const payload = msg.payload || {};
+    if (msg.type === 'aggregate') {
+      current = { id: msg.ctx, data: buildContext(payload) };
+      return aggregate(current.data);
+    }
+    if (!current || current.id !== msg.ctx) return null;
+    if (msg.type === 'percentiles') return percentiles(current.data);
+    if (msg.type === 'histogram') return histogram(current.data, payload.months);
+    throw new Error('messaggio sconosciuto: ' + msg.type);
+  }
+
+  // ==========================================================================
+  // CONTESTO WORKER: risponde ai messaggi della pagina
+  // ==========================================================================
+  if (typeof root.document === 'undefined' && typeof root.postMessage === 'function') {
+    root.onmessage = function (ev) {
+      const msg = ev.data || {};
+      try {
+        root.postMessage({ id: msg.id, ok: true, result: handle(msg) });
+      } catch (err) {
+        root.postMessage({ id: msg.id, ok: false, error: String(err && err.message || err) });
+      }
+    };
+    return;
+  }
+
+  // ==========================================================================
+  // CONTESTO PAGINA: client del Worker (window.AGG_ENGINE)
+  // ==========================================================================
+  let worker = null;
+  let nextId = 0;
+  let ctxId = 0;
+  let lastAggregate = null;       // ultimo messaggio aggregate (per rifare il contesto in locale)
+  const pending = new Map();      // id -> { msg, resolve, reject }
+
+  /**
+   * Esegue un messaggio nel thread principale (fallback senza Worker).
+   * Se il contesto locale non e' quello dell'ultimo aggregate lo ricostruisce.
+   */
+  function runLocal(msg) {
+    if (msg.type !== 'aggregate' && lastAggregate && (!current || current.id !== lastAggregate.ctx)) handle(lastAggregate);
+    return handle(msg);
+  }
+
+  /**
+   * Disattiva il Worker e rimanda in locale le richieste in attesa.
+   */
+  function dropWorker(err) {
+    console.warn('[aggregationEngine] Worker non disponibile, calcolo nel thread principale:', err);
+    if (worker) worker.terminate();
+    worker = null;
+    const waiting = Array.from(pending.values());
+    pending.clear();
+    waiting.forEach(p => {
+      try { p.resolve(runLocal(p.msg)); } catch (e) { p.reject(e); }
+    });
+  }
+
+  try {
+    if (typeof Worker === 'function') {
+      worker = new Worker(WORKER_SRC);
+      worker.onmessage = ev => {
+        const res = ev.data || {};
+        const p = pending.get(res.id);
+        if (!p) return;
+        pending.delete(res.id);
+        if (res.ok) p.resolve(res.result);
+        else p.reject(new Error(res.error));
+      };
+      worker.onerror = ev => {
+        if (ev && typeof ev.preventDefault === 'function') ev.preventDefault();
+        dropWorker(ev && ev.message ? ev.message : 'errore Worker');
+      };
+    }
+  } catch (err) {
+    console.warn('[aggregationEngine] Worker non creato, calcolo nel thread principale:', err);
+    worker = null;
+  }
+
+  /**
+   * Invia un messaggio al Worker (o lo esegue in locale).
+   * @returns {Promise<*>}
+   */
+  function send(type, payload) {
+    if (type === 'aggregate') ctxId++;
+    const msg = { id: ++nextId, type, ctx: ctxId, payload };
+    if (type === 'aggregate') lastAggregate = msg;
+    if (!worker) {
+      return new Promise(resolve => resolve(runLocal(msg)));
+    }
+    return new Promise((resolve, reject) => {
+      pending.set(msg.id, { msg, resolve, reject });
+      worker.postMessage(msg);
+    });
+  }
+
+  root.AGG_ENGINE = {
+    /**
+     * Nuovo contesto di calcolo e serie mensili (azienda, mediana/media gruppo, numerosita').
+     * @param {{monthly:Array<Object>, samples?:Array<Object>, log:boolean, azienda:string}} input
+     * @returns {Promise<{months:Array<Object>}>}
+     */
+    aggregate(input) { return send('aggregate', input); },
+    /**
+     * PR mensile dell'azienda sul contesto corrente (null se nel frattempo e' arrivato un altro aggregate).
+     * @returns {Promise<Array<{key:string, pr:number|null}>|null>}
+     */
+    percentiles() { return send('percentiles', {}); },
+    /**
+     * Istogramma dei mesi indicati sul contesto corrente (null se il contesto e' superato).
+     * @param {Array<{y:number, m:number}>} months
+     * @returns {Promise<Object|null>}
+     */
+    histogram(months) { return send('histogram', { months }); },
+    /** True se i calcoli girano nel Worker */
+    usesWorker() { return !!worker; },
+    /** Funzioni di calcolo per usi puntuali nel thread principale */
+    aggArithmetic,
+    aggGeometric,
+    percentileRank,
+    median
+  };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,633 @@
+// apiServer.js - server locale (Node, senza dipendenze) per i dataset della dashboard
+// COSA FA (alto livello)
+// - Serve la dashboard (file statici della cartella) e i dataset tramite endpoint di interrogazione:
+//   - GET /api/samples?azienda=&kpi=&from=&to=&provincia=&caseificio=  righe di data.json (azienda o caseificio
+//     obbligatori per il tecnico: il dataset completo non esce dal server, 400 senza nessuno dei due)
+//   - GET /api/tank?caseificio=&kpi=&from=&to=                          valori cisterna mensili (es. datiCAO.json)
+//   - GET /api/conferitori?caseificio=&lattazione=&kpi=&provincia=      campioni conferitori (chunk del manifest)
+//   - GET /api/benchmark/monthly?kpi=&mode=&caseificio=&provincia=      distribuzioni mensili del gruppo di confronto
+//     (mode intraAppare: aziende di data.json, del caseificio se indicato; intraCaseificio: campioni conferitori
+//     del caseificio, o le sue aziende di data.json se il manifest non ne ha). Righe nel formato delle
+//     distribuzioni regionali di loaderRegione.js ({ KPI, Anno, Mese, n, media, p5..p95 }, n = aziende), con la
+//     stessa numerosita' minima della dashboard: gruppo sotto il minimo allargato a tutte le province o soppresso,
+//     mesi sotto il minimo non restituiti.
+// - from/to: "AAAA-MM" o "AAAA-MM-GG" (estremi inclusi); caseificio: id, nome o alias del manifest.
+// - File statici: solo pagine, script, stili e immagini della dashboard piu' manifestConferitori.json e, se
+//   depositato nella cartella, l'export regionale regione.json (STATIC_FILES; senza il file la pagina riceve 404
+//   e loaderRegione.js lascia disabilitato il benchmark Regione). I dataset con righe di aziende (data.json, consegne, cisterna, conferitori) escono solo dagli
+//   endpoint; il resto della cartella (requests.jsonl, apiServer.js, ...) non e' servito.
+// - Perimetro dell'utente (accessScope.js, caricato qui come nel browser): il server serve un solo utente,
+//   configurato all'avvio (ROLE, AZIENDA, CASEIFICIO). Le righe dei campioni escono solo nel perimetro del ruolo:
+//   - allevatore: /api/samples restituisce solo la propria azienda; /api/tank e /api/conferitori rispondono 403;
+//   - trasformatore: /api/samples, /api/tank e /api/conferitori solo per il proprio caseificio (403 per gli altri);
+//   - tecnico: tutto.
+//   I confronti con le altre aziende arrivano a allevatore e trasformatore solo come distribuzioni mensili
+//   (/api/benchmark/monthly); eventuali aziende fuori perimetro restano anonime e una risposta di campioni con
+//   meno aziende anonime della numerosita' minima e' rifiutata (403, guardedBody). Le pagine HTML servite
+//   ricevono su <html> gli stessi data-role / data-azienda / data-caseificio e data-source="api".
+//   Senza ROLE il perimetro e' il piu' stretto (allevatore senza azienda, come accessScope.js).
+// - Senza filtri /api/tank e /api/conferitori (con lattazione) rispondono con il file cosi'
+//   com'e' quando il perimetro non cambia le righe (cisterna, ruolo tecnico): checksum del manifest e copie
+//   in cache del browser restano valide.
+// - Ogni risposta ha un ETag: le richieste condizionali (If-None-Match) dei loader ricevono 304 se nulla e'
+//   cambiato. I file sono riletti quando cambiano su disco, quindi l'aggiornamento live li vede subito.
+//
+// USO
+// - node apiServer.js [porta]   (oppure PORT=<porta>; default 8080)
+// - Utente servito: ROLE=allevatore|trasformatore|tecnico, AZIENDA=<nome in data.json> (allevatore),
+//   CASEIFICIO=<nome in data.json> (trasformatore), MIN_GROUP=<aziende minime dei gruppi> (opzionale).
+//   SCOPE_SALT=<testo segreto> rende stabili tra i riavvii gli pseudonimi (default: casuale a ogni avvio).
+//   Es.: ROLE=allevatore AZIENDA="GOIA SILVIA" node apiServer.js
+//   Un'installazione con piu' utenti mette davanti al server un'autenticazione che avvia/sceglie l'istanza giusta.
+// - Dashboard con i dati dal server: http://localhost:8080/indexAllevatore.html (le pagine servite qui
+//   leggono i dati dagli endpoint, vedi dataSource.js).
+//
+// DIPENDENZE
+// - Solo moduli Node (http, fs, path, crypto, vm).
+// - kpiRegistry.js (alias e scala log dei KPI; DATA_FIELDS per nomi canonici e giorno delle righe) e monthlyMeans.js (medie aritmetiche e geometriche dei KPI).
+// - accessScope.js (perimetro del ruolo e pseudonimi delle aziende).
+// - manifestConferitori.json per i file cisterna e conferitori di ogni caseificio.
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const vm = require('vm');
+const MONTHLY_MEANS = require('./monthlyMeans.js');
+
+const ROOT = __dirname;
+const PORT = Number(process.argv[2] || process.env.PORT || 8080);
+const DATA_FILE = 'data.json';
+const MANIFEST_FILE = 'manifestConferitori.json';
+
+// File statici serviti (oltre agli endpoint): pagine, script, stili e immagini della dashboard e i file
+// senza righe di aziende che i loader leggono anche con la sorgente 'api' (regione.json solo se presente)
+const STATIC_FILES = {
+  ext: ['.html', '.js', '.css', '.png', '.jpg', '.svg'],
+  json: [MANIFEST_FILE, 'regione.json'],
+  private: ['apiServer.js']
+};
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js':   'text/javascript; charset=utf-8',
+  '.css':  'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png':  'image/png',
+  '.jpg':  'image/jpeg',
+  '.svg':  'image/svg+xml'
+};
+
+/**
+ * Errore con codice HTTP (risposta { error } al client).
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ============================================================================
+// DATASET (riletti quando il file cambia su disco)
+// ============================================================================
+
+const files = new Map(); // percorso relativo -> { mtime, text, data }
+
+/**
+ * Legge un file JSON della cartella (dalla copia in memoria se non e' cambiato).
+ * @param {string} rel percorso relativo
+ * @returns {{text:string, data:*}}
+ */
+function readJson(rel) {
+  const file = resolveInRoot(rel);
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (err) {
+    throw new HttpError(404, 'file non trovato: ' + rel);
+  }
+  const hit = files.get(rel);
+  if (hit && hit.mtime === stat.mtimeMs) return hit;
+  const text = fs.readFileSync(file, 'utf8');
+  const entry = { mtime: stat.mtimeMs, text, data: JSON.parse(text) };
+  files.set(rel, entry);
+  return entry;
+}
+
+/**
+ * Percorso assoluto di un file della cartella; rifiuta percorsi fuori dalla cartella e file nascosti.
+ */
+function resolveInRoot(rel) {
+  const clean = String(rel).replace(/^\.?\/+/, '');
+  const file = path.resolve(ROOT, clean);
+  if (!file.startsWith(ROOT + path.sep) || clean.split(/[\\/]/).some(part => part.startsWith('.'))) {
+    throw new HttpError(403, 'percorso non consentito: ' + rel);
+  }
+  return file;
+}
+
+/**
+ * Registro KPI e campi comuni delle righe (kpiRegistry.js) caricati in un contesto isolato senza DOM.
+ */
+const { KPI_REGISTRY, DATA_FIELDS } = (function () {
+  const sandbox = {
+    window: {},
+    document: { readyState: 'complete', querySelectorAll: () => [], addEventListener() {} }
+  };
+  vm.runInNewContext(fs.readFileSync(path.join(ROOT, 'kpiRegistry.js'), 'utf8'), sandbox, { filename: 'kpiRegistry.js' });
+  return sandbox.window;
+})();
+
+/**
+ * Utente servito (variabili d'ambiente, vedi USO) con gli attributi che accessScope.js legge da <html>.
+ */
+const IDENTITY = (function () {
+  const attrs = {};
+  if (process.env.ROLE) attrs.role = process.env.ROLE.trim();
+  if (process.env.AZIENDA) attrs.azienda = process.env.AZIENDA.trim();
+  if (process.env.CASEIFICIO) attrs.caseificio = process.env.CASEIFICIO.trim();
+  if (process.env.MIN_GROUP) attrs.minGroup = process.env.MIN_GROUP.trim();
+  return attrs;
+})();
+
+/**
+ * Perimetro del ruolo (accessScope.js) per l'utente servito, caricato in un contesto isolato.
+ * Il sale degli pseudonimi resta sul server: nel browser arrivano solo gli pseudonimi.
+ */
+const ACCESS_SCOPE = (function () {
+  const dataset = Object.assign({ scopeSalt: process.env.SCOPE_SALT || crypto.randomBytes(16).toString('hex') }, IDENTITY);
+  const sandbox = { window: { DATA_FIELDS }, document: { documentElement: { dataset } }, console };
+  vm.runInNewContext(fs.readFileSync(path.join(ROOT, 'accessScope.js'), 'utf8'), sandbox, { filename: 'accessScope.js' });
+  return sandbox.window.ACCESS_SCOPE;
+})();
+
+const canon = DATA_FIELDS.canon;
+
+/**
+ * Voce del manifest di un caseificio (per id, nome o alias).
+ * @param {string} name
+ * @returns {Object} voce { id, nome, alias?, cisterna?, conferitori[] }
+ */
+function dairyOf(name) {
+  if (!name) throw new HttpError(400, 'parametro caseificio mancante');
+  const manifest = readJson(MANIFEST_FILE).data;
+  const wanted = canon(name);
+  const entry = (manifest.caseifici || []).find(e =>
+    [e.id, e.nome].concat(e.alias || []).some(n => canon(n) === wanted));
+  if (!entry) throw new HttpError(404, 'caseificio non presente nel manifest: ' + name);
+  return entry;
+}
+
+// ============================================================================
+// FILTRI
+// ============================================================================
+
+/**
+ * Alias (minuscoli) di un KPI; errore 400 se il KPI non e' nel registro.
+ */
+function aliasesOf(kpi) {
+  if (!KPI_REGISTRY.get(kpi)) throw new HttpError(400, 'KPI sconosciuto: ' + kpi);
+  return KPI_REGISTRY.aliasesFor(kpi);
+}
+
+/**
+ * Periodo "AAAA-MM-GG" di una riga (Data, altrimenti Anno/Mese) per il confronto con from/to.
+ */
+function periodOf(r) {
+  if (r.Data) return DATA_FIELDS.dayOf(r.Data);
+  if (r.Anno == null || r.Mese == null) return '';
+  return r.Anno + '-' + String(r.Mese).padStart(2, '0');
+}
+
+/**
+ * Filtra le righe con i parametri della richiesta (solo quelli presenti).
+ * @param {Array<Object>} rows
+ * @param {{azienda?:string, kpi?:string, from?:string, to?:string, provincia?:string, caseificio?:string}} q
+ * @returns {Array<Object>}
+ */
+function filterRows(rows, q) {
+  const aliases = q.kpi ? aliasesOf(q.kpi) : null;
+  const provincia = q.provincia ? canon(q.provincia) : null;
+  const caseificio = q.caseificio ? canonNames(q.caseificio) : null;
+  return rows.filter(r => {
+    if (!r) return false;
+    if (q.azienda && String(r.Azienda || '').trim() !== q.azienda.trim()) return false;
+    if (aliases && !aliases.includes(String(r.KPI || '').toLowerCase())) return false;
+    if (provincia && canon(r.Provincia) !== provincia) return false;
+    if (caseificio && !caseificio.includes(canon(r.Caseificio))) return false;
+    const p = periodOf(r);
+    if (q.from && p.slice(0, q.from.length) < q.from) return false;
+    if (q.to && p.slice(0, q.to.length) > q.to) return false;
+    return true;
+  });
+}
+
+/**
+ * Nomi canonici di un caseificio: id, nome e alias dal manifest se presente, altrimenti il nome richiesto.
+ */
+function canonNames(name) {
+  try {
+    const e = dairyOf(name);
+    return [e.id, e.nome].concat(e.alias || []).map(canon);
+  } catch (err) {
+    return [canon(name)];
+  }
+}
+
+/**
+ * Parametri di filtro presenti nella richiesta (stringhe non vuote).
+ */
+function queryOf(url, names) {
+  const q = {};
+  names.forEach(n => {
+    const v = url.searchParams.get(n);
+    if (v != null && v.trim() !== '') q[n] = v.trim();
+  });
+  return q;
+}
+
+// ============================================================================
+// DISTRIBUZIONI DEL GRUPPO (/api/benchmark/monthly)
+// ============================================================================
+
+// Percentili delle righe distribuzione, come nelle distribuzioni regionali (loaderRegione.js)
+const PCT_KEYS = [5, 10, 25, 50, 75, 90, 95];
+
+/**
+ * Quantile p (0..1) di valori ordinati, interpolando tra i due valori vicini.
+ */
+function quantile(sorted, p) {
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * Riga distribuzione di un mese nel formato delle distribuzioni regionali (loaderRegione.js).
+ * @param {string} kpi KPI normalizzato
+ * @param {string} ymKey "Anno|Mese"
+ * @param {number[]} values valori del gruppo nel mese (medie delle aziende o campioni)
+ * @param {number} n aziende del mese
+ * @param {boolean} log media geometrica per i KPI in scala log
+ * @returns {Object} { KPI, Anno, Mese, n, campioni, media, p5..p95 }
+ */
+function distributionRow(kpi, ymKey, values, n, log) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const parts = ymKey.split('|');
+  const row = {
+    KPI: kpi,
+    Anno: Number(parts[0]),
+    Mese: Number(parts[1]),
+    n,
+    campioni: values.length,
+    media: log ? MONTHLY_MEANS.aggGeometric(sorted) : MONTHLY_MEANS.arithmeticMean(sorted)
+  };
+  PCT_KEYS.forEach(p => { row['p' + p] = quantile(sorted, p / 100); });
+  return row;
+}
+
+/**
+ * Valori per mese delle righe del KPI: "Anno|Mese" -> Map(Azienda -> valori). Le righe senza Azienda
+ * (campioni non attribuibili) restano nel mese con chiave vuota: contano come valori ma non come aziende.
+ */
+function valuesByMonth(rows, aliases) {
+  const out = new Map();
+  rows.forEach(r => {
+    if (!r || !aliases.includes(String(r.KPI || '').toLowerCase())) return;
+    const v = Number(r.Valore);
+    const p = periodOf(r);
+    if (!Number.isFinite(v) || p.length < 7) return;
+    const key = Number(p.slice(0, 4)) + '|' + Number(p.slice(5, 7));
+    if (!out.has(key)) out.set(key, new Map());
+    const byAz = out.get(key);
+    const az = String(r.Azienda || '').trim();
+    if (!byAz.has(az)) byAz.set(az, []);
+    byAz.get(az).push(v);
+  });
+  return out;
+}
+
+/**
+ * Aziende distinte (con nome) delle righe del KPI.
+ */
+function countAziende(rows, aliases) {
+  const set = new Set();
+  rows.forEach(r => {
+    if (r && r.Azienda && aliases.includes(String(r.KPI || '').toLowerCase())) set.add(String(r.Azienda).trim());
+  });
+  return set.size;
+}
+
+/**
+ * Distribuzioni mensili di un gruppo con la numerosita' minima di ACCESS_SCOPE (stessa regola della dashboard):
+ * sotto il minimo di aziende il gruppo perde il filtro provincia; se non basta e' soppresso (nessun mese).
+ * I mesi con meno aziende del minimo non sono restituiti.
+ * @param {function(string|undefined): Array<Object>} pick righe del gruppo per una provincia (undefined = tutte)
+ * @param {{kpi:string, provincia?:string}} q
+ * @param {boolean} samples true: valori = campioni (conferitori); false: valori = media mensile di ogni azienda
+ * @returns {{min:number, n:number, widened:string[], suppressed:boolean, months:Array<Object>}}
+ */
+function groupDistribution(pick, q, samples) {
+  const aliases = aliasesOf(q.kpi);
+  const log = KPI_REGISTRY.isLog(q.kpi);
+  const min = ACCESS_SCOPE.minGroupSize();
+  let rows = pick(q.provincia);
+  let n = countAziende(rows, aliases);
+  const widened = [];
+  if (n < min && q.provincia) {
+    rows = pick(undefined);
+    n = countAziende(rows, aliases);
+    widened.push('provincia');
+  }
+  const out = { min, n, widened, suppressed: n < min, months: [] };
+  if (out.suppressed) return out;
+
+  const mean = log ? MONTHLY_MEANS.aggGeometric : MONTHLY_MEANS.arithmeticMean;
+  valuesByMonth(rows, aliases).forEach((byAz, key) => {
+    const aziende = Array.from(byAz.keys()).filter(Boolean).length;
+    if (aziende < min) return;
+    let values = [];
+    byAz.forEach((vals, az) => {
+      if (samples) values = values.concat(vals);
+      else if (az) values.push(mean(vals));
+    });
+    values = values.filter(v => v != null && Number.isFinite(v));
+    if (values.length) out.months.push(distributionRow(KPI_REGISTRY.normalize(q.kpi), key, values, aziende, log));
+  });
+  out.months.sort((a, b) => (a.Anno - b.Anno) || (a.Mese - b.Mese));
+  return out;
+}
+
+// ============================================================================
+// ENDPOINT
+// ============================================================================
+
+const FILTERS = ['azienda', 'kpi', 'from', 'to', 'provincia'];
+
+/**
+ * True se il caseificio richiesto e' quello del trasformatore servito (id, nome o alias del manifest).
+ */
+function isOwnDairy(name) {
+  const own = ACCESS_SCOPE.caseificio();
+  if (!own || !name) return false;
+  const wanted = canonNames(name);
+  return canonNames(own).some(n => wanted.includes(n));
+}
+
+/**
+ * Filtri di /api/samples nel perimetro del ruolo servito:
+ * - allevatore: solo la propria azienda (azienda e caseificio della richiesta sono ignorati);
+ * - trasformatore: solo il proprio caseificio (quello configurato se la richiesta non lo indica);
+ * - tecnico: la richiesta com'e'.
+ * I confronti di gruppo arrivano a allevatore e trasformatore solo come distribuzioni (/api/benchmark/monthly).
+ * @param {Object} q filtri della richiesta
+ * @returns {Object} filtri da applicare
+ */
+function samplesQuery(q) {
+  const role = ACCESS_SCOPE.role();
+  if (role === 'allevatore') {
+    if (!ACCESS_SCOPE.azienda()) throw new HttpError(403, 'nessuna azienda configurata per l\'allevatore servito');
+    return Object.assign({}, q, { azienda: ACCESS_SCOPE.azienda(), caseificio: undefined });
+  }
+  if (role === 'trasformatore') {
+    if (q.caseificio && !isOwnDairy(q.caseificio)) throw new HttpError(403, 'caseificio fuori perimetro: ' + q.caseificio);
+    if (!ACCESS_SCOPE.caseificio()) throw new HttpError(403, 'nessun caseificio configurato per il trasformatore servito');
+    return Object.assign({}, q, { caseificio: ACCESS_SCOPE.caseificio() });
+  }
+  if (!q.azienda && !q.caseificio) {
+    throw new HttpError(400, 'parametro azienda o caseificio mancante: il dataset completo non e\' disponibile');
+  }
+  return q;
+}
+
+/**
+ * Controlla che il ruolo servito possa leggere cisterna e campioni conferitori del caseificio:
+ * il trasformatore solo i propri, l'allevatore nessuno (il gruppo gli arriva da /api/benchmark/monthly).
+ * @param {Object} dairy voce del manifest
+ */
+function checkDairyAccess(dairy) {
+  const role = ACCESS_SCOPE.role();
+  if (role === 'allevatore') {
+    throw new HttpError(403, 'dati del caseificio non disponibili per l\'allevatore: il confronto passa da /api/benchmark/monthly');
+  }
+  if (role === 'trasformatore' && !isOwnDairy(dairy.id)) throw new HttpError(403, 'caseificio fuori perimetro: ' + dairy.id);
+}
+
+/**
+ * Righe di un file nel perimetro del ruolo (calcolate una volta per versione del file).
+ * @param {{data:*, scoped?:Array<Object>}} src file letto da readJson
+ * @param {string} [caseificio] caseificio delle righe che non lo riportano (campioni conferitori)
+ * @returns {Array<Object>}
+ */
+function scopedRows(src, caseificio) {
+  if (!src.scoped) src.scoped = ACCESS_SCOPE.scopeRows(Array.isArray(src.data) ? src.data : [], caseificio);
+  return src.scoped;
+}
+
+/**
+ * Righe di campioni da spedire, con la numerosita' minima di ACCESS_SCOPE applicata anche qui: le aziende
+ * fuori perimetro (anonime) escono solo come gruppo di almeno minGroupSize aziende, altrimenti 403.
+ * Con le rotte nel perimetro (samplesQuery, checkDairyAccess) allevatore e trasformatore non ricevono
+ * aziende anonime; il controllo resta come ultima difesa contro righe di vicini identificabili.
+ * @param {Array<Object>} rows righe gia' nel perimetro e filtrate
+ * @returns {string} JSON delle righe
+ */
+function guardedBody(rows) {
+  if (ACCESS_SCOPE.role() !== 'tecnico') {
+    const others = new Set();
+    rows.forEach(r => {
+      const az = String((r && r.Azienda) || '').trim();
+      if (ACCESS_SCOPE.isPseudonym(az)) others.add(az);
+    });
+    if (others.size && others.size < ACCESS_SCOPE.minGroupSize()) {
+      throw new HttpError(403, 'gruppo di ' + others.size + ' aziende sotto la numerosita\' minima (' +
+        ACCESS_SCOPE.minGroupSize() + '): campioni non disponibili');
+    }
+  }
+  return JSON.stringify(rows);
+}
+
+/**
+ * Risposta JSON: il testo del file se non ci sono filtri e il perimetro non tocca le righe,
+ * altrimenti le righe nel perimetro, filtrate (guardedBody).
+ * @param {string} file percorso relativo
+ * @param {Object} q filtri della richiesta
+ * @param {{scope?:boolean, caseificio?:string}} [opts] scope: righe con aziende (perimetro del ruolo)
+ */
+function rowsBody(file, q, opts = {}) {
+  const src = readJson(file);
+  const scope = !!opts.scope && ACCESS_SCOPE.role() !== 'tecnico';
+  if (!Object.keys(q).length && !scope) return src.text;
+  const rows = scope ? scopedRows(src, opts.caseificio) : (Array.isArray(src.data) ? src.data : []);
+  return guardedBody(filterRows(rows, q));
+}
+
+const ROUTES = {
+  '/api/samples'(url) {
+    return rowsBody(DATA_FILE, samplesQuery(queryOf(url, FILTERS.concat('caseificio'))), { scope: true });
+  },
+
+  '/api/tank'(url) {
+    const dairy = dairyOf(url.searchParams.get('caseificio'));
+    checkDairyAccess(dairy);
+    if (!dairy.cisterna) throw new HttpError(404, 'nessun file cisterna per ' + dairy.id);
+    return rowsBody(dairy.cisterna.src, queryOf(url, FILTERS));
+  },
+
+  '/api/conferitori'(url) {
+    const dairy = dairyOf(url.searchParams.get('caseificio'));
+    checkDairyAccess(dairy);
+    const lattazione = url.searchParams.get('lattazione');
+    const chunks = (dairy.conferitori || []).filter(c => !lattazione || c.lattazione === lattazione);
+    if (!chunks.length) throw new HttpError(404, 'nessun file conferitori per ' + dairy.id + (lattazione ? ' ' + lattazione : ''));
+    const q = queryOf(url, FILTERS);
+    const opts = { scope: true, caseificio: dairy.nome };
+    if (chunks.length === 1) return rowsBody(chunks[0].src, q, opts);
+    const rows = [].concat(...chunks.map(c => scopedRows(readJson(c.src), dairy.nome)));
+    return guardedBody(filterRows(rows, q));
+  },
+
+  '/api/benchmark/monthly'(url) {
+    const q = queryOf(url, ['kpi', 'mode', 'caseificio', 'provincia']);
+    if (!q.kpi) throw new HttpError(400, 'parametro kpi mancante');
+    const mode = q.mode || 'intraAppare';
+    aliasesOf(q.kpi);   // 400 se il KPI non e' nel registro
+    if (mode !== 'intraAppare' && mode !== 'intraCaseificio') {
+      throw new HttpError(400, 'mode non valido: ' + mode + ' (intraAppare o intraCaseificio)');
+    }
+    if (mode === 'intraCaseificio' && !q.caseificio) throw new HttpError(400, 'parametro caseificio mancante');
+
+    // campioni conferitori del caseificio, se il manifest li elenca e almeno un chunk e' pubblicato
+    let dairy = null;
+    let samples = [];
+    if (mode === 'intraCaseificio') {
+      try {
+        dairy = dairyOf(q.caseificio);
+      } catch (err) {
+        if (err.status !== 404) throw err;
+      }
+      samples = [].concat(...((dairy && dairy.conferitori) || []).map(c => {
+        try { return readJson(c.src).data; } catch (err) { return []; }   // chunk non ancora pubblicato
+      }));
+    }
+
+    const fromSamples = samples.length > 0;
+    const group = fromSamples
+      ? groupDistribution(provincia => filterRows(samples, { provincia }), q, true)
+      : groupDistribution(provincia => filterRows(readJson(DATA_FILE).data, { caseificio: q.caseificio, provincia }), q, false);
+    return JSON.stringify(Object.assign({
+      kpi: KPI_REGISTRY.normalize(q.kpi),
+      mode,
+      source: fromSamples ? 'conferitori' : 'aziende',
+      caseificio: fromSamples ? dairy.id : null
+    }, group));
+  }
+};
+
+// ============================================================================
+// HTTP
+// ============================================================================
+
+/**
+ * Invia una risposta con ETag; 304 se il client ha gia' la stessa versione.
+ */
+function send(req, res, status, body, type) {
+  const etag = '"' + crypto.createHash('sha1').update(body).digest('hex') + '"';
+  const headers = {
+    'Content-Type': type,
+    'ETag': etag,
+    'Cache-Control': 'no-cache',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Expose-Headers': 'ETag'
+  };
+  if (status === 200 && req.headers['if-none-match'] === etag) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+  res.writeHead(status, headers);
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+/**
+ * Pagina HTML con l'utente servito e la sorgente 'api' scritti su <html> (al posto di quelli del file).
+ * @param {string} html testo della pagina
+ * @returns {string}
+ */
+function withIdentity(html) {
+  const esc = v => String(v).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  const attrs = { role: IDENTITY.role, azienda: IDENTITY.azienda, caseificio: IDENTITY.caseificio, 'min-group': IDENTITY.minGroup, source: 'api' };
+  const added = Object.keys(attrs)
+    .filter(k => attrs[k])
+    .map(k => ' data-' + k + '="' + esc(attrs[k]) + '"')
+    .join('');
+  return html.replace(/<html\b([^>]*)>/i, (m, own) =>
+    '<html' + own.replace(/\s+data-(role|azienda|caseificio|min-group|source)="[^"]*"/gi, '') + added + '>');
+}
+
+/**
+ * True se il file (percorso relativo) puo' essere servito come statico (STATIC_FILES).
+ */
+function isPublic(rel) {
+  const clean = String(rel).replace(/^\/+/, '');
+  const ext = path.extname(clean).toLowerCase();
+  if (ext === '.json') return STATIC_FILES.json.includes(clean);
+  return STATIC_FILES.ext.includes(ext) && !STATIC_FILES.private.includes(clean);
+}
+
+/**
+ * File statico della dashboard (solo quelli di STATIC_FILES: i dataset passano dagli endpoint).
+ */
+function serveStatic(req, res, url) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(url.pathname);
+  } catch (err) {
+    throw new HttpError(400, 'percorso non valido: ' + url.pathname);
+  }
+  const rel = pathname === '/' ? 'index.html' : pathname;
+  const file = resolveInRoot(rel);
+  if (!isPublic(rel)) throw new HttpError(404, 'file non trovato: ' + rel);
+  if (!fs.existsSync(file) || !fs.statSync(file).isFile()) throw new HttpError(404, 'file non trovato: ' + rel);
+  const ext = path.extname(file).toLowerCase();
+  const body = ext === '.html' ? withIdentity(fs.readFileSync(file, 'utf8')) : fs.readFileSync(file);
+  send(req, res, 200, body, CONTENT_TYPES[ext] || 'application/octet-stream');
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  try {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, HEAD',
+        'Access-Control-Allow-Headers': 'If-None-Match, If-Modified-Since'
+      });
+      res.end();
+      return;
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') throw new HttpError(405, 'metodo non consentito: ' + req.method);
+
+    const route = ROUTES[url.pathname.replace(/\/+$/, '')];
+    if (route) {
+      send(req, res, 200, route(url), CONTENT_TYPES['.json']);
+    } else if (url.pathname.startsWith('/api/')) {
+      throw new HttpError(404, 'endpoint sconosciuto: ' + url.pathname);
+    } else {
+      serveStatic(req, res, url);
+    }
+  } catch (err) {
+    const status = err instanceof HttpError ? err.status : 500;
+    if (status === 500) console.error('[apiServer]', req.url, err);
+    send(req, res, status, JSON.stringify({ error: err.message || String(err) }), CONTENT_TYPES['.json']);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log('[apiServer] dashboard e API su http://localhost:' + PORT + '/ (dati da ' + ROOT + ')');
+  const who = ACCESS_SCOPE.azienda() || ACCESS_SCOPE.caseificio();
+  console.log('[apiServer] utente servito:', ACCESS_SCOPE.role(), who || (ACCESS_SCOPE.role() === 'tecnico' ? '' : '(nessuna azienda: solo dati anonimi)'));
+});
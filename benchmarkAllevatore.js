@@ -10,18 +10,34 @@
 //
 // FLUSSO PRINCIPALE (entry point init in fondo al file)
 // 1) init() -> applyView() per allineare UI e lanciare i render iniziali.
-// 2) updatePR(), updateKPI(), updateHistogram() costruiscono dataset da RAW (dataLoader.js) e stato UI.
+// 2) updatePR(), updateKPI(), updateHistogram() costruiscono dataset dalle righe del gruppo (getBenchmarkRows,
+//    interrogando l'indice di RAW in dataStore.js) e dallo stato UI;
+//    le aggregazioni (medie mensili, PR, bins istogramma) girano nel Web Worker di aggregationEngine.js
+//    e i grafici si ridisegnano all'arrivo dei risultati (getAggregation / getHistogramBins).
 // 3) Eventi UI (change su select/radio) e evento "raw:loaded" (dataLoader) riattivano i render.
 //
 // SORGENTI DATI E DIPENDENZE
-// - RAW popolato da dataLoader.js (data.json) con campioni aziendali.
-// - CAO_RAW popolato da loaderCaseificio.js (conferitori CAO multipli) + evento "cao:loaded".
+// - RAW popolato da dataLoader.js (data.json) con campioni aziendali, indicizzato da DATA_STORE (dataStore.js).
+// - Caseifici (loaderCaseificio.js): registro dei caseifici con campioni conferitori + evento "caseificio:loaded".
+// - REGIONE_DIST popolato da loaderRegione.js (distribuzioni mensili regionali) + evento "regione:loaded".
+// - GRUPPO (loaderGruppo.js): con la sorgente 'api' RAW ha solo le righe dell'azienda e il gruppo di confronto
+//   sono le distribuzioni mensili calcolate dal server (getServerGroupRows) + evento "gruppo:loaded".
 // - Stato UI letto dai select/radio: #aziendaSelect, #benchmarkType, #provinciaFilter, #kpi, menu lattazioni, periodi istogramma.
+// - KPI_REGISTRY (kpiRegistry.js) per alias, unita', scala log e verso "lower is better" dei KPI.
+// - ACCESS_SCOPE (accessScope.js, opzionale): aziende selezionabili secondo il ruolo (allevatore: solo la propria)
+//   e numerosita' minima del gruppo di confronto (selectGuardedGroup: gruppi piccoli allargati o senza statistiche;
+//   per i campioni conferitori contano le aziende distinte, per Regione il filtro e' in REGIONE.filter).
+// - AGG_ENGINE (aggregationEngine.js): motore di aggregazione in Web Worker (aggregate, percentiles, histogram).
+// - LIVE_REFRESH (liveRefresh.js, opzionale): mesi con campioni nuovi dell'aggiornamento live, evidenziati nel grafico KPI.
 // - Librerie: Chart.js per i grafici. Nessuna altra dipendenza esterna.
 //
 // NOTA
 // - La logica resta invariata: i commenti e le JSDoc chiariscono flussi, variabili e dipendenze per manutenzione futura.
-// - Caso speciale CAO: in intraCaseificio, se il caseificio è CAO, i confronti usano i campioni conferitori caricati in CAO_RAW.
+// - Caseifici con conferitori: in intraCaseificio, se il caseificio ha file nel manifest (Caseifici.get), i confronti usano i suoi campioni conferitori.
+// - Modalita Regione: il gruppo e' la distribuzione regionale aggregata (percentili), PR e istogramma
+//   si calcolano interpolando i percentili di REGIONE_DIST e non su righe di singole aziende.
+//   Con la sorgente 'api' IntraAppare e IntraCaseificio seguono la stessa strada con le distribuzioni del server
+//   (usesDistributions / getRegionDist).
 // ============================================================================
 
 
@@ -29,38 +45,7 @@
 // CONFIGURAZIONE KPI E COSTANTI
 // ============================================================================
 
-/**
- * Mappa dei KPI logici e degli alias presenti nel dataset grezzo.
- * Serve a identificare correttamente le righe di RAW per ogni KPI.
- */
-const KPI_ALIASES = {
-  cellule:   ['cellule', 'scc', 'cellule somatiche', 'cellule somatiche (scc)'],
-  carica:    ['carica', 'cbt', 'carica batterica', 'carica batterica (cbt)'],
-  urea:      ['urea'],
-  grassi:    ['grassi', 'fat', '% fat'],
-  proteine:  ['proteine', 'protein', '% prot'],
-  caseina:   ['caseina', 'caseine'],
-  lattosio:  ['lattosio'],
-  crio:      ['crio', 'crio ft'],
-  ph:        ['ph'],
-  nacl:      ['nacl', 'cloruro di sodio']
-};
-
-/**
- * Unita di misura per ciascun KPI, utilizzata nelle label degli assi.
- */
-const KPI_UNITS = {
-  cellule:   'cell/mL',
-  carica:    'UFC/mL',
-  urea:      'mg/dL',
-  grassi:    '%',
-  proteine:  '%',
-  caseina:   '%',
-  lattosio:  '%',
-  crio:      'C',
-  ph:        '',
-  nacl:      'g/L'
-};
+// Alias, unita' ed etichette dei KPI arrivano dal registro unico (kpiRegistry.js)
 
 /**
  * Etichette dei mesi per le lattazioni (Ottobre-Settembre).
@@ -70,12 +55,6 @@ const LAC_MONTHS_IT = [
   'Apr', 'Mag', 'Giu', 'Lug', 'Ago', 'Set'
 ];
 
-/**
- * Esporto KPI_UNITS su window per l'utilizzo in performanceAllevatore.js.
- */
-window.KPI_UNITS = KPI_UNITS;
-window.KPI_ALIASES = KPI_ALIASES;
-
 
 // ============================================================================
 // STATO APPLICAZIONE
@@ -99,12 +78,23 @@ var state = {
   histPeriod:      { type: 'months', value: 12 }
 };
 
-// Flag scenario intra-caseificio CAO (media campioni conferitori)
-var lastIsCaoIntra = false;
-// Media approssimata campioni/mese (solo CAO, per messaggi)
-var lastCaoMeanSamplesPerMonth = null;
-// Debug helper CAO
-var DEBUG_CAO = true;
+// Scenario intra-caseificio con campioni conferitori: voce Caseifici del caseificio (null negli altri casi)
+var lastConferitori = null;
+// Campioni conferitori del KPI corrente (righe normalizzate {year, month, value}) passati al motore di aggregazione
+var lastConferitoriSamples = null;
+// Parziali mensili {Azienda, year, month, sum, n} del gruppo di confronto corrente (DATA_STORE.select)
+var lastBenchmarkMonthly = [];
+// Media approssimata campioni/mese (solo conferitori, per messaggi)
+var lastConferitoriMeanSamplesPerMonth = null;
+// Debug helper conferitori: log in console di caricamenti e campioni usati (spento in produzione)
+var DEBUG_CONFERITORI = false;
+// Flag scenario Regione (confronto con distribuzione regionale aggregata)
+var lastIsRegione = false;
+// Gruppo di confronto calcolato dal server (sorgente 'api', getServerGroupRows): { query, data } con data
+// la risposta di GRUPPO (null finche' non arriva); null quando il gruppo sono righe di aziende o campioni
+var lastGroupDist = null;
+// Numerosita' del gruppo di aziende corrente (selectGuardedGroup): { min, n, widened: ['provincia'], suppressed }
+var lastGroupGuard = null;
 
 /**
  * Dataset grezzo (raw) caricato da dataLoader.js (JSON).
@@ -131,163 +121,359 @@ var didInitialLacAutoSelect = false;
 // ============================================================================
 
 /**
- * Restituisce le righe RAW da usare come gruppo di confronto, rispettando i filtri UI.
+ * Restituisce le righe KPI del gruppo di confronto per il KPI corrente, rispettando i filtri UI.
+ * Le righe arrivano gia' normalizzate e indicizzate da DATA_STORE (dataStore.js): nessuna scansione di RAW.
  *
  * Algoritmo in breve:
- * 1) parte da tutto RAW (tutti i campioni)
+ * 1) parte da tutte le aziende del KPI
  * 2) se benchmark = intraCaseificio, scopre il caseificio dell'azienda selezionata e filtra solo quel caseificio
  * 3) applica eventuale filtro provincia al gruppo filtrato
+ * 3b) sotto la numerosita' minima (selectGuardedGroup) toglie il filtro provincia; se ancora troppo piccolo
+ *     restituisce solo le righe dell'azienda (lastGroupGuard.suppressed)
  * 4) garantisce che i record dell'azienda selezionata siano sempre presenti (anche se esclusi dal filtro provincia)
- * 5) Caso speciale CAO: se il caseificio è CAO, sostituisce il gruppo di confronto con i campioni conferitori (CAO_RAW)
+ * 5) Caseificio con conferitori (Caseifici.get): sostituisce il gruppo di confronto con i suoi campioni conferitori
  *    filtrati per KPI e provincia; conserva comunque le righe aziendali originali per confronti/serie azienda.
+ *    Se i campioni non sono disponibili (file mancanti) si ricade sul gruppo RAW del caseificio.
+ * Aggiorna lastBenchmarkMonthly con i parziali mensili del gruppo (usati dal motore di aggregazione).
  *
  * Relazioni:
- * - usa state.azienda come azienda selezionata
+ * - usa state.azienda come azienda selezionata e state.currentKpi come KPI
  * - dipende dai <select> #benchmarkType e #provinciaFilter per i filtri utente
- * - fornisce i dati a rowsForKpi -> updatePR / updateKPI / updateHistogram
+ * - fornisce i dati a updatePR / updateKPI / updateHistogram
  *
- * @returns {Array<Object>} sottoinsieme di RAW pronto per essere passato a rowsForKpi
+ * @returns {Array<Object>} righe KPI normalizzate {Azienda, year, month, value}
  */
-function getBenchmarkRaw() {
-  var rawRows = Array.isArray(RAW) ? RAW : [];
-  if (!rawRows.length) return rawRows;
-
-  // reset flag: verrà settato solo se scatta la modalità CAO
-  lastIsCaoIntra = false;
-  lastCaoMeanSamplesPerMonth = null;
-  if (cache && cache.caoCountsByYM) cache.caoCountsByYM.clear();
+function getBenchmarkRows() {
+  var kpiKey = state && state.currentKpi ? state.currentKpi : 'cellule';
+  lastBenchmarkMonthly = [];
+  if (!Array.isArray(RAW) || !RAW.length) return [];
+
+  // reset flag: verrà settato solo se scatta la modalità conferitori
+  lastConferitori = null;
+  lastGroupGuard = null;
+  lastConferitoriSamples = null;
+  lastIsRegione = false;
+  lastGroupDist = null;
+  lastConferitoriMeanSamplesPerMonth = null;
+  if (cache && cache.conferitoriCountsByYM) cache.conferitoriCountsByYM.clear();
 
   // Tipo di benchmark scelto (intraAppare / IntraCaseificio / Regione)
   var benchmarkSelect = document.getElementById('benchmarkType');
   var benchmarkMode = benchmarkSelect && benchmarkSelect.value ? benchmarkSelect.value : 'intraAppare';
 
-  var filteredRows = rawRows;
+  var selected = state && state.azienda ? state.azienda : null;
+
+  // Modalita Regione: il gruppo e' la distribuzione aggregata di REGIONE_DIST,
+  // qui servono solo le righe dell'azienda selezionata
+  if (benchmarkMode === 'regione') {
+    lastIsRegione = true;
+    if (window.REGIONE && !window.REGIONE.isLoaded() && !window.REGIONE.isLoading()) {
+      window.REGIONE.ensureLoaded().catch(() => {});
+    }
+    if (!selected) return [];
+    var regSel = DATA_STORE.select({ kpi: kpiKey, azienda: selected });
+    lastBenchmarkMonthly = regSel.monthly;
+    return regSel.rows;
+  }
+
+  // Sorgente 'api': RAW ha solo le righe dell'azienda, il gruppo arriva dal server come distribuzioni mensili
+  if (window.GRUPPO && window.GRUPPO.enabled()) return getServerGroupRows(benchmarkMode, selected, kpiKey);
+
+  var query = { kpi: kpiKey };
 
   // Modalita IntraCaseificio: filtra solo i record del caseificio dell'azienda selezionata
-  if (benchmarkMode === 'intraCaseificio') {
-    var selectedAzienda = state && state.azienda ? state.azienda : null;
-    if (selectedAzienda) {
-      var selectedCaseificio = null;
-
-      for (var i = 0; i < rawRows.length; i++) {
-        var candidateRow = rawRows[i];
-        if (candidateRow && candidateRow.Azienda === selectedAzienda && candidateRow.Caseificio) {
-          selectedCaseificio = candidateRow.Caseificio;
-          break;
-        }
-      }
+  if (benchmarkMode === 'intraCaseificio' && selected) {
+    var selectedCaseificio = DATA_STORE.caseificioOf(selected);
+    if (selectedCaseificio) {
+      // Caseificio con file conferitori nel manifest -> usa i suoi campioni come gruppo di confronto
+      var dairy = window.Caseifici ? window.Caseifici.get(selectedCaseificio) : null;
+      var conferitoriRows = dairy ? getConferitoriRows(dairy, selected) : null;
+      if (conferitoriRows) return conferitoriRows;
+
+      query.caseificio = selectedCaseificio;
+    }
+  }
 
-      if (selectedCaseificio) {
-        // Caso speciale: CAO -> usa campioni conferitori come gruppo di confronto
-        if (isCaoCaseificio(selectedCaseificio)) {
-          // se i campioni non sono ancora caricati, avvia il loader e ritorna vuoto
-          if ((!Array.isArray(window.CAO_RAW) || !window.CAO_RAW.length) && window.CAO && typeof window.CAO.ensureLoaded === 'function') {
-            if (DEBUG_CAO) console.log('[CAO] ensureLoaded trigger: campioni non presenti, caseificio selezionato:', selectedCaseificio);
-            window.CAO.ensureLoaded().catch(() => {});
-            return [];
-          }
-          if (Array.isArray(window.CAO_RAW) && window.CAO_RAW.length) {
-            lastIsCaoIntra = true;
+  // Modalita intraAppare/regione: usano tutte le aziende, poi applichiamo filtro provincia
+  var provinceName = selectedProvinceName();
+  if (provinceName) query.provincia = provinceName;
 
-            // assicurati che il loader CAO sia partito (in caso di lazy loading)
-            if (window.CAO && typeof window.CAO.ensureLoaded === 'function') {
-              window.CAO.ensureLoaded().catch(() => {});
-            }
+  var group = selectGuardedGroup(query);
+  lastBenchmarkMonthly = group.monthly;
 
-          // Applichiamo eventuale filtro provincia anche ai campioni CAO_RAW
-          var provinceSelect = document.getElementById('provinciaFilter');
-          var provinceValue = provinceSelect && provinceSelect.value ? provinceSelect.value : 'tutte';
-          var provinceName = null;
-          if (provinceValue === 'sassari')       provinceName = 'Sassari';
-          else if (provinceValue === 'nuoro')    provinceName = 'Nuoro';
-          else if (provinceValue === 'oristano') provinceName = 'Oristano';
-          else if (provinceValue === 'cagliari') provinceName = 'Cagliari';
-
-            var aziRows = rawRows.filter(function (row) { return row && row.Azienda === selectedAzienda; });
-
-            var kpiKey = state && state.currentKpi ? state.currentKpi : 'cellule';
-            var aliases = KPI_ALIASES[kpiKey] || [kpiKey];
-
-          var caoSamples = [];
-          var countsByYM = cache.caoCountsByYM;
-          countsByYM.clear();
-
-          for (var cr of window.CAO_RAW) {
-            if (!cr) continue;
-            var rk = String(cr.KPI || '').toLowerCase();
-            if (aliases.indexOf(rk) === -1) continue;
-            if (provinceName && cr.Provincia && cr.Provincia !== provinceName) continue;
-            var y = Number(cr.Anno);
-            var m = Number(cr.Mese);
-            var v = Number(cr.Valore);
-            if (!Number.isFinite(y) || !Number.isFinite(m) || !Number.isFinite(v)) continue;
-            caoSamples.push({
-              Azienda: cr.Azienda || 'Conferitore CAO',
-              Caseificio: 'CAO',
-              Provincia: cr.Provincia || '',
-              KPI: kpiKey,
-                Anno: y,
-                Mese: m,
-                Valore: v
-              });
-            var keyYM = y + '-' + m;
-            countsByYM.set(keyYM, (countsByYM.get(keyYM) || 0) + 1);
-          }
+  // Gruppo troppo piccolo anche allargato: restano solo le righe dell'azienda (nessuna statistica di gruppo)
+  if (lastGroupGuard.suppressed) {
+    if (!selected) return [];
+    var alone = DATA_STORE.select({ kpi: kpiKey, azienda: selected });
+    lastBenchmarkMonthly = alone.monthly;
+    return alone.rows;
+  }
 
-          if (countsByYM.size) {
-            var sumC = 0;
-            countsByYM.forEach(function (c) { sumC += c; });
-            lastCaoMeanSamplesPerMonth = sumC / countsByYM.size;
-          } else {
-            lastCaoMeanSamplesPerMonth = null;
-          }
+  // Aggiungiamo sempre i record dell'azienda selezionata, anche se filtrati fuori
+  if (!selected) return group.rows;
 
-            if (DEBUG_CAO) {
-              console.log('[CAO] KPI', kpiKey, 'samples raw:', window.CAO_RAW.length, 'rows used:', caoSamples.length, 'countsByYM size:', countsByYM.size, 'mean samples/month:', lastCaoMeanSamplesPerMonth);
-            }
+  var hasSelected = group.rows.some(function (row) {
+    return row.Azienda === selected;
+  });
+  if (hasSelected) return group.rows;
 
-            return aziRows.concat(caoSamples);
-          }
-        } else {
-          filteredRows = rawRows.filter(function (row) {
-            return row && row.Caseificio === selectedCaseificio;
-          });
-        }
-      }
-    }
+  var own = DATA_STORE.select({ kpi: kpiKey, azienda: selected });
+  lastBenchmarkMonthly = group.monthly.concat(own.monthly);
+  return group.rows.concat(own.rows);
+}
+
+
+/**
+ * Gruppo di confronto calcolato dal server (sorgente 'api', GRUPPO in loaderGruppo.js): le distribuzioni
+ * mensili di /api/benchmark/monthly si usano come quelle regionali (PR e istogramma interpolati sui percentili).
+ * In IntraCaseificio il server usa i campioni conferitori del caseificio se li ha, altrimenti le sue aziende.
+ * Aggiorna lastGroupDist, lastGroupGuard (numerosita' decisa dal server) e, con i campioni conferitori,
+ * lastConferitori e la media campioni/mese dei messaggi.
+ * @param {string} mode tipo di benchmark (intraAppare / intraCaseificio)
+ * @param {string|null} azienda azienda selezionata
+ * @param {string} kpiKey KPI corrente
+ * @returns {Array<Object>} righe KPI dell'azienda (il gruppo non ha righe)
+ */
+function getServerGroupRows(mode, azienda, kpiKey) {
+  if (!azienda) return [];
+  var query = { kpi: kpiKey, mode: 'intraAppare', provincia: selectedProvinceName() };
+  var caseificio = mode === 'intraCaseificio' ? DATA_STORE.caseificioOf(azienda) : null;
+  if (caseificio) {
+    query.mode = 'intraCaseificio';
+    query.caseificio = caseificio;
   }
 
-  // Modalita intraAppare/regione: usano tutto RAW, poi applichiamo filtro provincia
-  var provinceSelect = document.getElementById('provinciaFilter');
-  var provinceValue = provinceSelect && provinceSelect.value ? provinceSelect.value : 'tutte';
-  if (provinceValue !== 'tutte') {
-    var provinceName = null;
-    if (provinceValue === 'sassari')       provinceName = 'Sassari';
-    else if (provinceValue === 'nuoro')    provinceName = 'Nuoro';
-    else if (provinceValue === 'oristano') provinceName = 'Oristano';
-    else if (provinceValue === 'cagliari') provinceName = 'Cagliari';
-
-    if (provinceName) {
-      filteredRows = filteredRows.filter(function (row) {
-        return row && row.Provincia === provinceName;
-      });
-    }
+  var data = window.GRUPPO.get(query);
+  lastGroupDist = { query: query, data: data };
+  if (data && data.min != null) {
+    lastGroupGuard = { min: data.min, n: data.n, widened: data.widened || [], suppressed: !!data.suppressed };
+  }
+  if (data && data.source === 'conferitori') {
+    lastConferitori = (window.Caseifici && window.Caseifici.get(data.caseificio)) || { id: data.caseificio };
+    var sumC = 0;
+    data.months.forEach(function (d) { sumC += Number(d.campioni) || 0; });
+    lastConferitoriMeanSamplesPerMonth = data.months.length ? sumC / data.months.length : null;
   }
 
-  // Aggiungiamo sempre i record dell'azienda selezionata, anche se filtrati fuori
-  var selected = state && state.azienda ? state.azienda : null;
-  if (!selected) return filteredRows;
+  var own = DATA_STORE.select({ kpi: kpiKey, azienda: azienda });
+  lastBenchmarkMonthly = own.monthly;
+  return own.rows;
+}
+
+/**
+ * True se il gruppo di confronto corrente e' fatto di distribuzioni mensili (Regione o gruppo dal server)
+ * e non di righe: mediana, PR e istogramma si leggono da getRegionDist.
+ */
+function usesDistributions() {
+  return lastIsRegione || !!lastGroupDist;
+}
+
+/**
+ * Numero minimo di aziende di un gruppo di confronto (ACCESS_SCOPE.minGroupSize, accessScope.js).
+ */
+function minGroupSize() {
+  return window.ACCESS_SCOPE ? ACCESS_SCOPE.minGroupSize() : 5;
+}
 
-  var hasSelected = filteredRows.some(function (row) {
-    return row && row.Azienda === selected;
+/**
+ * Seleziona il gruppo di confronto da DATA_STORE rispettando la numerosita' minima (k-anonimato):
+ * sotto il minimo allarga il gruppo togliendo il filtro provincia; se non basta il gruppo e' marcato
+ * come soppresso (mediana, PR e istogramma non vengono mostrati). Aggiorna lastGroupGuard.
+ * @param {{kpi:string, caseificio?:string, provincia?:string}} query filtri di DATA_STORE.select
+ * @returns {{rows:Array<Object>, monthly:Array<Object>}} gruppo selezionato
+ */
+function selectGuardedGroup(query) {
+  var min = minGroupSize();
+  var count = function (rows) {
+    var set = new Set();
+    rows.forEach(function (r) { if (r && r.Azienda) set.add(String(r.Azienda)); });
+    return set.size;
+  };
+  var group = DATA_STORE.select(query);
+  var n = count(group.rows);
+  var widened = [];
+  if (n < min && query.provincia) {
+    var wider = Object.assign({}, query);
+    delete wider.provincia;
+    group = DATA_STORE.select(wider);
+    n = count(group.rows);
+    widened.push('provincia');
+  }
+  lastGroupGuard = { min: min, n: n, widened: widened, suppressed: n < min };
+  return group;
+}
+
+/**
+ * True se le statistiche di un gruppo di n aziende non vanno mostrate (gruppo soppresso o mese sotto il minimo).
+ * Vale per i gruppi di aziende e per i campioni conferitori (n = aziende distinte dei campioni);
+ * le distribuzioni regionali sono gia' filtrate per numerosita' da REGIONE.filter/getMonth.
+ * @param {number} n aziende del gruppo nel mese/periodo
+ */
+function groupTooSmall(n) {
+  if (!lastGroupGuard) return false;
+  return lastGroupGuard.suppressed || n < lastGroupGuard.min;
+}
+
+/**
+ * Gruppo di confronto dai campioni conferitori di un caseificio: righe KPI dell'azienda + campioni
+ * del KPI corrente (filtrati per provincia). Chiede al registro le lattazioni mostrabili per l'azienda.
+ * Aggiorna lastConferitori, lastConferitoriSamples, lastBenchmarkMonthly e la media campioni/mese usata nei messaggi.
+ * @param {Object} dairy voce Caseifici del caseificio
+ * @param {string} azienda azienda selezionata
+ * @returns {Array<Object>|null} righe KPI normalizzate di confronto, [] se i campioni sono in arrivo,
+ *   null se il caseificio non ha campioni utilizzabili (file mancanti)
+ */
+function getConferitoriRows(dairy, azienda) {
+  // chiedi al loader solo le lattazioni mostrabili per l'azienda (arrivano con "caseificio:loaded")
+  var neededLacs = conferitoriLactationsNeeded(azienda);
+  var waiting = !dairy.hasLactations(neededLacs);
+  if (waiting) {
+    if (DEBUG_CONFERITORI) console.log('[conferitori] ensureLoaded trigger:', dairy.id, 'lattazioni', neededLacs);
+    dairy.ensureLoaded(false, { lactations: neededLacs, tank: false }).catch(() => {});
+  }
+  if (!dairy.isLoaded()) return waiting ? [] : null;
+
+  lastConferitori = dairy;
+  var kpiKey = state && state.currentKpi ? state.currentKpi : 'cellule';
+  var countsByYM = cache.conferitoriCountsByYM;
+  countsByYM.clear();
+
+  // Numerosita' minima come per i gruppi di aziende: si contano le aziende distinte dei campioni
+  // (i campioni senza azienda non contano), sotto il minimo si toglie il filtro provincia
+  var min = minGroupSize();
+  var provinceName = selectedProvinceName();
+  var picked = dairy.filter({ kpi: kpiKey, provincia: provinceName });
+  var n = countSampleAziende(picked);
+  var widened = [];
+  if (n < min && provinceName) {
+    picked = dairy.filter({ kpi: kpiKey });
+    n = countSampleAziende(picked);
+    widened.push('provincia');
+  }
+  lastGroupGuard = { min: min, n: n, widened: widened, suppressed: n < min };
+
+  var samples = picked.map(function (cr) {
+    var y = Number(cr.Anno);
+    var m = Number(cr.Mese);
+    var keyYM = y + '-' + m;
+    countsByYM.set(keyYM, (countsByYM.get(keyYM) || 0) + 1);
+    return {
+      Azienda: cr.Azienda || null,
+      Caseificio: dairy.id,
+      Provincia: cr.Provincia || '',
+      KPI: kpiKey,
+      Anno: y,
+      Mese: m,
+      Valore: Number(cr.Valore)
+    };
   });
-  if (hasSelected) return filteredRows;
 
-  var selectedRows = rawRows.filter(function (row) {
-    return row && row.Azienda === selected;
+  if (countsByYM.size) {
+    var sumC = 0;
+    countsByYM.forEach(function (c) { sumC += c; });
+    lastConferitoriMeanSamplesPerMonth = sumC / countsByYM.size;
+  } else {
+    lastConferitoriMeanSamplesPerMonth = null;
+  }
+
+  if (DEBUG_CONFERITORI) {
+    console.log('[conferitori]', dairy.id, 'KPI', kpiKey, 'rows used:', samples.length, 'countsByYM size:', countsByYM.size, 'mean samples/month:', lastConferitoriMeanSamplesPerMonth);
+  }
+
+  lastConferitoriSamples = rowsForKpi(samples, kpiKey);
+  var own = DATA_STORE.select({ kpi: kpiKey, azienda: azienda });
+  lastBenchmarkMonthly = own.monthly;
+  return own.rows.concat(lastConferitoriSamples);
+}
+
+/**
+ * Aziende distinte nei campioni conferitori (righe del registro Caseifici o gia' normalizzate).
+ * I campioni senza Azienda non si possono attribuire e non contano verso la numerosita' minima.
+ * @param {Array<Object>} samples campioni {Azienda?, ...}
+ * @param {Array<{y:number,m:number}>} [months] limita ai mesi indicati (m 0..11) per righe normalizzate
+ * @returns {number}
+ */
+function countSampleAziende(samples, months) {
+  var keys = months ? new Set(months.map(function (ym) { return ym.y + '-' + ym.m; })) : null;
+  var set = new Set();
+  (samples || []).forEach(function (s) {
+    if (!s || !s.Azienda) return;
+    if (keys && !keys.has(s.year + '-' + s.month)) return;
+    set.add(String(s.Azienda));
+  });
+  return set.size;
+}
+
+/**
+ * Aziende distinte dei campioni conferitori normalizzati per mese.
+ * @param {Array<Object>} samples campioni {Azienda, year, month, value} (month 0..11)
+ * @returns {Map<string, number>} 'year-month' -> numero di aziende
+ */
+function sampleAziendeByMonth(samples) {
+  var sets = new Map();
+  samples.forEach(function (s) {
+    if (!s || !s.Azienda) return;
+    var key = s.year + '-' + s.month;
+    if (!sets.has(key)) sets.set(key, new Set());
+    sets.get(key).add(String(s.Azienda));
   });
+  var out = new Map();
+  sets.forEach(function (set, key) { out.set(key, set.size); });
+  return out;
+}
+
+/**
+ * Lattazioni (anno di inizio) per cui servono i campioni conferitori:
+ * le ultime 3 dell'azienda selezionata piu' quella scelta nell'istogramma.
+ * @param {string} azienda azienda selezionata
+ * @returns {number[]}
+ */
+function conferitoriLactationsNeeded(azienda) {
+  var starts = getLactationStartsFromRows(DATA_STORE.select({ kpi: state.currentKpi, azienda: azienda }).rows);
+  if (state.histPeriod && state.histPeriod.type === 'lactation' && Number.isFinite(Number(state.histPeriod.start))) {
+    starts.push(Number(state.histPeriod.start));
+  }
+  return Array.from(new Set(starts));
+}
 
-  return filteredRows.concat(selectedRows);
+/**
+ * Nome esteso della provincia scelta in #provinciaFilter (null se "tutte").
+ * @returns {string|null}
+ */
+function selectedProvinceName() {
+  var provinceSelect = document.getElementById('provinciaFilter');
+  var provinceValue = provinceSelect && provinceSelect.value ? provinceSelect.value : 'tutte';
+  if (provinceValue === 'sassari')  return 'Sassari';
+  if (provinceValue === 'nuoro')    return 'Nuoro';
+  if (provinceValue === 'oristano') return 'Oristano';
+  if (provinceValue === 'cagliari') return 'Cagliari';
+  return null;
+}
+
+/**
+ * Distribuzione del gruppo del KPI corrente per un mese: regionale (modalita Regione) oppure del server
+ * (sorgente 'api', lastGroupDist). In Regione con filtro provincia usa il dettaglio provinciale se presente,
+ * altrimenti il totale regionale.
+ * @param {number} year anno
+ * @param {number} month0 mese 0..11
+ * @returns {Object|null} riga distribuzione {n, media, p5..p95} oppure null
+ */
+function getRegionDist(year, month0) {
+  if (lastGroupDist) return window.GRUPPO.month(lastGroupDist.data, year, month0 + 1);
+  if (!window.REGIONE || typeof window.REGIONE.getMonth !== 'function') return null;
+  return window.REGIONE.getMonth(state.currentKpi, year, month0 + 1, selectedProvinceName());
+}
+
+/**
+ * Valore centrale di una distribuzione mensile per il grafico KPI: media dei campioni conferitori
+ * (come la linea "Media" calcolata dai campioni), altrimenti mediana.
+ * @param {Object|null} dist riga distribuzione
+ * @returns {number|null}
+ */
+function distCenter(dist) {
+  if (!dist) return null;
+  var v = Number(lastConferitori ? dist.media : dist.p50);
+  return Number.isFinite(v) ? v : null;
 }
 
 
@@ -301,7 +487,7 @@ function getBenchmarkRaw() {
  * @returns {boolean} true se un valore minore e desiderabile
  */
 function lowerIsBetter(k) {
-  return k === 'cellule' || k === 'carica';
+  return KPI_REGISTRY.lowerIsBetter(k);
 }
 
 /**
@@ -310,53 +496,38 @@ function lowerIsBetter(k) {
  * @returns {boolean} true per KPI con distribuzione log (cellule, carica)
  */
 function isLogKPI(k) {
-  return k === 'cellule' || k === 'carica';
+  return KPI_REGISTRY.isLog(k);
 }
 
 /**
- * Media aritmetica su un array di numeri, ignorando valori non finiti.
+ * Media aritmetica su un array di numeri, ignorando valori non finiti (implementazione in aggregationEngine.js).
  * @param {number[]} values lista di valori numerici
  * @returns {number|null} media aritmetica, oppure null se nessun valore valido
  */
 function aggArithmetic(values) {
-  var s = 0;
-  var n = 0;
-  for (var v of values) {
-    if (isFinite(v)) {
-      s += v;
-      n++;
-    }
-  }
-  return n ? s / n : null;
+  return AGG_ENGINE.aggArithmetic(values);
 }
 
 /**
  * Media geometrica su un array di numeri positivi.
- * Usata per KPI in scala log (cellule, carica).
+ * Usata per KPI in scala log (cellule, carica); implementazione in aggregationEngine.js.
  * @param {number[]} values lista di valori numerici
  * @returns {number|null} media geometrica, oppure null se nessun valore valido
  */
 function aggGeometric(values) {
-  var s = 0;
-  var n = 0;
-  for (var v of values) {
-    if (isFinite(v) && v > 0) {
-      s += Math.log(v);
-      n++;
-    }
-  }
-  return n ? Math.exp(s / n) : null;
+  return AGG_ENGINE.aggGeometric(values);
 }
 
 /**
- * Filtra RAW per KPI logico e normalizza i campi in un formato uniforme.
+ * Filtra righe grezze (campioni conferitori) per KPI logico e normalizza i campi in un formato uniforme.
  * Converte Anno/Mese in year (YYYY) e month (0..11), Valore in value numerico.
- * @param {Array<Object>} raw dataset grezzo
+ * Le righe di RAW arrivano gia' normalizzate da DATA_STORE.select.
+ * @param {Array<Object>} raw righe grezze {Azienda?, KPI, Anno, Mese, Valore}
  * @param {string} k KPI logico da estrarre
  * @returns {Array<Object>} record normalizzati {Azienda, year, month, value}
  */
 function rowsForKpi(raw, k) {
-  var aliases = KPI_ALIASES[k] || [k];
+  var aliases = KPI_REGISTRY.aliasesFor(k);
   var out = [];
 
   for (var r of raw) {
@@ -374,19 +545,55 @@ function rowsForKpi(raw, k) {
 
 /**
  * Aggiorna la label "#benchmarkCount" con il numero di aziende uniche nel gruppo di confronto.
- * @param {Array<Object>} rows righe KPI filtrate (dopo getBenchmarkRaw + rowsForKpi)
+ * @param {Array<Object>} rows righe KPI del gruppo di confronto (getBenchmarkRows)
  */
 function updateBenchmarkCountLabel(rows) {
   var el = document.getElementById('benchmarkCount');
   if (!el) return;
 
-  // In caso di intra CAO: conteggia i campioni (righe) invece delle aziende
-  if (lastIsCaoIntra) {
-    var approx = lastCaoMeanSamplesPerMonth ? ('confronto su circa ' + lastCaoMeanSamplesPerMonth.toFixed(0) + ' campioni/mese') : '';
+  // Gruppo dal server ancora in arrivo ("gruppo:loaded" ridisegna)
+  if (lastGroupDist && !lastGroupDist.data) {
+    el.textContent = '';
+    return;
+  }
+
+  // In caso di campioni conferitori: conteggia i campioni (righe) invece delle aziende
+  if (lastConferitori) {
+    var confGuard = lastGroupGuard;
+    if (confGuard && confGuard.suppressed) {
+      el.textContent = ' campioni di troppo poche aziende (' + confGuard.n + ', minimo ' + confGuard.min +
+        '): media, percentili e distribuzione non sono mostrati per tutelare le altre aziende';
+      return;
+    }
+    var approx = lastConferitoriMeanSamplesPerMonth ? ('confronto su circa ' + lastConferitoriMeanSamplesPerMonth.toFixed(0) + ' campioni/mese') : '';
+    if (approx && confGuard && confGuard.widened.length) {
+      approx += ' di tutte le province (nella provincia scelta meno di ' + confGuard.min + ' aziende)';
+    }
     el.textContent = approx;
     return;
   }
 
+  // In modalita Regione: numero medio di aziende delle distribuzioni regionali (mesi sopra la numerosita' minima)
+  if (lastIsRegione) {
+    var regQuery = { kpi: state.currentKpi, provincia: selectedProvinceName() };
+    var dists = window.REGIONE ? window.REGIONE.filter(regQuery) : [];
+    var regGuard = window.REGIONE ? window.REGIONE.guard(regQuery) : null;
+    var sumN = 0;
+    dists.forEach(function (d) { sumN += Number(d.n) || 0; });
+    var regParts = [];
+    if (dists.length) {
+      regParts.push('confronto con la distribuzione regionale (circa ' + Math.round(sumN / dists.length) + ' aziende/mese)');
+    }
+    if (regGuard && regGuard.widened) {
+      regParts.push(regGuard.widened + ' mesi sul totale regionale (in provincia meno di ' + regGuard.min + ' aziende o dato assente)');
+    }
+    if (regGuard && regGuard.suppressed) {
+      regParts.push(regGuard.suppressed + ' mesi non mostrati per tutelare le aziende (meno di ' + regGuard.min + ')');
+    }
+    el.textContent = regParts.length ? ' ' + regParts.join('; ') : '';
+    return;
+  }
+
   var set = new Set();
   if (Array.isArray(rows)) {
     for (var i = 0; i < rows.length; i++) {
@@ -394,9 +601,17 @@ function updateBenchmarkCountLabel(rows) {
       if (r && r.Azienda) set.add(String(r.Azienda));
     }
   }
-  var n = set.size;
-
-  if (!n) {
+  // Gruppo dal server: le righe sono solo dell'azienda, le aziende del gruppo le conta il server
+  var n = lastGroupDist ? lastGroupDist.data.n : set.size;
+  var guard = lastGroupGuard;
+
+  if (guard && guard.suppressed) {
+    el.textContent = ' gruppo di confronto troppo piccolo (' + (guard.n === 1 ? '1 azienda' : guard.n + ' aziende') +
+      ', minimo ' + guard.min + '): mediana, percentili e distribuzione non sono mostrati per tutelare le altre aziende';
+  } else if (guard && guard.widened.length) {
+    el.textContent = ' confronto su ' + guard.n + ' aziende di tutte le province (nella provincia scelta meno di ' +
+      guard.min + ' aziende)';
+  } else if (!n) {
     el.textContent = '';
   } else if (n === 1) {
     el.textContent = ' al momento sei l\'unica azienda nel gruppo di confronto';
@@ -407,7 +622,8 @@ function updateBenchmarkCountLabel(rows) {
 
 /**
  * Aggiorna la label del caseificio in modalita IntraCaseificio.
- * Legge state.azienda e RAW per trovare il caseificio associato; nasconde il campo negli altri casi.
+ * Legge state.azienda e il caseificio associato da DATA_STORE; nasconde il campo negli altri casi.
+ * Aggiorna anche il banner dei file conferitori mancanti (updateConferitoriBanner).
  */
 function updateCaseificioLabel() {
   // Gestisce la label #caseificioLabel per mostrare il caseificio dell'azienda (solo in intraCaseificio)
@@ -420,155 +636,179 @@ function updateCaseificioLabel() {
   // Mostriamo il caseificio solo in modalita IntraCaseificio
   if (mode !== 'intraCaseificio') {
     el.textContent = '';
+    updateConferitoriBanner(null);
     return;
   }
 
   var az = state && state.azienda ? state.azienda : null;
   if (!az || !Array.isArray(RAW) || !RAW.length) {
     el.textContent = '';
+    updateConferitoriBanner(null);
     return;
   }
 
-  var caseificio = null;
-  for (var i = 0; i < RAW.length; i++) {
-    var r = RAW[i];
-    if (r && r.Azienda === az && r.Caseificio) {
-      caseificio = r.Caseificio;
-      break;
-    }
-  }
+  var caseificio = DATA_STORE.caseificioOf(az);
 
   el.textContent = caseificio ? 'Caseificio: ' + caseificio : '';
+  updateConferitoriBanner(caseificio);
 }
 
 /**
- * Aggrega i campioni su base mensile per (Anno, Mese, Azienda).
- * - Usa media aritmetica o geometrica a seconda del KPI (log per cellule/carca).
- * - Produce righe normalizzate {Azienda, year, month, value} per un solo KPI.
- *
- * @param {Array<Object>} rawRows record normalizzati {Azienda, year, month, value}
- * @param {string} kpi KPI logico di riferimento
- * @returns {Array<Object>} righe aggregate per anno-mese-azienda
+ * Mostra/nasconde il banner #conferitoriBanner con le lattazioni (o la cisterna) non scaricate.
+ * Visibile solo in IntraCaseificio per un caseificio con file conferitori nel manifest.
+ * @param {string|null} caseificio caseificio dell'azienda in modalita IntraCaseificio, altrimenti null
  */
-function monthlyAggregate(rawRows, kpi) {
-  var byKey = new Map();
-  var useGeo = isLogKPI(kpi);
-
-  for (var r of rawRows) {
-    var key = r.year + '|' + r.month + '|' + r.Azienda;
-    if (!byKey.has(key)) byKey.set(key, []);
-    byKey.get(key).push(r.value);
-  }
-
-  var out = [];
-  byKey.forEach((vals, keyStr) => {
-    var parts = keyStr.split('|');
-    var y  = +parts[0];
-    var m  = +parts[1];
-    var az = parts[2];
-    var agg = useGeo ? aggGeometric(vals) : aggArithmetic(vals);
-    if (agg != null) out.push({ Azienda: az, year: y, month: m, value: agg });
-  });
-
-  return out;
-}
+function updateConferitoriBanner(caseificio) {
+  var el = document.getElementById('conferitoriBanner');
+  if (!el) return;
 
-/**
- * Percentile rank approssimato di un valore rispetto a un array di numeri.
- * Gestisce gli ex-aequo distribuendo 0.5 sui pari.
- * @param {number[]} arr valori del gruppo
- * @param {number} v valore dell'azienda
- * @returns {number|null} percentile 0..100, oppure null se input non valido
- */
-function percentileRank(arr, v) {
-  var nums = arr
-    .filter(x => typeof x === 'number' && !isNaN(x))
-    .sort((a, b) => a - b);
-
-  if (!nums.length || typeof v !== 'number' || isNaN(v)) return null;
-
-  var count = 0;
-  var ties  = 0;
-  for (var x of nums) {
-    if (x < v) count++;
-    else if (x === v) ties++;
+  var parts = [];
+  if (caseificio && window.Caseifici) {
+    var dairy = window.Caseifici.get(caseificio);
+    var failures = dairy ? dairy.failures() : [];
+    var lacs = failures.map(function (f) { return f.lattazione; }).filter(Boolean);
+    if (lacs.length) {
+      parts.push('Campioni conferitori ' + dairy.id + ' non disponibili per ' + (lacs.length > 1 ? 'le lattazioni ' : 'la lattazione ') + lacs.join(', ') +
+        (dairy.isLoaded() ? ': il confronto usa solo le lattazioni caricate.' : ': il confronto usa le aziende del caseificio.'));
+    }
+    if (failures.length > lacs.length) {
+      parts.push('Valori cisterna ' + dairy.id + ' non caricati.');
+    }
+    if (window.Caseifici.error()) {
+      parts.push('Elenco dei file conferitori non disponibile: il confronto usa le aziende del caseificio.');
+    }
   }
-  return Math.round(((count + 0.5 * ties) / nums.length) * 100);
-}
 
-/**
- * Calcola la mediana di un array di numeri, ignorando i non finiti.
- * @param {number[]} arr valori numerici
- * @returns {number|null} mediana oppure null se array vuoto
- */
-function median(arr) {
-  var a = arr.filter(x => isFinite(x)).sort((x, y) => x - y);
-  var n = a.length;
-  if (!n) return null;
-  var m = Math.floor(n / 2);
-  return (n % 2) ? a[m] : (a[m - 1] + a[m]) / 2;
+  el.textContent = parts.join(' ');
+  el.hidden = !parts.length;
 }
 
-
 // ============================================================================
-// CACHE YM (anno-mese -> Map(Azienda, valore aggregato))
+// MOTORE DI AGGREGAZIONE (aggregationEngine.js, Web Worker)
 // ============================================================================
 
 /**
- * Cache: per ogni KPI logico memorizziamo la mappa YM:
- *  key = 'year-month'
- *  value = { year, month, by: Map(Azienda, valore_aggregato) }
+ * Cache dei risultati del motore di aggregazione per il contesto corrente:
+ *  version: incrementata da invalidateAggregation() quando cambiano dati o filtri del gruppo
+ *  agg.key: versione|KPI|azienda|numero righe; se cambia si inviano le nuove righe al worker
+ *  agg.months: Map 'year-month' -> { year, month, azi, center, n, pr } (null mentre il calcolo e' in corso)
+ *  agg.histKey / agg.hist: mesi richiesti e bins dell'istogramma del periodo
  */
 var cache = {
-  ymByKpi: new Map(),
-  // Mappa YM -> count campioni CAO (solo per scenario intra CAO)
-  caoCountsByYM: new Map()
+  version: 0,
+  agg: { key: null, seq: 0, rows: null, months: null, histKey: null, hist: null },
+  // Mappa YM -> count campioni conferitori (solo per scenario intra-caseificio con conferitori)
+  conferitoriCountsByYM: new Map()
 };
 
 /**
- * Riconosce il caseificio CAO anche con punteggiatura/maiuscole diverse.
- * @param {string} name nome caseificio
- * @returns {boolean} true se coincide con C.A.O.
+ * Invalida i risultati del motore: il prossimo render rimanda le righe al worker.
+ * Da chiamare quando cambiano gruppo di confronto (tipo benchmark, provincia, caseificio) o dati.
  */
-function isCaoCaseificio(name) {
-  if (!name) return false;
-  var n = String(name).toLowerCase().replace(/[.\-\s]/g, '');
-  return n.includes('cao');
+function invalidateAggregation() {
+  cache.version++;
 }
 
 /**
- * Restituisce (o costruisce) la mappa anno-mese -> valori per azienda per un KPI.
- * Cachea per KPI logico per evitare ricalcoli.
+ * True se le consegne incrementali di dataLoader.js (detail.delta di "raw:loaded") toccano il KPI:
+ * i KPI derivati (es. rapporto) dipendono da altri KPI e si considerano sempre toccati.
+ * @param {{kpis:string[]}} delta consegne nuove
+ * @param {string} kpi KPI logico
+ * @returns {boolean}
+ */
+function deltaTouchesKpi(delta, kpi) {
+  var def = KPI_REGISTRY.get(kpi);
+  return !def || !!def.derived || delta.kpis.indexOf(def.key) !== -1;
+}
+
+/**
+ * Serie mensili del gruppo di confronto per le righe correnti, calcolate dal motore di aggregazione.
+ * Alla prima richiesta per un contesto invia al worker i parziali mensili precalcolati da DATA_STORE
+ * (lastBenchmarkMonthly, aggregate + percentiles) e ritorna null:
+ * all'arrivo dei risultati ridisegna PR, KPI e istogramma con le stesse righe.
  *
  * Relazioni:
- * - usa monthlyAggregate per ottenere i valori mensili per azienda
- * - alimenta grafici PR/KPI/istogramma
+ * - alimenta updatePR (pr), updateKPI (azi/center) e updateHistogram (mesi disponibili)
+ * - in scenario conferitori il gruppo sono i campioni (lastConferitoriSamples), indicizzati per mese nel worker
  *
- * @param {Array<Object>} kpiRows righe filtrate per KPI {Azienda, year, month, value}
- * @param {string} kpiKey KPI logico
- * @returns {Map<string,{year:number,month:number,by:Map<string,number>}>} mappa 'year-month' -> struttura con valori per azienda
+ * @param {Array<Object>} rows righe KPI normalizzate {Azienda, year, month, value}
+ * @returns {Map<string,{year:number,month:number,azi:number|null,center:number|null,n:number,pr:number|null}>|null}
+ *   mappa 'year-month' (month 0..11) oppure null se il calcolo e' in corso
  */
-function getYMMap(kpiRows, kpiKey) {
-  var key = kpiKey;
-  if (cache.ymByKpi.has(key)) return cache.ymByKpi.get(key);
-
-  var agg = monthlyAggregate(kpiRows, key);
-  var m   = new Map();
-
-  for (var r of agg) {
-    var mapKey = r.year + '-' + r.month;
-    if (!m.has(mapKey)) {
-      m.set(mapKey, {
-        year: r.year,
-        month: r.month,
-        by: new Map()
+function getAggregation(rows) {
+  var a = cache.agg;
+  var key = [cache.version, state.currentKpi, state.azienda, rows.length].join('|');
+  if (a.key === key) return a.months;
+
+  a.key = key;
+  a.rows = rows;
+  a.months = null;
+  a.histKey = null;
+  a.hist = null;
+  var seq = ++a.seq;
+  var months = null;
+  var aziendeByYM = lastConferitoriSamples ? sampleAziendeByMonth(lastConferitoriSamples) : null;
+
+  AGG_ENGINE.aggregate({
+    monthly: lastBenchmarkMonthly,
+    samples: lastConferitoriSamples,
+    log: isLogKPI(state.currentKpi),
+    azienda: state.azienda
+  })
+    .then(function (res) {
+      if (seq !== a.seq || !res) return null;
+      months = new Map();
+      res.months.forEach(function (b) {
+        // mesi con troppe poche aziende: niente mediana (rivelerebbe i valori dei vicini);
+        // con i campioni conferitori b.n conta i campioni, qui servono le aziende distinte del mese
+        // con le distribuzioni (Regione, gruppo dal server) la numerosita' e' gia' applicata ai mesi
+        var hidden = !usesDistributions() && groupTooSmall(aziendeByYM ? (aziendeByYM.get(b.key) || 0) : b.n);
+        months.set(b.key, { year: b.year, month: b.month, azi: b.azi, center: hidden ? null : b.center, n: b.n, pr: null, hidden: hidden });
       });
-    }
-    m.get(mapKey).by.set(r.Azienda, r.value);
-  }
+      return AGG_ENGINE.percentiles();
+    })
+    .then(function (prs) {
+      if (seq !== a.seq || !prs) return;
+      prs.forEach(function (p) {
+        var b = months.get(p.key);
+        if (b && !b.hidden) b.pr = p.pr;
+      });
+      a.months = months;
+      updatePR(a.rows);
+      updateKPI(a.rows);
+      updateHistogram(a.rows);
+      scheduleSync();
+    })
+    .catch(function (err) {
+      console.warn('[aggregazione] calcolo non riuscito:', err);
+    });
+  return null;
+}
 
-  cache.ymByKpi.set(key, m);
-  return m;
+/**
+ * Istogramma del periodo (bins, valori aggregati, PR azienda) calcolato dal motore sul contesto corrente.
+ * Ritorna null mentre il calcolo e' in corso; all'arrivo dei risultati ridisegna l'istogramma.
+ * @param {Array<{y:number,m:number}>} months mesi del periodo (m 0..11)
+ * @returns {{data:Array<Object>, edges:number[], min:number, max:number, step:number, aziAgg:number|null, pr:number|null, n:number}|null}
+ */
+function getHistogramBins(months) {
+  var a = cache.agg;
+  var key = months.map(function (ym) { return ym.y + '-' + ym.m; }).join(',');
+  if (a.histKey === key) return a.hist;
+
+  a.histKey = key;
+  a.hist = null;
+  var seq = a.seq;
+  AGG_ENGINE.histogram(months)
+    .then(function (res) {
+      if (seq !== a.seq || a.histKey !== key || !res) return;
+      a.hist = res;
+      updateHistogram(a.rows);
+    })
+    .catch(function (err) {
+      console.warn('[aggregazione] istogramma non riuscito:', err);
+    });
+  return null;
 }
 
 
@@ -623,6 +863,23 @@ function lacPosFromMonth(m) {
   return (m + 3) % 12;
 }
 
+/**
+ * Opzione punto Chart.js per le serie di una lattazione: "hit" sui mesi con campioni nuovi dell'aggiornamento
+ * live (LIVE_REFRESH.freshMonths), "base" altrove.
+ * @param {number} yStart anno di inizio lattazione
+ * @param {Set<string>|null} fresh chiavi 'Anno-Mese' (Mese 1..12)
+ * @param {*} base valore standard
+ * @param {*} hit valore per i mesi nuovi
+ */
+function freshPointOption(yStart, fresh, base, hit) {
+  if (!fresh || !fresh.size) return base;
+  return function (ctx) {
+    var m = (ctx.dataIndex + 9) % 12;   // posizione nella lattazione -> mese 0..11
+    var y = m >= 9 ? yStart : yStart + 1;
+    return fresh.has(y + '-' + (m + 1)) ? hit : base;
+  };
+}
+
 /**
  * Rileva le lattazioni (anni di inizio) in cui l'azienda selezionata ha dati.
  * Regola: Ott-Dic appartengono all'anno corrente, Gen-Set all'anno precedente.
@@ -1023,7 +1280,7 @@ function ensureKpiStyleLegend() {
   }
 
   legend.appendChild(item('Azienda', false));
-  legend.appendChild(item(lastIsCaoIntra ? 'Media (campioni CAO)' : 'Mediana (altre aziende)', true));
+  legend.appendChild(item(lastConferitori ? 'Media (campioni ' + lastConferitori.id + ')' : lastIsRegione ? 'Mediana regionale' : 'Mediana (altre aziende)', true));
 
   if (medianWrap) {
     head.insertBefore(legend, medianWrap);
@@ -1052,7 +1309,9 @@ function ensureKpiStyleLegend() {
  *
  * Relazioni:
  * - dipende da RAW e state.azienda
- * - richiama getBenchmarkRaw/rowsForKpi e le funzioni di update grafici
+ * - richiama getBenchmarkRows e le funzioni di update grafici
+ * - ACCESS_SCOPE (accessScope.js) limita la lista alle aziende del perimetro del ruolo; per l'allevatore il select
+ *   resta bloccato sulla propria azienda
  */
 function ensureAziendaSelector() {
   try {
@@ -1126,20 +1385,15 @@ function ensureAziendaSelector() {
       }
     }
 
-    // Popola aziende uniche da RAW
-    var aziendeSet = new Set();
-    for (var r of RAW) {
-      if (r && r.Azienda) aziendeSet.add(String(r.Azienda));
-    }
-
-    var aziendaList = Array.from(aziendeSet).sort((a, b) =>
-      a.localeCompare(b, 'it', { sensitivity: 'base' })
-    );
+    // Aziende uniche (gia' ordinate) dall'indice di RAW, nel perimetro del ruolo
+    var scope = window.ACCESS_SCOPE;
+    var aziendaList = scope ? scope.selectable(DATA_STORE.aziende()) : DATA_STORE.aziende();
+    var locked = !!scope && !scope.canSelectAzienda();
 
-    // Mantieni selezione corrente se possibile
+    // Mantieni selezione corrente se possibile (l'allevatore resta sulla propria azienda)
     var current = (state.azienda && aziendaList.includes(state.azienda))
       ? state.azienda
-      : (aziendaList[0] || state.azienda);
+      : (aziendaList[0] || (locked ? scope.azienda() : state.azienda));
 
     state.azienda = current;
 
@@ -1149,7 +1403,7 @@ function ensureAziendaSelector() {
       existing.length === aziendaList.length &&
       existing.every((v, i) => v === aziendaList[i]);
 
-    if (!same) {
+    if (!same || (!aziendaList.length && locked && !sel.options.length)) {
       sel.innerHTML = '';
       for (var name of aziendaList) {
         var opt = document.createElement('option');
@@ -1157,9 +1411,18 @@ function ensureAziendaSelector() {
         opt.textContent = name;
         sel.appendChild(opt);
       }
+      // Allevatore senza azienda nel perimetro (data-azienda mancante o assente dai dati): nessun dato da mostrare
+      if (!aziendaList.length && locked) {
+        var none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'Azienda non configurata';
+        sel.appendChild(none);
+      }
     }
 
     sel.value = state.azienda;
+    sel.disabled = locked;
+    if (locked) sel.title = 'La tua azienda';
 
     // Change handler (solo una volta)
     if (!sel._bound) {
@@ -1167,12 +1430,10 @@ function ensureAziendaSelector() {
         state.azienda = sel.value;
         updateCaseificioLabel();
 
-        // YM dipende anche dall'azienda -> svuota la cache
-        if (cache && cache.ymByKpi && cache.ymByKpi.clear) {
-          cache.ymByKpi.clear();
-        }
+        // il gruppo di confronto dipende anche dall'azienda (caseificio) -> ricalcola
+        invalidateAggregation();
 
-        var rows = rowsForKpi(getBenchmarkRaw(), state.currentKpi);
+        var rows = getBenchmarkRows();
         updateBenchmarkCountLabel(rows);
         updatePR(rows);
         updateKPI(rows);
@@ -1203,45 +1464,24 @@ function ensureAziendaSelector() {
  * - associa dinamicamente i checkbox yr2023/yr2024/yr2025 alle lattazioni trovate
  * - al primo render accende solo l ultima lattazione disponibile
  * - per ogni lattazione calcola il PR mensile rispetto al gruppo di confronto
- *   - standard: confronta il valore medio mensile aziendale con le medie mensili di tutte le aziende (b.by.values())
- *   - CAO: confronta il valore medio mensile aziendale con tutti i campioni grezzi CAO del mese (filtrati per KPI/provincia)
- * Dipendenze: usa getYMMap per mappa anno-mese, getLactationStartsFromRows per le lattazioni,
+ *   - standard: confronta il valore medio mensile aziendale con le medie mensili di tutte le aziende
+ *   - conferitori: confronta il valore medio mensile aziendale con tutti i campioni conferitori del mese (filtrati per KPI/provincia)
+ *   (PR calcolati nel worker: getAggregation ritorna null finche' i risultati non arrivano, poi ridisegna)
+ * Dipendenze: usa getAggregation per le serie anno-mese, getLactationStartsFromRows per le lattazioni,
  * palette/checkbox condivise con updateKPI per coerenza visuale.
- * Il percentile per mese confronta azienda vs gruppo filtrato (getBenchmarkRaw -> rowsForKpi).
+ * Il percentile per mese confronta azienda vs gruppo filtrato (getBenchmarkRows).
  *
  * @param {Array<Object>} rows righe KPI normalizzate {Azienda, year, month, value} per l'azienda/gruppo
  */
 function updatePR(rows) {
-  var ymMap = getYMMap(rows, state.currentKpi);
-
-  // Helper per il caso CAO: campioni grezzi per (anno, mese) filtrati per KPI/provincia
-  var provinceNameForCao = (function () {
-    var provinceSelect = document.getElementById('provinciaFilter');
-    var provinceValue = provinceSelect && provinceSelect.value ? provinceSelect.value : 'tutte';
-    if (provinceValue === 'sassari')       return 'Sassari';
-    if (provinceValue === 'nuoro')         return 'Nuoro';
-    if (provinceValue === 'oristano')      return 'Oristano';
-    if (provinceValue === 'cagliari')      return 'Cagliari';
-    return null;
-  })();
-  var kpiAliasesForCao = KPI_ALIASES[state.currentKpi] || [state.currentKpi];
-  function getCaoSamplesForMonth(year, month0) {
-    // Restituisce i campioni grezzi CAO (array di numeri) per anno/mese, filtrati per KPI/provincia
-    if (!lastIsCaoIntra || !Array.isArray(window.CAO_RAW)) return null;
-    var month1 = month0 + 1;
-    var vals = [];
-    for (var cr of window.CAO_RAW) {
-      if (!cr) continue;
-      var rk = String(cr.KPI || '').toLowerCase();
-      if (kpiAliasesForCao.indexOf(rk) === -1) continue;
-      if (provinceNameForCao && cr.Provincia && cr.Provincia !== provinceNameForCao) continue;
-      var y = Number(cr.Anno);
-      var m = Number(cr.Mese);
-      var v = Number(cr.Valore);
-      if (!Number.isFinite(y) || !Number.isFinite(m) || !Number.isFinite(v)) continue;
-      if (y === year && m === month1) vals.push(v);
-    }
-    return vals;
+  var ymMap = getAggregation(rows);
+  if (!ymMap) return; // calcolo in corso nel worker
+
+  // Helper per le distribuzioni (Regione, gruppo dal server): PR interpolato sui percentili del mese
+  function regionPercentile(year, month0, vAzi) {
+    if (vAzi == null || !window.REGIONE) return null;
+    var dist = getRegionDist(year, month0);
+    return dist ? window.REGIONE.percentileOf(dist, vAzi, isLogKPI(state.currentKpi)) : null;
   }
 
   // Lattazioni reali (ultime 3) per l'azienda corrente
@@ -1257,6 +1497,13 @@ function updatePR(rows) {
     colors[y] = palette[idx] || '#64748b';
   });
 
+  // Spunte correnti per anno di inizio: se le lattazioni scorrono (cambio azienda) la spunta segue la lattazione
+  var checkedByYear = {};
+  ids.forEach(id => {
+    var el = document.getElementById(id);
+    if (el && el.value && Number.isFinite(Number(el.value))) checkedByYear[el.value] = el.checked;
+  });
+
   // Aggiorna label, colore e visibilita delle checkbox
   map.forEach(([id, yStart]) => {
     var inp = document.getElementById(id);
@@ -1267,19 +1514,24 @@ function updatePR(rows) {
     }
 
     if (!yStart || !inp || !lab) {
-      // Nessuna lattazione associata -> nascondi/azzera
+      // Nessuna lattazione associata -> nascondi/azzera. La spunta resta: con il gruppo in caricamento
+      // (es. campioni conferitori in arrivo) le lattazioni spariscono solo per un render
       if (lab) lab.style.display = 'none';
       if (inp) {
-        inp.checked  = false;
         inp.disabled = true;
+        inp.value    = '';
       }
       var labSpanEmpty = document.getElementById(id + 'Lbl');
       if (labSpanEmpty) labSpanEmpty.textContent = '';
       return;
     }
 
-    // Lattazione valida -> mostra e abilita
+    // Lattazione valida -> mostra e abilita (value = anno di inizio, letto da deepLink.js)
     inp.disabled = false;
+    if (inp.value && inp.value !== String(yStart) && Number.isFinite(Number(inp.value))) {
+      inp.checked = !!checkedByYear[yStart];
+    }
+    inp.value    = String(yStart);
     lab.style.display = 'inline-flex';
     lab.style.alignItems = 'center';
     lab.style.gap = '6px';
@@ -1338,9 +1590,6 @@ function updatePR(rows) {
     })
     .map(([id, y]) => y);
 
-  // Nessuna trasformazione: PR cresce sempre verso l'alto
-  var trans = v => v;
-
   var ds = []; // datasets PR per ciascuna lattazione selezionata
   for (var yStart of selected) {
     var arr = new Array(12).fill(null);
@@ -1349,24 +1598,14 @@ function updatePR(rows) {
     for (var m = 9; m <= 11; m++) {
       var b1 = ymMap.get(yStart + '-' + m);
       if (!b1) continue;
-      var vals1 = lastIsCaoIntra
-        ? getCaoSamplesForMonth(yStart, m) || []
-        : Array.from(b1.by.values()).map(trans);
-      var vAzi1 = b1.by.get(state.azienda);
-      var tv1   = (vAzi1 != null) ? trans(vAzi1) : null;
-      arr[lacPosFromMonth(m)] = percentileRank(vals1, tv1);
+      arr[lacPosFromMonth(m)] = usesDistributions() ? regionPercentile(yStart, m, b1.azi) : b1.pr;
     }
 
     // Gennaio-Settembre dell'anno successivo
     for (var m2 = 0; m2 <= 8; m2++) {
       var b2 = ymMap.get((yStart + 1) + '-' + m2);
       if (!b2) continue;
-      var vals2 = lastIsCaoIntra
-        ? getCaoSamplesForMonth(yStart + 1, m2) || []
-        : Array.from(b2.by.values()).map(trans);
-      var vAzi2 = b2.by.get(state.azienda);
-      var tv2   = (vAzi2 != null) ? trans(vAzi2) : null;
-      arr[lacPosFromMonth(m2)] = percentileRank(vals2, tv2);
+      arr[lacPosFromMonth(m2)] = usesDistributions() ? regionPercentile(yStart + 1, m2, b2.azi) : b2.pr;
     }
 
     ds.push({
@@ -1409,49 +1648,22 @@ function updatePR(rows) {
  * Logica:
  * - usa le checkbox yr20xx per capire quali lattazioni mostrare
  * - per ogni lattazione genera due serie:
- *    • azienda: media mensile per mese della lattazione (da ymMap, già aggregata)
- *    • mediana (standard) oppure media campioni CAO (caso intra CAO) per il gruppo
- * - applica il toggle "Mostra mediana" (o media CAO) senza ricalcolo (solo hide/show dei dataset median)
+ *    • azienda: media mensile per mese della lattazione (dal motore di aggregazione, già aggregata)
+ *    • mediana (standard) oppure media campioni conferitori (caso intra-caseificio con conferitori) per il gruppo
+ * - applica il toggle "Mostra mediana" (o media campioni) senza ricalcolo (solo hide/show dei dataset median)
  * - aggiunge eventuali linee di limite normativo per KPI log in scala cellulare/carca
+ * - evidenzia in arancio i mesi dell'azienda con campioni nuovi dell'aggiornamento live (freshPointOption)
  *
- * Dati in ingresso: righe KPI normalizzate per azienda/gruppo (output di rowsForKpi + getBenchmarkRaw).
- * Relazioni: usa getYMMap per ottenere una mappa anno-mese -> valori per azienda; condivide checkbox con updatePR;
+ * Dati in ingresso: righe KPI normalizzate per azienda/gruppo (output di getBenchmarkRows).
+ * Relazioni: usa getAggregation per le serie anno-mese (azienda, mediana/media gruppo); condivide checkbox con updatePR;
  * il toggle showMedian agisce solo su dataset con _type='median' evitando ricalcoli.
  *
  * @param {Array<Object>} rows righe KPI normalizzate {Azienda, year, month, value}
  */
 function updateKPI(rows) {
   // rows: righe KPI normalizzate {Azienda, year, month, value}; costruisce dataset per grafico KPI
-  var ymMap = getYMMap(rows, state.currentKpi);
-  var aliasesCao = KPI_ALIASES[state.currentKpi] || [state.currentKpi];
-  var provinceNameCao = (function () {
-    var provinceSelect = document.getElementById('provinciaFilter');
-    var provinceValue = provinceSelect && provinceSelect.value ? provinceSelect.value : 'tutte';
-    if (provinceValue === 'sassari')       return 'Sassari';
-    if (provinceValue === 'nuoro')         return 'Nuoro';
-    if (provinceValue === 'oristano')      return 'Oristano';
-    if (provinceValue === 'cagliari')      return 'Cagliari';
-    return null;
-  })();
-  function getCaoSamplesForMonth(year, month0) {
-    if (!lastIsCaoIntra || !Array.isArray(window.CAO_RAW)) return [];
-    // Restituisce i campioni grezzi CAO (array di numeri) per anno/mese, filtrati per KPI/provincia
-    var month1 = month0 + 1;
-    var arr = [];
-    for (var cr of window.CAO_RAW) {
-      if (!cr) continue;
-      var rk = String(cr.KPI || '').toLowerCase();
-      if (aliasesCao.indexOf(rk) === -1) continue;
-      if (provinceNameCao && cr.Provincia && cr.Provincia !== provinceNameCao) continue;
-      var y = Number(cr.Anno);
-      var m = Number(cr.Mese);
-      var v = Number(cr.Valore);
-      if (!Number.isFinite(y) || !Number.isFinite(m) || !Number.isFinite(v)) continue;
-      if (y === year && m === month1) arr.push(v);
-    }
-    return arr;
-  }
-
+  var ymMap = getAggregation(rows);
+  if (!ymMap) return; // calcolo in corso nel worker
   // Lattazioni reali per l'azienda corrente
   var lacStarts = getLactationStartsFromRows(rows);
   var palette   = ['#3b82f6', '#f59e0b', '#22c55e'];
@@ -1472,7 +1684,7 @@ function updateKPI(rows) {
     })
     .map(([_, y]) => y);
 
-  // Toggle "Mostra mediana" (o "Mostra media" in caso CAO)
+  // Toggle "Mostra mediana" (o "Mostra media" in caso conferitori)
   var medianToggle = document.getElementById('showMedian');
   if (!medianToggle) {
     var hostHead = document.getElementById('kpiChartHost')?.previousElementSibling;
@@ -1490,7 +1702,7 @@ function updateKPI(rows) {
       chk.checked = true;
 
       var txt = document.createElement('span');
-      txt.textContent = lastIsCaoIntra ? 'Mostra media' : 'Mostra mediana';
+      txt.textContent = lastConferitori ? 'Mostra media' : 'Mostra mediana';
 
       wrap.appendChild(chk);
       wrap.appendChild(txt);
@@ -1517,29 +1729,33 @@ function updateKPI(rows) {
 
   var showMedian = medianToggle ? !!medianToggle.checked : true;
   if (medianToggle) {
-    // Se cambia il contesto (CAO/non CAO) aggiorna la label
+    // Se cambia il contesto (conferitori/aziende) aggiorna la label
     var lblSpan = medianToggle.nextElementSibling;
-    if (lblSpan) lblSpan.textContent = lastIsCaoIntra ? 'Mostra media' : 'Mostra mediana';
+    if (lblSpan) lblSpan.textContent = lastConferitori ? 'Mostra media' : 'Mostra mediana';
   }
 
   // Costruzione dataset azienda + mediana per ogni lattazione selezionata
   var datasets = []; // coppie KPI/Mediana per ogni lattazione selezionata
+  var fresh = window.LIVE_REFRESH ? LIVE_REFRESH.freshMonths(state.currentKpi, { azienda: state.azienda }) : null;
 
   for (var yStart of selected) {
     var azi = new Array(12).fill(null);
     var med = new Array(12).fill(null);
+    var nGroup = new Array(12).fill(null); // numerosita' del gruppo per mese (letta da chartExport.js)
 
     // Ott-Dic anno yStart
     for (var m = 9; m <= 11; m++) {
       var b = ymMap.get(yStart + '-' + m);
       if (!b) continue;
-      var vals = Array.from(b.by.values());
-      azi[lacPosFromMonth(m)] = b.by.get(state.azienda) ?? null;
-      if (lastIsCaoIntra) {
-        var samp = getCaoSamplesForMonth(yStart, m);
-        med[lacPosFromMonth(m)] = samp.length ? (isLogKPI(state.currentKpi) ? aggGeometric(samp) : aggArithmetic(samp)) : null;
+      azi[lacPosFromMonth(m)] = b.azi ?? null;
+      if (usesDistributions()) {
+        var dist = getRegionDist(yStart, m);
+        med[lacPosFromMonth(m)] = distCenter(dist);
+        nGroup[lacPosFromMonth(m)] = dist ? Number(dist.n) : null;
       } else {
-        med[lacPosFromMonth(m)] = median(vals);
+        // mediana delle aziende oppure media dei campioni conferitori del mese
+        med[lacPosFromMonth(m)] = b.center;
+        nGroup[lacPosFromMonth(m)] = b.n;
       }
     }
 
@@ -1547,13 +1763,14 @@ function updateKPI(rows) {
     for (var m2 = 0; m2 <= 8; m2++) {
       var b2 = ymMap.get((yStart + 1) + '-' + m2);
       if (!b2) continue;
-      var vals2 = Array.from(b2.by.values());
-      azi[lacPosFromMonth(m2)] = b2.by.get(state.azienda) ?? null;
-      if (lastIsCaoIntra) {
-        var samp2 = getCaoSamplesForMonth(yStart + 1, m2);
-        med[lacPosFromMonth(m2)] = samp2.length ? (isLogKPI(state.currentKpi) ? aggGeometric(samp2) : aggArithmetic(samp2)) : null;
+      azi[lacPosFromMonth(m2)] = b2.azi ?? null;
+      if (usesDistributions()) {
+        var dist2 = getRegionDist(yStart + 1, m2);
+        med[lacPosFromMonth(m2)] = distCenter(dist2);
+        nGroup[lacPosFromMonth(m2)] = dist2 ? Number(dist2.n) : null;
       } else {
-        med[lacPosFromMonth(m2)] = median(vals2);
+        med[lacPosFromMonth(m2)] = b2.center;
+        nGroup[lacPosFromMonth(m2)] = b2.n;
       }
     }
 
@@ -1567,14 +1784,17 @@ function updateKPI(rows) {
       backgroundColor: c + '22',
       borderWidth: 2,
       spanGaps: true,
-      pointRadius: 3,
+      pointRadius: freshPointOption(yStart, fresh, 3, 6),
+      pointBackgroundColor: freshPointOption(yStart, fresh, c + '22', '#f97316'),
       _type: 'kpi',
       _lacStart: yStart
     });
 
     // Serie mediana/media
     datasets.push({
-      label: lastIsCaoIntra ? (lactationLabel(yStart) + ' Media') : (lactationLabel(yStart) + ' Mediana'),
+      label: lastConferitori ? (lactationLabel(yStart) + ' Media')
+        : lastIsRegione ? (lactationLabel(yStart) + ' Mediana regionale')
+        : (lactationLabel(yStart) + ' Mediana'),
       data: med,
       borderColor: c,
       backgroundColor: c + '10',
@@ -1584,61 +1804,38 @@ function updateKPI(rows) {
       pointRadius: 0,
       hidden: !showMedian,
       _type: 'median',
-      _lacStart: yStart
+      _lacStart: yStart,
+      _n: nGroup
     });
   }
 
-  var unit = KPI_UNITS[state.currentKpi] || '';
+  var unit = KPI_REGISTRY.unitOf(state.currentKpi);
   kpiChart.data.labels = LAC_MONTHS_IT;
   kpiChart.data.datasets = datasets;
-  var kpiLabel = (function () {
-    var sel = document.getElementById('indicatore');
-    if (sel && sel.options && sel.selectedIndex >= 0) {
-      return sel.options[sel.selectedIndex].text || state.currentKpi;
-    }
-    return state.currentKpi;
-  })();
+  var kpiLabel = KPI_REGISTRY.labelOf(state.currentKpi);
   kpiChart.options.scales.y.title = {
     display: !!unit || !!kpiLabel,
     text: unit ? (kpiLabel + ' (' + unit + ')') : kpiLabel
   };
 
-  // Limiti normativi per SCC (cellule) e CBT (carica)
+  // Limiti normativi dal registro KPI (SCC per cellule, CBT per carica)
   (function () {
     if (!kpiChart?.options?.plugins?.annotation) return;
     var anns = {};
+    var legal = KPI_REGISTRY.legalOf(state.currentKpi);
 
-    if (state.currentKpi === 'cellule') {
+    if (legal) {
       anns = {
-        scc_limit: {
+        legal_limit: {
           type: 'line',
-          yMin: 1500,
-          yMax: 1500,
+          yMin: legal.limit,
+          yMax: legal.limit,
           borderColor: 'rgba(239,68,68,0.75)',
           borderWidth: 1,
           borderDash: [6, 6],
           label: {
             display: true,
-            content: 'Limite 1500',
-            position: 'end',
-            backgroundColor: 'rgba(255,255,255,0.8)',
-            color: '#111',
-            font: { size: 10 }
-          }
-        }
-      };
-    } else if (state.currentKpi === 'carica') {
-      anns = {
-        cbt_limit: {
-          type: 'line',
-          yMin: 500,
-          yMax: 500,
-          borderColor: 'rgba(239,68,68,0.75)',
-          borderWidth: 1,
-          borderDash: [6, 6],
-          label: {
-            display: true,
-            content: 'Limite 500',
+            content: 'Limite ' + legal.limit,
             position: 'end',
             backgroundColor: 'rgba(255,255,255,0.8)',
             color: '#111',
@@ -1665,18 +1862,20 @@ function updateKPI(rows) {
 /**
  * Aggiorna l'istogramma:
  * - estrazione dei mesi in range (in base a state.histPeriod)
- * - aggregazione per azienda (media aritmetica o geometrica)
- * - calcolo bins con regola di Freedman-Diaconis
+ * - aggregazione per azienda (media aritmetica o geometrica) e calcolo bins con regola di Freedman-Diaconis,
+ *   eseguiti nel worker (getHistogramBins ritorna null finche' i bins non arrivano, poi ridisegna)
  * - disegno istogramma e linea verticale azienda con PR
  *
- * Input: righe KPI normalizzate (rowsForKpi su getBenchmarkRaw).
- * Relazioni: usa getYMMap per aggregare per anno-mese, e state.histPeriod per determinare il periodo.
+ * Input: righe KPI normalizzate (getBenchmarkRows).
+ * Relazioni: usa getAggregation per i mesi disponibili, getHistogramBins per i bins del periodo,
+ * e state.histPeriod per determinare il periodo.
  *
  * @param {Array<Object>} rows righe KPI normalizzate {Azienda, year, month, value}
  */
 function updateHistogram(rows) {
   // rows: righe KPI normalizzate {Azienda, year, month, value}; gestisce istogramma + PR azienda
-  var ymMap = getYMMap(rows, state.currentKpi);
+  var ymMap = getAggregation(rows);
+  if (!ymMap) return; // calcolo in corso nel worker
 
   // Tutte le chiavi anno-mese presenti nel dataset (ordinato)
   var ymKeys = Array
@@ -1697,13 +1896,12 @@ function updateHistogram(rows) {
 
   // ----- Limita il range dei month-picker "from/to" ai mesi con dati dell'azienda corrente -----
   (function () {
-    var az = state.azienda;
     var minD = null;
     var maxD = null;
 
-    // Scorri la mappa ymMap (year,month,byAziende) solo dove l'azienda ha dati
+    // Scorri le serie mensili solo dove l'azienda ha dati
     ymMap.forEach((obj) => {
-      if (!obj || !obj.by || !obj.by.has(az)) return;
+      if (!obj || obj.azi == null) return;
       var d = new Date(obj.year, obj.month, 1);
       if (!minD || d < minD) minD = d;
       if (!maxD || d > maxD) maxD = d;
@@ -1768,117 +1966,55 @@ function updateHistogram(rows) {
 
   var useGeo = isLogKPI(state.currentKpi);
 
-  // ----- Branch CAO (campioni conferitori) -----
-  if (lastIsCaoIntra) {
-    var ymSet = new Set(inRangeMonths.map(ym => (ym.y + '-' + (ym.m + 1))));
-    var aziVals = [];
-    inRangeMonths.forEach(function (ym) {
-      var b = ymMap.get(ym.y + '-' + ym.m);
-      if (!b) return;
-      var vAz = b.by.get(state.azienda);
-      if (isFinite(vAz)) aziVals.push(vAz);
-    });
-    var aziAggCao = aziVals.length ? (useGeo ? aggGeometric(aziVals) : aggArithmetic(aziVals)) : null;
-
-    var aliases = KPI_ALIASES[state.currentKpi] || [state.currentKpi];
-    var provinceSelect = document.getElementById('provinciaFilter');
-    var provinceValue = provinceSelect && provinceSelect.value ? provinceSelect.value : 'tutte';
-    var provinceName = null;
-    if (provinceValue === 'sassari')       provinceName = 'Sassari';
-    else if (provinceValue === 'nuoro')    provinceName = 'Nuoro';
-    else if (provinceValue === 'oristano') provinceName = 'Oristano';
-    else if (provinceValue === 'cagliari') provinceName = 'Cagliari';
-
-    var sampleVals = [];
-    for (var cr of window.CAO_RAW || []) {
-      if (!cr) continue;
-      var rk = String(cr.KPI || '').toLowerCase();
-      if (aliases.indexOf(rk) === -1) continue;
-      if (provinceName && cr.Provincia && cr.Provincia !== provinceName) continue;
-      var yS = Number(cr.Anno);
-      var mS = Number(cr.Mese);
-      var vS = Number(cr.Valore);
-      if (!Number.isFinite(yS) || !Number.isFinite(mS) || !Number.isFinite(vS)) continue;
-      if (!ymSet.has(yS + '-' + mS)) continue;
-      sampleVals.push(vS);
-    }
+  // Bins del periodo dal motore di aggregazione (campioni conferitori o medie per azienda);
+  // con le distribuzioni (Regione, gruppo dal server) non servono
+  var hist = usesDistributions() ? null : getHistogramBins(inRangeMonths);
+  if (!usesDistributions() && !hist) return; // calcolo in corso nel worker
+
+  // Gruppo di aziende sotto la numerosita' minima: la distribuzione non si mostra (updateBenchmarkCountLabel spiega).
+  // Con i campioni conferitori hist.n conta i campioni: si contano le aziende distinte del periodo
+  var histAziende = lastConferitori && !lastGroupDist ? countSampleAziende(lastConferitoriSamples, inRangeMonths) : (hist ? hist.n : 0);
+  if (!usesDistributions() && groupTooSmall(histAziende)) {
+    histChart.data.datasets.forEach(function (ds) { ds.data = []; });
+    histChart.options.plugins.annotation.annotations = {};
+    histChart.update();
+    var pbSmall = document.getElementById('posBadge');
+    if (pbSmall) pbSmall.textContent = '-- percentile';
+    return;
+  }
+
+  // ----- Branch conferitori (campioni del caseificio) -----
+  if (lastConferitori && !lastGroupDist) {
+    var aziAggConf = hist.aziAgg;
 
-    if (!sampleVals.length) {
+    if (!hist.data.length) {
       histChart.data.datasets[0].data = [];
       histChart.update();
-      var pbEmptyCao = document.getElementById('posBadge');
-      if (pbEmptyCao) pbEmptyCao.textContent = '-- percentile';
+      var pbEmptyConf = document.getElementById('posBadge');
+      if (pbEmptyConf) pbEmptyConf.textContent = '-- percentile';
       return;
     }
 
-    function freedmanBinsCao(values) {
-      var n = values.length;
-      if (n < 2) return 6;
-      var s = values.slice().sort((a, b) => a - b);
-      var q1 = s[Math.floor(0.25 * (n - 1))];
-      var q3 = s[Math.floor(0.75 * (n - 1))];
-      var iqr = (q3 - q1);
-      if (!isFinite(iqr) || iqr === 0) {
-        iqr = (s[n - 1] - s[0]) / 4;
-        if (!isFinite(iqr) || iqr === 0) iqr = 1;
-      }
-      var h = 2 * iqr * Math.pow(n, -1 / 3);
-      var b = Math.ceil((s[n - 1] - s[0]) / h);
-      if (!isFinite(b) || b < 6) b = 6;
-      if (b > 15) b = 15;
-      return b;
-    }
-
-    var mnC = Math.min.apply(null, sampleVals);
-    var mxC = Math.max.apply(null, sampleVals);
-    var binsC = freedmanBinsCao(sampleVals);
-    var centersC, countsC, stepC, edgesC = [];
-
-    if (mnC === mxC) {
-      binsC = 1;
-      stepC = 1;
-      edgesC = [mnC - 0.5, mnC + 0.5];
-      centersC = [mnC];
-      countsC = [sampleVals.length];
-    } else {
-      stepC = (mxC - mnC) / binsC;
-      if (!isFinite(stepC) || stepC <= 0) stepC = 1;
-      edgesC = [];
-      for (var bIdx = 0; bIdx <= binsC; bIdx++) edgesC.push(mnC + bIdx * stepC);
-      centersC = [];
-      for (var bIdx2 = 0; bIdx2 < binsC; bIdx2++) centersC.push(mnC + (bIdx2 + 0.5) * stepC);
-      countsC = new Array(binsC).fill(0);
-      for (var sv of sampleVals) {
-        var idxC = Math.floor((sv - mnC) / stepC);
-        if (idxC >= binsC) idxC = binsC - 1;
-        if (idxC < 0) idxC = 0;
-        countsC[idxC] += 1;
-      }
-    }
-
-    var totalC = countsC.reduce((a, c) => a + c, 0) || 1;
-    var dataC  = centersC.map((c, i) => ({
-      x: c,
-      y: Math.round((countsC[i] / totalC) * 1000) / 10,
-      count: countsC[i],
-      from: edgesC[i],
-      to: edgesC[i + 1]
-    }));
+    var mnC = hist.min;
+    var mxC = hist.max;
+    var stepC = hist.step;
+    var edgesC = hist.edges;
+    var dataC = hist.data;
+    var prC = hist.pr;
 
-    var prC = percentileRank(sampleVals.map(Number), aziAggCao);
-    var unitC = KPI_UNITS[state.currentKpi] || '';
+    var unitC = KPI_REGISTRY.unitOf(state.currentKpi);
     histChart.data.datasets[0].data = dataC;
-    histChart.data.datasets[1].data = (aziAggCao != null)
-      ? [{ x: aziAggCao, y: 0, aziValue: aziAggCao, unit: unitC }]
+    histChart.data.datasets[1].data = (aziAggConf != null)
+      ? [{ x: aziAggConf, y: 0, aziValue: aziAggConf, unit: unitC, pr: prC }]
       : [];
 
     var axisMinC = mnC;
     var axisMaxC = mxC;
     if (axisMinC === axisMaxC) { axisMinC = mnC - 0.5; axisMaxC = mnC + 0.5; }
-    if (aziAggCao != null && isFinite(aziAggCao)) {
+    if (aziAggConf != null && isFinite(aziAggConf)) {
       var padC = isFinite(stepC) && stepC > 0 ? (stepC * 0.3) : 0.5;
-      axisMinC = Math.min(axisMinC, aziAggCao - padC);
-      axisMaxC = Math.max(axisMaxC, aziAggCao + padC);
+      axisMinC = Math.min(axisMinC, aziAggConf - padC);
+      axisMaxC = Math.max(axisMaxC, aziAggConf + padC);
     }
 
     histChart.options.scales.x = {
@@ -1887,28 +2023,28 @@ function updateHistogram(rows) {
       max: axisMaxC,
       bounds: 'ticks',
       offset: false,
-      title: { display: !!unitC, text: unitC ? (state.currentKpi + ' ' + unitC) : '' },
+      title: { display: !!unitC, text: unitC ? (KPI_REGISTRY.labelOf(state.currentKpi) + ' ' + unitC) : '' },
       ticks: {
-        callback: (v) => isFinite(v) ? Number(v).toFixed(2) : v
+        callback: (v) => isFinite(v) ? KPI_REGISTRY.format(state.currentKpi, v) : v
       },
       afterBuildTicks: (scale) => {
         scale.ticks = edgesC.map(v => ({ value: v }));
       }
     };
 
-    histChart.options.plugins.annotation.annotations = (aziAggCao != null)
+    histChart.options.plugins.annotation.annotations = (aziAggConf != null)
       ? {
           azi: {
             type: 'line',
-            xMin: aziAggCao,
-            xMax: aziAggCao,
+            xMin: aziAggConf,
+            xMax: aziAggConf,
             borderColor: '#ef4444',
             borderWidth: 2,
             label: {
               enabled: true,
               content:
                 'Azienda: ' +
-                aziAggCao.toFixed(2) +
+                KPI_REGISTRY.format(state.currentKpi, aziAggConf) +
                 (unitC ? (' ' + unitC) : '') +
                 (prC != null ? (' (PR ' + prC + '°)') : ''),
               rotation: 90,
@@ -1933,12 +2069,12 @@ function updateHistogram(rows) {
         label: function (ctx) {
           if (ctx.dataset && ctx.dataset._tag === 'azi') {
             var d = ctx.raw || {};
-            var val = isFinite(d.aziValue) ? d.aziValue.toFixed(2) : '';
+            var val = isFinite(d.aziValue) ? KPI_REGISTRY.format(state.currentKpi, d.aziValue) : '';
             return val ? ['Azienda: ' + val + (unitC ? ' ' + unitC : '')] : '';
           }
           var d2 = ctx.raw || {};
-          var left = (d2.from != null && isFinite(d2.from)) ? d2.from.toFixed(2) : '?';
-          var right = (d2.to != null && isFinite(d2.to)) ? d2.to.toFixed(2) : '?';
+          var left = (d2.from != null && isFinite(d2.from)) ? KPI_REGISTRY.format(state.currentKpi, d2.from) : '?';
+          var right = (d2.to != null && isFinite(d2.to)) ? KPI_REGISTRY.format(state.currentKpi, d2.to) : '?';
           var isLast = ctx.dataIndex === (ctx.chart.data.datasets[0].data.length - 1);
           var range = 'Range: [' + left + ' ; ' + right + (isLast ? ' ]' : ' [');
           var pct = isFinite(d2.y) ? 'Frequenza: ' + d2.y.toFixed(1) + '%' : '';
@@ -1949,130 +2085,156 @@ function updateHistogram(rows) {
     };
 
     histChart.update();
-    var pbCao = document.getElementById('posBadge');
-    if (pbCao) pbCao.textContent = (prC != null) ? (prC + '° percentile') : '-- percentile';
+    var pbConf = document.getElementById('posBadge');
+    if (pbConf) pbConf.textContent = (prC != null) ? (prC + '° percentile') : '-- percentile';
     return;
   }
 
-  // Aggregazione per azienda (media mesi in-range)
-  var perAz = new Map(); // Map azienda -> lista valori nel periodo selezionato
-  inRangeMonths.forEach(ym => {
-    var b = ymMap.get(ym.y + '-' + ym.m);
-    if (!b) return;
-
-    b.by.forEach((val, az) => {
-      if (!isFinite(val)) return;
-      if (!perAz.has(az)) perAz.set(az, []);
-      perAz.get(az).push(val);
+  // ----- Branch Regione e gruppo dal server (distribuzioni mensili aggregate) -----
+  if (usesDistributions()) {
+    var aziValsReg = [];
+    var distsReg = [];
+    inRangeMonths.forEach(function (ym) {
+      var b = ymMap.get(ym.y + '-' + ym.m);
+      if (b && b.azi != null && isFinite(b.azi)) aziValsReg.push(b.azi);
+      var dist = getRegionDist(ym.y, ym.m);
+      if (dist) distsReg.push(dist);
     });
-  });
+    var aziAggReg = aziValsReg.length ? (useGeo ? aggGeometric(aziValsReg) : aggArithmetic(aziValsReg)) : null;
+    var pooled = (window.REGIONE && distsReg.length) ? window.REGIONE.pooledHistogram(distsReg, 10, useGeo) : null;
 
-  var useGeo = isLogKPI(state.currentKpi);
-  var vals   = [];   // tutti i valori aggregati (serve per istogramma)
-  var aziAgg = null; // aggregato dell'azienda selezionata
-
-  perAz.forEach((list, az) => {
-    var agg = useGeo ? aggGeometric(list) : aggArithmetic(list);
-    if (agg != null) {
-      vals.push(agg);
-      if (az === state.azienda) aziAgg = agg;
+    if (!pooled) {
+      histChart.data.datasets[0].data = [];
+      histChart.update();
+      var pbEmptyReg = document.getElementById('posBadge');
+      if (pbEmptyReg) pbEmptyReg.textContent = '-- percentile';
+      return;
     }
-  });
 
-  if (!vals.length) {
-    histChart.data.datasets[0].data = [];
-    histChart.update();
-    var pbNo = document.getElementById('posBadge');
-    if (pbNo) pbNo.textContent = '-- percentile';
-    return;
-  }
+    var edgesR = pooled.edges;
+    var dataR = pooled.share.map((s, i) => ({
+      x: (edgesR[i] + edgesR[i + 1]) / 2,
+      y: Math.round(s * 1000) / 10,
+      count: Math.round(s * pooled.avgN),
+      from: edgesR[i],
+      to: edgesR[i + 1]
+    }));
 
-  /**
-   * Calcolo del numero di bins con regola di Freedman-Diaconis.
-   * Limita il numero di bins tra 6 e 15 per evitare istogrammi "vuoti".
-   */
-  function freedmanBins(values) {
-    var n = values.length;
-    if (n < 2) return 6;
-
-    var s = values.slice().sort((a, b) => a - b);
-    var q1 = s[Math.floor(0.25 * (n - 1))];
-    var q3 = s[Math.floor(0.75 * (n - 1))];
-    var iqr = (q3 - q1);
-
-    if (!isFinite(iqr) || iqr === 0) {
-      iqr = (s[n - 1] - s[0]) / 4;
-      if (!isFinite(iqr) || iqr === 0) iqr = 1;
-    }
+    var prR = aziAggReg != null ? window.REGIONE.pooledPercentile(distsReg, aziAggReg, useGeo) : null;
+    var unitR = KPI_REGISTRY.unitOf(state.currentKpi);
+    histChart.data.datasets[0].data = dataR;
+    histChart.data.datasets[1].data = (aziAggReg != null)
+      ? [{ x: aziAggReg, y: 0, aziValue: aziAggReg, unit: unitR, pr: prR }]
+      : [];
 
-    var h    = 2 * iqr * Math.pow(n, -1 / 3);
-    var bins = Math.ceil((s[n - 1] - s[0]) / (h || 1)) || 6;
+    var axisMinR = edgesR[0];
+    var axisMaxR = edgesR[edgesR.length - 1];
+    if (aziAggReg != null && isFinite(aziAggReg)) {
+      var padR = (axisMaxR - axisMinR) / Math.max(1, dataR.length) * 0.3;
+      axisMinR = Math.min(axisMinR, aziAggReg - padR);
+      axisMaxR = Math.max(axisMaxR, aziAggReg + padR);
+    }
 
-    if (bins < 6)  bins = 6;
-    if (bins > 15) bins = 15;
+    histChart.options.scales.x = {
+      type: 'linear',
+      min: axisMinR,
+      max: axisMaxR,
+      title: { display: !!unitR, text: unitR ? (KPI_REGISTRY.labelOf(state.currentKpi) + ' ' + unitR) : '' },
+      ticks: {
+        callback: (v) => isFinite(v) ? KPI_REGISTRY.format(state.currentKpi, v) : v
+      },
+      afterBuildTicks: (scale) => {
+        scale.ticks = edgesR.map(v => ({ value: v }));
+      }
+    };
 
-    return bins;
-  }
+    histChart.options.plugins.annotation.annotations = (aziAggReg != null)
+      ? {
+          azi: {
+            type: 'line',
+            xMin: aziAggReg,
+            xMax: aziAggReg,
+            borderColor: '#ef4444',
+            borderWidth: 2,
+            label: {
+              enabled: true,
+              content:
+                'Azienda: ' +
+                KPI_REGISTRY.format(state.currentKpi, aziAggReg) +
+                (unitR ? (' ' + unitR) : '') +
+                (prR != null ? (' (PR ' + prR + '°)') : ''),
+              rotation: 90,
+              backgroundColor: 'rgba(239,68,68,0.15)',
+              color: '#ef4444'
+            }
+          }
+        }
+      : {};
 
-  // Calcolo bins, min/max, centri e conteggi
-  var bins = freedmanBins(vals);
-  var mn   = Math.min(...vals);
-  var mx   = Math.max(...vals);
-  var centers;
-  var counts;
-  var step;
-  var edges = [];
-
-  if (mn === mx) {
-    // Tutti i valori uguali: un unico bin centrato
-    bins   = 1;
-    step   = 1;
-    edges = [mn - 0.5, mn + 0.5];
-    centers = [mn];
-    counts  = [vals.length];
-  } else {
-    step = (mx - mn) / bins;
-    if (!isFinite(step) || step <= 0) step = 1;
+    histChart.options.plugins.tooltip = {
+      enabled: true,
+      displayColors: false,
+      filter: function (item) {
+        if (item.dataset && item.dataset._tag === 'bars') {
+          var y = item.raw && item.raw.y;
+          return isFinite(y) && y > 0;
+        }
+        return true;
+      },
+      callbacks: {
+        label: function (ctx) {
+          if (ctx.dataset && ctx.dataset._tag === 'azi') {
+            var d = ctx.raw || {};
+            var val = isFinite(d.aziValue) ? KPI_REGISTRY.format(state.currentKpi, d.aziValue) : '';
+            return val ? ['Azienda: ' + val + (unitR ? ' ' + unitR : '')] : '';
+          }
+          var d2 = ctx.raw || {};
+          var left = (d2.from != null && isFinite(d2.from)) ? KPI_REGISTRY.format(state.currentKpi, d2.from) : '?';
+          var right = (d2.to != null && isFinite(d2.to)) ? KPI_REGISTRY.format(state.currentKpi, d2.to) : '?';
+          var isLast = ctx.dataIndex === (ctx.chart.data.datasets[0].data.length - 1);
+          var range = 'Range: [' + left + ' ; ' + right + (isLast ? ' ]' : ' [');
+          var pct = isFinite(d2.y) ? 'Frequenza: ' + d2.y.toFixed(1) + '%' : '';
+          var cnt = isFinite(d2.count) ? 'Aziende (stima): ' + d2.count : '';
+          return [range, pct, cnt].filter(Boolean);
+        }
+      }
+    };
 
-    edges = [];
-    for (var bIdx = 0; bIdx <= bins; bIdx++) {
-      edges.push(mn + bIdx * step);
-    }
+    histChart.update();
+    var pbReg = document.getElementById('posBadge');
+    if (pbReg) pbReg.textContent = (prR != null) ? (prR + '° percentile') : '-- percentile';
+    return;
+  }
 
-    centers = [];
-    for (var bIdx2 = 0; bIdx2 < bins; bIdx2++) {
-      centers.push(mn + (bIdx2 + 0.5) * step);
-    }
+  // Istogramma delle medie per azienda nel periodo (bins e PR dal motore di aggregazione)
+  var aziAgg = hist.aziAgg; // aggregato dell'azienda selezionata
 
-    counts = new Array(bins).fill(0);
-    for (var v of vals) {
-      var idx = Math.floor((v - mn) / step);
-      if (idx >= bins) idx = bins - 1;
-      if (idx < 0) idx = 0;
-      counts[idx]++;
-    }
+  if (!hist.data.length) {
+    histChart.data.datasets[0].data = [];
+    histChart.update();
+    var pbNo = document.getElementById('posBadge');
+    if (pbNo) pbNo.textContent = '-- percentile';
+    return;
   }
 
-  var total = counts.reduce((a, c) => a + c, 0) || 1;
-  var data  = centers.map((c, i) => ({
-    x: c,
-    y: Math.round((counts[i] / total) * 1000) / 10,
-    count: counts[i],
-    from: edges[i],
-    to: edges[i + 1]
-  }));
+  var mn    = hist.min;
+  var mx    = hist.max;
+  var step  = hist.step;
+  var edges = hist.edges;
+  var data  = hist.data;
 
   // Percentile dell'azienda rispetto alla distribuzione
-  var pr = percentileRank(vals, aziAgg);
+  var pr = hist.pr;
 
-  var unit = KPI_UNITS[state.currentKpi] || '';
+  var unit = KPI_REGISTRY.unitOf(state.currentKpi);
   histChart.data.datasets[0].data = data;
   histChart.data.datasets[1].data = (aziAgg != null)
     ? [{
         x: aziAgg,
         y: 0,
         aziValue: aziAgg,
-        unit
+        unit,
+        pr
       }]
     : [];
 
@@ -2093,9 +2255,9 @@ function updateHistogram(rows) {
     type: 'linear',
     min: axisMin,
     max: axisMax,
-    title: { display: !!unit, text: unit ? (state.currentKpi + ' ' + unit) : '' },
+    title: { display: !!unit, text: unit ? (KPI_REGISTRY.labelOf(state.currentKpi) + ' ' + unit) : '' },
     ticks: {
-      callback: (v) => isFinite(v) ? Number(v).toFixed(2) : v
+      callback: (v) => isFinite(v) ? KPI_REGISTRY.format(state.currentKpi, v) : v
     },
     afterBuildTicks: (scale) => {
       var tks = edges.map(v => ({ value: v }));
@@ -2116,7 +2278,7 @@ function updateHistogram(rows) {
             enabled: true,
             content:
               'Azienda: ' +
-              aziAgg.toFixed(2) +
+              KPI_REGISTRY.format(state.currentKpi, aziAgg) +
               (unit ? (' ' + unit) : '') +
               ' (PR ' + pr + '°)',
             rotation: 90,
@@ -2141,12 +2303,12 @@ function updateHistogram(rows) {
       label: function (ctx) {
         if (ctx.dataset && ctx.dataset._tag === 'azi') {
           var d = ctx.raw || {};
-          var val = isFinite(d.aziValue) ? d.aziValue.toFixed(2) : '';
+          var val = isFinite(d.aziValue) ? KPI_REGISTRY.format(state.currentKpi, d.aziValue) : '';
           return val ? ['Azienda: ' + val + (unit ? ' ' + unit : '')] : '';
         }
         var d2 = ctx.raw || {};
-        var left = (d2.from != null && isFinite(d2.from)) ? d2.from.toFixed(2) : '?';
-        var right = (d2.to != null && isFinite(d2.to)) ? d2.to.toFixed(2) : '?';
+        var left = (d2.from != null && isFinite(d2.from)) ? KPI_REGISTRY.format(state.currentKpi, d2.from) : '?';
+        var right = (d2.to != null && isFinite(d2.to)) ? KPI_REGISTRY.format(state.currentKpi, d2.to) : '?';
         var isLast = ctx.dataIndex === (ctx.chart.data.datasets[0].data.length - 1);
         var range = 'Range: [' + left + ' ; ' + right + (isLast ? ' ]' : ' [');
         var pct = isFinite(d2.y) ? 'Frequenza: ' + d2.y.toFixed(1) + '%' : '';
@@ -2180,7 +2342,7 @@ let apply  = null; // pulsante "Applica" <button id="applyCustom">
  * @param {boolean} preserveSelection
  *        - false -> forza la selezione sull'ultima lattazione disponibile
  *        - true  -> se possibile mantiene la lattazione/custom gia selezionati
- * Relazioni: legge le lattazioni disponibili via getLactationStartsFromRows(rowsForKpi(getBenchmarkRaw())).
+ * Relazioni: legge le lattazioni disponibili via getLactationStartsFromRows(getBenchmarkRows()).
  */
 function rebuildLactationMenu(preserveSelection = false) {
   // Aggiorna le opzioni del select #distPreset in base alle lattazioni disponibili e alle scelte precedenti
@@ -2190,7 +2352,7 @@ function rebuildLactationMenu(preserveSelection = false) {
   var previousStart = state.histPeriod?.start;
 
   // Ultime lattazioni reali dai dati dell'azienda corrente
-  var rows     = rowsForKpi(getBenchmarkRaw(), state.currentKpi);
+  var rows     = getBenchmarkRows();
   var lacStarts = getLactationStartsFromRows(rows);
 
   // Svuota e ricostruisci le opzioni del select
@@ -2340,10 +2502,10 @@ function updatePeriodUIFromState() {
       // Reset allineamento asse Y quando cambi KPI
       _leftLockWidth = 0;
 
-      // Invalida cache YM per questo KPI
-      cache.ymByKpi.delete(state.currentKpi);
+      // Invalida i risultati del motore di aggregazione (nuovo KPI)
+      invalidateAggregation();
 
-      var rows = rowsForKpi(getBenchmarkRaw(), state.currentKpi);
+      var rows = getBenchmarkRows();
       updateBenchmarkCountLabel(rows);
       updatePR(rows);
       updateKPI(rows);
@@ -2378,11 +2540,9 @@ function updatePeriodUIFromState() {
   var benchmarkTypeSel = document.getElementById('benchmarkType');
   if (benchmarkTypeSel && !benchmarkTypeSel._bound) {
     benchmarkTypeSel.addEventListener('change', function () {
-      if (cache && cache.ymByKpi && cache.ymByKpi.clear) {
-        cache.ymByKpi.clear();
-      }
+      invalidateAggregation();
 
-      var rows = rowsForKpi(getBenchmarkRaw(), state.currentKpi);
+      var rows = getBenchmarkRows();
       updateCaseificioLabel();
       updateBenchmarkCountLabel(rows);
       updatePR(rows);
@@ -2397,11 +2557,9 @@ function updatePeriodUIFromState() {
   var provinciaSel = document.getElementById('provinciaFilter');
   if (provinciaSel && !provinciaSel._bound) {
     provinciaSel.addEventListener('change', function () {
-      if (cache && cache.ymByKpi && cache.ymByKpi.clear) {
-        cache.ymByKpi.clear();
-      }
+      invalidateAggregation();
 
-      var rows = rowsForKpi(getBenchmarkRaw(), state.currentKpi);
+      var rows = getBenchmarkRows();
       updateBenchmarkCountLabel(rows);
       updatePR(rows);
       updateKPI(rows);
@@ -2436,7 +2594,7 @@ function updatePeriodUIFromState() {
     var el = document.getElementById(id);
     if (el) {
       el.addEventListener('change', function () {
-        var rows = rowsForKpi(getBenchmarkRaw(), state.currentKpi);
+        var rows = getBenchmarkRows();
         updatePR(rows);
         updateKPI(rows);
       });
@@ -2464,7 +2622,7 @@ function updatePeriodUIFromState() {
         if (wrap) wrap.style.display = 'flex';
         var y = Number(v.split(':')[1]);
         state.histPeriod = { type: 'lactation', start: y };
-        var rows = rowsForKpi(getBenchmarkRaw(), state.currentKpi);
+        var rows = getBenchmarkRows();
         updateHistogram(rows);
       }
     });
@@ -2505,13 +2663,13 @@ function updatePeriodUIFromState() {
       if (preset) preset.value = 'custom';
       if (wrap) wrap.style.display = 'flex';
 
-      var rows = rowsForKpi(getBenchmarkRaw(), state.currentKpi);
+      var rows = getBenchmarkRows();
       updateHistogram(rows);
     });
   }
 
   // ----- Primo render con RAW disponibile -----
-  var rows = rowsForKpi(getBenchmarkRaw(), state.currentKpi);
+  var rows = getBenchmarkRows();
   updateBenchmarkCountLabel(rows);
   updateCaseificioLabel();
   updatePR(rows);
@@ -2526,8 +2684,17 @@ function updatePeriodUIFromState() {
   scheduleSync();
 
   // ----- Quando dataLoader ha caricato RAW completo (event "raw:loaded") -----
-document.addEventListener('raw:loaded', function () {
+document.addEventListener('raw:loaded', function (ev) {
   try {
+    // 0) RAW puo' arrivare piu' volte (copia in cache, aggiornamento dalla rete, consegne incrementali):
+    //    le consegne incrementali che non toccano il KPI corrente lasciano valide le aggregazioni
+    var delta = ev && ev.detail && ev.detail.delta;
+    if (delta && !deltaTouchesKpi(delta, state.currentKpi)) {
+      ensureAziendaSelector();
+      return;
+    }
+    invalidateAggregation();
+
     // 1) aggiorna la lista aziende
     ensureAziendaSelector();
 
@@ -2541,7 +2708,7 @@ document.addEventListener('raw:loaded', function () {
         kSelLoaded.dispatchEvent(evChange);
       } else {
         // Fallback se il select KPI non e presente
-        var rows2 = rowsForKpi(getBenchmarkRaw(), state.currentKpi || 'cellule');
+        var rows2 = getBenchmarkRows();
         updateBenchmarkCountLabel(rows2);
         updatePR(rows2);
         updateKPI(rows2);
@@ -2558,10 +2725,10 @@ document.addEventListener('raw:loaded', function () {
   window.addEventListener('resize', scheduleSync);
 })();
 
-// Quando arrivano i dati CAO (campioni conferitori) rilancia i render
-document.addEventListener('cao:loaded', function () {
-  if (cache && cache.ymByKpi) cache.ymByKpi.clear();
-  var rows = rowsForKpi(getBenchmarkRaw(), state.currentKpi || 'cellule');
+// Quando arrivano il manifest o i campioni conferitori di un caseificio rilancia i render
+document.addEventListener('caseificio:loaded', function () {
+  invalidateAggregation();
+  var rows = getBenchmarkRows();
   updateBenchmarkCountLabel(rows);
   updateCaseificioLabel();
   updatePR(rows);
@@ -2570,6 +2737,37 @@ document.addEventListener('cao:loaded', function () {
   scheduleSync();
 });
 
+// Avviso aggiornamento live chiuso: ridisegna il grafico KPI senza evidenziazione
+document.addEventListener('live:cleared', function () {
+  updateKPI(getBenchmarkRows());
+  scheduleSync();
+});
+
+// Quando arrivano le distribuzioni regionali rilancia i render (solo se in modalita Regione)
+document.addEventListener('regione:loaded', function () {
+  var modeSel = document.getElementById('benchmarkType');
+  if (!modeSel || modeSel.value !== 'regione') return;
+  invalidateAggregation();
+  var rows = getBenchmarkRows();
+  updateBenchmarkCountLabel(rows);
+  updatePR(rows);
+  updateKPI(rows);
+  updateHistogram(rows);
+  scheduleSync();
+});
+
+// Quando arrivano le distribuzioni del gruppo dal server rilancia i render (solo se il gruppo corrente le attende)
+document.addEventListener('gruppo:loaded', function () {
+  if (!lastGroupDist || lastGroupDist.data) return;
+  invalidateAggregation();
+  var rows = getBenchmarkRows();
+  updateBenchmarkCountLabel(rows);
+  updatePR(rows);
+  updateKPI(rows);
+  updateHistogram(rows);
+  scheduleSync();
+});
+
 
 // ============================================================================
 // PULSANTE CREDITS (popover hi-tech)
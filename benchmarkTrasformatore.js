@@ -9,13 +9,26 @@
  *   2) renderKpiChart() costruisce i dataset con buildKpiData() e aggiorna badge/legenda.
  *   3) renderHistogram() legge histPeriod, prepara bins e annotazioni, mostra percentile.
  * Sorgenti dati:
- *   - window.CAO_TANK da datiCAO.json (storico cisterna CAO, medie ponderate mensili).
- *   - window.CAO_RAW da conferitoriCAO-*.json (campioni conferitori per lattazione) via loaderCaseificio.
- *   - window.RAW da dataLoader.js (data.json) per il benchmark inter-aziendale intraAppare.
+ *   - Caseifici.get(caseificio) da loaderCaseificio (manifestConferitori.json): storico cisterna
+ *     (medie ponderate mensili, filterTank) e campioni conferitori per lattazione (filter/getAll).
+ *     Il caseificio e' quello scelto in #aziendaSelect. Per i KPI che la cisterna non misura (datiCAO.json ha
+ *     solo grassi, proteine, lattosio e caseina) la serie del caseificio e' la media mensile dei campioni
+ *     conferitori (getDairyMonthlyRows), etichettata "media campioni, non cisterna" in legenda, tooltip e istogramma;
+ *     i mesi senza chunk conferitori vengono dai campioni APPARE di data.json e hanno una serie punteggiata a parte.
+ *   - DATA_STORE (dataStore.js), indice di window.RAW (data.json, dataLoader.js), per il benchmark inter-aziendale
+ *     intraAppare e per i mesi data.json della serie del caseificio: nessuna scansione di RAW a ogni render;
+ *     sotto la numerosita' minima di ACCESS_SCOPE (accessScope.js) il gruppo perde il filtro provincia o non si mostra.
+ *     AGG_ENGINE (aggregationEngine.js) e GRUPPO (loaderGruppo.js) non servono in questa pagina: le medie del
+ *     gruppo sono poche (aziende di un solo caseificio) e si calcolano in modo sincrono con MONTHLY_MEANS, e il
+ *     trasformatore riceve dal server i campioni delle aziende del proprio caseificio (il gruppo calcolato dal
+ *     server di loaderGruppo.js serve all'allevatore, che non vede i campioni degli altri).
+ *   - window.REGIONE_DIST da loaderRegione.js (regione.json) per il benchmark Regione (percentili mensili).
+ *   - MONTHLY_MEANS (monthlyMeans.js) per le medie mensili di gruppo e campioni.
  * Controlli UI collegati: select KPI (indicatore), provincia, aziendaSelect, distPreset/customPeriod,
  * toggle benchmarkType e checkbox lattazioni (year-boxes), toggle showMedian, selettori date.
  * Stato/trigger: histPeriod governa l'istogramma; rawReady segnala arrivo dati RAW; eventi
- * "raw:loaded" (dataLoader) e "cao:loaded" (loaderCaseificio) riattivano renderKpiChart/renderHistogram.
+ * "raw:loaded" (dataLoader), "caseificio:loaded" (loaderCaseificio) e "regione:loaded" (loaderRegione)
+ * riattivano renderKpiChart/renderHistogram.
  * La logica esistente resta invariata: il commento riassume flussi, dipendenze e punti di ingresso.
  */
 (function () {
@@ -34,6 +47,11 @@
   // Mappa stabile: startYear (string) -> colore, così colori e pallini restano allineati
   const LAC_COLOR_MAP = {};
 
+  // Serie del caseificio che non sono misure di cisterna: stesso testo nell'etichetta del dataset
+  // (tra parentesi) e nella legenda sopra il grafico (con l'iniziale maiuscola)
+  const DAIRY_SAMPLES_NOTE = 'media campioni conferitori, non cisterna';
+  const DAIRY_RAW_NOTE = 'media campioni aziende APPARE, data.json';
+
   // Flag per non ricostruire 100 volte le checkbox
   let yearBoxesInitialized = false;
 
@@ -43,52 +61,25 @@
   // Stato periodo istogramma (lattazione o intervallo custom) usato da renderHistogram/ensureHistPreset
   let histPeriod = { type: 'lactation', start: null, from: null, to: null };
 
-  // ---------- KPI: unità e alias (qui i KPI sono leggermente diversi dall'allevatore) ----------
-  /**
-   * Dizionari di supporto per i KPI specifici della vista trasformatore:
-   * - KPI_UNITS mappa KPI -> unita' di misura per etichette e tooltip.
-   * - KPI_ALIASES definisce sinonimi accettati per collegare select/label ai dati.
-   */
-  const KPI_UNITS = {
-    cellule:   'cell/mL',
-    carica:    'UFC/mL',
-    grasso:    '%',
-    proteine:  '%',
-    urea:      'mg/dL'
-  };
-
-  const KPI_ALIASES = {
-    cellule:   ['cellule', 'scc', 'cellule somatiche', 'cellule somatiche (scc)'],
-    carica:    ['carica', 'cbt', 'carica batterica', 'carica batterica (cbt)'],
-    grasso:    ['grasso', 'grassi', 'fat', '% fat'],
-    proteine:  ['proteine', 'protein', '% prot'],
-    caseina:   ['caseina', 'caseine'],
-    urea:      ['urea']
-  };
-
+  // ---------- KPI: chiavi, unità e alias dal registro unico (kpiRegistry.js) ----------
   /**
    * Normalizza la chiave KPI omogeneizzando sinonimi e maiuscole/minuscole.
-   * Serve per collegare select UI, alias e mappa unita' usando la stessa chiave interna.
+   * Serve per collegare select UI, alias e unita' usando la stessa chiave interna.
    * @param {string} key Nome KPI selezionato o alias possibile.
-   * @returns {string} Chiave KPI normalizzata (es. 'grasso', 'caseina').
+   * @returns {string} Chiave KPI canonica del registro (es. 'grassi', 'caseina').
    */
   function normalizeKpiKey(key) {
-    const k = String(key || '').toLowerCase();
-    if (k === 'caseine') return 'caseina';
-    if (k === 'caseina') return 'caseina';
-    if (k === 'grassi')  return 'grassi';
-    if (k === 'grasso') return 'grasso';
-    return k;
+    return KPI_REGISTRY.normalize(key);
   }
 
   /**
    * Legge il KPI scelto nella select e lo riporta nella forma normalizzata.
-   * @returns {string} Chiave KPI valida; default 'grasso' se select assente.
+   * @returns {string} Chiave KPI valida; default 'grassi' se select assente.
    */
   function getSelectedKpi() {
     const sel = document.getElementById('indicatore');
-    if (!sel) return 'grasso';
-    return normalizeKpiKey(sel.value || 'grasso');
+    if (!sel) return 'grassi';
+    return normalizeKpiKey(sel.value || 'grassi');
   }
 
   /**
@@ -97,8 +88,7 @@
    * @returns {string} Unita' testuale (es. 'mg/dL').
    */
   function getKpiUnit(k) {
-    const key = normalizeKpiKey(k);
-    return KPI_UNITS[key] || '';
+    return KPI_REGISTRY.unitOf(k);
   }
 
   /**
@@ -107,8 +97,7 @@
    * @returns {string[]} Lista alias utilizzata per matching case-insensitive.
    */
   function getAliasesFor(k) {
-    const key = normalizeKpiKey(k);
-    return (KPI_ALIASES[key] || [key]).map(s => String(s).toLowerCase());
+    return KPI_REGISTRY.aliasesFor(k);
   }
 
   /**
@@ -135,7 +124,7 @@
    * @returns {boolean} True se usa scala log.
    */
   function isLogKpi(k) {
-    return k === 'cellule' || k === 'carica';
+    return KPI_REGISTRY.isLog(k);
   }
 
   /**
@@ -320,6 +309,89 @@
     return active;
   }
 
+  /**
+   * Nome del caseificio scelto in #aziendaSelect (testo dell'option).
+   * @returns {string|null}
+   */
+  function getCaseificioName() {
+    const azSel = document.getElementById('aziendaSelect');
+    if (!azSel || !azSel.options || azSel.selectedIndex < 0) return null;
+    return azSel.options[azSel.selectedIndex].textContent.trim() || null;
+  }
+
+  /**
+   * Voce del registro Caseifici per il caseificio della vista (cisterna + conferitori).
+   * @returns {Object|null} null se il caseificio non ha file nel manifest (o manifest non ancora letto)
+   */
+  function getDairy() {
+    return window.Caseifici ? window.Caseifici.get(getCaseificioName()) : null;
+  }
+
+  /**
+   * True se la cisterna del caseificio non misura il KPI (datiCAO.json ha solo grassi, proteine,
+   * lattosio e caseina): la serie del caseificio si ricava allora dai campioni conferitori.
+   * Finche' la cisterna non e' caricata (ne' fallita) la risposta e' false.
+   * @param {Object|null} dairy voce del registro Caseifici
+   * @param {string} kpiKey KPI normalizzato
+   * @returns {boolean}
+   */
+  function tankLacksKpi(dairy, kpiKey) {
+    if (!dairy || dairy.filterTank({ kpi: kpiKey }).length) return false;
+    return dairy.getTank().length > 0 || dairy.failures().some(f => !f.lattazione);
+  }
+
+  /**
+   * Valori mensili del caseificio per il KPI, nel formato della cisterna ({Anno, Mese, Valore}).
+   * Se la cisterna non misura il KPI sono le medie mensili dei campioni conferitori (geometriche per i KPI log),
+   * marcate con fromSamples perche' la UI le etichetti come "non cisterna". I mesi senza chunk conferitori
+   * caricati usano i campioni delle aziende APPARE del caseificio in DATA_STORE (data.json): quelle righe hanno
+   * fromRaw = true e la UI le disegna come serie a parte (fromRaw nel risultato dice se ce ne sono).
+   * Costa una scansione dei campioni conferitori: i render la chiamano una volta e passano il risultato
+   * a buildKpiData, requestCaseificioData, getTankMonthMap e caseificioLabel.
+   * @param {string} kpiKey KPI normalizzato
+   * @param {string|null} provinciaName nome provincia o null per tutte
+   * @returns {{rows: Array<Object>, fromSamples: boolean, fromRaw: boolean}}
+   */
+  function getDairyMonthlyRows(kpiKey, provinciaName = null) {
+    const dairy = getDairy();
+    if (!dairy) return { rows: [], fromSamples: false, fromRaw: false };
+    const provincia = provinciaName || undefined;
+    if (!tankLacksKpi(dairy, kpiKey)) {
+      return { rows: dairy.filterTank({ kpi: kpiKey, provincia }), fromSamples: false, fromRaw: false };
+    }
+    const rows = computeSampleMonthlyMeans(dairy.filter({ kpi: kpiKey, provincia }), kpiKey);
+    let fromRaw = false;
+    const caseificioName = getCaseificioName();
+    if (window.DATA_STORE && caseificioName) {
+      const seen = new Set(rows.map(r => r.Anno + '-' + r.Mese));
+      const raw = DATA_STORE.select({ kpi: kpiKey, caseificio: caseificioName, provincia }).rows;
+      MONTHLY_MEANS.rowsMonthlyMeans(raw, isLogKpi(kpiKey)).forEach(r => {
+        if (seen.has(r.Anno + '-' + r.Mese)) return;
+        rows.push(Object.assign(r, { fromRaw: true }));
+        fromRaw = true;
+      });
+    }
+    return { rows, fromSamples: true, fromRaw };
+  }
+
+  /**
+   * Etichetta del caseificio su istogramma e tooltip: dice quando il valore non e' una misura di cisterna.
+   * @param {{fromSamples: boolean}} series serie del caseificio (getDairyMonthlyRows)
+   * @returns {string}
+   */
+  function caseificioLabel(series) {
+    return series.fromSamples ? 'Caseificio (media campioni, non cisterna)' : 'Caseificio';
+  }
+
+  /**
+   * Testo di legenda da una nota di serie (DAIRY_SAMPLES_NOTE, DAIRY_RAW_NOTE).
+   * @param {string} note
+   * @returns {string}
+   */
+  function legendText(note) {
+    return note.charAt(0).toUpperCase() + note.slice(1);
+  }
+
   /**
    * Legge il toggle gruppo/caseificio per sapere quale confronto usare.
    * @returns {'intraCaseificio'|'interGruppo'} Modalita' selezionata.
@@ -342,137 +414,109 @@
     if (provVal === 'cagliari')      return 'Cagliari';
     return null;
   }
-  // ---------- filtri benchmark / RAW intraAppare ----------
+  // ---------- gruppi di confronto: campioni conferitori e aziende APPARE ----------
   /**
-   * Filtra i dati grezzi caricati in window.BENCHMARK_TRASFORMATORE_RAW per caseificio e provincia.
-   * - Provincia: se il selector non e' su "tutte" mantiene solo la provincia selezionata.
-   * - Caseificio: filtra per caseificioName presente nei campi del dataset.
-   * Dipendenze: usa getBenchmarkMode per capire se servono RAW (intraAppare) o CAO_RAW (intraCaseificio).
-   * @returns {Array<Object>} Lista record filtrati da usare per le aggregazioni KPI.
+   * Campioni conferitori del caseificio (intraCaseificio), filtrati per la provincia selezionata.
+   * @returns {{rows: Array<Object>, nAziende: number, nCampioni: number}} righe grezze dei chunk conferitori
    */
-  function filterRawByCaseificioAndProvincia() {
-    const mode = getBenchmarkMode();
-
-    // Intracaseificio: usa dataset CAO
-    if (mode === 'intraCaseificio') {
-      const base = Array.isArray(window.CAO_RAW) ? window.CAO_RAW : [];
-      const provName = getSelectedProvinceName();
-      const rows = provName
-        ? base.filter(r => r && String(r.Provincia || '').trim() === provName)
-        : base.slice();
-      return { rows, nAziende: 0, nCampioni: rows.length };
-    }
-
-    // IntraAppare: usa RAW (data.json)
-    const base = Array.isArray(window.RAW) ? window.RAW : [];
-    if (!base.length) {
-      return { rows: [], nAziende: 0, nCampioni: 0 };
-    }
+  function getConferitoriRows() {
+    const dairy = getDairy();
+    const base = dairy ? dairy.getAll() : [];
+    const provName = getSelectedProvinceName();
+    const rows = provName
+      ? base.filter(r => r && String(r.Provincia || '').trim() === provName)
+      : base.slice();
+    return { rows, nAziende: 0, nCampioni: rows.length };
+  }
 
-    if (mode !== 'intraAppare') {
+  /**
+   * Gruppo intraAppare: righe KPI delle aziende di data.json del caseificio scelto (e della provincia),
+   * lette da DATA_STORE gia' normalizzate.
+   * @param {string} kpiKey KPI normalizzato.
+   * @returns {{rows: Array<{Azienda:string, year:number, month:number, value:number}>, nAziende: number,
+   *   nCampioni: number, widened?: boolean, suppressed?: boolean, minGroup?: number, nGroup?: number}}
+   */
+  function selectAppareGroup(kpiKey) {
+    const caseificioName = getCaseificioName();
+    if (!window.DATA_STORE || !caseificioName) {
       return { rows: [], nAziende: 0, nCampioni: 0 };
     }
-
-    // nome caseificio dal selettore azienda (per ora CAO)
-    const azSel = document.getElementById('aziendaSelect');
-    let caseificioName = null;
-    if (azSel && azSel.options && azSel.selectedIndex >= 0) {
-      caseificioName = azSel.options[azSel.selectedIndex].textContent.trim();
+    const minGroup = window.ACCESS_SCOPE ? ACCESS_SCOPE.minGroupSize() : 5;
+    const provName = getSelectedProvinceName();
+    let rows = DATA_STORE.select({ kpi: kpiKey, caseificio: caseificioName, provincia: provName || undefined }).rows;
+
+    // Numerosita' minima (k-anonimato): sotto il minimo si toglie il filtro provincia;
+    // se il gruppo resta piccolo le sue statistiche non si mostrano (rows vuote)
+    let nAziende = countAziende(rows);
+    let widened = false;
+    if (nAziende < minGroup && provName) {
+      rows = DATA_STORE.select({ kpi: kpiKey, caseificio: caseificioName }).rows;
+      nAziende = countAziende(rows);
+      widened = true;
     }
-
-    let rows = base;
-    if (caseificioName) {
-      rows = rows.filter(r => {
-        if (!r) return false;
-        const c = String(r.Caseificio || '').trim();
-        return c === caseificioName;
-      });
+    if (nAziende < minGroup) {
+      return { rows: [], nAziende: 0, nCampioni: 0, widened, suppressed: true, minGroup, nGroup: nAziende };
     }
 
-    const provName = getSelectedProvinceName();
-    if (provName) {
-      rows = rows.filter(r => {
-        if (!r) return false;
-        return String(r.Provincia || '').trim() === provName;
-      });
-    }
+    return { rows, nAziende, nCampioni: rows.length, widened, suppressed: false, minGroup, nGroup: nAziende };
+  }
 
+  /**
+   * Numero di aziende distinte nelle righe.
+   * @param {Array<Object>} rows righe {Azienda, ...}
+   * @returns {number}
+   */
+  function countAziende(rows) {
     const aziSet = new Set();
     for (const r of rows) {
       if (r && r.Azienda) aziSet.add(String(r.Azienda));
     }
+    return aziSet.size;
+  }
 
-    return { rows, nAziende: aziSet.size, nCampioni: rows.length };
+  /**
+   * Spiegazione per l'utente quando il gruppo intraAppare e' stato allargato o nascosto
+   * per la numerosita' minima ('' se il gruppo e' quello richiesto).
+   * @param {{widened?:boolean, suppressed?:boolean, minGroup?:number, nGroup?:number}} g esito di selectAppareGroup
+   * @returns {string}
+   */
+  function groupNoteText(g) {
+    if (!g) return '';
+    if (g.suppressed) {
+      return 'Gruppo di confronto troppo piccolo (' + g.nGroup + (g.nGroup === 1 ? ' azienda' : ' aziende') +
+        ', minimo ' + g.minGroup + '): media del gruppo e distribuzione non sono mostrate per tutelare le aziende.';
+    }
+    if (g.widened) {
+      return 'Nella provincia scelta ci sono meno di ' + g.minGroup +
+        ' aziende: il gruppo di confronto comprende tutte le province.';
+    }
+    return '';
   }
   /**
-   * Aggrega per mese calcolando la media per KPI per ogni azienda e poi la media del gruppo.
-   * - Lavora su rawRows filtrate, raggruppa per azienda, poi fa media aritmetica o geometrica.
-    * - Flusso: filtra per KPI -> media per (azienda, anno, mese) -> media delle aziende per mese.
-   * @param {Array<Object>} rawRows Dati grezzi filtrati.
-   * @param {string} kpiKey Chiave KPI normalizzata.
-   * @returns {Array<Object>} Lista con {year, month, value, by: Map(azienda->media)}.
+   * Spiegazione per l'utente dei mesi regionali passati al totale o non mostrati per la numerosita' minima.
+   * @param {{min:number, widened:number, suppressed:number}|null} g esito di REGIONE.guard
+   * @returns {string}
    */
-  function computeGroupMonthlyMeans(rawRows, kpiKey) {
-    if (!Array.isArray(rawRows) || !rawRows.length) return [];
-
-    const aliases = getAliasesFor(kpiKey);
-
-    const aziYM = new Map(); // "Azienda|Anno|Mese" -> [valori]
-
-    for (const r of rawRows) {
-      if (!r) continue;
-
-      const k = String(r.KPI || '').toLowerCase();
-      if (!aliases.includes(k)) continue;
-
-      let anno, mese;
-      if (r.Anno != null && r.Mese != null) {
-        anno = Number(r.Anno);
-        mese = Number(r.Mese);
-      } else if (r.Data) {
-        const d = new Date(r.Data);
-        if (!Number.isFinite(d.getTime())) continue;
-        anno = d.getFullYear();
-        mese = d.getMonth() + 1;
-      } else {
-        continue;
-      }
-
-      const val = Number(r.Valore);
-      if (!Number.isFinite(val)) continue;
-
-      const az = String(r.Azienda || '');
-      const key = az + '|' + anno + '|' + mese;
-      if (!aziYM.has(key)) aziYM.set(key, []);
-      aziYM.get(key).push(val);
+  function regionNoteText(g) {
+    if (!g) return '';
+    const parts = [];
+    if (g.widened) {
+      parts.push(g.widened + ' mesi confrontati con il totale regionale (in provincia meno di ' + g.min + ' aziende o dato assente)');
     }
-
-    // media per (azienda, anno, mese)
-    const ymValues = new Map(); // "Anno|Mese" -> [media_azienda]
-    aziYM.forEach((vals, key) => {
-      const mAzi = arithmeticMean(vals);
-      if (mAzi == null) return;
-      const parts = key.split('|');
-      const anno = Number(parts[1]);
-      const mese = Number(parts[2]);
-      const ymKey = anno + '|' + mese;
-      if (!ymValues.has(ymKey)) ymValues.set(ymKey, []);
-      ymValues.get(ymKey).push(mAzi);
-    });
-
-    const out = [];
-    ymValues.forEach((vals, ymKey) => {
-      const mediaGruppo = arithmeticMean(vals);
-      if (mediaGruppo == null) return;
-      const parts = ymKey.split('|');
-      out.push({
-        Anno: Number(parts[0]),
-        Mese: Number(parts[1]),
-        Valore: mediaGruppo
-      });
-    });
-
-    return out;
+    if (g.suppressed) {
+      parts.push(g.suppressed + ' mesi senza mediana regionale (meno di ' + g.min + ' aziende)');
+    }
+    return parts.length ? parts.join('; ') + '.' : '';
+  }
+  /**
+   * Aggrega per mese calcolando la media per KPI per ogni azienda e poi la media del gruppo.
+   * - Flusso: media aritmetica per (azienda, anno, mese) -> media aritmetica delle aziende per mese
+   *   (come MONTHLY_MEANS.groupMonthlyMeans sulle righe grezze).
+   * @param {Array<{Azienda:string, year:number, month:number, value:number}>} rows Righe KPI del gruppo (selectAppareGroup).
+   * @returns {Array<{Anno:number, Mese:number, Valore:number}>} Media del gruppo per mese.
+   */
+  function computeGroupMonthlyMeans(rows) {
+    return MONTHLY_MEANS.rowsMonthlyMeans(MONTHLY_MEANS.aziendaMonthlyMeans(rows, false), false);
   }
 
   /**
@@ -483,46 +527,7 @@
    * @returns {Array<Object>} Lista {year, month, value}.
    */
   function computeSampleMonthlyMeans(rawRows, kpiKey) {
-    if (!Array.isArray(rawRows) || !rawRows.length) return [];
-    const aliases = getAliasesFor(kpiKey);
-    const ym = new Map(); // "Anno|Mese" -> [valori]
-
-    for (const r of rawRows) {
-      if (!r) continue;
-      const k = String(r.KPI || '').toLowerCase();
-      if (!aliases.includes(k)) continue;
-
-      let anno, mese;
-      if (r.Anno != null && r.Mese != null) {
-        anno = Number(r.Anno);
-        mese = Number(r.Mese);
-      } else if (r.Data) {
-        const d = new Date(r.Data);
-        if (!Number.isFinite(d.getTime())) continue;
-        anno = d.getFullYear();
-        mese = d.getMonth() + 1;
-      } else {
-        continue;
-      }
-
-      const val = Number(r.Valore);
-      if (!Number.isFinite(val)) continue;
-
-      const key = anno + '|' + mese;
-      if (!ym.has(key)) ym.set(key, []);
-      ym.get(key).push(val);
-    }
-
-    const out = [];
-    ym.forEach((vals, key) => {
-      const parts = key.split('|');
-      const y = Number(parts[0]);
-      const m = Number(parts[1]);
-      const agg = isLogKpi(kpiKey) ? aggGeometric(vals) : arithmeticMean(vals);
-      if (agg != null) out.push({ Anno: y, Mese: m, Valore: agg });
-    });
-
-    return out;
+    return MONTHLY_MEANS.sampleMonthlyMeans(rawRows, getAliasesFor(kpiKey), isLogKpi(kpiKey));
   }
   /**
    * Estrae dai dati grezzi solo i record che contengono il KPI richiesto.
@@ -569,25 +574,7 @@
    * @returns {Array<Object>} Record mensili {year, month, value}.
    */
   function monthlyAggregate(rawRows, kpiKey) {
-    const byKey = new Map();
-    const useGeo = isLogKpi(kpiKey);
-
-    rawRows.forEach(r => {
-      const key = r.year + '|' + r.month + '|' + r.Azienda;
-      if (!byKey.has(key)) byKey.set(key, []);
-      byKey.get(key).push(r.value);
-    });
-
-    const out = [];
-    byKey.forEach((vals, keyStr) => {
-      const [y, m, az] = keyStr.split('|');
-      const agg = useGeo ? aggGeometric(vals) : arithmeticMean(vals);
-      if (agg != null) {
-        out.push({ Azienda: az, year: Number(y), month: Number(m), value: agg });
-      }
-    });
-
-    return out;
+    return MONTHLY_MEANS.aziendaMonthlyMeans(rawRows, isLogKpi(kpiKey));
   }
 
   /**
@@ -622,42 +609,79 @@
     return yStart + '-' + yEnd;
   }
 
+  /**
+   * Opzione punto Chart.js per una serie di lattazione: "hit" sui mesi con dati nuovi dell'aggiornamento live
+   * (LIVE_REFRESH.freshMonths, liveRefresh.js), "base" altrove.
+   * @param {number} startYear Anno di inizio lattazione.
+   * @param {Set<string>|null} fresh Chiavi 'Anno-Mese' (Mese 1..12).
+   * @param {*} base Valore standard.
+   * @param {*} hit Valore per i mesi nuovi.
+   */
+  function freshPointOption(startYear, fresh, base, hit) {
+    if (!fresh || !fresh.size) return base;
+    return ctx => {
+      const i = ctx.dataIndex;   // 0 = Ott ... 11 = Set
+      const key = i < 3 ? startYear + '-' + (i + 10) : (startYear + 1) + '-' + (i - 2);
+      return fresh.has(key) ? hit : base;
+    };
+  }
+
+  /**
+   * Mesi con dati nuovi dell'aggiornamento live (null se liveRefresh.js non e' caricato).
+   * @param {string} kpi KPI selezionato.
+   * @param {Object} opts Filtri di LIVE_REFRESH.freshMonths (caseificio, dataset).
+   * @returns {Set<string>|null}
+   */
+  function freshMonthsFor(kpi, opts) {
+    return window.LIVE_REFRESH ? window.LIVE_REFRESH.freshMonths(kpi, opts) : null;
+  }
+
   // ---------- costruzione dati per il grafico KPI ----------
   /**
    * Prepara labels e datasets per il grafico KPI:
-   *  - serie CAO cisterna da window.CAO_TANK (datiCAO.json) + campioni conferitori window.CAO_RAW.
+   *  - serie cisterna del caseificio (Caseifici.get(...).filterTank) + campioni conferitori.
    *  - opzionalmente serie "media gruppo" calcolata da RAW (data.json) quando benchmarkType = intraAppare.
    */
   /**
    * Prepara tutte le strutture dati KPI necessarie al grafico linea e ai calcoli istogramma.
-   * - Filtra i dati grezzi per caseificio/provincia (CAO_RAW/RAW) e KPI.
-   * - Costruisce mappe per lattazione, mese, caseificio (CAO_TANK) e gruppo (RAW) per il confronto.
+   * - Filtra i dati per caseificio/provincia (conferitori o DATA_STORE) e KPI.
+   * - Costruisce mappe per lattazione, mese, caseificio (cisterna) e gruppo (RAW) per il confronto.
    * Dipendenze: usa ensureYearBoxes per la UI lattazioni, getBenchmarkMode per sapere se includere il gruppo.
+   * I mesi con dati nuovi dell'aggiornamento live hanno punti pieni in arancio (freshPointOption).
+   * @param {{rows: Array<Object>, fromSamples: boolean, fromRaw: boolean}} series serie del caseificio
+   *   (getDairyMonthlyRows per KPI e provincia selezionati)
    * @returns {{lactMap: Map<string, Array>, caseificioYM: Map<string, Object>, groupYM: Map<string, Object>, kpiKey: string, kpiRows: Array<Object>}} Raccolta dataset pronti per il rendering.
    */
-  function buildKpiData() {
+  function buildKpiData(series) {
     const mode = getBenchmarkMode();
-    if (!window.CAO || !Array.isArray(window.CAO_RAW)) {
+    const dairy = getDairy();
+    if (!dairy) {
       return { labels: LATT_MONTH_LABELS, datasets: [], nAziende: 0, nCampioni: 0, unit: '' };
     }
 
     const kpi = getSelectedKpi();
-    const unit = '%';
+    const unit = getKpiUnit(kpi);
     const provName = getSelectedProvinceName();
 
-    const rowsTank = window.CAO.filterTank
-      ? window.CAO.filterTank({ kpi, provincia: provName || undefined })
-      : [];
+    // cisterna, o media dei campioni conferitori se la cisterna non misura il KPI
+    const { rows: rowsTank, fromSamples, fromRaw } = series;
+    // nessun chunk conferitori: tutta la serie viene da data.json
+    const onlyRaw = fromRaw && rowsTank.every(r => r.fromRaw);
+    const tankNote = !fromSamples ? ''
+      : onlyRaw
+        ? 'La cisterna non misura ' + KPI_REGISTRY.labelOf(kpi) + ' e i campioni conferitori non sono disponibili: la linea del caseificio (punteggiata) \u00e8 la media mensile dei campioni delle aziende APPARE del caseificio (data.json), non una misura di cisterna.'
+        : 'La cisterna non misura ' + KPI_REGISTRY.labelOf(kpi) + ': la linea del caseificio \u00e8 la media mensile dei campioni conferitori, non una misura di cisterna.' +
+          (fromRaw ? ' I mesi senza campioni conferitori usano i campioni delle aziende APPARE del caseificio (data.json): linea punteggiata.' : '');
     if (!rowsTank.length) {
-      return { labels: LATT_MONTH_LABELS, datasets: [], nAziende: 0, nCampioni: 0, unit };
+      return { labels: LATT_MONTH_LABELS, datasets: [], nAziende: 0, nCampioni: 0, groupNote: tankNote, fromSamples, fromRaw, unit };
     }
 
     // i valori cisterna sono già mensili: li mappiamo per lattazione
-    const lactMapCao = groupByLactation(rowsTank);
+    const lactMapTank = groupByLactation(rowsTank);
 
     // Costruisco UNA sola volta le checkbox delle lattazioni (con regola "minimo 4 mesi")
     if (!yearBoxesInitialized) {
-      ensureYearBoxes(lactMapCao);
+      ensureYearBoxes(lactMapTank);
     }
 
     const activeKeys = getActiveLactationKeys();
@@ -667,23 +691,48 @@
         datasets: [],
         nAziende: 0,
         nCampioni: 0,
+        groupNote: tankNote,
+        fromSamples,
+        fromRaw,
         unit
       };
     }
 
     const datasets = [];
+    const freshTank = freshMonthsFor(kpi, { dataset: fromSamples ? 'conferitori' : 'cisterna', caseificio: dairy.id });
+    // mesi presi da data.json: serie separata, cosi' linea e tooltip non li confondono con i conferitori
+    const lactMapDairy = fromRaw ? groupByLactation(rowsTank.filter(r => !r.fromRaw)) : lactMapTank;
+    const lactMapDairyRaw = fromRaw ? groupByLactation(rowsTank.filter(r => r.fromRaw)) : {};
     activeKeys.forEach((key, idx) => {
-      const l = lactMapCao[key];
-      if (!l) return;
+      const l = lactMapDairy[key];
+      const lr = lactMapDairyRaw[key];
       const color = LAC_COLOR_MAP[key] || LAC_COLORS[idx % LAC_COLORS.length];
+      if (lr) {
+        datasets.push({
+          label: lr.label + ' - ' + dairy.id + ' (' + DAIRY_RAW_NOTE + ')',
+          data: lr.values,
+          borderColor: color,
+          backgroundColor: color,
+          borderWidth: 2,
+          tension: 0.25,
+          pointRadius: 3,
+          pointStyle: 'triangle',
+          pointHoverRadius: 4,
+          borderDash: [2, 3],
+          spanGaps: true,
+          _seriesType: 'caseificio'
+        });
+      }
+      if (!l) return;
       datasets.push({
-        label: l.label + ' - CAO',
+        label: l.label + ' - ' + dairy.id + (fromSamples ? ' (' + DAIRY_SAMPLES_NOTE + ')' : ''),
         data: l.values,
         borderColor: color,
         backgroundColor: color,
         borderWidth: 2,
         tension: 0.25,
-        pointRadius: 3,
+        pointRadius: freshPointOption(l.startYear, freshTank, 3, 6),
+        pointBackgroundColor: freshPointOption(l.startYear, freshTank, color, '#f97316'),
         pointHoverRadius: 4,
         spanGaps: true,
         _seriesType: 'caseificio'
@@ -692,16 +741,21 @@
 
     let nAziende = 0;
     let nCampioni = 0;
+    let groupNote = '';
+    let groupOmitted = false;
     const medianToggle = ensureGroupToggle();
     const showGroup    = !medianToggle || !!medianToggle.checked;
 
     if (mode === 'intraAppare' && Array.isArray(window.RAW) && window.RAW.length) {
-      const { rows, nAziende: nAz } = filterRawByCaseificioAndProvincia();
-      nAziende = nAz;
+      const filtered = selectAppareGroup(kpi);
+      const rows = filtered.rows;
+      nAziende = filtered.nAziende;
+      groupNote = groupNoteText(filtered);
 
       if (rows.length && nAziende > 0) {
-        const groupMonthly = computeGroupMonthlyMeans(rows, kpi);
+        const groupMonthly = computeGroupMonthlyMeans(rows);
         const lactMapGroup = groupByLactation(groupMonthly);
+        const freshGroup = freshMonthsFor(kpi, { caseificio: getCaseificioName() });
 
         activeKeys.forEach((key, idx) => {
           const lg = lactMapGroup[key];
@@ -714,6 +768,36 @@
             backgroundColor: color,
             borderWidth: 2,
             tension: 0.25,
+            pointRadius: freshPointOption(lg.startYear, freshGroup, 0, 5),
+            pointBackgroundColor: freshPointOption(lg.startYear, freshGroup, color, '#f97316'),
+            pointHoverRadius: 4,
+            borderDash: [5, 4],
+            spanGaps: true,
+            hidden: !showGroup,
+            _seriesType: 'group'
+          });
+        });
+      }
+    }
+
+    if (mode === 'regione' && window.REGIONE) {
+      const dists = window.REGIONE.filter({ kpi, provincia: provName });
+      groupNote = regionNoteText(window.REGIONE.guard({ kpi, provincia: provName }));
+      if (dists.length) {
+        // mediana regionale come serie di confronto, riportata sulle lattazioni
+        const lactMapReg = groupByLactation(dists.map(d => ({ Anno: d.Anno, Mese: d.Mese, Valore: d.p50 })));
+
+        activeKeys.forEach((key, idx) => {
+          const lg = lactMapReg[key];
+          if (!lg) return;
+          const color = LAC_COLOR_MAP[key] || LAC_COLORS[idx % LAC_COLORS.length];
+          datasets.push({
+            label: lg.label + ' - mediana regionale',
+            data: lg.values,
+            borderColor: color,
+            backgroundColor: color,
+            borderWidth: 2,
+            tension: 0.25,
             pointRadius: 0,
             pointHoverRadius: 4,
             borderDash: [5, 4],
@@ -722,11 +806,15 @@
             _seriesType: 'group'
           });
         });
+
+        let sumN = 0;
+        dists.forEach(d => { sumN += Number(d.n) || 0; });
+        nAziende = Math.round(sumN / dists.length); // aziende medie al mese nella distribuzione
       }
     }
 
     if (mode === 'intraCaseificio') {
-      const { rows } = filterRawByCaseificioAndProvincia();
+      const { rows } = getConferitoriRows();
       // consideriamo solo i campioni del KPI selezionato (alias inclusi)
       const aliases = getAliasesFor(kpi);
       const rowsKpi = rows.filter(r => aliases.includes(String(r.KPI || '').toLowerCase()));
@@ -734,10 +822,12 @@
         const monthSet = new Set(rowsKpi.map(r => `${r.Anno}-${r.Mese}`));
         const monthly = computeSampleMonthlyMeans(rowsKpi, kpi);
         const lactMapGroup = groupByLactation(monthly);
+        const freshGroup = freshMonthsFor(kpi, { dataset: 'conferitori', caseificio: dairy.id });
 
         activeKeys.forEach((key, idx) => {
           const lg = lactMapGroup[key];
-          if (!lg) return;
+          // con la serie da campioni la linea del caseificio e' gia' questa media: niente doppione
+          if (!lg || fromSamples) return;
           const color = LAC_COLOR_MAP[key] || LAC_COLORS[idx % LAC_COLORS.length];
           datasets.push({
             label: lg.label + ' - media campioni',
@@ -746,7 +836,8 @@
             backgroundColor: color,
             borderWidth: 2,
             tension: 0.25,
-            pointRadius: 0,
+            pointRadius: freshPointOption(lg.startYear, freshGroup, 0, 5),
+            pointBackgroundColor: freshPointOption(lg.startYear, freshGroup, color, '#f97316'),
             pointHoverRadius: 4,
             borderDash: [5, 4],
             spanGaps: true,
@@ -755,6 +846,11 @@
           });
         });
 
+        if (fromSamples && Object.keys(lactMapGroup).length) {
+          groupOmitted = true;
+          groupNote = 'La media campioni coincide con la linea del caseificio: la linea del gruppo non \u00e8 disegnata.';
+        }
+
         if (monthSet.size > 0) {
           nCampioni = Math.round(rowsKpi.length / monthSet.size); // campioni medi al mese (solo KPI selezionato)
         } else {
@@ -768,6 +864,11 @@
       datasets,
       nAziende,
       nCampioni,
+      groupNote: [tankNote, groupNote].filter(Boolean).join(' '),
+      fromSamples,
+      fromRaw,
+      onlyRaw,
+      groupOmitted,
       unit
     };
   }
@@ -778,8 +879,9 @@
    * Dipendenze: usa getBenchmarkMode per capire se mostrare anche il badge provinciale.
    * @param {number} nAziende Numero aziende considerate.
    * @param {number} nCampioni Numero campioni nel periodo.
+   * @param {string} [groupNote] Nota sul gruppo allargato o nascosto (numerosita' minima), sotto il titolo.
    */
-  function updateTitle(nAziende, nCampioni) {
+  function updateTitle(nAziende, nCampioni, groupNote) {
     const card = document.querySelector('#kpiChartHost')?.closest('.card');
     if (!card) return;
 
@@ -790,11 +892,27 @@
     if (titleEl) {
       if (mode === 'intraCaseificio' && nCampioni && nCampioni > 0) {
         titleEl.textContent = 'Dati Caseificio vs media di circa ' + nCampioni + ' campioni mensili';
+      } else if (mode === 'regione' && nAziende && nAziende > 0) {
+        titleEl.textContent = 'Dati Caseificio vs mediana regionale (circa ' + nAziende + ' aziende/mese)';
       } else if (nAziende && nAziende > 0) {
         titleEl.textContent = 'Dati Caseificio vs media del gruppo di ' + nAziende + ' aziende';
       } else {
         titleEl.textContent = 'Dati Caseificio';
       }
+
+      let noteEl = document.getElementById('groupNote');
+      if (!noteEl && groupNote) {
+        noteEl = document.createElement('div');
+        noteEl.id = 'groupNote';
+        noteEl.className = 'muted';
+        noteEl.style.fontSize = '12px';
+        noteEl.style.marginTop = '4px';
+        titleEl.insertAdjacentElement('afterend', noteEl);
+      }
+      if (noteEl) {
+        noteEl.textContent = groupNote || '';
+        noteEl.style.display = groupNote ? '' : 'none';
+      }
     }
 
   }
@@ -814,7 +932,9 @@
       const lbl = toggle._labelNode || toggle.nextElementSibling;
       if (lbl) {
         const mode = getBenchmarkMode();
-        lbl.textContent = (mode === 'intraCaseificio') ? 'Mostra media gruppo' : 'Mostra media aziende';
+        lbl.textContent = (mode === 'intraCaseificio') ? 'Mostra media gruppo'
+          : (mode === 'regione') ? 'Mostra mediana regionale'
+          : 'Mostra media aziende';
       }
       return toggle;
     }
@@ -855,7 +975,7 @@
     /**
      * Costruisce un elemento legenda inline con linea piena o tratteggiata.
      * @param {string} label Testo etichetta.
-     * @param {boolean} dashed True se linea tratteggiata.
+     * @param {boolean|string} dashed True se linea tratteggiata, 'dotted' se punteggiata.
      * @returns {HTMLSpanElement} Nodo legenda pronto per l'uso.
      */
     function legendItem(label, dashed) {
@@ -868,7 +988,7 @@
       line.style.display = 'inline-block';
       line.style.width = '28px';
       line.style.height = '0';
-      line.style.borderTop = dashed ? '2px dashed currentColor' : '2px solid currentColor';
+      line.style.borderTop = '2px ' + (dashed === 'dotted' ? 'dotted' : dashed ? 'dashed' : 'solid') + ' currentColor';
 
       const lab = document.createElement('span');
       lab.textContent = label;
@@ -878,15 +998,75 @@
       return item;
     }
 
-    const groupLabel = (mode === 'intraCaseificio') ? 'Media campioni' : 'Media aziende';
-    row.appendChild(legendItem('Media caseificio', false));
-    row.appendChild(legendItem(groupLabel, true));
+    const groupLabel = (mode === 'intraCaseificio') ? 'Media campioni'
+      : (mode === 'regione') ? 'Mediana regionale'
+      : 'Media aziende';
+    const dairyItem = legendItem('Media caseificio', false);
+    dairyItem.lastChild.id = 'dairyLegend'; // testo aggiornato da renderKpiChart (cisterna o media campioni)
+    row.appendChild(dairyItem);
+    const dairyRawItem = legendItem(legendText(DAIRY_RAW_NOTE), 'dotted');
+    dairyRawItem.id = 'dairyRawLegend'; // visibile solo se la serie del caseificio ha mesi da data.json
+    dairyRawItem.style.display = 'none';
+    row.appendChild(dairyRawItem);
+    const groupItem = legendItem(groupLabel, true);
+    groupItem.id = 'groupLegend'; // nascosto se la linea del gruppo non e' disegnata (groupOmitted)
+    row.appendChild(groupItem);
     row.appendChild(wrap);
 
     legendHost.appendChild(row);
 
     return toggle;
   }
+  /**
+   * Chiede a loaderCaseificio la cisterna del caseificio e, in intraCaseificio o se la cisterna non misura
+   * il KPI (serie da campioni), i chunk conferitori delle lattazioni mostrate (checkbox + periodo istogramma).
+   * I file mancanti arrivano con "caseificio:loaded", che rilancia i render.
+   * @param {{fromSamples: boolean}} series serie del caseificio del render (getDairyMonthlyRows)
+   */
+  function requestCaseificioData(series) {
+    const dairy = getDairy();
+    if (!dairy) return;
+    if (getBenchmarkMode() !== 'intraCaseificio' && !series.fromSamples) {
+      if (!dairy.isLoaded()) dairy.ensureLoaded(false, { lactations: [] }).catch(() => {});
+      return;
+    }
+    const needed = getActiveLactationKeys().map(Number).filter(Number.isFinite);
+    if (histPeriod.type === 'lactation' && Number.isFinite(histPeriod.start)) {
+      needed.push(histPeriod.start);
+    } else if (histPeriod.type === 'custom' && histPeriod.from && histPeriod.to) {
+      const lacOf = d => (d.getMonth() >= 9 ? d.getFullYear() : d.getFullYear() - 1);
+      for (let y = lacOf(histPeriod.from); y <= lacOf(histPeriod.to); y++) needed.push(y);
+    }
+    if (dairy.isLoaded() && dairy.hasLactations(needed)) return;
+    dairy.ensureLoaded(false, { lactations: needed }).catch(() => {});
+  }
+
+  /**
+   * Mostra/nasconde il banner #conferitoriBanner con i file del caseificio non scaricati:
+   * lattazioni conferitori mancanti (solo in intraCaseificio), cisterna e manifest (tutte le modalita').
+   */
+  function updateConferitoriBanner() {
+    const el = document.getElementById('conferitoriBanner');
+    if (!el) return;
+
+    const dairy = getDairy();
+    const failures = dairy ? dairy.failures() : [];
+    const lacs = failures.map(f => f.lattazione).filter(Boolean);
+    const parts = [];
+    if (lacs.length && getBenchmarkMode() === 'intraCaseificio') {
+      parts.push('Campioni conferitori non disponibili per ' + (lacs.length > 1 ? 'le lattazioni ' : 'la lattazione ') + lacs.join(', ') + ': il confronto usa solo le lattazioni caricate.');
+    }
+    if (failures.length > lacs.length) {
+      parts.push('Valori cisterna del caseificio non caricati.');
+    }
+    if (window.Caseifici && window.Caseifici.error()) {
+      parts.push('Elenco dei file del caseificio non disponibile.');
+    }
+
+    el.textContent = parts.join(' ');
+    el.hidden = !parts.length;
+  }
+
   // ---------- render grafico KPI ----------
   /**
    * Disegna/aggiorna il grafico KPI storico (linee per lattazioni selezionate).
@@ -901,10 +1081,8 @@
     const ctx = canvas.getContext('2d');
 
     const mode = getBenchmarkMode();
-    if (mode === 'intraCaseificio' && window.CAO && typeof window.CAO.ensureLoaded === 'function') {
-      const hasData = Array.isArray(window.CAO_RAW) && window.CAO_RAW.length > 0;
-      const loading = window.CAO.isLoading ? window.CAO.isLoading() : false;
-      if (!hasData && !loading) window.CAO.ensureLoaded();
+    if (mode === 'regione' && window.REGIONE && !window.REGIONE.isLoaded() && !window.REGIONE.isLoading()) {
+      window.REGIONE.ensureLoaded();
     }
 
     const existing = Chart.getChart(canvas);
@@ -914,13 +1092,19 @@
       kpiChart = null;
     }
 
-    const cfg = buildKpiData();
-    updateTitle(cfg.nAziende, cfg.nCampioni);
-    const kpiSelect = document.getElementById('indicatore');
-    const kpiLabel =
-      (kpiSelect && kpiSelect.options && kpiSelect.selectedIndex >= 0)
-        ? (kpiSelect.options[kpiSelect.selectedIndex].text || cfg.kpi || '')
-        : (cfg.kpi || '');
+    const series = getDairyMonthlyRows(getSelectedKpi(), getSelectedProvinceName());
+    const cfg = buildKpiData(series);
+    requestCaseificioData(series);
+    updateTitle(cfg.nAziende, cfg.nCampioni, cfg.groupNote);
+    const dairyLegend = document.getElementById('dairyLegend');
+    if (dairyLegend) dairyLegend.parentNode.style.display = cfg.onlyRaw ? 'none' : 'inline-flex';
+    if (dairyLegend) dairyLegend.textContent = cfg.fromSamples ? legendText(DAIRY_SAMPLES_NOTE) : 'Media caseificio';
+    const dairyRawLegend = document.getElementById('dairyRawLegend');
+    if (dairyRawLegend) dairyRawLegend.style.display = cfg.fromRaw ? 'inline-flex' : 'none';
+    const groupLegend = document.getElementById('groupLegend');
+    if (groupLegend) groupLegend.style.display = cfg.groupOmitted ? 'none' : 'inline-flex';
+    const kpiKey = getSelectedKpi();
+    const kpiLabel = KPI_REGISTRY.labelOf(kpiKey);
 
     kpiChart = new Chart(ctx, {
       type: 'line',
@@ -955,9 +1139,9 @@
                 if (v == null) return '';
                 const dsLabel = context.dataset.label || '';
                 if (!cfg.unit) {
-                  return `${dsLabel}: ${v.toFixed(3)}`;
+                  return `${dsLabel}: ${KPI_REGISTRY.format(kpiKey, v)}`;
                 }
-                return `${dsLabel}: ${v.toFixed(3)} ${cfg.unit}`;
+                return `${dsLabel}: ${KPI_REGISTRY.format(kpiKey, v)} ${cfg.unit}`;
               }
             }
           }
@@ -981,7 +1165,7 @@
             ticks: {
               callback: (v) => {
                 const num = Number(v);
-                return Number.isFinite(num) ? `${num.toFixed(1)} %` : `${v} %`;
+                return Number.isFinite(num) ? `${KPI_REGISTRY.format(kpiKey, num)} ${cfg.unit}`.trim() : v;
               }
             }
           }
@@ -1116,16 +1300,13 @@
   }
 
   /**
-   * Restituisce la mappa mensile del KPI per il caseificio (CAO) filtrata per provincia.
-   * @param {string} kpiKey KPI normalizzato.
-   * @param {string|null} provinciaName Nome provincia o null per tutte.
+   * Restituisce la mappa mensile del KPI per la cisterna del caseificio filtrata per provincia
+   * (media dei campioni conferitori se la cisterna non misura il KPI, vedi getDairyMonthlyRows).
+   * @param {{rows: Array<Object>}} series serie del caseificio (getDairyMonthlyRows).
    * @returns {Map<string, {year:number, month:number, value:number}>} Mappa "YYYY-M" -> valore.
    */
-  function getCaoMonthMap(kpiKey, provinciaName = null) {
-    if (!window.CAO) return new Map();
-    const rows = window.CAO.filterTank
-      ? window.CAO.filterTank({ kpi: kpiKey, provincia: provinciaName || undefined })
-      : [];
+  function getTankMonthMap(series) {
+    const rows = series.rows;
     const tmp = new Map();
 
     rows.forEach(r => {
@@ -1152,11 +1333,10 @@
 
   /**
    * Calcola le lattazioni disponibili per l'istogramma (ultime 3 con almeno 4 mesi).
-   * @param {string} kpiKey KPI normalizzato.
+   * @param {Map<string, Object>} map Mappa mensile del caseificio (getTankMonthMap).
    * @returns {Array<number>} Lista anni di inizio lattazione ordinata crescente.
    */
-  function availableLactationStarts(kpiKey) {
-    const map = getCaoMonthMap(kpiKey, getSelectedProvinceName());
+  function availableLactationStarts(map) {
     const counts = new Map(); // startYear -> mesi con valore
 
     map.forEach(obj => {
@@ -1233,11 +1413,10 @@
   /**
    * Trova la prima e ultima data disponibili per il KPI del caseificio.
    * Serve per limitare i range custom nell'istogramma.
-   * @param {string} kpiKey KPI normalizzato.
+   * @param {Map<string, Object>} map Mappa mensile del caseificio (getTankMonthMap).
    * @returns {{min: Date|null, max: Date|null}} Estremi temporali.
    */
-  function getCaoBounds(kpiKey) {
-    const map = getCaoMonthMap(kpiKey, getSelectedProvinceName());
+  function getTankBounds(map) {
     let minD = null;
     let maxD = null;
     map.forEach(obj => {
@@ -1252,15 +1431,17 @@
   /**
    * Popola la select dei preset istogramma con le lattazioni disponibili + opzione custom.
    * @param {boolean} preserveSelection Se true tenta di mantenere la scelta precedente.
-   * Dipendenze: usa availableLactationStarts (su CAO), aggiorna histPeriod tramite updatePeriodUIFromState.
+   * @param {Map<string, Object>|null} [tankMap] Mappa mensile del caseificio gia' calcolata dal render
+   *   (altrimenti ricavata dal KPI e dalla provincia selezionati).
+   * Dipendenze: usa availableLactationStarts (su cisterna), aggiorna histPeriod tramite updatePeriodUIFromState.
    */
-  function ensureHistPreset(preserveSelection = false) {
+  function ensureHistPreset(preserveSelection = false, tankMap = null) {
     const preset = document.getElementById('distPreset');
     if (!preset) return;
 
     const prev = preset.value;
-    const kpi  = getSelectedKpi();
-    const starts = availableLactationStarts(kpi);
+    const map = tankMap || getTankMonthMap(getDairyMonthlyRows(getSelectedKpi(), getSelectedProvinceName()));
+    const starts = availableLactationStarts(map);
 
     preset.innerHTML = '';
     starts.forEach(y => {
@@ -1296,7 +1477,7 @@
 
     preset.value = target;
     if (target === 'custom') {
-      const bounds = getCaoBounds(kpi);
+      const bounds = getTankBounds(map);
       if (histPeriod.type !== 'custom') {
         if (bounds.min && bounds.max) {
           histPeriod = { type: 'custom', from: bounds.min, to: bounds.max };
@@ -1323,7 +1504,7 @@
    * Flusso: legge histPeriod (lattazione o custom), filtra i mesi validi, calcola valori
    * per caseificio o gruppo, agg/rank percentile, setta annotazioni e badge percentile.
    * Dipendenze principali: ensureHistPreset per i preset, ensureHistChart per il canvas Chart.js,
-   * freedmanBins per il numero di bin, getCaoMonthMap/computeGroupMonthlyMeans per i dati sorgente.
+   * freedmanBins per il numero di bin, getTankMonthMap/computeGroupMonthlyMeans per i dati sorgente.
    * Gestisce fallback vuoto se non ci sono dati nel range.
    */
   function renderHistogram() {
@@ -1333,11 +1514,19 @@
 
     const mode = getBenchmarkMode();
     const kpi = getSelectedKpi();
-    ensureHistPreset(true);
-
-    const groupFiltered = filterRawByCaseificioAndProvincia();
-    const rowsKpi = rowsForKpi(groupFiltered.rows, kpi);
-    const by = buildYMMap(rowsKpi, kpi);
+    // serie del caseificio: calcolata una volta per render
+    const series = getDairyMonthlyRows(kpi, getSelectedProvinceName());
+    const tankMap = getTankMonthMap(series);
+    const dairyLabel = caseificioLabel(series);
+    ensureHistPreset(true, tankMap);
+    requestCaseificioData(series);
+
+    // righe del gruppo: campioni conferitori (intraCaseificio) o aziende APPARE gia' normalizzate da DATA_STORE
+    const rowsKpi = mode === 'intraCaseificio' ? rowsForKpi(getConferitoriRows().rows, kpi)
+      : mode === 'intraAppare' ? selectAppareGroup(kpi).rows
+      : [];
+    // in modalita Regione non ci sono righe di gruppo: i mesi disponibili sono quelli della cisterna
+    const by = (mode === 'regione') ? tankMap : buildYMMap(rowsKpi, kpi);
 
     const ymKeys = Array.from(by.keys())
       .map(k => {
@@ -1356,7 +1545,7 @@
 
     const fmEl = document.getElementById('fromMonth');
     const tmEl = document.getElementById('toMonth');
-    const bounds = getCaoBounds(kpi);
+    const bounds = getTankBounds(tankMap);
     if (bounds.min && bounds.max) {
       const minStr = formatMonth(bounds.min);
       const maxStr = formatMonth(bounds.max);
@@ -1365,7 +1554,7 @@
     }
 
     if (histPeriod.type === 'lactation' && !Number.isFinite(histPeriod.start)) {
-      const starts = availableLactationStarts(kpi);
+      const starts = availableLactationStarts(tankMap);
       const last = starts[starts.length - 1];
       if (Number.isFinite(last)) histPeriod.start = last;
     }
@@ -1401,6 +1590,11 @@
       });
     }
 
+    if (mode === 'regione') {
+      renderRegionHistogram(chart, kpi, inRangeMonths, by, posBadge, dairyLabel);
+      return;
+    }
+
     const useGeo = isLogKpi(kpi);
     let vals = [];
 
@@ -1428,14 +1622,13 @@
       });
     }
 
-    const caoMap = getCaoMonthMap(kpi, getSelectedProvinceName());
-    const caoVals = [];
+    const tankVals = [];
     inRangeMonths.forEach(ym => {
-      const c = caoMap.get(ym.y + '-' + ym.m);
-      if (c && Number.isFinite(c.value)) caoVals.push(c.value);
+      const c = tankMap.get(ym.y + '-' + ym.m);
+      if (c && Number.isFinite(c.value)) tankVals.push(c.value);
     });
-    const caseificioAgg = caoVals.length
-      ? (useGeo ? aggGeometric(caoVals) : arithmeticMean(caoVals))
+    const caseificioAgg = tankVals.length
+      ? (useGeo ? aggGeometric(tankVals) : arithmeticMean(tankVals))
       : null;
 
     if (!vals.length) {
@@ -1511,9 +1704,10 @@
     }));
 
     const pr = percentileRank(vals, caseificioAgg);
-    const unit = getKpiUnit(kpi) || '%';
+    const unit = getKpiUnit(kpi);
 
     chart.data.datasets[0].data = data;
+    chart.data.datasets[1].label = dairyLabel;
     chart.data.datasets[1].data = (caseificioAgg != null)
       ? [{
           x: caseificioAgg,
@@ -1541,9 +1735,9 @@
       max: axisMax,
       bounds: 'ticks',
       offset: false,
-      title: { display: !!unit, text: unit ? (unit + ' ' + (kpi || '')) : '' },
+      title: { display: !!unit, text: unit ? (KPI_REGISTRY.labelOf(kpi) + ' ' + unit) : '' },
       ticks: {
-        callback: (v) => Number.isFinite(v) ? v.toFixed(2) : v
+        callback: (v) => Number.isFinite(v) ? KPI_REGISTRY.format(kpi, v) : v
       },
       afterBuildTicks: (scale) => {
         const tks = edges.map(v => ({ value: v }));
@@ -1561,7 +1755,7 @@
             borderWidth: 2,
             label: {
               enabled: true,
-              content: 'Caseificio: ' + caseificioAgg.toFixed(2) + (unit ? (' ' + unit) : ''),
+              content: dairyLabel + ': ' + KPI_REGISTRY.format(kpi, caseificioAgg) + (unit ? (' ' + unit) : ''),
               rotation: 90,
               backgroundColor: 'rgba(244,63,94,0.18)',
               color: '#f43f5e'
@@ -1584,12 +1778,12 @@
         label(ctx) {
           if (ctx.dataset && ctx.dataset._tag === 'caseificio') {
             const d = ctx.raw || {};
-            const val = Number.isFinite(d.caseificioValue) ? d.caseificioValue.toFixed(2) : '';
-            return val ? ['Caseificio: ' + val + (unit ? ' ' + unit : '')] : '';
+            const val = Number.isFinite(d.caseificioValue) ? KPI_REGISTRY.format(kpi, d.caseificioValue) : '';
+            return val ? [dairyLabel + ': ' + val + (unit ? ' ' + unit : '')] : '';
           }
           const d = ctx.raw || {};
-          const left = Number.isFinite(d.from) ? d.from.toFixed(2) : '?';
-          const right = Number.isFinite(d.to) ? d.to.toFixed(2) : '?';
+          const left = Number.isFinite(d.from) ? KPI_REGISTRY.format(kpi, d.from) : '?';
+          const right = Number.isFinite(d.to) ? KPI_REGISTRY.format(kpi, d.to) : '?';
           const isLast = ctx.dataIndex === (ctx.chart.data.datasets[0].data.length - 1);
           const range = 'Range: [' + left + ' ; ' + right + (isLast ? ' ]' : ' [');
           const pct = Number.isFinite(d.y) ? 'Frequenza: ' + d.y.toFixed(1) + '%' : '';
@@ -1607,6 +1801,136 @@
     }
   }
 
+  /**
+   * Istogramma in modalita Regione: la distribuzione e' stimata dai percentili regionali
+   * (REGIONE.pooledHistogram) dei mesi nel periodo, il caseificio e' la media cisterna (o dei campioni, vedi getTankMonthMap).
+   * @param {Chart} chart Istogramma Chart.js.
+   * @param {string} kpi KPI selezionato.
+   * @param {Array<{y:number,m:number}>} inRangeMonths Mesi (0..11) nel periodo scelto.
+   * @param {Map<string, Object>} tankMap Mappa "anno-mese" -> {value} della cisterna.
+   * @param {HTMLElement|null} posBadge Badge percentile.
+   * @param {string} dairyLabel Etichetta del caseificio (caseificioLabel).
+   */
+  function renderRegionHistogram(chart, kpi, inRangeMonths, tankMap, posBadge, dairyLabel) {
+    const useGeo = isLogKpi(kpi);
+    const provName = getSelectedProvinceName();
+    const dists = [];
+    const tankVals = [];
+    inRangeMonths.forEach(ym => {
+      const c = tankMap.get(ym.y + '-' + ym.m);
+      if (c && Number.isFinite(c.value)) tankVals.push(c.value);
+      const d = window.REGIONE ? window.REGIONE.getMonth(kpi, ym.y, ym.m + 1, provName) : null;
+      if (d) dists.push(d);
+    });
+    const caseificioAgg = tankVals.length
+      ? (useGeo ? aggGeometric(tankVals) : arithmeticMean(tankVals))
+      : null;
+
+    const pooled = dists.length ? window.REGIONE.pooledHistogram(dists, 10, useGeo) : null;
+    if (!pooled) {
+      chart.data.datasets[0].data = [];
+      chart.options.plugins.annotation.annotations = {};
+      chart.update();
+      if (posBadge) posBadge.textContent = '-- percentile';
+      return;
+    }
+
+    const edges = pooled.edges;
+    const data = pooled.share.map((s, i) => ({
+      x: (edges[i] + edges[i + 1]) / 2,
+      y: Math.round(s * 1000) / 10,
+      count: Math.round(s * pooled.avgN),
+      from: edges[i],
+      to: edges[i + 1]
+    }));
+
+    const pr = (caseificioAgg != null) ? window.REGIONE.pooledPercentile(dists, caseificioAgg, useGeo) : null;
+    const unit = getKpiUnit(kpi);
+
+    chart.data.datasets[0].data = data;
+    chart.data.datasets[1].label = dairyLabel;
+    chart.data.datasets[1].data = (caseificioAgg != null)
+      ? [{ x: caseificioAgg, y: 0, caseificioValue: caseificioAgg, unit }]
+      : [];
+
+    let axisMin = edges[0];
+    let axisMax = edges[edges.length - 1];
+    if (caseificioAgg != null && Number.isFinite(caseificioAgg)) {
+      const pad = (axisMax - axisMin) / Math.max(1, data.length) * 0.3;
+      axisMin = Math.min(axisMin, caseificioAgg - pad);
+      axisMax = Math.max(axisMax, caseificioAgg + pad);
+    }
+
+    chart.options.scales.x = {
+      type: 'linear',
+      min: axisMin,
+      max: axisMax,
+      bounds: 'ticks',
+      offset: false,
+      title: { display: !!unit, text: unit ? (KPI_REGISTRY.labelOf(kpi) + ' ' + unit) : '' },
+      ticks: {
+        callback: (v) => Number.isFinite(v) ? KPI_REGISTRY.format(kpi, v) : v
+      },
+      afterBuildTicks: (scale) => {
+        scale.ticks = edges.map(v => ({ value: v }));
+      }
+    };
+
+    chart.options.plugins.annotation.annotations = (caseificioAgg != null)
+      ? {
+          caseificio: {
+            type: 'line',
+            xMin: caseificioAgg,
+            xMax: caseificioAgg,
+            borderColor: '#ef4444',
+            borderWidth: 2,
+            label: {
+              enabled: true,
+              content: dairyLabel + ': ' + KPI_REGISTRY.format(kpi, caseificioAgg) + (unit ? (' ' + unit) : ''),
+              rotation: 90,
+              backgroundColor: 'rgba(244,63,94,0.18)',
+              color: '#f43f5e'
+            }
+          }
+        }
+      : {};
+
+    chart.options.plugins.tooltip = {
+      enabled: true,
+      displayColors: false,
+      filter(item) {
+        if (item.dataset && item.dataset._tag === 'bars') {
+          const y = item.raw?.y;
+          return Number.isFinite(y) && y > 0;
+        }
+        return true;
+      },
+      callbacks: {
+        label(ctx) {
+          if (ctx.dataset && ctx.dataset._tag === 'caseificio') {
+            const d = ctx.raw || {};
+            const val = Number.isFinite(d.caseificioValue) ? KPI_REGISTRY.format(kpi, d.caseificioValue) : '';
+            return val ? [dairyLabel + ': ' + val + (unit ? ' ' + unit : '')] : '';
+          }
+          const d = ctx.raw || {};
+          const left = Number.isFinite(d.from) ? KPI_REGISTRY.format(kpi, d.from) : '?';
+          const right = Number.isFinite(d.to) ? KPI_REGISTRY.format(kpi, d.to) : '?';
+          const isLast = ctx.dataIndex === (ctx.chart.data.datasets[0].data.length - 1);
+          const range = 'Range: [' + left + ' ; ' + right + (isLast ? ' ]' : ' [');
+          const pct = Number.isFinite(d.y) ? 'Frequenza: ' + d.y.toFixed(1) + '%' : '';
+          const cnt = Number.isFinite(d.count) ? ('Aziende (stima): ' + d.count) : '';
+          return [range, pct, cnt].filter(Boolean);
+        }
+      }
+    };
+
+    chart.update();
+
+    if (posBadge) {
+      posBadge.textContent = (pr != null) ? (pr + '° percentile') : '-- percentile';
+    }
+  }
+
   // ---------- binding UI ----------
   /**
    * Collega tutti i controlli UI (select KPI, provincia, range, toggle gruppo) agli handler.
@@ -1620,7 +1944,7 @@
         renderKpiChart();
         renderHistogram();
         // opzionale: se definita globalmente, aggiorna legenda stile KPI
-        ensureKpiStyleLegend();
+        if (typeof ensureKpiStyleLegend === 'function') ensureKpiStyleLegend();
       });
     }
 
@@ -1630,6 +1954,7 @@
       if (el) {
         el.addEventListener('change', () => {
           ensureGroupToggle(); // aggiorna la label/legenda in base al mode
+          updateConferitoriBanner();
           renderKpiChart();
           renderHistogram();
         });
@@ -1712,10 +2037,11 @@
   /**
    * Entry point del modulo: controlla presenza dati raw e avvia bindUi + primo rendering.
    * Viene chiamato dopo il caricamento del dataset (dataLoader/loaderCaseificio).
-   * Attiva listener sugli eventi "raw:loaded" (data.json) e "cao:loaded" (datiCAO/conferitori) per rerender.
+   * Attiva listener sugli eventi "raw:loaded" (data.json) e "caseificio:loaded" (manifest/cisterna/conferitori) per rerender.
    */
   function init() {
     bindUi();
+    updateConferitoriBanner();
     renderKpiChart();
     ensureHistPreset(false);
     renderHistogram();
@@ -1728,12 +2054,25 @@
       renderHistogram();
     });
 
-    // rinfresca quando arriva il dataset CAO on-demand
-    document.addEventListener('cao:loaded', () => {
+    // rinfresca quando arrivano manifest, cisterna o conferitori del caseificio on-demand
+    document.addEventListener('caseificio:loaded', () => {
+      updateConferitoriBanner();
       renderKpiChart();
       ensureHistPreset(false);
       renderHistogram();
     });
+
+    // avviso aggiornamento live chiuso: togli l'evidenziazione dei mesi nuovi
+    document.addEventListener('live:cleared', () => {
+      renderKpiChart();
+    });
+
+    // rinfresca quando arrivano le distribuzioni regionali (solo in modalita Regione)
+    document.addEventListener('regione:loaded', () => {
+      if (getBenchmarkMode() !== 'regione') return;
+      renderKpiChart();
+      renderHistogram();
+    });
   }
 
   if (document.readyState === 'loading') {
@@ -0,0 +1,542 @@
+// chartExport.js - esportazione CSV / XLSX dei dati dei grafici
+// COSA FA (alto livello)
+// - Sotto ogni grafico (KPI, PR, istogramma, Performance) aggiunge i bottoni "CSV" e "XLSX" che scaricano
+//   i dati disegnati, letti dalle istanze Chart.js (quindi con gli stessi filtri e la stessa soglia di gruppo):
+//   - kpi:  per lattazione e mese valore azienda, mediana del gruppo (o media campioni / mediana regionale) e n;
+//           nella pagina trasformatore una colonna per serie del grafico (caseificio e gruppo);
+//   - pr:   posizione percentile mensile per lattazione;
+//   - hist: classi dell'istogramma (estremi, frequenza %, conteggio), classe dell'azienda (o del caseificio),
+//           valore e PR;
+//   - miei: campioni giornalieri dell'azienda (vista Performance) con note di rianalisi; nella pagina
+//           trasformatore i valori mensili della cisterna con la banda P10-P90 dei conferitori.
+// - Ogni riga riporta i filtri correnti (azienda o caseificio, KPI, confronto, provincia, periodo): il file si
+//   legge da solo.
+// - Vale per le due pagine: i filtri si leggono dai controlli (stessi id) e i globali di benchmarkAllevatore.js
+//   si usano solo se la pagina li ha (isFarmPage).
+// - CSV con separatore ';' e virgola decimale (come i file dei laboratori); XLSX (Office Open XML) scritto qui,
+//   senza librerie: un solo foglio con stringhe inline, archivio zip senza compressione.
+// - Espone API su window.CHART_EXPORT: table, csv, xlsx, download.
+//
+// DIPENDENZE
+// - Pagina allevatore: benchmarkAllevatore.js (state, lastConferitori, lastIsRegione, lastGroupDist,
+//   usesDistributions, selectedProvinceName, LAC_MONTHS_IT), performanceAllevatore.js (#md-chart).
+// - Pagina trasformatore: benchmarkTrasformatore.js (serie con _seriesType, etichette "lattazione - serie"),
+//   performanceTrasformatore.js (#md-chart con la banda _band).
+// - KPI_REGISTRY. UI: host dei grafici #kpiChartHost, #prChartHost, #histChartHost, #mieiChartHost (quelli
+//   presenti), #indicatore, #aziendaSelect, #benchmarkType, #provinciaFilter, #distPreset, #posBadge;
+//   stili .chart-export.
+(function () {
+  const YES = 's\u00ec';
+
+  /**
+   * Grafici esportabili: host nella pagina, nome del file, costruttore delle righe.
+   */
+  const CHARTS = {
+    kpi:  { host: 'kpiChartHost',  file: 'valori',      rows: kpiRows },
+    pr:   { host: 'prChartHost',   file: 'percentili',  rows: prRows },
+    hist: { host: 'histChartHost', file: 'istogramma',  rows: histRows },
+    miei: { host: 'mieiChartHost', file: 'campioni',    rows: mieiRows }
+  };
+
+  /**
+   * True nella pagina allevatore (benchmarkAllevatore.js definisce state e i globali del confronto).
+   */
+  function isFarmPage() {
+    return typeof state === 'object' && !!state && 'currentKpi' in state;
+  }
+
+  function byId(id) { return document.getElementById(id); }
+
+  function selectedText(id) {
+    const sel = byId(id);
+    return sel && sel.selectedIndex >= 0 ? sel.options[sel.selectedIndex].textContent.trim() : '';
+  }
+
+  /**
+   * KPI del grafico (state.currentKpi o #indicatore).
+   */
+  function currentKpi() {
+    if (isFarmPage()) return state.currentKpi;
+    return byId('indicatore') ? byId('indicatore').value : '';
+  }
+
+  /**
+   * Soggetto dei grafici: l'azienda (pagina allevatore) o il caseificio scelto (pagina trasformatore).
+   * @returns {{label:string, name:string}}
+   */
+  function subject() {
+    return isFarmPage()
+      ? { label: 'Azienda', name: state.azienda || '' }
+      : { label: 'Caseificio', name: selectedText('aziendaSelect') };
+  }
+
+  /**
+   * Istanza Chart.js disegnata nel contenitore.
+   */
+  function chartIn(hostId) {
+    const canvas = document.querySelector('#' + hostId + ' canvas');
+    return canvas && window.Chart ? Chart.getChart(canvas) : null;
+  }
+
+  /**
+   * Valore arrotondato alle cifre del KPI (null se assente).
+   */
+  function num(v) {
+    if (v == null || !isFinite(v)) return null;
+    return Number(KPI_REGISTRY.format(currentKpi(), v));
+  }
+
+  /**
+   * Anno-mese "YYYY-MM" di una posizione 0..11 della lattazione (Ott-Set).
+   */
+  function lacYearMonth(lacStart, pos) {
+    const y = pos < 3 ? lacStart : lacStart + 1;
+    const m = pos < 3 ? 10 + pos : pos - 2;
+    return y + '-' + String(m).padStart(2, '0');
+  }
+
+  function lacLabel(lacStart) {
+    return 'Lattazione ' + lacStart + '-' + String(lacStart + 1).slice(2);
+  }
+
+  /**
+   * Provincia selezionata ('Tutte' se nessuna).
+   */
+  function provinceText() {
+    if (isFarmPage()) return selectedProvinceName() || 'Tutte';
+    const sel = byId('provinciaFilter');
+    return sel && sel.value && sel.value !== 'tutte' ? selectedText('provinciaFilter') : 'Tutte';
+  }
+
+  /**
+   * Colonne dei filtri correnti, ripetute su ogni riga.
+   * @param {string} periodo periodo della riga (lattazione o periodo dell'istogramma)
+   * @param {boolean} [performance] vista Performance (solo azienda o caseificio, nessun gruppo)
+   */
+  function context(periodo, performance) {
+    const who = subject();
+    const kpi = currentKpi();
+    return {
+      [who.label]: who.name,
+      'KPI': KPI_REGISTRY.labelOf(kpi),
+      'Unit\u00e0': KPI_REGISTRY.unitOf(kpi),
+      'Confronto': performance ? 'Solo ' + who.label.toLowerCase() : selectedText('benchmarkType'),
+      'Provincia': performance ? '' : provinceText(),
+      'Periodo': periodo
+    };
+  }
+
+  /**
+   * Lattazione e nome della serie da un'etichetta "2024-25 - media gruppo" (grafici della pagina trasformatore).
+   * @returns {{start:number, series:string}}
+   */
+  function splitLabel(label) {
+    const s = String(label || '');
+    const i = s.indexOf(' - ');
+    return { start: parseInt(s, 10), series: i > 0 ? s.slice(i + 3) : s };
+  }
+
+  function groupHeader() {
+    if (lastConferitori) return 'Media campioni caseificio';
+    return lastIsRegione ? 'Mediana regionale' : 'Mediana gruppo';
+  }
+
+  /**
+   * Righe del grafico KPI: una per lattazione e mese con almeno un valore.
+   */
+  function kpiRows() {
+    const chart = chartIn('kpiChartHost');
+    if (!chart) return [];
+    if (!isFarmPage()) return seriesRows(chart);
+    const out = [];
+    const center = groupHeader();
+    chart.data.datasets.filter(ds => ds._type === 'kpi').forEach(ds => {
+      const med = chart.data.datasets.find(d => d._type === 'median' && d._lacStart === ds._lacStart);
+      LAC_MONTHS_IT.forEach((label, pos) => {
+        const azi = ds.data[pos];
+        const mid = med ? med.data[pos] : null;
+        if (azi == null && mid == null) return;
+        out.push(Object.assign(context(lacLabel(ds._lacStart)), {
+          'Mese': label,
+          'Anno-mese': lacYearMonth(ds._lacStart, pos),
+          'Valore azienda': num(azi),
+          [center]: num(mid),
+          'n': med && med._n ? med._n[pos] : null
+        }));
+      });
+    });
+    return out;
+  }
+
+  /**
+   * Righe di un grafico a lattazioni della pagina trasformatore: una per lattazione e mese con almeno un valore,
+   * una colonna per serie (caseificio, media del gruppo, mediana regionale...).
+   * @param {Chart} chart grafico con etichette "lattazione - serie"
+   */
+  function seriesRows(chart) {
+    const byLac = new Map();   // inizio lattazione -> serie
+    chart.data.datasets.forEach(ds => {
+      const lab = splitLabel(ds.label);
+      if (!Number.isFinite(lab.start)) return;
+      if (!byLac.has(lab.start)) byLac.set(lab.start, []);
+      byLac.get(lab.start).push({ name: lab.series, data: ds.data || [] });
+    });
+    const out = [];
+    Array.from(byLac.keys()).sort((a, b) => a - b).forEach(start => {
+      const series = byLac.get(start);
+      (chart.data.labels || []).forEach((label, pos) => {
+        if (!series.some(s => s.data[pos] != null)) return;
+        const row = Object.assign(context(lacLabel(start)), { 'Mese': label, 'Anno-mese': lacYearMonth(start, pos) });
+        series.forEach(s => { row[s.name] = num(s.data[pos]); });
+        out.push(row);
+      });
+    });
+    return out;
+  }
+
+  /**
+   * Righe del grafico PR: una per lattazione e mese con PR.
+   */
+  function prRows() {
+    const chart = chartIn('prChartHost');
+    if (!chart) return [];
+    const out = [];
+    chart.data.datasets.forEach(ds => {
+      LAC_MONTHS_IT.forEach((label, pos) => {
+        if (ds.data[pos] == null) return;
+        out.push(Object.assign(context(lacLabel(ds._lacStart)), {
+          'Mese': label,
+          'Anno-mese': lacYearMonth(ds._lacStart, pos),
+          'PR': ds.data[pos]
+        }));
+      });
+    });
+    return out;
+  }
+
+  /**
+   * Righe dell'istogramma: una per classe, con la classe che contiene il valore dell'azienda.
+   */
+  function histRows() {
+    const chart = chartIn('histChartHost');
+    if (!chart) return [];
+    const bins = chart.data.datasets[0].data || [];
+    const azi = (chart.data.datasets[1] && chart.data.datasets[1].data[0]) || null;
+    const v = azi ? (azi.aziValue != null ? azi.aziValue : azi.caseificioValue) : null;
+    const who = subject().label.toLowerCase();
+    // classe dell'azienda: [from, to[, l'ultima chiusa; i valori fuori scala vanno nella classe estrema
+    let hit = -1;
+    if (v != null && bins.length) {
+      hit = bins.findIndex((b, i) => v >= b.from && (v < b.to || i === bins.length - 1));
+      if (hit < 0) hit = v < bins[0].from ? 0 : bins.length - 1;
+    }
+    const periodo = selectedText('distPreset');
+    let countHeader;
+    if (isFarmPage()) {
+      countHeader = lastConferitori && !lastGroupDist ? 'Campioni' : usesDistributions() ? 'Aziende (stima)' : 'Aziende';
+    } else {
+      const mode = byId('benchmarkType') ? byId('benchmarkType').value : '';
+      countHeader = mode === 'intraCaseificio' ? 'Campioni' : mode === 'regione' ? 'Aziende (stima)' : 'Aziende';
+    }
+    // PR del caseificio: solo nel badge della pagina trasformatore
+    const badge = byId('posBadge') ? parseInt(byId('posBadge').textContent, 10) : NaN;
+    const pr = azi && azi.pr != null ? azi.pr : (!isFarmPage() && Number.isFinite(badge) ? badge : null);
+    return bins.map((b, i) => Object.assign(context(periodo), {
+      'Classe da': num(b.from),
+      'Classe a': num(b.to),
+      'Frequenza %': b.y,
+      [countHeader]: b.count,
+      ['Classe ' + who]: i === hit ? YES : '',
+      ['Valore ' + who]: num(v),
+      ['PR ' + who]: pr
+    }));
+  }
+
+  /**
+   * Righe della vista Performance: campioni giornalieri delle lattazioni selezionate
+   * (pagina trasformatore: tankRows).
+   */
+  function mieiRows() {
+    const chart = chartIn('mieiChartHost');
+    if (!chart) return [];
+    if (!isFarmPage()) return tankRows(chart);
+    const out = [];
+    chart.data.datasets.forEach(ds => {
+      (ds.data || []).forEach(p => {
+        const d = new Date(p.date);
+        out.push(Object.assign(context('Lattazione ' + ds.label, true), {
+          'Data': String(d.getDate()).padStart(2, '0') + '/' + String(d.getMonth() + 1).padStart(2, '0') + '/' + d.getFullYear(),
+          'Valore': num(p.y),
+          'Rianalisi': p.reanalysis || '',
+          'Nuovo': p.fresh ? YES : ''
+        }));
+      });
+    });
+    return out;
+  }
+
+  /**
+   * Righe della vista Performance del trasformatore: valore mensile della cisterna per lattazione e,
+   * per la lattazione con la banda, P10 e P90 dei campioni conferitori.
+   * @param {Chart} chart grafico di performanceTrasformatore.js
+   */
+  function tankRows(chart) {
+    const low = chart.data.datasets.find(ds => ds._band === 'low');
+    const high = chart.data.datasets.find(ds => ds._band === 'high');
+    const bandStart = high ? parseInt((String(high.label).match(/(\d{4})-\d{2}\b/) || [])[1], 10) : NaN;
+    const out = [];
+    chart.data.datasets.filter(ds => !ds._band).forEach(ds => {
+      const start = parseInt(ds.label, 10);
+      if (!Number.isFinite(start)) return;
+      const band = start === bandStart;
+      (chart.data.labels || []).forEach((label, pos) => {
+        const v = (ds.data || [])[pos];
+        if (v == null) return;
+        const row = Object.assign(context(lacLabel(start), true), {
+          'Mese': label,
+          'Anno-mese': lacYearMonth(start, pos),
+          'Valore cisterna': num(v)
+        });
+        if (band) {
+          row['Conferitori P10'] = num(low ? low.data[pos] : null);
+          row['Conferitori P90'] = num(high.data[pos]);
+        }
+        out.push(row);
+      });
+    });
+    return out;
+  }
+
+  /**
+   * Tabella dei dati di un grafico: intestazioni (unione delle chiavi) e righe di valori.
+   * @param {'kpi'|'pr'|'hist'|'miei'} name grafico
+   * @returns {{headers:string[], rows:Array<Array<string|number|null>>}}
+   */
+  function table(name) {
+    const def = CHARTS[name];
+    const objs = def ? def.rows() : [];
+    const headers = [];
+    objs.forEach(o => Object.keys(o).forEach(k => { if (!headers.includes(k)) headers.push(k); }));
+    return { headers, rows: objs.map(o => headers.map(h => (o[h] === undefined ? null : o[h]))) };
+  }
+
+  // ---------- CSV ----------
+
+  function csvCell(v) {
+    if (v == null) return '';
+    const s = typeof v === 'number' ? String(v).replace('.', ',') : String(v);
+    return /[";\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  }
+
+  /**
+   * CSV del grafico (';' e virgola decimale, BOM per Excel).
+   * @returns {string}
+   */
+  function csv(name) {
+    const t = table(name);
+    const lines = [t.headers].concat(t.rows).map(r => r.map(csvCell).join(';'));
+    return '\ufeff' + lines.join('\r\n') + '\r\n';
+  }
+
+  // ---------- XLSX ----------
+
+  const CRC_TABLE = (() => {
+    const out = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      out[n] = c >>> 0;
+    }
+    return out;
+  })();
+
+  function crc32(bytes) {
+    let c = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Archivio zip senza compressione (metodo "stored").
+   * @param {Array<{name:string, text:string}>} files
+   * @returns {Uint8Array}
+   */
+  function zip(files) {
+    const enc = new TextEncoder();
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(f => {
+      const name = enc.encode(f.name);
+      const data = enc.encode(f.text);
+      const crc = crc32(data);
+      const head = new DataView(new ArrayBuffer(30));
+      head.setUint32(0, 0x04034b50, true);
+      head.setUint16(4, 20, true);
+      head.setUint16(6, 0x0800, true);    // nomi UTF-8
+      head.setUint16(8, 0, true);         // stored
+      head.setUint16(10, time, true);
+      head.setUint16(12, date, true);
+      head.setUint32(14, crc, true);
+      head.setUint32(18, data.length, true);
+      head.setUint32(22, data.length, true);
+      head.setUint16(26, name.length, true);
+      head.setUint16(28, 0, true);
+      parts.push(new Uint8Array(head.buffer), name, data);
+
+      const dir = new DataView(new ArrayBuffer(46));
+      dir.setUint32(0, 0x02014b50, true);
+      dir.setUint16(4, 20, true);
+      dir.setUint16(6, 20, true);
+      dir.setUint16(8, 0x0800, true);
+      dir.setUint16(10, 0, true);
+      dir.setUint16(12, time, true);
+      dir.setUint16(14, date, true);
+      dir.setUint32(16, crc, true);
+      dir.setUint32(20, data.length, true);
+      dir.setUint32(24, data.length, true);
+      dir.setUint16(28, name.length, true);
+      dir.setUint32(42, offset, true);
+      central.push(new Uint8Array(dir.buffer), name);
+      offset += 30 + name.length + data.length;
+    });
+
+    const dirSize = central.reduce((s, p) => s + p.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, dirSize, true);
+    end.setUint32(16, offset, true);
+
+    const all = parts.concat(central, [new Uint8Array(end.buffer)]);
+    const out = new Uint8Array(all.reduce((s, p) => s + p.length, 0));
+    let pos = 0;
+    all.forEach(p => { out.set(p, pos); pos += p.length; });
+    return out;
+  }
+
+  function xmlText(s) {
+    return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Lettera di colonna Excel (0 -> A, 26 -> AA).
+   */
+  function colName(i) {
+    let s = '';
+    for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+    return s;
+  }
+
+  /**
+   * Cartella XLSX del grafico: un foglio "Dati", numeri come numeri.
+   * @returns {Uint8Array}
+   */
+  function xlsx(name) {
+    const t = table(name);
+    const rowXml = (cells, r) => '<row r="' + r + '">' + cells.map((v, c) => {
+      const ref = colName(c) + r;
+      if (v == null || v === '') return '';
+      if (typeof v === 'number') return '<c r="' + ref + '"><v>' + v + '</v></c>';
+      return '<c r="' + ref + '" t="inlineStr"><is><t>' + xmlText(v) + '</t></is></c>';
+    }).join('') + '</row>';
+    const sheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+      [t.headers].concat(t.rows).map((cells, i) => rowXml(cells, i + 1)).join('') +
+      '</sheetData></worksheet>';
+
+    return zip([
+      { name: '[Content_Types].xml', text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>' },
+      { name: '_rels/.rels', text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>' },
+      { name: 'xl/workbook.xml', text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        '<sheets><sheet name="Dati" sheetId="1" r:id="rId1"/></sheets></workbook>' },
+      { name: 'xl/_rels/workbook.xml.rels', text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>' },
+      { name: 'xl/worksheets/sheet1.xml', text: sheet }
+    ]);
+  }
+
+  // ---------- download ----------
+
+  /**
+   * Nome del file: grafico, azienda (o caseificio), KPI e data di oggi.
+   */
+  function fileName(name, ext) {
+    const slug = s => String(s || '').trim().replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    const today = new Date().toISOString().slice(0, 10);
+    return [CHARTS[name].file, slug(subject().name), slug(currentKpi()), today].filter(Boolean).join('_') + '.' + ext;
+  }
+
+  /**
+   * Scarica i dati di un grafico.
+   * @param {'kpi'|'pr'|'hist'|'miei'} name grafico
+   * @param {'csv'|'xlsx'} format formato
+   * @returns {boolean} false se il grafico non ha dati
+   */
+  function download(name, format) {
+    if (!table(name).rows.length) {
+      console.warn('[export] nessun dato da esportare per il grafico "' + name + '"');
+      return false;
+    }
+    const blob = format === 'xlsx'
+      ? new Blob([xlsx(name)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
+      : new Blob([csv(name)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName(name, format);
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    return true;
+  }
+
+  /**
+   * Bottoni CSV / XLSX sotto ogni grafico presente nella pagina.
+   */
+  function bind() {
+    Object.keys(CHARTS).forEach(name => {
+      const host = document.getElementById(CHARTS[name].host);
+      if (!host || host.nextElementSibling?.classList.contains('chart-export')) return;
+      const bar = document.createElement('div');
+      bar.className = 'chart-export';
+      bar.dataset.chart = name;
+      ['csv', 'xlsx'].forEach(format => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'select compact';
+        btn.textContent = format.toUpperCase();
+        btn.title = 'Esporta i dati del grafico (' + format.toUpperCase() + ')';
+        btn.addEventListener('click', () => download(name, format));
+        bar.appendChild(btn);
+      });
+      host.insertAdjacentElement('afterend', bar);
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bind);
+  } else {
+    bind();
+  }
+
+  window.CHART_EXPORT = { table, csv, xlsx, download };
+})();
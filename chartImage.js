@@ -0,0 +1,393 @@
+// chartImage.js - esportazione PNG / SVG dei grafici con legenda e filtri
+// COSA FA (alto livello)
+// - Accanto a ogni grafico (KPI, PR, istogramma, Performance) aggiunge i bottoni "PNG" e "SVG" che scaricano
+//   un'immagine pronta da condividere (messaggi, presentazioni), composta da:
+//   - titolo: KPI con unita' e nome del grafico;
+//   - didascalia: azienda (o caseificio nella pagina trasformatore), confronto e provincia, periodo,
+//     numerosita' del gruppo e, per l'istogramma, il percentile di #posBadge;
+//   - legenda: la stessa delle card (linee piena/tratteggiata di ensureKpiStyleLegend, pallini delle lattazioni),
+//     oppure le serie del grafico se la card non ha una legenda propria;
+//   - il grafico Chart.js com'e' disegnato.
+// - PNG: disegno su un canvas fuori schermo (scala 2x). SVG: testi e legenda vettoriali, il grafico come immagine.
+// - I valori si leggono dai controlli della pagina (stessi id nelle due pagine): il modulo non dipende dalla vista.
+// - Espone API su window.CHART_IMAGE: compose, png, svg, download.
+//
+// DIPENDENZE
+// - Chart.js (istanze nei contenitori), KPI_REGISTRY. Bottoni nella barra .chart-export di chartExport.js
+//   se presente, altrimenti in una barra propria sotto il grafico.
+// - UI: #kpiChartHost, #prChartHost, #histChartHost, #mieiChartHost; #indicatore, #aziendaSelect, #benchmarkType,
+//   #provinciaFilter, #distPreset, #posBadge, #benchmarkCount, #groupNote, .role-label.
+(function () {
+  const CHARTS = {
+    kpiChartHost:  { file: 'grafico_kpi',         name: 'Valori mensili' },
+    prChartHost:   { file: 'grafico_pr',          name: 'Posizionamento percentile (PR)' },
+    histChartHost: { file: 'grafico_istogramma',  name: 'Distribuzione del gruppo' },
+    mieiChartHost: { file: 'grafico_performance', name: 'Campioni' }
+  };
+  const SCALE = 2;             // risoluzione del PNG rispetto ai pixel CSS
+  const PAD = 16;
+  const FONT = 'system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif';
+  const TEXT_COLOR = '#0f172a';
+  const MUTED = '#475569';
+  const LEGEND_LINE = '#334155';
+
+  let measureCtx = null;
+
+  /**
+   * Larghezza di un testo in px (stima se il canvas non e' disponibile).
+   */
+  function textWidth(text, size, bold) {
+    if (!measureCtx) measureCtx = document.createElement('canvas').getContext('2d');
+    if (measureCtx && typeof measureCtx.measureText === 'function') {
+      measureCtx.font = (bold ? '600 ' : '') + size + 'px ' + FONT;
+      const w = measureCtx.measureText(text).width;
+      if (w > 0) return w;
+    }
+    return text.length * size * 0.55;
+  }
+
+  function byId(id) { return document.getElementById(id); }
+
+  function selectedText(id) {
+    const sel = byId(id);
+    return sel && sel.selectedIndex >= 0 ? sel.options[sel.selectedIndex].textContent.trim() : '';
+  }
+
+  function text(id) {
+    const el = byId(id);
+    return el && !el.hidden ? el.textContent.trim() : '';
+  }
+
+  function chartIn(hostId) {
+    const canvas = document.querySelector('#' + hostId + ' canvas');
+    return canvas && window.Chart ? Chart.getChart(canvas) : null;
+  }
+
+  /**
+   * Etichette delle lattazioni spuntate nella card del grafico.
+   */
+  function checkedLactations(card) {
+    return Array.from(card ? card.querySelectorAll('.year-boxes input[type="checkbox"]:checked') : [])
+      .filter(cb => !cb.disabled && cb.closest('label'))
+      .map(cb => cb.closest('label').textContent.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Righe di testo sopra il grafico: titolo e didascalia con i filtri correnti.
+   * @returns {{title:string, lines:string[]}}
+   */
+  function caption(hostId) {
+    const host = byId(hostId);
+    const card = host ? host.closest('.card') : null;
+    const kpi = byId('indicatore') ? byId('indicatore').value : '';
+    const unit = kpi ? KPI_REGISTRY.unitOf(kpi) : '';
+    const title = (kpi ? KPI_REGISTRY.labelOf(kpi) + (unit ? ' (' + unit + ')' : '') + ' \u00b7 ' : '') + CHARTS[hostId].name;
+
+    const role = document.querySelector('.role-label');
+    const who = selectedText('aziendaSelect') || (window.state && window.state.azienda) || '';
+    const lines = [];
+    if (who) lines.push((role && /trasformatore/i.test(role.textContent) ? 'Caseificio: ' : 'Azienda: ') + who);
+
+    if (hostId === 'mieiChartHost') {
+      lines.push('Vista Performance \u00b7 Periodo: ' + (checkedLactations(card).join(', ') || '\u2013'));
+      return { title, lines };
+    }
+
+    const filters = [];
+    if (byId('benchmarkType')) filters.push('Confronto: ' + selectedText('benchmarkType'));
+    if (byId('provinciaFilter')) filters.push('Provincia: ' + (byId('provinciaFilter').value === 'tutte' ? 'tutte' : selectedText('provinciaFilter')));
+    const period = hostId === 'histChartHost' ? selectedText('distPreset') : checkedLactations(card).join(', ');
+    filters.push('Periodo: ' + (period || '\u2013'));
+    lines.push(filters.join(' \u00b7 '));
+
+    const group = [text('benchmarkCount'), text('groupNote')].filter(Boolean).join(' \u00b7 ');
+    if (group) lines.push(group);
+    if (hostId === 'histChartHost' && text('posBadge')) lines.push('Posizione: ' + text('posBadge'));
+    return { title, lines };
+  }
+
+  /**
+   * Colore di una serie: le opzioni scriptable (es. barre dell'istogramma colorate solo se piene)
+   * si valutano sul primo punto con campioni.
+   */
+  function resolveColor(c, ds, chart) {
+    if (typeof c !== 'function') return c;
+    try {
+      const raw = (ds.data || []).find(d => d && d.count > 0) || ds.data[0];
+      return c({ raw, dataset: ds, chart, type: 'data' });
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Trattino della linea: [] piena, true tratteggiata, 'dotted' punteggiata.
+   */
+  function lineDash(dashed) {
+    return dashed === 'dotted' ? [2, 3] : dashed ? [6, 4] : [];
+  }
+
+  /**
+   * True se l'elemento o un suo antenato e' nascosto (display:none o hidden), fino alla card.
+   */
+  function isHidden(el) {
+    for (let n = el; n && !n.classList.contains('card'); n = n.parentElement) {
+      if (n.hidden || n.style.display === 'none') return true;
+    }
+    return false;
+  }
+
+  /**
+   * Voci di legenda: linee visibili della legenda HTML della card (solo grafico KPI), pallini delle lattazioni
+   * spuntate, altrimenti le serie visibili del grafico.
+   * @returns {Array<{kind:'line'|'dot'|'box', color:string, dashed:boolean|'dotted', text:string}>}
+   */
+  function legendItems(hostId, chart) {
+    const host = byId(hostId);
+    const card = host ? host.closest('.card') : null;
+    const items = [];
+
+    if (card && hostId === 'kpiChartHost') {
+      card.querySelectorAll('.head span, .subhead span').forEach(span => {
+        const border = span.style.borderTop || '';
+        const style = (border.match(/solid|dashed|dotted/) || [])[0];
+        if (!style || !span.nextElementSibling || isHidden(span)) return;
+        items.push({ kind: 'line', color: LEGEND_LINE, dashed: style === 'dotted' ? 'dotted' : style === 'dashed',
+          text: span.nextElementSibling.textContent.trim() });
+      });
+    }
+
+    if (card && hostId !== 'histChartHost') {
+      card.querySelectorAll('.year-boxes input[type="checkbox"]:checked').forEach(cb => {
+        const label = cb.closest('label');
+        const dot = label && Array.from(label.querySelectorAll('span')).find(s => s.style.borderRadius === '999px');
+        if (!dot || cb.disabled) return;
+        items.push({ kind: 'dot', color: dot.style.backgroundColor || dot.style.background || MUTED, dashed: false, text: label.textContent.trim() });
+      });
+    }
+
+    if (!items.length && chart) {
+      chart.data.datasets.forEach((ds, i) => {
+        if (!ds.label || !chart.isDatasetVisible(i) || !(ds.data || []).length) return;
+        const color = [ds.borderColor, ds.backgroundColor].map(c => resolveColor(c, ds, chart))
+          .find(c => typeof c === 'string' && c !== 'transparent') || MUTED;
+        items.push({
+          kind: (ds.type === 'scatter' || (chart.config.type === 'bar' && !ds.type)) ? 'box' : 'line',
+          color,
+          dashed: Array.isArray(ds.borderDash) && ds.borderDash.length > 0,
+          text: ds.label
+        });
+      });
+    }
+    return items;
+  }
+
+  /**
+   * Impaginazione dell'immagine in px CSS: testi, voci di legenda (a capo se non entrano) e area del grafico.
+   * @param {string} hostId contenitore del grafico
+   * @returns {Object|null} layout {width, height, texts, legend, chart:{x,y,w,h}, source} o null se manca il grafico
+   */
+  function compose(hostId) {
+    const chart = chartIn(hostId);
+    if (!chart || !CHARTS[hostId]) return null;
+    const cw = Math.round(chart.width || chart.canvas.clientWidth || 600);
+    const ch = Math.round(chart.height || chart.canvas.clientHeight || 300);
+    const width = Math.max(480, cw + 2 * PAD);
+    const cap = caption(hostId);
+    const texts = [];
+    let y = PAD;
+
+    texts.push({ x: PAD, y: y + 16, text: cap.title, size: 16, bold: true, color: TEXT_COLOR });
+    y += 24;
+    cap.lines.forEach(line => {
+      texts.push({ x: PAD, y: y + 13, text: line, size: 13, bold: false, color: MUTED });
+      y += 19;
+    });
+
+    const legend = [];
+    const items = legendItems(hostId, chart);
+    if (items.length) {
+      y += 6;
+      let x = PAD;
+      items.forEach(it => {
+        const sw = it.kind === 'line' ? 28 : 10;
+        const w = sw + 6 + textWidth(it.text, 13, false);
+        if (x > PAD && x + w > width - PAD) { x = PAD; y += 20; }
+        legend.push(Object.assign({ x, y: y + 8, swatch: sw }, it));
+        x += w + 16;
+      });
+      y += 20;
+    }
+
+    y += 8;
+    const area = { x: PAD, y, w: cw, h: ch };
+    y += ch + PAD;
+
+    return { width, height: y, texts, legend, chart: area, source: chart };
+  }
+
+  /**
+   * Immagine PNG (data URL) del grafico con legenda e didascalia.
+   * @returns {string|null}
+   */
+  function png(hostId) {
+    const lay = compose(hostId);
+    if (!lay) return null;
+    const canvas = document.createElement('canvas');
+    canvas.width = lay.width * SCALE;
+    canvas.height = lay.height * SCALE;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(SCALE, SCALE);
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, lay.width, lay.height);
+
+    lay.texts.forEach(t => {
+      ctx.font = (t.bold ? '600 ' : '') + t.size + 'px ' + FONT;
+      ctx.fillStyle = t.color;
+      ctx.fillText(t.text, t.x, t.y);
+    });
+
+    lay.legend.forEach(it => {
+      ctx.fillStyle = it.color;
+      ctx.strokeStyle = it.color;
+      if (it.kind === 'line') {
+        ctx.lineWidth = 2;
+        ctx.setLineDash(lineDash(it.dashed));
+        ctx.beginPath();
+        ctx.moveTo(it.x, it.y);
+        ctx.lineTo(it.x + it.swatch, it.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      } else if (it.kind === 'dot') {
+        ctx.beginPath();
+        ctx.arc(it.x + 5, it.y, 5, 0, Math.PI * 2);
+        ctx.fill();
+      } else {
+        ctx.fillRect(it.x, it.y - 5, 10, 10);
+      }
+      ctx.font = '13px ' + FONT;
+      ctx.fillStyle = TEXT_COLOR;
+      ctx.fillText(it.text, it.x + it.swatch + 6, it.y + 4);
+    });
+
+    ctx.drawImage(lay.source.canvas, lay.chart.x, lay.chart.y, lay.chart.w, lay.chart.h);
+    return canvas.toDataURL('image/png');
+  }
+
+  function xmlText(s) {
+    return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Immagine SVG (testo) del grafico: didascalia e legenda vettoriali, grafico incorporato come PNG.
+   * @returns {string|null}
+   */
+  function svg(hostId) {
+    const lay = compose(hostId);
+    if (!lay) return null;
+    const out = [
+      '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="' + lay.width +
+        '" height="' + lay.height + '" viewBox="0 0 ' + lay.width + ' ' + lay.height + '" font-family="' + xmlText(FONT) + '">',
+      '<rect width="100%" height="100%" fill="#fff"/>'
+    ];
+    lay.texts.forEach(t => {
+      out.push('<text x="' + t.x + '" y="' + t.y + '" font-size="' + t.size + '"' + (t.bold ? ' font-weight="600"' : '') +
+        ' fill="' + t.color + '">' + xmlText(t.text) + '</text>');
+    });
+    lay.legend.forEach(it => {
+      if (it.kind === 'line') {
+        out.push('<line x1="' + it.x + '" y1="' + it.y + '" x2="' + (it.x + it.swatch) + '" y2="' + it.y + '" stroke="' + it.color +
+          '" stroke-width="2"' + (it.dashed ? ' stroke-dasharray="' + lineDash(it.dashed).join(' ') + '"' : '') + '/>');
+      } else if (it.kind === 'dot') {
+        out.push('<circle cx="' + (it.x + 5) + '" cy="' + it.y + '" r="5" fill="' + it.color + '"/>');
+      } else {
+        out.push('<rect x="' + it.x + '" y="' + (it.y - 5) + '" width="10" height="10" fill="' + it.color + '"/>');
+      }
+      out.push('<text x="' + (it.x + it.swatch + 6) + '" y="' + (it.y + 4) + '" font-size="13" fill="' + TEXT_COLOR + '">' + xmlText(it.text) + '</text>');
+    });
+    const c = lay.chart;
+    const src = lay.source.toBase64Image();
+    out.push('<image x="' + c.x + '" y="' + c.y + '" width="' + c.w + '" height="' + c.h + '" href="' + src + '" xlink:href="' + src + '"/>');
+    out.push('</svg>');
+    return out.join('\n');
+  }
+
+  /**
+   * Nome del file: grafico, azienda/caseificio, KPI e data di oggi.
+   */
+  function fileName(hostId, ext) {
+    const slug = s => String(s || '').trim().replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    const who = selectedText('aziendaSelect') || (window.state && window.state.azienda) || '';
+    const kpi = byId('indicatore') ? byId('indicatore').value : '';
+    const today = new Date().toISOString().slice(0, 10);
+    return [CHARTS[hostId].file, slug(who), slug(kpi), today].filter(Boolean).join('_') + '.' + ext;
+  }
+
+  /**
+   * Scarica l'immagine di un grafico.
+   * @param {string} hostId contenitore del grafico (es. 'prChartHost')
+   * @param {'png'|'svg'} format formato
+   * @returns {boolean} false se il grafico non e' disegnato
+   */
+  function download(hostId, format) {
+    let href = null;
+    let revoke = false;
+    if (format === 'svg') {
+      const doc = svg(hostId);
+      if (doc) {
+        href = URL.createObjectURL(new Blob([doc], { type: 'image/svg+xml;charset=utf-8' }));
+        revoke = true;
+      }
+    } else {
+      href = png(hostId);
+    }
+    if (!href) {
+      console.warn('[immagine] nessun grafico disegnato in #' + hostId);
+      return false;
+    }
+    const a = document.createElement('a');
+    a.href = href;
+    a.download = fileName(hostId, format);
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    if (revoke) setTimeout(() => URL.revokeObjectURL(href), 0);
+    return true;
+  }
+
+  /**
+   * Bottoni PNG / SVG nella barra sotto ogni grafico presente nella pagina.
+   */
+  function bind() {
+    Object.keys(CHARTS).forEach(hostId => {
+      const host = byId(hostId);
+      if (!host) return;
+      let bar = host.nextElementSibling;
+      if (!bar || !bar.classList.contains('chart-export')) {
+        bar = document.createElement('div');
+        bar.className = 'chart-export';
+        host.insertAdjacentElement('afterend', bar);
+      }
+      if (bar.querySelector('[data-image]')) return;
+      ['png', 'svg'].forEach(format => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'select compact';
+        btn.dataset.image = format;
+        btn.textContent = format.toUpperCase();
+        btn.title = 'Scarica il grafico come immagine (' + format.toUpperCase() + ')';
+        btn.addEventListener('click', () => download(hostId, format));
+        bar.appendChild(btn);
+      });
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bind);
+  } else {
+    bind();
+  }
+
+  window.CHART_IMAGE = { compose, png, svg, download };
+})();
@@ -0,0 +1,515 @@
+// conferentiList.js - scheda "Lista conferenti" del trasformatore: classifica dei conferitori del caseificio
+// COSA FA (alto livello)
+// - Per il caseificio selezionato legge i campioni conferitori dal registro Caseifici e, per ogni conferitore:
+//   - ultimo campione di ogni KPI (valore e data);
+//   - media della lattazione in corso (ottobre-settembre, la piu' recente nei dati), geometrica per i KPI log;
+//   - tendenza: media degli ultimi campioni contro quella dei campioni precedenti (fino a 3 + 3);
+//   - PR nel caseificio: percentile della media di lattazione tra i conferitori;
+//   - conformita' di legge: media mobile dei KPI con limite (finestra e limite dal registro KPI), con lo
+//     stesso giudizio ok/attenzione/fuori limite del grafico Performance (KPI_REGISTRY.statusOf).
+// - Classe di qualita' dalla conformita': A tutti i KPI di legge conformi, B almeno uno in attenzione,
+//   C almeno uno fuori limite.
+// - Lista ordinata per il KPI scelto (migliori in alto, tenendo conto del verso del KPI; per l'urea conta la
+//   fascia ottimale), con ricerca per nome e filtri per provincia e classe.
+// - Click su una riga: dettaglio del conferitore con tutti i KPI, le medie di legge e il collegamento ai suoi
+//   campioni nella scheda Storico (sampleHistory.js).
+// - Espone API su window.CONFERENTI_LIST: stats, render, showDetail.
+//
+// FLUSSO
+// - click "Lista conferenti" -> SUB_TABS.show('conferenti') -> render(); cambio caseificio e
+//   "caseificio:loaded" ridisegnano la scheda se e' aperta.
+//
+// DIPENDENZE
+// - Caseifici (loaderCaseificio.js): campioni conferitori {Azienda, Provincia, Data, Anno, Mese, KPI, Valore}.
+// - KPI_REGISTRY (kpiRegistry.js) per etichette, verso, scala log, limiti di legge e soglie; DATA_FIELDS
+//   (kpiRegistry.js) per le etichette delle lattazioni.
+// - MONTHLY_MEANS (monthlyMeans.js) per le medie aritmetiche e geometriche.
+// - subTabs.js (SUB_TABS); sampleHistory.js (SAMPLE_HISTORY) opzionale per il collegamento allo Storico.
+// - UI: contenitore #view-conferenti, #aziendaSelect (il testo dell'option e' il caseificio); stili .conferenti-*.
+(function () {
+  const TREND_SAMPLES = 3;        // campioni per lato nel confronto della tendenza
+  const TREND_THRESHOLD = 0.05;   // variazione relativa sotto la quale la tendenza e' stabile
+  const CLASS_BY_STATUS = { ok: 'A', warn: 'B', ko: 'C' };
+  const STATUS_TEXT = { ok: 'Conforme', warn: 'Attenzione', ko: 'Fuori limite' };
+  const TREND_ARROW = { up: '\u2191', down: '\u2193', flat: '\u2192' };
+
+  const byId = id => document.getElementById(id);
+  const isOpen = () => window.SUB_TABS.current() === 'conferenti';
+
+  // stato dei controlli della lista (sopravvive al cambio di scheda)
+  const ui = { kpi: null, search: '', provincia: '', classe: '', detail: null };
+
+  /**
+   * Crea un elemento con classe e testo.
+   */
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  /**
+   * Caseificio selezionato: testo dell'option di #aziendaSelect.
+   */
+  function caseificioName() {
+    const sel = byId('aziendaSelect');
+    if (!sel || sel.selectedIndex < 0) return null;
+    return sel.options[sel.selectedIndex].textContent.trim() || null;
+  }
+
+  /**
+   * Data "yyyy-mm-dd" -> "dd/mm/yyyy".
+   */
+  function formatDate(iso) {
+    const [y, m, d] = String(iso || '').split('-');
+    return d && m ? d + '/' + m + '/' + y : '';
+  }
+
+  /**
+   * Data del campione "yyyy-mm-dd" (campo Data, altrimenti primo giorno di Anno/Mese).
+   */
+  function isoDate(r) {
+    const s = String(r.Data || '').slice(0, 10);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
+    const y = Number(r.Anno), m = Number(r.Mese);
+    if (Number.isFinite(y) && m >= 1 && m <= 12) return y + '-' + String(m).padStart(2, '0') + '-01';
+    return null;
+  }
+
+  /**
+   * Indice progressivo del mese (anno * 12 + mese 0..11) di una data "yyyy-mm-dd".
+   */
+  function monthIndex(iso) {
+    return Number(iso.slice(0, 4)) * 12 + Number(iso.slice(5, 7)) - 1;
+  }
+
+  /**
+   * Anno di inizio della lattazione (ottobre-settembre) di una data "yyyy-mm-dd".
+   */
+  function lactationStart(iso) {
+    const y = Number(iso.slice(0, 4));
+    return Number(iso.slice(5, 7)) >= 10 ? y : y - 1;
+  }
+
+  /**
+   * Media del KPI: geometrica per i KPI in scala log, aritmetica altrimenti.
+   */
+  function mean(k, values) {
+    return KPI_REGISTRY.isLog(k) ? MONTHLY_MEANS.aggGeometric(values) : MONTHLY_MEANS.arithmeticMean(values);
+  }
+
+  /**
+   * Percentile rank di un valore rispetto a un array numerico (stessa formula di benchmarkTrasformatore.js).
+   */
+  function percentileRank(arr, v) {
+    if (!arr.length || !Number.isFinite(v)) return null;
+    let count = 0;
+    let ties = 0;
+    for (const x of arr) {
+      if (x < v) count++;
+      else if (x === v) ties++;
+    }
+    return Math.round(((count + 0.5 * ties) / arr.length) * 100);
+  }
+
+  /**
+   * Tendenza dei campioni (ordinati per data): media degli ultimi contro media dei precedenti.
+   * @returns {'up'|'down'|'flat'|null} null con meno di 4 campioni
+   */
+  function trendOf(k, samples) {
+    const n = Math.min(TREND_SAMPLES, Math.floor(samples.length / 2));
+    if (n < 2) return null;
+    const recent = mean(k, samples.slice(-n).map(s => s.value));
+    const before = mean(k, samples.slice(-2 * n, -n).map(s => s.value));
+    if (recent == null || before == null || before === 0) return null;
+    const change = (recent - before) / Math.abs(before);
+    if (Math.abs(change) < TREND_THRESHOLD) return 'flat';
+    return change > 0 ? 'up' : 'down';
+  }
+
+  /**
+   * Giudizio della tendenza: per i KPI con fasce (urea) la direzione non e' ne' buona ne' cattiva.
+   * @returns {'good'|'bad'|null}
+   */
+  function trendQuality(k, trend) {
+    if (!trend || trend === 'flat' || KPI_REGISTRY.bandsOf(k)) return null;
+    return (trend === 'down') === KPI_REGISTRY.lowerIsBetter(k) ? 'good' : 'bad';
+  }
+
+  /**
+   * Media mobile di legge: campioni degli ultimi `window` mesi fino al mese dell'ultimo campione.
+   * @returns {{mean:number, status:string, from:string, to:string}|null}
+   */
+  function legalMean(k, samples) {
+    const legal = KPI_REGISTRY.legalOf(k);
+    if (!legal || !samples.length) return null;
+    const last = samples[samples.length - 1].date;
+    const first = monthIndex(last) - legal.window + 1;
+    const inWindow = samples.filter(s => monthIndex(s.date) >= first);
+    const m = mean(k, inWindow.map(s => s.value));
+    if (m == null) return null;
+    return { mean: m, status: KPI_REGISTRY.statusOf(k, m), from: inWindow[0].date, to: last };
+  }
+
+  /**
+   * Statistiche per conferitore dai campioni conferitori del caseificio.
+   * @param {Array<Object>} records campioni {Azienda, Provincia, Data, KPI, Valore}
+   * @returns {{list:Array<Object>, kpis:string[], lactation:number|null}}
+   */
+  function stats(records) {
+    const byAz = new Map();
+    const present = new Set();
+    let lastDate = null;
+
+    for (const r of records) {
+      const k = KPI_REGISTRY.get(r && r.KPI)?.key;
+      const az = String(r && r.Azienda || '').trim();
+      const date = k && az ? isoDate(r) : null;
+      const v = Number(r && r.Valore);
+      if (!date || r.Valore == null || !Number.isFinite(v)) continue;
+      let item = byAz.get(az);
+      if (!item) byAz.set(az, item = { azienda: az, provincia: '', samples: {} });
+      if (!item.provincia && r.Provincia) item.provincia = String(r.Provincia).trim();
+      (item.samples[k] || (item.samples[k] = [])).push({ date, value: v });
+      present.add(k);
+      if (!lastDate || date > lastDate) lastDate = date;
+    }
+
+    const kpis = KPI_REGISTRY.keys().filter(k => present.has(k));
+    const lactation = lastDate ? lactationStart(lastDate) : null;
+
+    const list = Array.from(byAz.values());
+    list.forEach(item => {
+      item.kpis = {};
+      item.legal = {};
+      kpis.forEach(k => {
+        const samples = (item.samples[k] || []).sort((a, b) => a.date.localeCompare(b.date));
+        if (!samples.length) return;
+        const last = samples[samples.length - 1];
+        const current = samples.filter(s => lactationStart(s.date) === lactation).map(s => s.value);
+        item.kpis[k] = { last: last.value, lastDate: last.date, lacMean: mean(k, current), trend: trendOf(k, samples), n: samples.length };
+        const legal = legalMean(k, samples);
+        if (legal) item.legal[k] = legal;
+      });
+      const statuses = Object.values(item.legal).map(l => l.status);
+      item.status = statuses.includes('ko') ? 'ko' : statuses.includes('warn') ? 'warn' : statuses.length ? 'ok' : null;
+      item.classe = item.status ? CLASS_BY_STATUS[item.status] : null;
+    });
+
+    // PR di ogni KPI rispetto alle medie di lattazione degli altri conferitori
+    kpis.forEach(k => {
+      const means = list.map(i => i.kpis[k]?.lacMean).filter(Number.isFinite);
+      list.forEach(i => {
+        const s = i.kpis[k];
+        if (s) s.pr = s.lacMean == null ? null : percentileRank(means, s.lacMean);
+      });
+    });
+
+    return { list, kpis, lactation };
+  }
+
+  /**
+   * Punteggio per la classifica sul KPI: PR orientato (100 = migliore); per i KPI con fasce conta prima la
+   * fascia della media (ottimale, attenzione, fuori) e poi la vicinanza alla mediana del caseificio.
+   */
+  function rankScore(k, s) {
+    if (!s || s.pr == null) return -Infinity;
+    if (KPI_REGISTRY.bandsOf(k)) {
+      const band = { ok: 200, warn: 100, ko: 0 }[KPI_REGISTRY.statusOf(k, s.lacMean)] || 0;
+      return band + 50 - Math.abs(s.pr - 50);
+    }
+    return KPI_REGISTRY.lowerIsBetter(k) ? 100 - s.pr : s.pr;
+  }
+
+  /**
+   * Campioni conferitori del caseificio selezionato; chiede il caricamento dei chunk mancanti.
+   * @returns {{records:Array<Object>, loading:boolean, failed:boolean}}
+   */
+  function sourceRecords() {
+    const dairy = window.Caseifici ? window.Caseifici.get(caseificioName()) : null;
+    if (!dairy) return { records: [], loading: !(window.Caseifici && window.Caseifici.isReady()), failed: false };
+    const missing = !dairy.hasLactations();
+    if (missing && !dairy.isLoading()) dairy.ensureLoaded(false, { tank: false }).catch(() => {});
+    const failed = dairy.failures().some(f => f.lattazione != null);
+    return { records: dairy.getAll(), loading: dairy.isLoading() || (missing && !failed), failed };
+  }
+
+  /**
+   * Testo "valore unita'" del KPI ('–' se manca).
+   */
+  function fmt(k, v) {
+    if (v == null) return '\u2013';
+    const unit = KPI_REGISTRY.unitOf(k);
+    return KPI_REGISTRY.format(k, v) + (unit ? ' ' + unit : '');
+  }
+
+  /**
+   * Cella con valore colorato secondo le soglie del KPI.
+   */
+  function valueCell(tr, k, v, extra) {
+    const td = tr.insertCell();
+    td.className = 'num';
+    td.textContent = fmt(k, v);
+    const status = v == null ? null : KPI_REGISTRY.statusOf(k, v);
+    if (status) td.classList.add(status);
+    if (extra) td.appendChild(el('div', 'conferenti-sub', extra));
+    return td;
+  }
+
+  /**
+   * Cella con la freccia della tendenza.
+   */
+  function trendCell(tr, k, trend) {
+    const td = tr.insertCell();
+    td.className = 'conferenti-trend';
+    if (!trend) { td.textContent = '\u2013'; return; }
+    td.textContent = TREND_ARROW[trend];
+    const q = trendQuality(k, trend);
+    if (q) td.classList.add(q);
+    td.title = trend === 'flat' ? 'Stabile' : trend === 'up' ? 'In aumento' : 'In diminuzione';
+  }
+
+  /**
+   * Badge della conformita' di legge (testo con le medie mobili nel title).
+   */
+  function statusBadge(item) {
+    const badge = el('span', 'conferenti-status' + (item.status ? ' ' + item.status : ''),
+      item.status ? STATUS_TEXT[item.status] : '\u2013');
+    badge.title = Object.keys(item.legal).map(k => {
+      const l = item.legal[k];
+      return KPI_REGISTRY.labelOf(k) + ': ' + fmt(k, l.mean) + ' (' + STATUS_TEXT[l.status] + ')';
+    }).join('\n');
+    return badge;
+  }
+
+  /**
+   * Select con le option (value, testo) e il valore corrente.
+   */
+  function select(className, options, value, onChange) {
+    const s = el('select', className);
+    options.forEach(([v, t]) => {
+      const o = el('option', null, t);
+      o.value = v;
+      s.appendChild(o);
+    });
+    s.value = value;
+    s.addEventListener('change', () => onChange(s.value));
+    return s;
+  }
+
+  /**
+   * Barra dei controlli della lista: ricerca, KPI della classifica, provincia, classe.
+   */
+  function toolbar(data) {
+    const bar = el('div', 'conferenti-bar');
+
+    const search = el('input', 'conferenti-search');
+    search.type = 'search';
+    search.placeholder = 'Cerca conferitore';
+    search.value = ui.search;
+    search.addEventListener('input', () => { ui.search = search.value; renderRows(); });
+    bar.appendChild(search);
+
+    const kpiLabel = el('label', null, 'Classifica per ');
+    kpiLabel.appendChild(select('conferenti-kpi', data.kpis.map(k => [k, KPI_REGISTRY.labelOf(k)]), ui.kpi,
+      v => { ui.kpi = v; render(); }));
+    bar.appendChild(kpiLabel);
+
+    const province = Array.from(new Set(data.list.map(i => i.provincia).filter(Boolean))).sort((a, b) => a.localeCompare(b, 'it'));
+    const provLabel = el('label', null, 'Provincia ');
+    provLabel.appendChild(select('conferenti-provincia', [['', 'Tutte']].concat(province.map(p => [p, p])), ui.provincia,
+      v => { ui.provincia = v; renderRows(); }));
+    bar.appendChild(provLabel);
+
+    const classLabel = el('label', null, 'Classe ');
+    classLabel.appendChild(select('conferenti-classe',
+      [['', 'Tutte'], ['A', 'A - conforme'], ['B', 'B - attenzione'], ['C', 'C - fuori limite']], ui.classe,
+      v => { ui.classe = v; renderRows(); }));
+    bar.appendChild(classLabel);
+
+    bar.appendChild(el('span', 'conferenti-count'));
+    return bar;
+  }
+
+  let current = null;   // ultime statistiche calcolate (lista e dettaglio)
+
+  /**
+   * Ridisegna le righe della lista con ricerca e filtri correnti (senza ricalcolare le statistiche).
+   */
+  function renderRows() {
+    const host = byId('view-conferenti');
+    const tbl = host && host.querySelector('.conferenti-table');
+    if (!tbl || !current) return;
+    const k = ui.kpi;
+    const needle = ui.search.trim().toLowerCase();
+
+    const ranked = current.list
+      .map(item => ({ item, score: rankScore(k, item.kpis[k]) }))
+      .sort((a, b) => b.score - a.score || a.item.azienda.localeCompare(b.item.azienda, 'it'))
+      .map((r, i) => Object.assign(r, { rank: r.score === -Infinity ? null : i + 1 }));
+    const shown = ranked.filter(({ item }) =>
+      (!needle || item.azienda.toLowerCase().includes(needle)) &&
+      (!ui.provincia || item.provincia === ui.provincia) &&
+      (!ui.classe || item.classe === ui.classe));
+
+    const body = document.createElement('tbody');
+    shown.forEach(({ item, rank }) => {
+      const s = item.kpis[k] || {};
+      const tr = body.insertRow();
+      tr.className = 'conferenti-row';
+      tr.title = 'Dettaglio di ' + item.azienda;
+      tr.addEventListener('click', () => showDetail(item.azienda));
+      tr.insertCell().textContent = rank == null ? '\u2013' : String(rank);
+      tr.insertCell().textContent = item.azienda;
+      tr.insertCell().textContent = item.provincia || '\u2013';
+      valueCell(tr, k, s.last, s.lastDate ? formatDate(s.lastDate) : null);
+      valueCell(tr, k, s.lacMean);
+      trendCell(tr, k, s.trend);
+      const pr = tr.insertCell();
+      pr.className = 'num';
+      pr.textContent = s.pr == null ? '\u2013' : s.pr + '\u00b0';
+      tr.insertCell().appendChild(statusBadge(item));
+      const cls = tr.insertCell();
+      cls.className = 'conferenti-class';
+      cls.textContent = item.classe || '\u2013';
+    });
+    if (!shown.length) {
+      const td = body.insertRow().insertCell();
+      td.colSpan = 9;
+      td.className = 'history-empty';
+      td.textContent = current.list.length ? 'Nessun conferitore corrisponde ai filtri.' : current.emptyText;
+    }
+    tbl.replaceChild(body, tbl.tBodies[0]);
+    host.querySelector('.conferenti-count').textContent = shown.length + ' di ' + current.list.length + ' conferitori';
+  }
+
+  /**
+   * Disegna la lista (statistiche, barra, intestazioni) o il dettaglio del conferitore scelto.
+   */
+  function render() {
+    if (!isOpen()) return;
+    const host = byId('view-conferenti');
+    if (!host) return;
+
+    const src = sourceRecords();
+    current = stats(src.records);
+    current.emptyText = src.loading ? 'Caricamento dati in corso...'
+      : src.failed ? 'Dati conferitori non disponibili: file non scaricati.' : 'Nessun conferitore con campioni.';
+    if (!current.kpis.includes(ui.kpi)) {
+      const sel = byId('indicatore')?.value;
+      ui.kpi = current.kpis.includes(sel) ? sel : (current.kpis.find(k => KPI_REGISTRY.legalOf(k)) || current.kpis[0] || null);
+    }
+
+    host.replaceChildren();
+    const detail = ui.detail && current.list.find(i => i.azienda === ui.detail);
+    if (detail) { host.appendChild(detailView(detail)); return; }
+    ui.detail = null;
+
+    host.appendChild(toolbar(current));
+    const wrap = el('div', 'history-wrap');
+    const tbl = el('table', 'history-table conferenti-table');
+    const head = tbl.createTHead().insertRow();
+    const lacText = current.lactation != null ? window.DATA_FIELDS.lactationLabel(current.lactation) : '';
+    ['#', 'Conferitore', 'Provincia', 'Ultimo campione', 'Media lattazione ' + lacText, 'Tendenza', 'PR caseificio',
+      'Conformit\u00e0', 'Classe'].forEach(h => head.appendChild(el('th', null, h.trim())));
+    tbl.appendChild(document.createElement('tbody'));
+    wrap.appendChild(tbl);
+    host.appendChild(wrap);
+    renderRows();
+  }
+
+  /**
+   * Dettaglio di un conferitore: tutti i KPI, medie di legge e collegamento allo Storico.
+   */
+  function detailView(item) {
+    const box = el('div', 'conferenti-detail');
+    const bar = el('div', 'conferenti-bar');
+    const back = el('button', 'select compact', '\u2039 Torna alla lista');
+    back.type = 'button';
+    back.addEventListener('click', () => { ui.detail = null; render(); });
+    bar.appendChild(back);
+    if (window.SAMPLE_HISTORY) {
+      const hist = el('button', 'select compact', 'Campioni nello Storico');
+      hist.type = 'button';
+      hist.addEventListener('click', () => window.SAMPLE_HISTORY.open({ source: 'conferitori', azienda: item.azienda }));
+      bar.appendChild(hist);
+    }
+    box.appendChild(bar);
+
+    const title = el('div', 'conferenti-title', item.azienda);
+    box.appendChild(title);
+    const sub = el('div', 'conferenti-subtitle',
+      (item.provincia ? item.provincia + ' \u00b7 ' : '') + 'Classe ' + (item.classe || '\u2013') + ' \u00b7 ');
+    sub.appendChild(statusBadge(item));
+    box.appendChild(sub);
+
+    const wrap = el('div', 'history-wrap');
+    const tbl = el('table', 'history-table');
+    const head = tbl.createTHead().insertRow();
+    ['KPI', 'Ultimo campione', 'Media lattazione', 'Tendenza', 'PR caseificio', 'Campioni'].forEach(h => head.appendChild(el('th', null, h)));
+    const body = tbl.createTBody();
+    current.kpis.forEach(k => {
+      const s = item.kpis[k];
+      if (!s) return;
+      const tr = body.insertRow();
+      tr.insertCell().textContent = KPI_REGISTRY.labelOf(k);
+      valueCell(tr, k, s.last, formatDate(s.lastDate));
+      valueCell(tr, k, s.lacMean);
+      trendCell(tr, k, s.trend);
+      const pr = tr.insertCell();
+      pr.className = 'num';
+      pr.textContent = s.pr == null ? '\u2013' : s.pr + '\u00b0';
+      const n = tr.insertCell();
+      n.className = 'num';
+      n.textContent = String(s.n);
+    });
+    wrap.appendChild(tbl);
+    box.appendChild(wrap);
+
+    const legalKeys = Object.keys(item.legal);
+    if (legalKeys.length) {
+      box.appendChild(el('div', 'conferenti-subtitle', 'Medie di legge'));
+      const lw = el('div', 'history-wrap');
+      const lt = el('table', 'history-table');
+      const lh = lt.createTHead().insertRow();
+      ['KPI', 'Regola', 'Periodo', 'Media', 'Esito'].forEach(h => lh.appendChild(el('th', null, h)));
+      const lb = lt.createTBody();
+      legalKeys.forEach(k => {
+        const l = item.legal[k];
+        const rule = KPI_REGISTRY.legalOf(k);
+        const tr = lb.insertRow();
+        tr.insertCell().textContent = KPI_REGISTRY.labelOf(k);
+        tr.insertCell().textContent = (KPI_REGISTRY.isLog(k) ? 'media geometrica' : 'media') + ' su ' + rule.window +
+          ' mesi, limite ' + fmt(k, rule.limit);
+        tr.insertCell().textContent = formatDate(l.from) + ' - ' + formatDate(l.to);
+        valueCell(tr, k, l.mean);
+        tr.insertCell().textContent = STATUS_TEXT[l.status];
+      });
+      lw.appendChild(lt);
+      box.appendChild(lw);
+    }
+    return box;
+  }
+
+  /**
+   * Apre la scheda sul dettaglio di un conferitore.
+   * @param {string} azienda nome del conferitore
+   */
+  function showDetail(azienda) {
+    ui.detail = azienda;
+    if (isOpen()) render(); else window.SUB_TABS.show('conferenti');
+  }
+
+  window.SUB_TABS.register('conferenti', { view: 'view-conferenti', onShow: render });
+
+  byId('aziendaSelect')?.addEventListener('change', () => { ui.detail = null; render(); });
+  // l'evento parte mentre la voce risulta ancora in caricamento: si ridisegna subito dopo
+  document.addEventListener('caseificio:loaded', () => setTimeout(render, 0));
+
+  window.CONFERENTI_LIST = {
+    stats,
+    render,
+    showDetail
+  };
+})();
@@ -0,0 +1,431 @@
+// csvImporter.js - importa i risultati di laboratorio (CSV) e li unisce a window.RAW
+// COSA FA (alto livello)
+// - Legge un file CSV esportato dai laboratori (separatore ';' ',' o tab, virgola decimale, date gg/mm/aaaa)
+//   scelto con il bottone "Importa CSV" o trascinato sulla pagina.
+// - Riconosce le colonne tramite gli alias di KPI_REGISTRY: "Grasso %", "Cellule Somatiche (x1000)", "CBT", ...
+//   (unita' tra parentesi e '%' sono ignorate nel confronto). Supporta anche il formato lungo (colonne KPI + Valore).
+// - Un moltiplicatore nell'intestazione ("(x1000)", "(x 1000/mL)") dice in che scala sono i valori: sono riportati
+//   nella scala di data.json (KPI_REGISTRY.scaleOf, es. cellule in migliaia). Senza moltiplicatore i valori
+//   sono presi cosi' come sono, nella scala di data.json.
+// - Converte ogni valore in una riga nel formato di data.json { Azienda, Data, KPI, Valore, Anno, Mese, Caseificio, Provincia }
+//   e la unisce a window.RAW: un valore importato per un campione gia' presente (stessa azienda, data e KPI) e'
+//   una nuova consegna dello stesso campione e passa da SAMPLE_DEDUP (sampleDedup.js) come le rianalisi di data.json.
+// - Notifica con "raw:loaded" (detail: { source: 'import', size, imported, file }) come dataLoader.js,
+//   quindi le viste si aggiornano senza rigenerare data.json.
+// - Espone API su window.CSV_IMPORT: parse, importText, importFile, imported, apply.
+//
+// FLUSSO
+// - importFile(file) -> testo -> parse() -> merge in RAW -> dispatch "raw:loaded" -> banner #importBanner con l'esito.
+// - Le righe importate restano in memoria (non persistono al ricaricamento): quando dataLoader ripubblica RAW
+//   (es. aggiornamento dalla rete) le unisce con apply() prima del suo "raw:loaded", una sola notifica per pubblicazione.
+//
+// DIPENDENZE
+// - KPI_REGISTRY (kpiRegistry.js) per gli alias dei KPI, DATA_FIELDS (kpiRegistry.js) per le sigle provincia
+//   (SS -> Sassari, come in data.json) e il giorno dei campioni;
+//   DATA_QUALITY (dataLoader.js) per scartare i valori non plausibili;
+//   SAMPLE_DEDUP (sampleDedup.js, opzionale) per i campioni consegnati piu' volte;
+//   ACCESS_SCOPE (accessScope.js, opzionale) per il perimetro del ruolo sulle righe importate.
+// - RAW globale popolato da dataLoader.js; state.azienda (benchmarkAllevatore.js) per i file senza colonna azienda.
+// - UI opzionale: #csvImportBtn, #csvImportInput, #importBanner.
+(function () {
+  // Nomi di colonna (normalizzati) riconosciuti oltre ai KPI
+  const DATE_COLS      = ['data', 'date', 'data prelievo', 'data campione', 'data campionamento', 'data analisi', 'data prel.'];
+  const AZIENDA_COLS   = ['azienda', 'allevamento', 'allevatore', 'ragione sociale', 'produttore', 'conferente'];
+  const CASEIFICIO_COLS = ['caseificio'];
+  const PROVINCIA_COLS = ['provincia', 'prov', 'prov.'];
+  const KPI_COLS       = ['kpi', 'parametro', 'analisi', 'determinazione'];
+  const VALUE_COLS     = ['valore', 'risultato', 'value'];
+
+  // Righe importate: 'Azienda|Data|KPI' -> riga (riapplicate se RAW viene ripubblicato)
+  const importedRows = new Map();
+  // RAW pubblicato da dataLoader.js (senza righe importate), base di ogni merge
+  let baseRows = null;
+
+  /**
+   * Normalizza un'intestazione: minuscolo, senza virgolette e spazi doppi.
+   */
+  function normHeader(h) {
+    return String(h || '').replace(/^\uFEFF/, '').replace(/"/g, '').trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Moltiplicatore dichiarato nell'intestazione: "(x1000)", "(x 1.000/mL)", "(\u00d71000 cell/mL)"; null se assente.
+   * @param {string} h intestazione normalizzata
+   * @returns {number|null}
+   */
+  function multiplierOf(h) {
+    const m = h.match(/\(\s*[x\u00d7*]\s*(\d+(?:\.\d{3})*)\b/);
+    const v = m ? Number(m[1].replace(/\./g, '')) : NaN;
+    return Number.isFinite(v) && v > 0 ? v : null;
+  }
+
+  /**
+   * Fattore che porta i valori di una colonna nella scala di data.json: moltiplicatore dell'intestazione
+   * diviso la scala del KPI (es. "Cellule Somatiche (x1000)" -> 1); 1 se l'intestazione non lo dichiara.
+   * @param {string} h intestazione normalizzata
+   * @param {string} kpi KPI canonico
+   * @returns {number}
+   */
+  function factorOf(h, kpi) {
+    const mult = multiplierOf(h);
+    return mult ? mult / KPI_REGISTRY.scaleOf(kpi) : 1;
+  }
+
+  /**
+   * KPI canonico di un'intestazione: prima il nome intero, poi senza unita' tra parentesi e '%'.
+   * @param {string} h intestazione normalizzata
+   * @returns {string|null}
+   */
+  function kpiOfHeader(h) {
+    const direct = KPI_REGISTRY.get(h);
+    const def = direct || KPI_REGISTRY.get(h.replace(/\(.*?\)/g, '').replace(/%/g, '').replace(/\s+/g, ' ').trim());
+    return def && !def.derived ? def.key : null;
+  }
+
+  /**
+   * Divide il testo in righe di campi (virgolette doppie con "" come escape, a capo dentro i campi ammessi).
+   * @param {string} text contenuto del file
+   * @param {string} sep separatore
+   * @returns {string[][]}
+   */
+  function splitCsv(text, sep) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else field += ch;
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === sep) {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (field !== '' || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter(r => r.some(f => f.trim() !== ''));
+  }
+
+  /**
+   * Numero da testo di laboratorio, con prefissi "<" / ">" dei limiti di rilevabilita' (si tiene il valore soglia).
+   * Con decimalComma la virgola e' il decimale e il punto separa le migliaia ("1.234,5"),
+   * altrimenti il contrario ("1,234.5").
+   * @param {string} s valore testuale
+   * @param {boolean} decimalComma convenzione del file (vedi usesDecimalComma)
+   * @returns {number} NaN se non interpretabile
+   */
+  function parseNumber(s, decimalComma) {
+    let t = String(s == null ? '' : s).trim().replace(/^[<>]=?\s*/, '').replace(/\s/g, '');
+    if (!t) return NaN;
+    t = decimalComma ? t.replace(/\./g, '').replace(',', '.') : t.replace(/,/g, '');
+    return /^[-+]?\d*\.?\d+(e[-+]?\d+)?$/i.test(t) ? Number(t) : NaN;
+  }
+
+  /**
+   * Data da "gg/mm/aaaa" (anche '-' o '.', anno a 2 cifre) o ISO "aaaa-mm-gg"; l'eventuale ora e' ignorata.
+   * @param {string} s data testuale
+   * @returns {{iso:string, year:number, month:number}|null} month 1..12
+   */
+  function parseDate(s) {
+    const t = String(s || '').trim();
+    let y, m, d;
+    let match = t.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) {
+      y = +match[1]; m = +match[2]; d = +match[3];
+    } else if ((match = t.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{2}|\d{4})\b/))) {
+      d = +match[1]; m = +match[2]; y = +match[3];
+      if (y < 100) y += 2000;
+    } else {
+      return null;
+    }
+    const dt = new Date(Date.UTC(y, m - 1, d));
+    if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null;
+    return { iso: dt.toISOString().slice(0, 10), year: y, month: m };
+  }
+
+  /**
+   * Indice della prima intestazione presente in una lista di nomi.
+   */
+  function findCol(headers, names) {
+    return headers.findIndex(h => names.includes(h));
+  }
+
+  /**
+   * True se il file usa la virgola decimale: almeno un valore numerico contiene una virgola.
+   * Serve a leggere "1.234" come milleduecentotrentaquattro nei file italiani.
+   * @param {string[][]} rows righe dati
+   * @param {number[]} cols indici delle colonne valore
+   * @returns {boolean}
+   */
+  function usesDecimalComma(rows, cols) {
+    return rows.some(r => cols.some(i => /^[<>]?=?\s*[-+]?[\d.]*,\d+$/.test(String(r[i] || '').trim())));
+  }
+
+  /**
+   * Tabella del file con il separatore giusto (';', tab o ','): quello con cui l'intestazione
+   * (prima riga, tra le prime 10, con una colonna data) ha piu' colonne.
+   * @param {string} text contenuto del file
+   * @returns {{table:string[][], headerIdx:number}} headerIdx -1 se l'intestazione non c'e'
+   */
+  function readTable(text) {
+    let best = { table: [], headerIdx: -1, width: 0 };
+    for (const sep of [';', '\t', ',']) {
+      const table = splitCsv(text, sep);
+      const headerIdx = table.slice(0, 10).findIndex(r => findCol(r.map(normHeader), DATE_COLS) !== -1);
+      const width = headerIdx === -1 ? 0 : table[headerIdx].length;
+      if (width > best.width) best = { table, headerIdx, width };
+    }
+    return best;
+  }
+
+  /**
+   * Interpreta un CSV di laboratorio.
+   * L'intestazione e' la prima riga (tra le prime 10) con una colonna data; le righe precedenti sono ignorate.
+   * @param {string} text contenuto del file
+   * @param {{azienda?: string}} [opts] azienda da usare se il file non ha una colonna azienda
+   * @returns {{rows:Array<Object>, kpis:string[], ignored:string[], skipped:number}}
+   *   rows nel formato di data.json (senza Caseificio/Provincia se il file non li riporta)
+   * @throws {Error} se manca l'intestazione, la colonna data, i KPI o l'azienda
+   */
+  function parse(text, opts = {}) {
+    const { table, headerIdx } = readTable(String(text || '').replace(/^\uFEFF/, ''));
+    if (headerIdx === -1) throw new Error('colonna data non trovata (es. "Data" o "Data prelievo")');
+    const headers = table[headerIdx].map(normHeader);
+
+    const col = {
+      date: findCol(headers, DATE_COLS),
+      azienda: findCol(headers, AZIENDA_COLS),
+      caseificio: findCol(headers, CASEIFICIO_COLS),
+      provincia: findCol(headers, PROVINCIA_COLS),
+      kpi: findCol(headers, KPI_COLS),
+      value: findCol(headers, VALUE_COLS)
+    };
+    const longFormat = col.kpi !== -1 && col.value !== -1;
+
+    // Formato largo: una colonna per KPI
+    const kpiCols = [];
+    const ignored = [];
+    const known = new Set(Object.values(col).filter(i => i !== -1));
+    headers.forEach((h, i) => {
+      if (known.has(i) || !h) return;
+      const kpi = longFormat ? null : kpiOfHeader(h);
+      if (kpi) kpiCols.push({ index: i, kpi, factor: factorOf(h, kpi) });
+      else ignored.push(table[headerIdx][i].trim());
+    });
+    if (!longFormat && !kpiCols.length) throw new Error('nessuna colonna KPI riconosciuta');
+
+    const defaultAzienda = opts.azienda ? String(opts.azienda) : '';
+    if (col.azienda === -1 && !defaultAzienda) throw new Error('colonna azienda assente e nessuna azienda selezionata');
+
+    const data = table.slice(headerIdx + 1);
+    const decimalComma = usesDecimalComma(data, longFormat ? [col.value] : kpiCols.map(c => c.index));
+
+    const rows = [];
+    const kpis = new Set();
+    let skipped = 0;
+    const push = (base, kpi, raw, factor) => {
+      const v = parseNumber(raw, decimalComma);
+      if (!kpi || !Number.isFinite(v)) {
+        if (String(raw || '').trim()) skipped++;
+        return;
+      }
+      kpis.add(kpi);
+      rows.push(Object.assign({}, base, { KPI: kpi, Valore: factor === 1 ? v : v * factor }));
+    };
+
+    for (const r of data) {
+      const date = parseDate(r[col.date]);
+      const azienda = col.azienda !== -1 ? String(r[col.azienda] || '').trim() : defaultAzienda;
+      if (!date || !azienda) {
+        skipped++;
+        continue;
+      }
+      const base = { Azienda: azienda, Data: date.iso, Anno: date.year, Mese: date.month };
+      if (col.caseificio !== -1 && String(r[col.caseificio] || '').trim()) base.Caseificio = String(r[col.caseificio]).trim();
+      if (col.provincia !== -1 && String(r[col.provincia] || '').trim()) base.Provincia = DATA_FIELDS.provinceName(r[col.provincia]);
+
+      if (longFormat) {
+        const h = normHeader(r[col.kpi]);
+        const kpi = h ? kpiOfHeader(h) : null;
+        push(base, kpi, r[col.value], kpi ? factorOf(h, kpi) : 1);
+      } else {
+        kpiCols.forEach(c => push(base, c.kpi, r[c.index], c.factor));
+      }
+    }
+
+    return { rows, kpis: Array.from(kpis), ignored, skipped };
+  }
+
+  /**
+   * Chiave di deduplica di una riga: azienda, data, KPI canonico.
+   */
+  function rowKey(r) {
+    return r.Azienda + '|' + DATA_FIELDS.dayOf(r.Data) + '|' + KPI_REGISTRY.normalize(r.KPI);
+  }
+
+  /**
+   * Nuovo array RAW con le righe importate accodate a quelle di data.json; i campioni presenti in entrambi
+   * sono ridotti da SAMPLE_DEDUP (l'import e' la consegna piu' recente).
+   * Caseificio/Provincia mancanti sono presi dalle righe esistenti della stessa azienda.
+   * Le aziende fuori dal perimetro del ruolo (ACCESS_SCOPE, accessScope.js) diventano anonime come in RAW.
+   * @param {Array<Object>} base RAW corrente
+   * @returns {Array<Object>}
+   */
+  function merge(base) {
+    const src = Array.isArray(base) ? base : [];
+    const info = new Map(); // azienda -> { Caseificio, Provincia }
+    for (const r of src) {
+      if (r && r.Azienda && !info.has(r.Azienda) && r.Caseificio) {
+        info.set(r.Azienda, { Caseificio: r.Caseificio, Provincia: r.Provincia });
+      }
+    }
+    const out = src.slice();
+    importedRows.forEach(r => {
+      const known = info.get(r.Azienda) || {};
+      out.push(Object.assign({ Caseificio: known.Caseificio, Provincia: known.Provincia }, r));
+    });
+    const scoped = window.ACCESS_SCOPE ? window.ACCESS_SCOPE.scopeRows(out) : out;
+    return window.SAMPLE_DEDUP ? window.SAMPLE_DEDUP.dedupe(scoped).rows : scoped;
+  }
+
+  /**
+   * RAW da pubblicare per le righe di dataLoader.js: le righe importate unite alla nuova base.
+   * dataLoader.js lo chiama prima del proprio "raw:loaded", cosi' le viste ricevono una sola notifica.
+   * @param {Array<Object>} rows righe pubblicate da dataLoader.js (senza righe importate)
+   * @returns {Array<Object>}
+   */
+  function apply(rows) {
+    baseRows = rows;
+    return importedRows.size ? merge(rows) : rows;
+  }
+
+  /**
+   * Pubblica RAW unito alle righe importate e notifica con "raw:loaded" (source 'import').
+   */
+  function publish(fileName, imported) {
+    window.RAW = merge(baseRows || window.RAW);
+    document.dispatchEvent(new CustomEvent('raw:loaded', {
+      detail: { source: 'import', size: window.RAW.length, imported, file: fileName || null }
+    }));
+  }
+
+  /**
+   * Importa il testo di un CSV: parse, merge in RAW e "raw:loaded".
+   * @param {string} text contenuto del file
+   * @param {{azienda?: string, fileName?: string}} [opts] azienda di default (altrimenti state.azienda)
+   * @returns {{rows:Array<Object>, kpis:string[], ignored:string[], skipped:number, rejected?:number}}
+   *   rejected: valori scartati dalla validazione di dataLoader.js (DATA_QUALITY.validate)
+   * @throws {Error} se il file non e' interpretabile o non contiene valori
+   */
+  function importText(text, opts = {}) {
+    const azienda = opts.azienda || (window.state && window.state.azienda) || '';
+    const res = parse(text, { azienda });
+    // stessi controlli di data.json (dataLoader.js): i valori non plausibili per il KPI sono scartati
+    if (window.DATA_QUALITY) {
+      const checked = window.DATA_QUALITY.validate(res.rows);
+      res.rejected = checked.report.rejected;
+      res.rows = checked.rows;
+    }
+    if (!res.rows.length) throw new Error('nessun valore plausibile trovato');
+    res.rows.forEach(r => importedRows.set(rowKey(r), r));
+    publish(opts.fileName, res.rows.length);
+    return res;
+  }
+
+  /**
+   * Importa un File (input o drag&drop) e mostra l'esito in #importBanner.
+   * @param {File} file file CSV
+   * @returns {Promise<Object|null>} esito di importText, null in caso di errore
+   */
+  async function importFile(file) {
+    if (!file) return null;
+    try {
+      const res = importText(await file.text(), { fileName: file.name });
+      const aziende = Array.from(new Set(res.rows.map(r => r.Azienda)));
+      let msg = 'Importati ' + res.rows.length + ' valori da ' + file.name + ' (' +
+        res.kpis.map(k => KPI_REGISTRY.labelOf(k)).join(', ') + ') per ' + aziende.join(', ') + '.';
+      if (res.rejected) msg += res.rejected === 1 ? ' 1 valore non plausibile scartato.' : ' ' + res.rejected + ' valori non plausibili scartati.';
+      if (res.skipped) msg += res.skipped === 1 ? ' 1 valore non leggibile ignorato.' : ' ' + res.skipped + ' valori non leggibili ignorati.';
+      if (res.ignored.length) msg += ' Colonne non riconosciute: ' + res.ignored.join(', ') + '.';
+      showBanner(msg, false);
+      return res;
+    } catch (err) {
+      console.warn('[csvImporter] import fallito:', err);
+      showBanner('Import di ' + file.name + ' non riuscito: ' + (err && err.message ? err.message : err), true);
+      return null;
+    }
+  }
+
+  /**
+   * Mostra l'esito dell'import nel banner #importBanner.
+   */
+  function showBanner(text, isError) {
+    const el = document.getElementById('importBanner');
+    if (!el) return;
+    el.textContent = text;
+    el.classList.toggle('ok', !isError);
+    el.hidden = false;
+  }
+
+  /**
+   * Collega bottone, input file e drag&drop sulla pagina.
+   */
+  function bind() {
+    const btn = document.getElementById('csvImportBtn');
+    const input = document.getElementById('csvImportInput');
+    if (btn && input) {
+      btn.addEventListener('click', () => input.click());
+      input.addEventListener('change', () => {
+        const file = input.files && input.files[0];
+        input.value = '';
+        importFile(file);
+      });
+    }
+
+    const hasFiles = ev => ev.dataTransfer && Array.from(ev.dataTransfer.types || []).includes('Files');
+    document.addEventListener('dragover', ev => {
+      if (!hasFiles(ev)) return;
+      ev.preventDefault();
+      document.body.classList.add('csv-drop');
+    });
+    document.addEventListener('dragleave', ev => {
+      if (!ev.relatedTarget) document.body.classList.remove('csv-drop');
+    });
+    document.addEventListener('drop', ev => {
+      if (!hasFiles(ev)) return;
+      ev.preventDefault();
+      document.body.classList.remove('csv-drop');
+      importFile(ev.dataTransfer.files[0]);
+    });
+  }
+
+  window.CSV_IMPORT = {
+    parse,
+    importText,
+    importFile,
+    /** Copia delle righe importate in questa sessione */
+    imported() { return Array.from(importedRows.values()); },
+    apply
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bind);
+  } else {
+    bind();
+  }
+})();
@@ -1,44 +1,511 @@
 // dataLoader.js - carica data.json e popola window.RAW senza toccare benchmarkAllevatore.js
 // COSA FA (alto livello)
-// - Scarica data.json (no-cache) e popola window.RAW con il dataset aziendale.
-// - Se il fetch fallisce imposta RAW=[].
-// - Notifica il caricamento con l'evento custom "raw:loaded" (detail: {source,size}).
+// - Carica data.json tramite DATASET_CACHE (IndexedDB) e popola window.RAW con il dataset aziendale:
+//   se c'e' una copia locale la usa subito e rivalida il file in rete in background.
+// - Valida ogni riga contro il registro KPI (validate): valida, riparata (es. Anno/Mese ricavati da Data,
+//   Provincia dedotta dalle altre righe dell'azienda) o scartata (KPI sconosciuto, valore fuori dall'intervallo
+//   plausibile, periodo mancante...). In RAW finiscono solo le righe valide e riparate.
+// - Riduce i campioni ripetuti (stessa azienda, giorno e KPI) con SAMPLE_DEDUP (sampleDedup.js): duplicati
+//   esatti rimossi, rianalisi in conflitto risolte secondo la politica scelta e marcate con Rianalisi.
+// - Il report qualita' dati (con il riepilogo dei campioni ripetuti in duplicates) e' esposto su
+//   window.DATA_QUALITY.report() e nel detail di "raw:loaded".
+// - Aggiornamenti incrementali: data.json e' la base; data-delta.json elenca le consegne successive
+//   (file data-delta-<data>.json, immutabili, scaricati una volta sola e tenuti in cache) e l'eventuale
+//   server locale interrogato con ?since=<ultima sincronizzazione>. Le consegne sono unite alla base e
+//   ridotte per campione (SAMPLE_DEDUP): una riga gia' presente e' una nuova consegna dello stesso campione.
+// - Se cache e rete falliscono imposta RAW=[].
+// - Notifica il caricamento con l'evento custom "raw:loaded" (detail: {source,size,quality,delta?});
+//   delta = { files, rows, kpis } quando arrivano solo consegne nuove: i consumatori invalidano
+//   solo le cache dei KPI toccati.
 //
 // FLUSSO
 // - All'avvio (DOMContentLoaded) chiama loadJson().
-// - loadJson(): fetch data.json -> set window.RAW -> dispatch "raw:loaded".
+// - loadJson(): DATASET_CACHE.load('data.json') -> validate() -> dedupe -> set window.RAW -> dispatch "raw:loaded"
+//   (source 'cache' o 'network'). Prima della prima pubblicazione legge data-delta.json e le consegne elencate.
+//   Un cambio di politica ("dedup:policy") ripubblica le ultime righe validate.
+// - Se la rivalidazione di data-delta.json trova consegne nuove le scarica e ripubblica con detail.delta.
+// - refresh() (chiamato periodicamente da liveRefresh.js) ricontrolla data.json, data-delta.json e il server
+//   ?since= con richieste condizionali e ripubblica RAW solo se qualcosa e' cambiato. Se la rivalidazione trova dati piu' nuovi aggiorna RAW
+//   e dispatcha di nuovo "raw:loaded" con source 'network'.
 //   In caso di errore: imposta RAW=[] e dispatch "raw:loaded" (source 'none').
 //
 // DIPENDENZE
-// - fetch API disponibile.
+// - fetch API disponibile; datasetCache.js opzionale (senza, fetch diretto).
+// - KPI_REGISTRY (kpiRegistry.js) per KPI riconosciuti e intervalli plausibili (rangeOf); DATA_FIELDS
+//   (kpiRegistry.js) per le sigle provincia e il periodo di Data.
+// - sampleDedup.js opzionale (senza, i campioni ripetuti restano tutti in RAW).
+// - accessScope.js opzionale: le aziende fuori dal perimetro del ruolo sono anonimizzate appena scaricate, prima
+//   della cache IndexedDB (transform di DATASET_CACHE), e arrivano in RAW (e nel report) con uno pseudonimo.
+//   Le chiavi in cache delle righe portano il perimetro (ACCESS_SCOPE.cacheTag).
+// - dataSource.js opzionale: con la sorgente 'api' la base arriva da /api/samples di apiServer.js invece che da data.json,
+//   chiedendo solo le righe del perimetro (azienda dell'allevatore, caseificio del trasformatore: API_QUERY);
+//   data-delta.json e le consegne restano file del server e non sono lette (il gruppo di confronto arriva
+//   come distribuzioni da loaderGruppo.js).
 // - Consumatori: benchmarkAllevatore.js, performanceAllevatore.js (ascoltano "raw:loaded").
+// - csvImporter.js unisce a RAW i risultati importati da CSV e lancia "raw:loaded" (source 'import'); a ogni
+//   pubblicazione di dataLoader le righe importate sono unite con CSV_IMPORT.apply prima di "raw:loaded" (setRaw).
+// - Espone API su window.DATA_LOADER: refresh, index.
 (function(){
-  const SRC = './data.json?v=' + Date.now();
+  // Perimetro del ruolo (accessScope.js): le righe in cache sono gia' anonimizzate, quindi la chiave lo dichiara
+  const SCOPE = window.ACCESS_SCOPE || null;
+  const TAG = SCOPE ? '@' + SCOPE.cacheTag() : '';
+  // Base: data.json statico oppure /api/samples del server locale (dataSource.js)
+  const API = !!(window.DATA_SOURCE && window.DATA_SOURCE.isApi());
+  // Con la sorgente 'api' si chiedono solo le righe del perimetro (il server rifiuta la richiesta senza filtri)
+  const API_QUERY = API && SCOPE ? { azienda: SCOPE.azienda(), caseificio: SCOPE.caseificio() } : {};
+  const LEGACY_KEY = API ? 'api:samples' : 'data.json';
+  const KEY = LEGACY_KEY + TAG;
+  const SRC = API ? window.DATA_SOURCE.url('/samples', API_QUERY) : './data.json';
+  // Indice delle consegne successive alla base (file delta e server ?since=)
+  const DELTA_KEY = 'data-delta.json';
+  const DELTA_SRC = './data-delta.json';
+  const SINCE_KEY = 'data-since';
+
+  // Problemi riconosciuti dalla validazione: esito sulla riga ed etichetta per il report
+  const ISSUES = {
+    'riga-non-valida':    { status: 'rejected', label: 'Riga non valida (non e\' un oggetto)' },
+    'azienda-mancante':   { status: 'rejected', label: 'Azienda mancante' },
+    'kpi-sconosciuto':    { status: 'rejected', label: 'KPI non presente nel registro' },
+    'valore-non-numerico':{ status: 'rejected', label: 'Valore mancante o non numerico' },
+    'valore-fuori-scala': { status: 'rejected', label: 'Valore fuori dall\'intervallo plausibile del KPI' },
+    'periodo-mancante':   { status: 'rejected', label: 'Data e Anno/Mese mancanti o non validi' },
+    'valore-testo':       { status: 'repaired', label: 'Valore scritto come testo (convertito in numero)' },
+    'periodo-incoerente': { status: 'repaired', label: 'Anno/Mese mancanti o diversi da Data (ricavati da Data)' },
+    'provincia-sigla':    { status: 'repaired', label: 'Provincia indicata con la sigla (convertita nel nome)' },
+    'provincia-dedotta':  { status: 'repaired', label: 'Provincia mancante (dedotta dalle altre righe dell\'azienda)' },
+    'provincia-mancante': { status: 'warning',  label: 'Provincia mancante (riga esclusa dai filtri per provincia)' },
+    'data-mancante':      { status: 'warning',  label: 'Data mancante (periodo da Anno/Mese)' }
+  };
+  const MAX_EXAMPLES = 5;
+
+  // Ultimo report qualita' dati (null finche' data.json non e' stato letto)
+  let lastReport = null;
+  // Ultime righe validate (prima della riduzione dei campioni ripetuti) e loro provenienza
+  let lastValid = null;
+  let lastSource = null;
+  // Righe della base (data.json) e delle consegne successive: file delta o SINCE_KEY -> righe
+  let baseData = null;
+  const deltas = new Map();
+  // Ultimo indice data-delta.json applicato
+  let lastIndex = null;
+  // Coda degli allineamenti all'indice (copia in cache e rivalidazione non si sovrappongono)
+  let deltaQueue = Promise.resolve();
+
+  /**
+   * Applica il perimetro del ruolo alle righe scaricate (array come data.json oppure { rows }).
+   * Usato come transform di DATASET_CACHE: in cache finiscono solo righe gia' anonimizzate.
+   */
+  function scopeData(data) {
+    if (!SCOPE) return data;
+    if (Array.isArray(data)) return SCOPE.scopeRows(data);
+    if (data && Array.isArray(data.rows)) return Object.assign({}, data, { rows: SCOPE.scopeRows(data.rows) });
+    return data;
+  }
+
+  /**
+   * Toglie dalla cache una copia salvata prima del perimetro (chiave senza TAG, righe non anonimizzate).
+   */
+  function dropLegacy(key) {
+    if (TAG && window.DATASET_CACHE) window.DATASET_CACHE.remove(key).catch(() => {});
+  }
+
+  /**
+   * Numero da un Valore del dataset (numero o testo con virgola/punto decimale).
+   * @returns {{value:number, fromText:boolean}}
+   */
+  function toNumber(v) {
+    if (typeof v === 'number') return { value: v, fromText: false };
+    const t = String(v == null ? '' : v).trim().replace(',', '.');
+    return { value: t && /^[-+]?\d*\.?\d+(e[-+]?\d+)?$/i.test(t) ? Number(t) : NaN, fromText: true };
+  }
+
+  /**
+   * Valida le righe di data.json contro il registro KPI e le classifica in valide, riparate e scartate.
+   * Le righe riparate sono copie corrette (l'input non viene modificato).
+   * @param {Array<Object>} data righe {Azienda, Data, KPI, Valore, Anno, Mese, Caseificio, Provincia}
+   * @returns {{rows:Array<Object>, report:Object}} rows = righe valide + riparate (nell'ordine originale);
+   *   report = { total, valid, repaired, rejected, warnings, issues:[{code, status, label, count, examples}],
+   *   byKpi: { kpi: {valid, repaired, rejected} }, generatedAt }
+   */
+  function validate(data) {
+    const src = Array.isArray(data) ? data : [];
+    const issues = new Map();   // code -> { code, status, label, count, examples }
+    const byKpi = {};
+    const counts = { valid: 0, repaired: 0, rejected: 0, warnings: 0 };
+
+    // Provincia nota per azienda (per completare le righe che non la riportano)
+    const provByAz = new Map();
+    for (const r of src) {
+      if (!r || !r.Azienda || !r.Provincia || provByAz.has(r.Azienda)) continue;
+      provByAz.set(r.Azienda, DATA_FIELDS.provinceName(r.Provincia));
+    }
+
+    const note = (code, r, index, detail) => {
+      let item = issues.get(code);
+      if (!item) issues.set(code, item = Object.assign({ code, count: 0, examples: [] }, ISSUES[code]));
+      item.count++;
+      if (item.examples.length < MAX_EXAMPLES) {
+        const ex = { index, detail: detail || '' };
+        if (r && typeof r === 'object') Object.assign(ex, { Azienda: r.Azienda, Caseificio: r.Caseificio, Data: r.Data, KPI: r.KPI, Valore: r.Valore });
+        item.examples.push(ex);
+      }
+    };
+
+    const rows = [];
+    src.forEach((r, index) => {
+      if (!r || typeof r !== 'object') {
+        note('riga-non-valida', r, index);
+        counts.rejected++;
+        return;
+      }
+
+      const found = [];
+      const fix = {};
+      const def = KPI_REGISTRY.get(r.KPI);
+      const kpi = def ? def.key : String(r.KPI || '');
+
+      if (!String(r.Azienda || '').trim()) found.push(['azienda-mancante']);
+      if (!def || def.derived) found.push(['kpi-sconosciuto', String(r.KPI)]);
+
+      const num = toNumber(r.Valore);
+      if (!Number.isFinite(num.value)) {
+        found.push(['valore-non-numerico', String(r.Valore)]);
+      } else {
+        if (num.fromText) { found.push(['valore-testo']); fix.Valore = num.value; }
+        const range = def && def.range;
+        if (range && (num.value < range.min || num.value > range.max)) {
+          found.push(['valore-fuori-scala', num.value + ' (atteso ' + range.min + ' - ' + range.max + ')']);
+        }
+      }
+
+      const period = DATA_FIELDS.periodOf(r.Data);
+      const anno = Number(r.Anno);
+      const mese = Number(r.Mese);
+      if (period) {
+        if (anno !== period.anno || mese !== period.mese) {
+          found.push(['periodo-incoerente', 'Anno/Mese ' + r.Anno + '/' + r.Mese + ' -> ' + period.anno + '/' + period.mese]);
+          fix.Anno = period.anno;
+          fix.Mese = period.mese;
+        }
+      } else if (Number.isInteger(anno) && Number.isInteger(mese) && mese >= 1 && mese <= 12) {
+        found.push(['data-mancante']);
+      } else {
+        found.push(['periodo-mancante']);
+      }
+
+      const prov = String(r.Provincia || '').trim();
+      if (!prov) {
+        if (provByAz.has(r.Azienda)) {
+          found.push(['provincia-dedotta', provByAz.get(r.Azienda)]);
+          fix.Provincia = provByAz.get(r.Azienda);
+        } else {
+          found.push(['provincia-mancante']);
+        }
+      } else if (DATA_FIELDS.provinceName(prov) !== prov) {
+        found.push(['provincia-sigla', prov]);
+        fix.Provincia = DATA_FIELDS.provinceName(prov);
+      }
+
+      found.forEach(([code, detail]) => note(code, r, index, detail));
+      const statuses = found.map(([code]) => ISSUES[code].status);
+      const status = statuses.includes('rejected') ? 'rejected' : statuses.includes('repaired') ? 'repaired' : 'valid';
+      if (statuses.includes('warning') && status !== 'rejected') counts.warnings++;
+
+      counts[status]++;
+      const k = byKpi[kpi] || (byKpi[kpi] = { valid: 0, repaired: 0, rejected: 0 });
+      k[status]++;
+
+      if (status === 'valid') rows.push(r);
+      else if (status === 'repaired') rows.push(Object.assign({}, r, fix));
+    });
+
+    const report = Object.assign({ total: src.length }, counts, {
+      issues: Array.from(issues.values()),
+      byKpi,
+      generatedAt: new Date().toISOString()
+    });
+    return { rows, report };
+  }
+
+  /**
+   * Valida base e consegne, imposta window.RAW e notifica con evento "raw:loaded".
+   * @param {'cache'|'network'} source provenienza dei dati
+   * @param {{files:string[], rows:number, kpis:string[]}} [delta] consegne nuove (solo aggiornamenti incrementali)
+   */
+  function publish(source, delta) {
+    if (!Array.isArray(baseData) || !baseData.length) throw new Error('JSON vuoto o non array');
+    const { rows, report } = validate(baseData.concat(...deltas.values()));
+    if (!rows.length) throw new Error('nessuna riga valida in data.json');
+    lastValid = rows;
+    lastSource = source;
+    lastReport = Object.assign({ source, deltas: Array.from(deltas.keys()) }, report);
+    publishRows(delta);
+  }
+
+  /**
+   * Imposta window.RAW, con le righe importate da CSV (csvImporter.js) gia' unite prima di "raw:loaded".
+   * @param {Array<Object>} rows righe pubblicate
+   */
+  function setRaw(rows) {
+    window.RAW = window.CSV_IMPORT ? window.CSV_IMPORT.apply(rows) : rows;
+  }
+
+  /**
+   * Riduce i campioni ripetuti delle ultime righe validate (gia' nel perimetro del ruolo, vedi scopeData),
+   * imposta window.RAW e dispatch "raw:loaded".
+   * @param {Object} [delta] consegne nuove, riportate in detail.delta
+   */
+  function publishRows(delta) {
+    const dedup = window.SAMPLE_DEDUP ? window.SAMPLE_DEDUP.dedupe(lastValid) : null;
+    const rows = dedup ? dedup.rows : lastValid;
+    lastReport.duplicates = dedup ? dedup.report : null;
+    setRaw(rows);
+    console.log('[dataLoader] DATA SOURCE:', API ? SRC : 'data.json', '(' + lastSource + ')', rows.length,
+      '- riparate', lastReport.repaired, 'scartate', lastReport.rejected,
+      '- rianalisi', dedup ? dedup.report.conflicts : 0, '- consegne', deltas.size);
+    const detail = { source: lastSource, size: window.RAW.length, quality: lastReport };
+    if (delta) detail.delta = delta;
+    document.dispatchEvent(new CustomEvent('raw:loaded', { detail }));
+  }
+
+  /**
+   * Fetch diretto di un file JSON (usato se datasetCache.js non e' caricato).
+   */
+  async function fetchNetwork(src, transform) {
+    const resp = await fetch(src + (src.includes('?') ? '&' : '?') + 'v=' + Date.now(), { cache: 'no-store' });
+    if (!resp.ok) throw new Error('HTTP '+resp.status);
+    const data = await resp.json();
+    return { data: transform ? transform(data) : data, source: 'network' };
+  }
+
+  /**
+   * Carica un file JSON tramite DATASET_CACHE (se presente) o dalla rete.
+   * @param {string} key chiave in cache
+   * @param {string} src URL del file
+   * @param {{version?: string, onUpdate?: function(Object): void, transform?: function(*): *}} [opts]
+   *   vedi DATASET_CACHE.load
+   */
+  function loadFile(key, src, opts) {
+    const cache = window.DATASET_CACHE;
+    return cache ? cache.load(key, src, opts) : fetchNetwork(src, opts && opts.transform);
+  }
+
+  /**
+   * Righe di una consegna: array come data.json oppure { rows }.
+   */
+  function rowsOf(data) {
+    if (Array.isArray(data)) return data;
+    return data && Array.isArray(data.rows) ? data.rows : [];
+  }
+
+  /**
+   * KPI canonici (distinti) di un elenco di righe.
+   */
+  function kpisOf(rows) {
+    return Array.from(new Set(rows.filter(r => r && r.KPI != null).map(r => KPI_REGISTRY.normalize(r.KPI))));
+  }
+
+  /**
+   * Righe consegnate dal server locale dopo l'ultima sincronizzazione (GET <url>?since=<istante>).
+   * Le righe ricevute restano in cache (SINCE_KEY) con l'istante della risposta e la base dell'indice:
+   * se la base cambia si riparte dalla sua data (quelle righe sono ormai nella base).
+   * Il server risponde { since, rows } (since: istante per la richiesta successiva) o con un array di righe.
+   * @param {string} url endpoint del server
+   * @param {string|null} base data della base (data-delta.json)
+   * @returns {Promise<{all:Array<Object>, added:Array<Object>}>} tutte le righe ricevute e quelle nuove
+   */
+  async function loadSince(url, base) {
+    const cache = window.DATASET_CACHE;
+    const saved = cache ? await cache.get(SINCE_KEY + TAG) : null;
+    const prev = saved && saved.data && saved.data.base === base ? saved.data : { base, since: base, rows: [] };
+    try {
+      const u = new URL(url, window.location.href);
+      if (prev.since) u.searchParams.set('since', prev.since);
+      const resp = await fetch(u.href, { cache: 'no-store' });
+      if (!resp.ok) throw new Error('HTTP ' + resp.status);
+      const body = await resp.json();
+      const added = rowsOf(scopeData(body));
+      const next = { base, since: (body && body.since) || new Date().toISOString(), rows: prev.rows.concat(added) };
+      if (cache) await cache.put({ key: SINCE_KEY + TAG, data: next });
+      return { all: next.rows, added };
+    } catch (err) {
+      console.warn('[dataLoader] server ?since= non raggiungibile, uso le righe gia\' ricevute:', err);
+      return { all: prev.rows, added: [] };
+    }
+  }
+
+  /**
+   * Allinea le consegne all'indice data-delta.json: scarica i file delta successivi alla base non ancora
+   * presenti (dalla cache se gia' visti: la versione e' sha256 o nome file), toglie quelli non piu' elencati
+   * (inclusi ormai nella base) e interroga il server ?since= se dichiarato.
+   * @param {{versione?:number, base?:string, delta?:Array<{data:string, src:string, sha256?:string}>, since?:string}|null} index
+   * @returns {Promise<{files:string[], rows:number, kpis:string[]}|null>} consegne cambiate, null se nessuna
+   */
+  async function applyDeltaIndex(index) {
+    if (!index) return null;
+    lastIndex = index;
+    const base = index.base || null;
+    const wanted = (Array.isArray(index.delta) ? index.delta : [])
+      .filter(d => d && d.src && (!base || !d.data || String(d.data) > base));
+    const files = [];
+    const touched = [];
+
+    const listed = new Set(wanted.map(d => d.src));
+    for (const [id, rows] of Array.from(deltas.entries())) {
+      if (id === SINCE_KEY || listed.has(id)) continue;
+      deltas.delete(id);
+      touched.push(...rows);
+    }
+
+    for (const item of wanted) {
+      if (deltas.has(item.src)) continue;
+      dropLegacy('data-delta:' + item.src);
+      try {
+        const res = await loadFile('data-delta:' + item.src + TAG, './' + item.src, {
+          version: item.sha256 || item.src,
+          transform: scopeData
+        });
+        const rows = rowsOf(res.data);
+        deltas.set(item.src, rows);
+        files.push(item.src);
+        touched.push(...rows);
+      } catch (err) {
+        console.warn('[dataLoader] consegna', item.src, 'non caricata:', err);
+      }
+    }
+
+    if (index.since) {
+      const since = await loadSince(index.since, base);
+      deltas.set(SINCE_KEY, since.all);
+      if (since.added.length) files.push(SINCE_KEY);
+      touched.push(...since.added);
+    } else if (deltas.has(SINCE_KEY)) {
+      touched.push(...deltas.get(SINCE_KEY));
+      deltas.delete(SINCE_KEY);
+    }
+
+    return touched.length ? { files, rows: touched.length, kpis: kpisOf(touched) } : null;
+  }
+
+  /**
+   * Accoda applyDeltaIndex: gli allineamenti sono eseguiti uno alla volta, nell'ordine di arrivo degli indici.
+   */
+  function queueDeltaIndex(index) {
+    const run = deltaQueue.then(() => applyDeltaIndex(index));
+    deltaQueue = run.catch(() => null);
+    return run;
+  }
+
+  /**
+   * Legge data-delta.json (copia in cache subito, rivalidata in background) e le consegne elencate.
+   * Se la rivalidazione trova un indice nuovo, le consegne cambiate sono pubblicate con detail.delta.
+   * Senza indice (file assente, offline senza cache) si resta sulla sola base.
+   */
+  async function loadDeltas() {
+    try {
+      const res = await loadFile(DELTA_KEY, DELTA_SRC, {
+        onUpdate: upd => {
+          queueDeltaIndex(upd.data)
+            .then(delta => { if (delta && baseData) publish('network', delta); })
+            .catch(err => console.warn('[dataLoader] consegne scartate:', err));
+        }
+      });
+      await queueDeltaIndex(res.data);
+    } catch (err) {
+      console.log('[dataLoader] nessun aggiornamento incrementale:', err.message || err);
+    }
+  }
 
   /**
-   * Scarica data.json (no-cache) e popola window.RAW, notificando con evento "raw:loaded".
+   * Carica data.json (prima dalla cache IndexedDB, poi dalla rete) e popola window.RAW,
+   * notificando con evento "raw:loaded". Se la rivalidazione trova dati piu' nuovi
+   * notifica di nuovo con source 'network'.
    * In caso di errore, setta RAW=[] e notifica con source 'none'.
-   * Emitted event detail: { source: 'json'|'none', size: <numero record> }.
+   * Emitted event detail: { source: 'cache'|'network'|'none', size: <numero record>, quality: <report validate() | null>,
+   *   delta?: { files, rows, kpis } } (delta solo per le consegne arrivate dopo la prima pubblicazione).
    */
   async function loadJson() {
+    dropLegacy(LEGACY_KEY);
+    dropLegacy(SINCE_KEY);
+    if (API && !API_QUERY.azienda && !API_QUERY.caseificio) {
+      console.warn('[dataLoader] sorgente api senza azienda ne\' caseificio nel perimetro: nessun campione richiesto');
+      setRaw([]);
+      document.dispatchEvent(new CustomEvent('raw:loaded', { detail: { source: 'none', size: window.RAW.length, quality: null } }));
+      return;
+    }
     try {
-      const resp = await fetch(SRC, { cache: 'no-store' });
-      if (!resp.ok) throw new Error('HTTP '+resp.status);
-      const data = await resp.json();
-      if (Array.isArray(data) && data.length) {
-        window.RAW = data;
-        console.log('[dataLoader] DATA SOURCE:', 'data.json', data.length);
-        document.dispatchEvent(new CustomEvent('raw:loaded', { detail: { source: 'json', size: data.length } }));
-        return;
-      }
-      throw new Error('JSON vuoto o non array');
+      const res = await loadFile(KEY, SRC, {
+        transform: scopeData,
+        onUpdate: upd => {
+          const prev = baseData;
+          try {
+            baseData = upd.data;
+            publish('network');
+          } catch (err) {
+            baseData = prev;
+            console.warn('[dataLoader] aggiornamento scartato:', err);
+          }
+        }
+      });
+      baseData = res.data;
+      if (!API) await loadDeltas();
+      publish(res.source);
     } catch (err) {
       console.warn('[dataLoader] fetch fallito:', err);
-      window.RAW = [];
-      document.dispatchEvent(new CustomEvent('raw:loaded', { detail: { source: 'none', size: 0 } }));
+      setRaw([]);
+      document.dispatchEvent(new CustomEvent('raw:loaded', { detail: { source: 'none', size: window.RAW.length, quality: null } }));
     }
   }
 
+  /**
+   * Controlla subito se data.json o data-delta.json sono cambiati (richieste condizionali ETag / Last-Modified)
+   * e interroga il server ?since= se l'indice lo dichiara. Con dati nuovi ripubblica RAW ("raw:loaded"
+   * source 'network', con detail.delta se sono arrivate solo consegne).
+   * Richiede DATASET_CACHE (conserva i validatori dell'ultima risposta); gli errori di rete sono propagati.
+   * @returns {Promise<boolean>} true se RAW e' stato ripubblicato
+   */
+  async function refresh() {
+    const cache = window.DATASET_CACHE;
+    if (!cache || !baseData) return false;
+    const [base, index] = await Promise.all([
+      cache.revalidate(KEY, SRC, { transform: scopeData }),
+      API ? { changed: false } : cache.revalidate(DELTA_KEY, DELTA_SRC).catch(() => ({ changed: false }))
+    ]);
+    const nextIndex = index.changed ? index.data : lastIndex;
+    const delta = nextIndex && (index.changed || nextIndex.since) ? await queueDeltaIndex(nextIndex) : null;
+    if (base.changed) {
+      const prev = baseData;
+      baseData = base.data;
+      try {
+        publish('network');
+      } catch (err) {
+        baseData = prev;
+        throw err;
+      }
+      return true;
+    }
+    if (delta) {
+      publish('network', delta);
+      return true;
+    }
+    return false;
+  }
+
+  // Nuova politica per le rianalisi: ripubblica RAW dalle righe gia' validate
+  document.addEventListener('dedup:policy', () => { if (lastValid) publishRows(); });
+
+  window.DATA_LOADER = {
+    refresh,
+    /** Ultimo indice data-delta.json (null se assente) */
+    index() { return lastIndex; }
+  };
+
+  window.DATA_QUALITY = {
+    validate,
+    /** Ultimo report qualita' dati di data.json (null se non ancora caricato) */
+    report() { return lastReport; }
+  };
+
   // Parti appena possibile (defer lo fara a DOM pronto)
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', loadJson);
@@ -0,0 +1,49 @@
+// dataSource.js - sorgente dei dataset: file JSON statici o API del server locale (apiServer.js)
+// COSA FA (alto livello)
+// - Decide da dove i loader leggono i dati:
+//   - 'static' (default): i file JSON accanto alla pagina (data.json, datiCAO.json, conferitori*.json);
+//   - 'api': gli endpoint di apiServer.js (/api/samples, /api/tank, /api/conferitori, /api/benchmark/monthly):
+//     il browser riceve solo le righe del proprio perimetro e il gruppo di confronto come distribuzioni mensili,
+//     invece dei dati grezzi di tutte le aziende.
+// - La sorgente si sceglie con l'attributo data-source="api" su <html> (apiServer.js lo scrive nelle pagine
+//   che serve) oppure con ?source=api nell'URL della pagina; la base degli endpoint con data-api="<url>"
+//   (o ?api=<url>), default "./api".
+// - Espone API su window.DATA_SOURCE: mode, isApi, url.
+//
+// DIPENDENZE
+// - Nessuna. Consumatori: dataLoader.js (data.json), loaderCaseificio.js (cisterna e conferitori) e
+//   loaderGruppo.js (distribuzioni del gruppo); manifest e regione.json restano file statici, data-delta.json e
+//   le consegne non sono lette con la sorgente 'api' (il server non li serve).
+(function () {
+  const DEFAULT_BASE = './api';
+
+  const params = new URLSearchParams(window.location.search);
+  const attrs = document.documentElement.dataset || {};
+  const mode = (params.get('source') || attrs.source) === 'api' ? 'api' : 'static';
+  const base = String(params.get('api') || attrs.api || DEFAULT_BASE).replace(/\/+$/, '');
+
+  /**
+   * URL di un endpoint del server; i parametri vuoti (null, undefined, '') non sono inviati.
+   * @param {string} path percorso dell'endpoint (es. '/samples')
+   * @param {Object<string, *>} [query] parametri della richiesta
+   * @returns {string}
+   */
+  function url(path, query) {
+    const qs = new URLSearchParams();
+    Object.keys(query || {}).forEach(k => {
+      const v = query[k];
+      if (v != null && v !== '') qs.set(k, String(v));
+    });
+    const q = qs.toString();
+    return base + path + (q ? '?' + q : '');
+  }
+
+  if (mode === 'api') console.log('[dataSource] dati dal server:', base);
+
+  window.DATA_SOURCE = {
+    /** 'static' (file JSON) o 'api' (server locale) */
+    mode() { return mode; },
+    isApi() { return mode === 'api'; },
+    url
+  };
+})();
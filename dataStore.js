@@ -0,0 +1,198 @@
+// dataStore.js - indice in memoria di RAW (data.json) per KPI, azienda, caseificio, provincia e anno-mese
+// COSA FA (alto livello)
+// - Legge RAW una sola volta per dataset (a ogni "raw:loaded") e raggruppa le righe in celle
+//   (KPI canonico, azienda, caseificio, provincia); ogni cella conserva:
+//   - rows:    righe KPI normalizzate {Azienda, year, month (0..11), value} nell'ordine di RAW;
+//   - monthly: parziali mensili {Azienda, year, month, sum, n} (somma dei valori, o dei logaritmi per i KPI
+//              in scala log) da cui il motore di aggregazione ricava le medie mensili per azienda;
+//   - samples: campioni giornalieri {date, value, analyses?} per la vista "I miei dati" (analyses: valori delle
+//              rianalisi del campione, dal campo Rianalisi di sampleDedup.js).
+// - Indici per KPI: celle per azienda, per caseificio e per provincia; elenco aziende e caseificio di ogni azienda.
+// - Le viste interrogano lo store invece di scorrere RAW a ogni render (cambio KPI, azienda, filtri).
+// - Espone API su window.DATA_STORE: select, samples, aziende, caseificioOf, ensure.
+//
+// FLUSSO
+// - "raw:loaded" -> build(RAW). Ogni query chiama ensure(): se window.RAW e' stato sostituito
+//   (es. aggiornamento dalla rete) l'indice viene ricostruito prima di rispondere.
+// - Con detail.delta (consegne incrementali di dataLoader.js) si ricostruiscono solo i KPI toccati.
+//
+// DIPENDENZE
+// - KPI_REGISTRY (kpiRegistry.js) per la chiave canonica e la scala log dei KPI.
+// - RAW globale popolato da dataLoader.js.
+// - Consumatori: benchmarkAllevatore.js, performanceAllevatore.js, benchmarkTrasformatore.js.
+(function () {
+  let builtFrom = null;         // array RAW indicizzato
+  let byKpi = new Map();        // KPI canonico -> { cells, byAzienda, byCaseificio, byProvincia }
+  let aziendeList = [];         // aziende ordinate (it)
+  let caseificioByAz = new Map(); // azienda -> primo caseificio trovato in RAW
+
+  /**
+   * Aggiunge una cella all'indice di un campo (valore -> celle).
+   */
+  function addTo(index, value, cell) {
+    if (!value) return;
+    let list = index.get(value);
+    if (!list) index.set(value, list = []);
+    list.push(cell);
+  }
+
+  /**
+   * Costruisce l'indice a partire dalle righe RAW.
+   * @param {Array<Object>} raw righe data.json {Azienda, Data, KPI, Valore, Anno, Mese, Caseificio, Provincia}
+   * @param {string[]} [onlyKpis] KPI canonici da ricostruire (gli altri restano quelli dell'indice corrente)
+   */
+  function build(raw, onlyKpis) {
+    const src = Array.isArray(raw) ? raw : [];
+    const only = onlyKpis ? new Set(onlyKpis) : null;
+    const kpis = only ? new Map(Array.from(byKpi).filter(([k]) => !only.has(k))) : new Map();
+    const cellByKey = new Map();
+    const azSet = new Set();
+    const casByAz = new Map();
+
+    for (const r of src) {
+      if (!r) continue;
+      if (r.Azienda) {
+        azSet.add(String(r.Azienda));
+        if (r.Caseificio && !casByAz.has(r.Azienda)) casByAz.set(r.Azienda, r.Caseificio);
+      }
+
+      const kpi = KPI_REGISTRY.normalize(r.KPI);
+      if (only && !only.has(kpi)) continue;
+      let idx = kpis.get(kpi);
+      if (!idx) {
+        idx = { log: KPI_REGISTRY.isLog(kpi), cells: [], byAzienda: new Map(), byCaseificio: new Map(), byProvincia: new Map() };
+        kpis.set(kpi, idx);
+      }
+
+      const cellKey = kpi + '\u0001' + r.Azienda + '\u0001' + (r.Caseificio || '') + '\u0001' + (r.Provincia || '');
+      let cell = cellByKey.get(cellKey);
+      if (!cell) {
+        cell = {
+          azienda: r.Azienda,
+          caseificio: r.Caseificio || null,
+          provincia: r.Provincia || null,
+          rows: [],
+          monthly: [],
+          byYM: new Map(),
+          samples: []
+        };
+        cellByKey.set(cellKey, cell);
+        idx.cells.push(cell);
+        addTo(idx.byAzienda, String(r.Azienda || ''), cell);
+        addTo(idx.byCaseificio, cell.caseificio, cell);
+        addTo(idx.byProvincia, cell.provincia, cell);
+      }
+
+      const v = +r.Valore;
+
+      // campione giornaliero (vista "I miei dati")
+      if (r.Data && isFinite(v)) {
+        const d = new Date(r.Data);
+        if (!isNaN(+d)) {
+          const s = { date: d, value: v };
+          if (Array.isArray(r.Rianalisi)) s.analyses = r.Rianalisi;
+          cell.samples.push(s);
+        }
+      }
+
+      // riga KPI mensile + parziale del mese
+      const y = +r.Anno;
+      const m = (+r.Mese) - 1;
+      if (!isFinite(v) || isNaN(y) || isNaN(m)) continue;
+      cell.rows.push({ Azienda: r.Azienda, year: y, month: m, value: v });
+
+      const ymKey = y + '-' + m;
+      let part = cell.byYM.get(ymKey);
+      if (!part) {
+        part = { Azienda: r.Azienda, year: y, month: m, sum: 0, n: 0 };
+        cell.byYM.set(ymKey, part);
+        cell.monthly.push(part);
+      }
+      if (!idx.log) {
+        part.sum += v;
+        part.n++;
+      } else if (v > 0) {
+        part.sum += Math.log(v);
+        part.n++;
+      }
+    }
+
+    builtFrom = src;
+    byKpi = kpis;
+    caseificioByAz = casByAz;
+    aziendeList = Array.from(azSet).sort((a, b) => a.localeCompare(b, 'it', { sensitivity: 'base' }));
+  }
+
+  /**
+   * Ricostruisce l'indice se window.RAW e' cambiato dall'ultima build.
+   * @param {string[]} [onlyKpis] KPI toccati dal cambiamento (default: tutti)
+   */
+  function ensure(onlyKpis) {
+    const raw = Array.isArray(window.RAW) ? window.RAW : [];
+    if (raw !== builtFrom) build(raw, builtFrom ? onlyKpis : undefined);
+  }
+
+  /**
+   * Celle del KPI che soddisfano i filtri (parte dall'indice piu' selettivo).
+   */
+  function cellsFor(kpi, filters) {
+    ensure();
+    const idx = byKpi.get(KPI_REGISTRY.normalize(kpi));
+    if (!idx) return [];
+    const { azienda, caseificio, provincia } = filters;
+
+    let cells = idx.cells;
+    if (azienda) cells = idx.byAzienda.get(String(azienda)) || [];
+    else if (caseificio) cells = idx.byCaseificio.get(caseificio) || [];
+    else if (provincia) cells = idx.byProvincia.get(provincia) || [];
+
+    return cells.filter(c =>
+      (!azienda || String(c.azienda || '') === String(azienda)) &&
+      (!caseificio || c.caseificio === caseificio) &&
+      (!provincia || c.provincia === provincia)
+    );
+  }
+
+  /**
+   * Righe KPI e parziali mensili per KPI e filtri opzionali.
+   * @param {{kpi:string, azienda?:string, caseificio?:string, provincia?:string}} q
+   * @returns {{rows:Array<{Azienda:string,year:number,month:number,value:number}>,
+   *            monthly:Array<{Azienda:string,year:number,month:number,sum:number,n:number}>}}
+   */
+  function select(q) {
+    const rows = [];
+    const monthly = [];
+    for (const c of cellsFor(q.kpi, q)) {
+      rows.push(...c.rows);
+      monthly.push(...c.monthly);
+    }
+    return { rows, monthly };
+  }
+
+  /**
+   * Campioni giornalieri {date, value, analyses?} di un'azienda per un KPI (analyses solo per i campioni rianalizzati).
+   * @param {string} kpi chiave o alias KPI
+   * @param {string} azienda nome azienda
+   * @returns {Array<{date:Date, value:number, analyses?:number[]}>}
+   */
+  function samples(kpi, azienda) {
+    const out = [];
+    for (const c of cellsFor(kpi, { azienda })) out.push(...c.samples);
+    return out;
+  }
+
+  document.addEventListener('raw:loaded', ev => {
+    const delta = ev.detail && ev.detail.delta;
+    ensure(delta ? delta.kpis : undefined);
+  });
+
+  window.DATA_STORE = {
+    select,
+    samples,
+    /** Aziende presenti in RAW, ordinate */
+    aziende() { ensure(); return aziendeList.slice(); },
+    /** Caseificio dell'azienda (prima riga di RAW con Caseificio), null se assente */
+    caseificioOf(azienda) { ensure(); return caseificioByAz.get(azienda) || null; },
+    ensure
+  };
+})();
@@ -0,0 +1,243 @@
+// datasetCache.js - copia offline dei dataset JSON in IndexedDB con rivalidazione in background
+// COSA FA (alto livello)
+// - Conserva in IndexedDB i dataset scaricati dai loader (data.json, manifest e file dei caseifici)
+//   insieme a ETag / Last-Modified e a una versione opzionale (es. sha256 del manifest).
+// - load(): restituisce subito la copia in cache (se presente) e la rivalida in rete in background
+//   con richiesta condizionale (If-None-Match / If-Modified-Since); se il server ha dati piu' nuovi
+//   aggiorna la cache e chiama onUpdate.
+// - revalidate(): controllo immediato (richiesta condizionale) usato dall'aggiornamento live dei loader.
+// - transform (opzione di load/revalidate): trasforma i dati scaricati prima di salvarli e restituirli
+//   (es. ACCESS_SCOPE.scopeRows: in IndexedDB non finiscono nomi fuori dal perimetro dell'utente).
+//   text resta il testo arrivato dalla rete (checksum dei loader).
+// - Senza IndexedDB (file://, navigazione privata, browser vecchi) ricade sul semplice fetch di rete;
+//   ETag / Last-Modified dell'ultima risposta restano in memoria per revalidate().
+// - Espone API su window.DATASET_CACHE: load, revalidate, get, put, remove, clear, isAvailable.
+//
+// FLUSSO
+// - load(key, url, { version, onUpdate, transform }):
+//   1) cache con version uguale a quella richiesta -> dato valido, nessuna richiesta di rete;
+//   2) cache con version diversa -> fetch di rete (la copia locale resta come riserva offline);
+//   3) cache presente senza version -> ritorna { data, source: 'cache' } e rivalida in background;
+//   4) cache assente  -> fetch di rete, salva e ritorna { data, text, source: 'network' }.
+//
+// DIPENDENZE
+// - fetch API; IndexedDB opzionale.
+// - Consumatori: dataLoader.js, loaderCaseificio.js.
+(function () {
+  const DB_NAME = 'qualitaLatte';
+  const DB_VERSION = 1;
+  const STORE = 'datasets';
+
+  // Promise condivisa dell'apertura DB (null se IndexedDB non e' disponibile)
+  let dbPromise = null;
+
+  // Ultima voce salvata per chiave, in memoria (riserva di revalidate() quando IndexedDB manca)
+  const memo = new Map();
+
+  /**
+   * Apre (una sola volta) il database IndexedDB.
+   * @returns {Promise<IDBDatabase|null>} null se IndexedDB non e' utilizzabile
+   */
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise(resolve => {
+      if (!window.indexedDB) { resolve(null); return; }
+      let req;
+      try {
+        req = window.indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (err) {
+        resolve(null);
+        return;
+      }
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: 'key' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        console.warn('[datasetCache] IndexedDB non disponibile:', req.error);
+        resolve(null);
+      };
+      req.onblocked = () => resolve(null);
+    });
+    return dbPromise;
+  }
+
+  /**
+   * Esegue una richiesta su object store e ne restituisce il risultato (null se DB assente o errore).
+   * @param {'readonly'|'readwrite'} mode modalita' transazione
+   * @param {function(IDBObjectStore): IDBRequest} fn richiesta da eseguire
+   * @returns {Promise<*>}
+   */
+  async function withStore(mode, fn) {
+    const db = await openDb();
+    if (!db) return null;
+    return new Promise(resolve => {
+      try {
+        const req = fn(db.transaction(STORE, mode).objectStore(STORE));
+        req.onsuccess = () => resolve(req.result == null ? null : req.result);
+        req.onerror = () => {
+          console.warn('[datasetCache] errore IndexedDB:', req.error);
+          resolve(null);
+        };
+      } catch (err) {
+        console.warn('[datasetCache] errore IndexedDB:', err);
+        resolve(null);
+      }
+    });
+  }
+
+  /**
+   * Voce in cache.
+   * @param {string} key chiave del dataset (es. 'data.json')
+   * @returns {Promise<{key:string, data:*, etag:string|null, lastModified:string|null, version:string|null, savedAt:number}|null>}
+   */
+  function get(key) {
+    return withStore('readonly', store => store.get(key));
+  }
+
+  /**
+   * Salva (o sostituisce) una voce in cache.
+   * @param {{key:string, data:*, etag?:string|null, lastModified?:string|null, version?:string|null}} entry
+   * @returns {Promise<void>}
+   */
+  async function put(entry) {
+    const record = {
+      key: entry.key,
+      data: entry.data,
+      etag: entry.etag || null,
+      lastModified: entry.lastModified || null,
+      version: entry.version || null,
+      savedAt: Date.now()
+    };
+    memo.set(entry.key, record);
+    await withStore('readwrite', store => store.put(record));
+  }
+
+  /**
+   * Rimuove una voce dalla cache.
+   * @param {string} key chiave del dataset
+   * @returns {Promise<void>}
+   */
+  async function remove(key) {
+    memo.delete(key);
+    await withStore('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * Svuota la cache dei dataset.
+   * @returns {Promise<void>}
+   */
+  async function clear() {
+    memo.clear();
+    await withStore('readwrite', store => store.clear());
+  }
+
+  /**
+   * Fetch di rete condizionale rispetto a una voce in cache.
+   * @param {string} url URL del dataset
+   * @param {Object|null} cached voce in cache (per If-None-Match / If-Modified-Since)
+   * @param {function(*): *} [transform] applicata ai dati prima di restituirli
+   * @returns {Promise<{notModified:true}|{notModified:false, data:*, text:string, etag:string|null, lastModified:string|null}>}
+   */
+  async function fetchFresh(url, cached, transform) {
+    const headers = {};
+    if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+    else if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    const resp = await fetch(url, { cache: 'no-store', headers });
+    if (resp.status === 304) return { notModified: true };
+    if (!resp.ok) throw new Error('HTTP ' + resp.status + ' ' + url);
+    const text = await resp.text();
+    const data = JSON.parse(text);
+    return {
+      notModified: false,
+      data: typeof transform === 'function' ? transform(data) : data,
+      text,
+      etag: resp.headers.get('ETag'),
+      lastModified: resp.headers.get('Last-Modified')
+    };
+  }
+
+  /**
+   * True se la risposta di rete coincide con la copia in cache (server senza richieste condizionali).
+   */
+  function sameAsCached(fresh, cached) {
+    if (fresh.etag && cached.etag) return fresh.etag === cached.etag;
+    return JSON.stringify(fresh.data) === JSON.stringify(cached.data);
+  }
+
+  /**
+   * Carica un dataset: prima dalla cache IndexedDB, poi (se serve) dalla rete.
+   * Con cache presente ritorna subito la copia locale e rivalida in background: se i dati sono cambiati
+   * aggiorna la cache e chiama onUpdate({ data, text, source: 'network' }).
+   * Errori di rete in rivalidazione vengono solo loggati (si resta sulla copia in cache).
+   * @param {string} key chiave del dataset
+   * @param {string} url URL da scaricare
+   * @param {{version?: string, onUpdate?: function(Object): void, transform?: function(*): *}} [opts]
+   *   version: se coincide con quella in cache il dato e' considerato valido senza rivalidazione,
+   *   se e' diversa la copia in cache e' usata solo quando la rete non risponde;
+   *   transform: applicata ai dati di rete prima di salvarli (la copia in cache e' gia' trasformata)
+   * @returns {Promise<{data:*, text?:string, source:'cache'|'network'}>} rigetta solo se manca la cache e la rete fallisce
+   */
+  async function load(key, url, opts = {}) {
+    const { version, onUpdate, transform } = opts;
+    const cached = await get(key);
+
+    if (cached && version) {
+      if (cached.version === version) return { data: cached.data, source: 'cache' };
+      try {
+        const fresh = await fetchFresh(url, null, transform);
+        await put({ key, data: fresh.data, etag: fresh.etag, lastModified: fresh.lastModified, version });
+        return { data: fresh.data, text: fresh.text, source: 'network' };
+      } catch (err) {
+        console.warn('[datasetCache]', key, 'non aggiornato, uso la copia locale:', err);
+        return { data: cached.data, source: 'cache' };
+      }
+    }
+
+    if (cached) {
+      fetchFresh(url, cached, transform)
+        .then(async fresh => {
+          if (fresh.notModified || sameAsCached(fresh, cached)) return;
+          await put({ key, data: fresh.data, etag: fresh.etag, lastModified: fresh.lastModified, version });
+          console.log('[datasetCache]', key, 'aggiornato dalla rete');
+          if (typeof onUpdate === 'function') onUpdate({ data: fresh.data, text: fresh.text, source: 'network' });
+        })
+        .catch(err => console.warn('[datasetCache] rivalidazione di', key, 'non riuscita:', err));
+      return { data: cached.data, source: 'cache' };
+    }
+
+    const fresh = await fetchFresh(url, null, transform);
+    await put({ key, data: fresh.data, etag: fresh.etag, lastModified: fresh.lastModified, version });
+    return { data: fresh.data, text: fresh.text, source: 'network' };
+  }
+
+  /**
+   * Controlla subito se il dataset in rete e' cambiato rispetto all'ultima copia salvata
+   * (richiesta condizionale If-None-Match / If-Modified-Since); se e' cambiato aggiorna la cache.
+   * Usato dai loader per l'aggiornamento live (liveRefresh.js). Gli errori di rete sono propagati.
+   * @param {string} key chiave del dataset
+   * @param {string} url URL da scaricare
+   * @param {{transform?: function(*): *}} [opts] vedi load
+   * @returns {Promise<{changed:false}|{changed:true, data:*, text:string}>}
+   */
+  async function revalidate(key, url, opts = {}) {
+    const cached = (await get(key)) || memo.get(key) || null;
+    const fresh = await fetchFresh(url, cached, opts.transform);
+    if (fresh.notModified || (cached && sameAsCached(fresh, cached))) return { changed: false };
+    await put({ key, data: fresh.data, etag: fresh.etag, lastModified: fresh.lastModified, version: cached ? cached.version : null });
+    return { changed: true, data: fresh.data, text: fresh.text };
+  }
+
+  window.DATASET_CACHE = {
+    load,
+    revalidate,
+    get,
+    put,
+    remove,
+    clear,
+    /** True se IndexedDB e' utilizzabile (la cache e' attiva) */
+    async isAvailable() { return !!(await openDb()); }
+  };
+})();
@@ -0,0 +1,256 @@
+// deepLink.js - stato della dashboard nell'hash dell'URL (link condivisibili)
+// COSA FA (alto livello)
+// - Scrive nell'hash dell'URL lo stato dei controlli della vista a ogni modifica, cosi' il link della pagina
+//   riapre la stessa vista (es. un tecnico manda all'allevatore il confronto "cellule, IntraCaseificio, Sassari,
+//   lattazione 2024-25"):
+//     #kpi=cellule&azienda=GOIA%20SILVIA&confronto=intraCaseificio&provincia=sassari
+//      &vista=benchmark&lattazioni=2023-24,2024-25&istogramma=2024-25
+//   - azienda: #aziendaSelect (nella pagina trasformatore e' il caseificio);
+//   - lattazioni: checkbox delle lattazioni del grafico KPI (#view-conf .year-boxes, value = anno di inizio);
+//   - istogramma: lattazione ("2024-25") o intervallo personalizzato ("2024-01..2024-12") di #distPreset.
+// - All'apertura (e a ogni hashchange) riapplica lo stato impostando i controlli e lanciando i loro eventi
+//   change/click: i moduli della pagina (benchmarkAllevatore.js, benchmarkTrasformatore.js, performance*.js)
+//   aggiornano state e grafici come per una scelta dell'utente.
+// - I controlli riempiti dai dati (aziende, checkbox lattazioni, lattazioni dell'istogramma) si applicano
+//   quando sono pronti (eventi raw:loaded / caseificio:loaded / regione:loaded); un valore non disponibile
+//   (es. azienda fuori dal perimetro di ACCESS_SCOPE, "regione" senza regione.json) viene scartato con un
+//   avviso in console.
+// - Espone API su window.DEEP_LINK: read, write, apply.
+//
+// DIPENDENZE
+// - DATA_FIELDS (kpiRegistry.js) per le etichette delle lattazioni; per il resto solo DOM. Va caricato dopo i moduli delle viste, cosi' i loro listener sono gia' attivi.
+(function () {
+  const LAC_RX = /^(\d{4})-\d{2}$/;                    // "2024-25"
+  const RANGE_RX = /^(\d{4}-\d{2})\.\.(\d{4}-\d{2})$/;  // "2024-01..2024-12"
+
+  let pending = {};       // valori dell'hash non ancora applicati (chiave -> stringa)
+  let applying = false;   // true mentre si impostano i controlli (i change non riscrivono l'hash)
+  let written = null;     // ultimo hash scritto da write() (il suo hashchange non va riapplicato)
+
+  const byId = id => document.getElementById(id);
+
+  /**
+   * Etichetta di una lattazione dall'anno di inizio (2024 -> "2024-25").
+   */
+  function lacLabel(y) {
+    return window.DATA_FIELDS.lactationLabel(Number(y));
+  }
+
+  /**
+   * True se il <select> ha un'option abilitata con quel valore.
+   */
+  function hasOption(sel, v) {
+    return !!sel && Array.from(sel.options).some(o => o.value === v && !o.disabled);
+  }
+
+  /**
+   * Imposta il valore di un controllo e lancia l'evento, come una scelta dell'utente.
+   * @returns {boolean} false se il valore non e' tra le option
+   */
+  function setSelect(sel, v) {
+    if (!hasOption(sel, v) || sel.disabled) return false;
+    if (sel.value !== v) {
+      sel.value = v;
+      sel.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+    return true;
+  }
+
+  function lacBoxes() {
+    return Array.from(document.querySelectorAll('#view-conf .year-boxes input[type="checkbox"]'))
+      .filter(cb => /^\d{4}$/.test(cb.value));
+  }
+
+  function rawReady() {
+    return Array.isArray(window.RAW) && window.RAW.length > 0;
+  }
+
+  /**
+   * Campi dell'hash nell'ordine di applicazione (prima azienda e filtri, poi lattazioni e istogramma,
+   * che dipendono dai dati del gruppo scelto).
+   * - ready: il controllo e' pronto a ricevere il valore
+   * - read: valore corrente ('' = non scritto nell'hash)
+   * - apply: imposta il valore; false se non applicabile
+   */
+  const FIELDS = [
+    {
+      key: 'kpi',
+      ready: () => !!byId('indicatore') && byId('indicatore').options.length > 0,
+      read: () => (byId('indicatore') ? byId('indicatore').value : ''),
+      apply: v => setSelect(byId('indicatore'), v)
+    },
+    {
+      key: 'azienda',
+      ready: () => !!byId('aziendaSelect') && byId('aziendaSelect').options.length > 0 && rawReady(),
+      read: () => (byId('aziendaSelect') ? byId('aziendaSelect').value : ''),
+      apply: v => {
+        const sel = byId('aziendaSelect');
+        return sel.value === v || setSelect(sel, v);
+      }
+    },
+    {
+      key: 'confronto',
+      // "regione" e' abilitata solo se regione.json c'e': si aspetta l'esito del caricamento
+      ready: () => !!byId('benchmarkType') && !(window.REGIONE && window.REGIONE.isLoading()),
+      read: () => (byId('benchmarkType') ? byId('benchmarkType').value : ''),
+      apply: v => setSelect(byId('benchmarkType'), v)
+    },
+    {
+      key: 'provincia',
+      ready: () => !!byId('provinciaFilter'),
+      read: () => (byId('provinciaFilter') ? byId('provinciaFilter').value : ''),
+      apply: v => setSelect(byId('provinciaFilter'), v)
+    },
+    {
+      key: 'vista',
+      ready: () => !!byId('miei-dati') && !!byId('confronto'),
+      read: () => {
+        const miei = byId('miei-dati');
+        if (!miei) return '';
+        return miei.checked ? 'performance' : 'benchmark';
+      },
+      apply: v => {
+        const radio = v === 'performance' ? byId('miei-dati') : v === 'benchmark' ? byId('confronto') : null;
+        if (!radio) return false;
+        if (!radio.checked) {
+          radio.checked = true;
+          radio.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+        return true;
+      }
+    },
+    {
+      key: 'lattazioni',
+      ready: () => lacBoxes().length > 0,
+      read: () => lacBoxes().filter(cb => cb.checked).map(cb => lacLabel(cb.value)).join(','),
+      apply: v => {
+        const wanted = new Set(String(v).split(',').map(s => (LAC_RX.exec(s.trim()) || [])[1]).filter(Boolean));
+        const boxes = lacBoxes().filter(cb => !cb.disabled);
+        if (!boxes.some(cb => wanted.has(cb.value))) return false;
+        boxes.forEach(cb => {
+          const on = wanted.has(cb.value);
+          if (cb.checked === on) return;
+          cb.checked = on;
+          cb.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+        return true;
+      }
+    },
+    {
+      key: 'istogramma',
+      ready: () => !!byId('distPreset') && Array.from(byId('distPreset').options).some(o => o.value.startsWith('lac:')),
+      read: () => {
+        const preset = byId('distPreset');
+        if (!preset) return '';
+        if (preset.value.startsWith('lac:')) return lacLabel(preset.value.slice(4));
+        const fm = byId('fromMonth');
+        const tm = byId('toMonth');
+        return preset.value === 'custom' && fm && tm && fm.value && tm.value ? fm.value + '..' + tm.value : '';
+      },
+      apply: v => {
+        const lac = LAC_RX.exec(v);
+        if (lac) return setSelect(byId('distPreset'), 'lac:' + lac[1]);
+        const range = RANGE_RX.exec(v);
+        const fm = byId('fromMonth');
+        const tm = byId('toMonth');
+        const btn = byId('applyCustom');
+        if (!range || !fm || !tm || !btn) return false;
+        fm.value = range[1];
+        tm.value = range[2];
+        btn.click();
+        return true;
+      }
+    }
+  ];
+
+  /**
+   * Stato leggibile dall'hash corrente (solo le chiavi note).
+   * @returns {Object<string, string>}
+   */
+  function read() {
+    const params = new URLSearchParams(String(window.location.hash || '').replace(/^#/, ''));
+    const out = {};
+    FIELDS.forEach(f => {
+      const v = params.get(f.key);
+      if (v) out[f.key] = v;
+    });
+    return out;
+  }
+
+  /**
+   * Scrive nell'hash lo stato corrente dei controlli (i valori ancora in attesa restano quelli del link).
+   * Usa history.replaceState (nessuna voce nella cronologia); dove non e' permesso (pagina aperta da file://
+   * in alcuni browser) ripiega su location.replace.
+   */
+  function write() {
+    const params = new URLSearchParams();
+    FIELDS.forEach(f => {
+      const v = f.key in pending ? pending[f.key] : f.read();
+      if (v) params.set(f.key, v);
+    });
+    const hash = '#' + params.toString().replace(/%2C/g, ',');
+    if (hash === window.location.hash) return;
+    written = hash;
+    try {
+      history.replaceState(null, '', hash);
+    } catch (e) {
+      window.location.replace(hash);
+    }
+  }
+
+  /**
+   * Applica i valori in attesa i cui controlli sono pronti.
+   * @param {Object<string, string>} [state] nuovi valori da applicare (es. da read())
+   */
+  function apply(state) {
+    if (state) pending = Object.assign({}, state);
+    let done = 0;
+    applying = true;
+    try {
+      FIELDS.forEach(f => {
+        if (!(f.key in pending) || !f.ready()) return;
+        const v = pending[f.key];
+        delete pending[f.key];
+        done++;
+        if (f.apply(v) === false) console.warn('[deepLink] valore non disponibile per "' + f.key + '":', v);
+      });
+    } finally {
+      applying = false;
+    }
+    // l'hash riflette cio' che e' stato davvero applicato
+    if (done) write();
+  }
+
+  // Le viste reagiscono agli stessi eventi: si applica dopo i loro listener
+  const later = () => setTimeout(() => apply(), 0);
+  document.addEventListener('raw:loaded', later);
+  document.addEventListener('caseificio:loaded', later);
+  document.addEventListener('regione:loaded', later);
+  window.addEventListener('hashchange', () => {
+    if (window.location.hash !== written) apply(read());
+  });
+
+  // Modifiche dell'utente (eventi isTrusted, non quelli lanciati dai moduli): il valore scelto vince
+  // su quello del link ancora in attesa
+  document.addEventListener('change', (ev) => {
+    if (applying) return;
+    const t = ev.isTrusted ? ev.target : null;
+    if (t && t.id === 'aziendaSelect') delete pending.azienda;
+    if (t && t.id === 'indicatore') delete pending.kpi;
+    if (t && t.closest && t.closest('#view-conf .year-boxes')) delete pending.lattazioni;
+    if (t && (t.id === 'distPreset' || t.id === 'fromMonth' || t.id === 'toMonth')) delete pending.istogramma;
+    setTimeout(write, 0);
+  }, true);
+  document.addEventListener('click', (ev) => {
+    if (!applying && ev.target && ev.target.id === 'applyCustom') {
+      if (ev.isTrusted) delete pending.istogramma;
+      setTimeout(write, 0);
+    }
+  }, true);
+
+  pending = read();
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', later);
+  else later();
+
+  window.DEEP_LINK = { read, write, apply };
+})();
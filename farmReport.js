@@ -0,0 +1,587 @@
+// farmReport.js - report stampabile della qualita' del latte per azienda e lattazione
+// COSA FA (alto livello)
+// - Bottone #reportBtn nella topbar: per l'azienda selezionata (state.azienda) e la lattazione
+//   dell'istogramma (state.histPeriod, altrimenti l'ultima dell'azienda) costruisce un documento a pagine:
+//   1) sintesi testuale, posizione nel gruppo per ogni KPI e curva PR mensile di tutti i KPI;
+//   2) una pagina per KPI: valori mensili dell'azienda vs mediana del gruppo (grafico + tabella con PR)
+//      e posizione nella distribuzione della lattazione (istogramma con il valore dell'azienda);
+//   3) medie geometriche a norma di legge (media mobile e progressiva, esito per mese).
+// - I dati sono gli stessi dei grafici del benchmark: per ogni KPI getBenchmarkRows() (stesso gruppo,
+//   filtri e soglia di numerosita') e il motore AGG_ENGINE (aggregate, percentiles, histogram), oppure le
+//   distribuzioni regionali in modalita Regione e quelle del server con la sorgente 'api' (GRUPPO);
+//   le medie di legge da LEGAL_MEANS (performanceAllevatore.js).
+// - Il documento si apre in anteprima sulla pagina; "Stampa / salva PDF" usa la stampa del browser
+//   (stili @media print in styles.css: una pagina per sezione, resto della dashboard nascosto).
+//   I grafici sono disegnati fuori schermo con Chart.js e inseriti come immagini: tutto resta nel browser.
+// - Espone API su window.FARM_REPORT: open, close.
+//
+// DIPENDENZE
+// - benchmarkAllevatore.js (state, getBenchmarkRows, lastBenchmarkMonthly, lastConferitoriSamples, lastIsRegione,
+//   lastGroupDist, lastGroupGuard, countSampleAziende, sampleAziendeByMonth, getLactationStartsFromRows, lactationLabel, LAC_MONTHS_IT
+//   e i render per ripristinare la vista).
+// - AGG_ENGINE (aggregationEngine.js), KPI_REGISTRY, DATA_STORE, REGIONE (loaderRegione.js, modalita Regione),
+//   GRUPPO (loaderGruppo.js, sorgente 'api'),
+//   LEGAL_MEANS (performanceAllevatore.js, opzionale). Chart.js + annotation per i grafici.
+// - UI: bottone #reportBtn; stili .report-* in styles.css.
+(function () {
+  const COLORS = ['#2563eb', '#f59e0b', '#16a34a', '#dc2626', '#7c3aed', '#0891b2', '#db2777', '#65a30d', '#ea580c', '#475569'];
+  const LEGAL_TEXT = { ok: 'conforme', warn: 'vicino al limite', ko: 'non conforme' };
+  // KPI senza verso "migliore" (stesse bande neutre del grafico PR)
+  const NEUTRAL_KPIS = ['urea'];
+  const MAX_TRIES = 3;
+
+  let building = false;
+
+  /**
+   * Crea un elemento con classe e testo.
+   */
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  /**
+   * Tabella da intestazioni (null = senza intestazione) e righe di celle (testo).
+   */
+  function table(headers, rows) {
+    const t = el('table', 'report-table');
+    if (headers) {
+      const head = t.createTHead().insertRow();
+      headers.forEach(h => head.appendChild(el('th', null, h)));
+    }
+    const body = t.createTBody();
+    rows.forEach(cells => {
+      const tr = body.insertRow();
+      cells.forEach(c => { tr.insertCell().textContent = c == null ? '' : String(c); });
+    });
+    return t;
+  }
+
+  /**
+   * Mesi della lattazione (Ott-Set) come {y, m} con m 0..11, nell'ordine dei grafici.
+   */
+  function lactationMonths(lacStart) {
+    const out = [];
+    for (let pos = 0; pos < 12; pos++) {
+      out.push(pos < 3 ? { y: lacStart, m: 9 + pos } : { y: lacStart + 1, m: pos - 3 });
+    }
+    return out;
+  }
+
+  /**
+   * Lattazione del report: quella scelta nell'istogramma, altrimenti l'ultima con dati dell'azienda.
+   * @returns {number|null} anno di inizio
+   */
+  function reportLactation() {
+    const hp = state.histPeriod;
+    if (hp && hp.type === 'lactation' && Number.isFinite(Number(hp.start))) return Number(hp.start);
+    const starts = getLactationStartsFromRows(getBenchmarkRows());
+    return starts.length ? starts[starts.length - 1] : null;
+  }
+
+  /**
+   * Contesto del gruppo di confronto per un KPI: esegue getBenchmarkRows() con state.currentKpi
+   * impostato sul KPI e poi ripristina il KPI della vista (e i globali del suo gruppo).
+   * @param {string} kpi KPI logico
+   * @returns {{monthly:Array<Object>, samples:Array<Object>|null, regione:boolean, dist:Object|null, guard:Object|null}}
+   *   dist: query del gruppo dal server (sorgente 'api'), null negli altri casi
+   */
+  function groupContext(kpi) {
+    const prev = state.currentKpi;
+    state.currentKpi = kpi;
+    try {
+      getBenchmarkRows();
+      return {
+        monthly: lastBenchmarkMonthly,
+        samples: lastConferitoriSamples,
+        regione: lastIsRegione,
+        dist: lastGroupDist ? lastGroupDist.query : null,
+        guard: lastGroupGuard
+      };
+    } finally {
+      state.currentKpi = prev;
+      getBenchmarkRows();
+    }
+  }
+
+  /**
+   * True se la statistica di un gruppo di n aziende va nascosta (stessa regola di groupTooSmall).
+   * Con i campioni conferitori n sono le aziende distinte dei campioni, non i campioni.
+   */
+  function hidden(guard, n) {
+    return !!guard && (guard.suppressed || n < guard.min);
+  }
+
+  /**
+   * Serie della lattazione per un KPI dal motore di aggregazione (gruppo di aziende o campioni conferitori).
+   * Se nel frattempo la vista ha avviato un altro calcolo il contesto del motore e' superato: si riprova.
+   * @returns {Promise<{months:Array<Object>, hist:Object|null}|null>}
+   */
+  function engineSeries(kpi, ctx, months, tries) {
+    const log = isLogKPI(kpi);
+    let byKey = null;
+    return AGG_ENGINE.aggregate({ monthly: ctx.monthly, samples: ctx.samples, log, azienda: state.azienda })
+      .then(res => {
+        if (!res) return null;
+        byKey = new Map(res.months.map(b => [b.key, b]));
+        return AGG_ENGINE.percentiles();
+      })
+      .then(prs => {
+        if (!prs) return null;
+        prs.forEach(p => { if (byKey.has(p.key)) byKey.get(p.key).pr = p.pr; });
+        return AGG_ENGINE.histogram(months);
+      })
+      .then(hist => {
+        if (!hist) {
+          return tries < MAX_TRIES ? engineSeries(kpi, ctx, months, tries + 1) : null;
+        }
+        const aziendeByYM = ctx.samples ? sampleAziendeByMonth(ctx.samples) : null;
+        const series = months.map(ym => {
+          const b = byKey.get(ym.y + '-' + ym.m);
+          if (!b) return { azi: null, center: null, pr: null, n: 0 };
+          const hide = hidden(ctx.guard, aziendeByYM ? (aziendeByYM.get(b.key) || 0) : b.n);
+          return { azi: b.azi, center: hide ? null : b.center, pr: hide || b.pr == null ? null : b.pr, n: b.n };
+        });
+        const hideHist = hidden(ctx.guard, ctx.samples ? countSampleAziende(ctx.samples, months) : hist.n);
+        return { months: series, hist: hideHist ? null : hist };
+      });
+  }
+
+  /**
+   * Serie della lattazione per un KPI in modalita Regione o con il gruppo dal server (ctx.dist): azienda dal
+   * motore, mediana (media per i campioni conferitori) e PR dalle distribuzioni del mese
+   * (come updatePR / updateKPI / updateHistogram).
+   * REGIONE.getMonth applica la numerosita' minima: provincia piccola -> totale regionale, altrimenti null;
+   * le distribuzioni del server arrivano gia' filtrate.
+   * @returns {Promise<{months:Array<Object>, hist:Object|null}|null>}
+   */
+  function regionSeries(kpi, ctx, months, tries) {
+    const log = isLogKPI(kpi);
+    const prov = selectedProvinceName();
+    let group = null;
+    const monthDist = ym => {
+      if (ctx.dist) return window.GRUPPO.month(group, ym.y, ym.m + 1);
+      return window.REGIONE ? window.REGIONE.getMonth(kpi, ym.y, ym.m + 1, prov) : null;
+    };
+    const centerOf = dist => (group && group.source === 'conferitori' ? dist.media : dist.p50);
+    return (ctx.dist ? window.GRUPPO.load(ctx.dist) : Promise.resolve(null))
+      .then(data => {
+        group = data;
+        return AGG_ENGINE.aggregate({ monthly: ctx.monthly, samples: null, log, azienda: state.azienda });
+      })
+      .then(res => {
+        if (!res) return tries < MAX_TRIES ? regionSeries(kpi, ctx, months, tries + 1) : null;
+        const byKey = new Map(res.months.map(b => [b.key, b]));
+        const dists = [];
+        const aziVals = [];
+        const series = months.map(ym => {
+          const b = byKey.get(ym.y + '-' + ym.m);
+          const azi = b ? b.azi : null;
+          const dist = monthDist(ym);
+          if (dist) dists.push(dist);
+          if (azi != null && isFinite(azi)) aziVals.push(azi);
+          return {
+            azi,
+            center: dist ? centerOf(dist) : null,
+            pr: dist && azi != null ? window.REGIONE.percentileOf(dist, azi, log) : null,
+            n: dist ? dist.n : 0
+          };
+        });
+        const aziAgg = aziVals.length ? (log ? aggGeometric(aziVals) : aggArithmetic(aziVals)) : null;
+        const pooled = dists.length ? window.REGIONE.pooledHistogram(dists, 10, log) : null;
+        const hist = pooled ? {
+          data: pooled.share.map((s, i) => ({ x: (pooled.edges[i] + pooled.edges[i + 1]) / 2, y: Math.round(s * 1000) / 10 })),
+          aziAgg,
+          pr: aziAgg != null ? window.REGIONE.pooledPercentile(dists, aziAgg, log) : null,
+          n: Math.round(pooled.avgN)
+        } : null;
+        return { months: series, hist };
+      });
+  }
+
+  /**
+   * Dati del report per tutti i KPI (in sequenza: il motore ha un solo contesto alla volta).
+   * @returns {Promise<Array<{kpi:string, months:Array<Object>, hist:Object|null, guard:Object|null}>>}
+   */
+  function collect(lacStart) {
+    const months = lactationMonths(lacStart);
+    const kpis = KPI_REGISTRY.keys();
+    const out = [];
+    return kpis.reduce((p, kpi) => p.then(() => {
+      const ctx = groupContext(kpi);
+      const run = ctx.regione || ctx.dist ? regionSeries(kpi, ctx, months, 1) : engineSeries(kpi, ctx, months, 1);
+      return run.then(res => {
+        if (res && res.months.some(b => b.azi != null)) out.push({ kpi, months: res.months, hist: res.hist, guard: ctx.guard });
+      });
+    }), Promise.resolve()).then(() => out);
+  }
+
+  /**
+   * Riallinea i grafici della vista: il report ha sostituito il contesto del motore di aggregazione.
+   */
+  function restoreView() {
+    invalidateAggregation();
+    const rows = getBenchmarkRows();
+    updateBenchmarkCountLabel(rows);
+    updatePR(rows);
+    updateKPI(rows);
+    updateHistogram(rows);
+    scheduleSync();
+  }
+
+  /**
+   * Giudizio sul PR tenendo conto del verso del KPI (per cellule e carica un PR basso e' un buon risultato).
+   * @returns {'good'|'mid'|'low'|null}
+   */
+  function standing(kpi, pr) {
+    if (pr == null || NEUTRAL_KPIS.includes(kpi)) return null;
+    const score = lowerIsBetter(kpi) ? 100 - pr : pr;
+    if (score >= 75) return 'good';
+    if (score >= 25) return 'mid';
+    return 'low';
+  }
+
+  const STANDING_TEXT = { good: 'tra le migliori', mid: 'in linea con il gruppo', low: 'da migliorare' };
+
+  /**
+   * Valore mensile formattato con il numero di decimali del KPI.
+   */
+  function fmt(kpi, v) {
+    return v == null ? '\u2013' : KPI_REGISTRY.format(kpi, v);
+  }
+
+  /**
+   * Disegna un grafico Chart.js fuori schermo e ne restituisce l'immagine PNG (data URL).
+   * @param {Object} config configurazione Chart.js
+   * @param {number} width larghezza in px
+   * @param {number} height altezza in px
+   * @returns {string}
+   */
+  function chartImage(config, width, height) {
+    const host = el('div', 'report-offscreen');
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    host.appendChild(canvas);
+    document.body.appendChild(host);
+    const options = Object.assign({}, config.options, { responsive: false, animation: false, devicePixelRatio: 2 });
+    const chart = new Chart(canvas, Object.assign({}, config, { options }));
+    const url = chart.toBase64Image();
+    chart.destroy();
+    host.remove();
+    return url;
+  }
+
+  function image(src, alt) {
+    const img = el('img', 'report-chart');
+    img.src = src;
+    img.alt = alt;
+    return img;
+  }
+
+  /**
+   * Grafico PR mensile di tutti i KPI sulla lattazione.
+   */
+  function prCurveImage(data) {
+    return chartImage({
+      type: 'line',
+      data: {
+        labels: LAC_MONTHS_IT,
+        datasets: data.map((d, i) => ({
+          label: KPI_REGISTRY.labelOf(d.kpi),
+          data: d.months.map(b => b.pr),
+          borderColor: COLORS[i % COLORS.length],
+          backgroundColor: COLORS[i % COLORS.length],
+          borderWidth: 2,
+          pointRadius: 2,
+          spanGaps: true
+        }))
+      },
+      options: {
+        scales: { y: { min: 0, max: 100, title: { display: true, text: 'PR' } } },
+        plugins: { legend: { position: 'bottom', labels: { boxWidth: 12 } } }
+      }
+    }, 900, 380);
+  }
+
+  /**
+   * Grafico valori mensili dell'azienda vs mediana del gruppo per un KPI.
+   */
+  function kpiImage(d, groupLabel) {
+    const unit = KPI_REGISTRY.unitOf(d.kpi);
+    return chartImage({
+      type: 'line',
+      data: {
+        labels: LAC_MONTHS_IT,
+        datasets: [
+          { label: state.azienda, data: d.months.map(b => b.azi), borderColor: '#2563eb', backgroundColor: '#2563eb', borderWidth: 2, spanGaps: true },
+          { label: groupLabel, data: d.months.map(b => b.center), borderColor: '#64748b', backgroundColor: '#64748b', borderDash: [6, 4], borderWidth: 2, pointRadius: 0, spanGaps: true }
+        ]
+      },
+      options: {
+        scales: { y: { type: isLogKPI(d.kpi) ? 'logarithmic' : 'linear', title: { display: !!unit, text: unit } } },
+        plugins: { legend: { position: 'bottom', labels: { boxWidth: 12 } } }
+      }
+    }, 900, 320);
+  }
+
+  /**
+   * Istogramma della lattazione con il valore medio dell'azienda.
+   */
+  function histImage(d) {
+    const h = d.hist;
+    return chartImage({
+      type: 'bar',
+      data: { datasets: [{ label: 'Frequenza %', data: h.data.map(b => ({ x: b.x, y: b.y })), backgroundColor: 'rgba(100,116,139,0.45)', barPercentage: 1, categoryPercentage: 1 }] },
+      options: {
+        scales: { x: { type: 'linear', title: { display: true, text: KPI_REGISTRY.unitOf(d.kpi) } }, y: { title: { display: true, text: '%' } } },
+        plugins: {
+          legend: { display: false },
+          annotation: {
+            annotations: h.aziAgg == null ? {} : {
+              azienda: {
+                type: 'line', xMin: h.aziAgg, xMax: h.aziAgg, borderColor: '#2563eb', borderWidth: 3,
+                label: { display: true, content: state.azienda, position: 'start', backgroundColor: 'rgba(37,99,235,0.85)' }
+              }
+            }
+          }
+        }
+      }
+    }, 900, 260);
+  }
+
+  /**
+   * Grafico medie di legge: media mobile, progressiva e limite.
+   */
+  function legalImage(rule, res) {
+    return chartImage({
+      type: 'line',
+      data: {
+        labels: LAC_MONTHS_IT,
+        datasets: [
+          { label: 'Media mobile ' + rule.window + ' mesi', data: res.rolling, borderColor: '#334155', backgroundColor: '#334155', borderWidth: 2, spanGaps: true },
+          { label: 'Progressiva lattazione', data: res.cumulative, borderColor: '#6366f1', borderDash: [6, 4], borderWidth: 2, pointRadius: 0, spanGaps: true }
+        ]
+      },
+      options: {
+        scales: { y: { beginAtZero: true, suggestedMax: rule.limit * 1.1 } },
+        plugins: {
+          legend: { position: 'bottom', labels: { boxWidth: 12 } },
+          annotation: { annotations: { limit: { type: 'line', yMin: rule.limit, yMax: rule.limit, borderColor: '#ef4444', borderWidth: 2, borderDash: [6, 4] } } }
+        }
+      }
+    }, 900, 300);
+  }
+
+  /**
+   * Descrizione del gruppo di confronto come nei filtri della vista.
+   */
+  function groupDescription() {
+    const sel = document.getElementById('benchmarkType');
+    const prov = document.getElementById('provinciaFilter');
+    const mode = sel && sel.selectedIndex >= 0 ? sel.options[sel.selectedIndex].textContent.trim() : 'IntraAppare';
+    const provName = selectedProvinceName();
+    const count = document.getElementById('benchmarkCount');
+    return mode + (provName ? ' \u00b7 provincia di ' + provName : (prov ? ' \u00b7 tutte le province' : '')) +
+      (count && count.textContent.trim() ? ' \u00b7 ' + count.textContent.trim() : '');
+  }
+
+  /**
+   * Frasi della sintesi: posizione per KPI (per giudizio) e conformita' delle medie di legge.
+   */
+  function summaryLines(data, legal, lacText) {
+    const groups = { good: [], mid: [], low: [] };
+    data.forEach(d => {
+      const st = standing(d.kpi, d.hist ? d.hist.pr : null);
+      if (st) groups[st].push(KPI_REGISTRY.labelOf(d.kpi) + ' (PR ' + d.hist.pr + ')');
+    });
+    const lines = [];
+    if (groups.good.length) lines.push('Nella lattazione ' + lacText + ' l\'azienda \u00e8 tra le migliori del gruppo per: ' + groups.good.join(', ') + '.');
+    if (groups.mid.length) lines.push('In linea con il gruppo per: ' + groups.mid.join(', ') + '.');
+    if (groups.low.length) lines.push('Da migliorare: ' + groups.low.join(', ') + '.');
+    if (!groups.good.length && !groups.mid.length && !groups.low.length) {
+      lines.push('Posizione nel gruppo non disponibile per la lattazione ' + lacText + ' (gruppo di confronto assente o troppo piccolo).');
+    }
+    legal.forEach(l => {
+      const ko = l.res.status.map((s, i) => (s === 'ko' ? LAC_MONTHS_IT[i] : null)).filter(Boolean);
+      const warn = l.res.status.map((s, i) => (s === 'warn' ? LAC_MONTHS_IT[i] : null)).filter(Boolean);
+      if (!l.res.status.some(Boolean)) return;
+      if (ko.length) lines.push(l.rule.label + ': media geometrica non conforme in ' + ko.join(', ') + '.');
+      else if (warn.length) lines.push(l.rule.label + ': media geometrica conforme, vicina al limite in ' + warn.join(', ') + '.');
+      else lines.push(l.rule.label + ': media geometrica conforme in tutti i mesi con campioni.');
+    });
+    return lines;
+  }
+
+  /**
+   * Costruisce il documento del report (pagine .report-page).
+   */
+  function buildDocument(data, lacStart) {
+    const lacText = lactationLabel(lacStart);
+    const doc = el('div', 'report-doc');
+    const caseificio = DATA_STORE.caseificioOf(state.azienda);
+    const groupLabel = lastConferitori ? 'Media campioni ' + lastConferitori.id : lastIsRegione ? 'Mediana regionale' : 'Mediana gruppo';
+
+    const legal = [];
+    if (window.LEGAL_MEANS) {
+      KPI_REGISTRY.keys().forEach(kpi => {
+        const rule = window.LEGAL_MEANS.rule(kpi);
+        if (!rule) return;
+        const res = window.LEGAL_MEANS.compute(kpi, lacStart);
+        if (res.rolling.some(v => v != null)) legal.push({ kpi, rule, res });
+      });
+    }
+
+    // ----- Pagina 1: sintesi -----
+    const first = el('section', 'report-page');
+    first.appendChild(el('h1', 'report-title', 'Report qualit\u00e0 del latte'));
+    first.appendChild(table(null, [
+      ['Azienda', state.azienda],
+      ['Caseificio', caseificio || '\u2013'],
+      ['Lattazione', lacText + ' (ottobre ' + lacStart + ' \u2013 settembre ' + (lacStart + 1) + ')'],
+      ['Confronto', groupDescription()],
+      ['Generato il', new Date().toLocaleString('it-IT')]
+    ]));
+    first.appendChild(el('h2', 'report-subtitle', 'Sintesi'));
+    const ul = el('ul', 'report-summary');
+    summaryLines(data, legal, lacText).forEach(line => ul.appendChild(el('li', null, line)));
+    first.appendChild(ul);
+
+    first.appendChild(el('h2', 'report-subtitle', 'Posizione nel gruppo'));
+    first.appendChild(table(['KPI', 'Valore lattazione', 'PR lattazione', 'Giudizio'], data.map(d => {
+      const st = standing(d.kpi, d.hist ? d.hist.pr : null);
+      return [
+        KPI_REGISTRY.labelOf(d.kpi) + (KPI_REGISTRY.unitOf(d.kpi) ? ' (' + KPI_REGISTRY.unitOf(d.kpi) + ')' : ''),
+        d.hist ? fmt(d.kpi, d.hist.aziAgg) : '\u2013',
+        d.hist && d.hist.pr != null ? d.hist.pr : '\u2013',
+        st ? STANDING_TEXT[st] : ''
+      ];
+    })));
+    if (data.length) {
+      first.appendChild(el('h2', 'report-subtitle', 'Curva PR mensile'));
+      first.appendChild(image(prCurveImage(data), 'PR mensile per KPI'));
+    }
+    doc.appendChild(first);
+
+    // ----- Una pagina per KPI -----
+    data.forEach(d => {
+      const page = el('section', 'report-page');
+      const unit = KPI_REGISTRY.unitOf(d.kpi);
+      page.appendChild(el('h2', 'report-subtitle', KPI_REGISTRY.labelOf(d.kpi) + (unit ? ' (' + unit + ')' : '') + ' \u00b7 lattazione ' + lacText));
+      page.appendChild(image(kpiImage(d, groupLabel), KPI_REGISTRY.labelOf(d.kpi) + ': azienda vs ' + groupLabel));
+      page.appendChild(table(['Mese', 'Azienda', groupLabel, 'PR'], d.months.map((b, i) => [
+        LAC_MONTHS_IT[i], fmt(d.kpi, b.azi), fmt(d.kpi, b.center), b.pr == null ? '\u2013' : b.pr
+      ])));
+      page.appendChild(el('h3', 'report-subtitle', 'Posizione nella distribuzione'));
+      if (d.hist && d.hist.data && d.hist.data.length) {
+        page.appendChild(el('p', null, d.hist.pr != null
+          ? 'Valore della lattazione ' + fmt(d.kpi, d.hist.aziAgg) + (unit ? ' ' + unit : '') + ': ' + d.hist.pr + '\u00b0 percentile su ' + d.hist.n + (lastConferitori && !lastGroupDist ? ' campioni.' : ' aziende.')
+          : 'Nessun valore dell\'azienda nel periodo.'));
+        page.appendChild(image(histImage(d), 'Distribuzione ' + KPI_REGISTRY.labelOf(d.kpi)));
+      } else {
+        page.appendChild(el('p', 'muted', d.guard && d.guard.suppressed
+          ? 'Gruppo di confronto troppo piccolo: distribuzione non mostrata per tutelare le altre aziende.'
+          : 'Distribuzione non disponibile per la lattazione.'));
+      }
+      doc.appendChild(page);
+    });
+
+    // ----- Medie di legge -----
+    if (legal.length) {
+      const page = el('section', 'report-page');
+      page.appendChild(el('h2', 'report-subtitle', 'Medie geometriche a norma di legge \u00b7 lattazione ' + lacText));
+      legal.forEach(l => {
+        page.appendChild(el('h3', 'report-subtitle', l.rule.label + ' \u00b7 media mobile ' + l.rule.window + ' mesi, limite ' + l.rule.limit));
+        page.appendChild(image(legalImage(l.rule, l.res), 'Medie di legge ' + l.rule.label));
+        page.appendChild(table(['Mese', 'Media mobile', 'Progressiva', 'Esito'], LAC_MONTHS_IT.map((m, i) => [
+          m,
+          l.res.rolling[i] == null ? '\u2013' : l.res.rolling[i].toFixed(0),
+          l.res.cumulative[i] == null ? '\u2013' : l.res.cumulative[i].toFixed(0),
+          LEGAL_TEXT[l.res.status[i]] || ''
+        ])));
+      });
+      doc.appendChild(page);
+    }
+    return doc;
+  }
+
+  /**
+   * Apre l'anteprima del report per l'azienda e la lattazione correnti.
+   * @returns {Promise<void>}
+   */
+  function open() {
+    if (building) return Promise.resolve();
+    const lacStart = reportLactation();
+    if (!state.azienda || lacStart == null) {
+      console.warn('[report] nessuna azienda o lattazione con dati');
+      return Promise.resolve();
+    }
+    building = true;
+    const btn = document.getElementById('reportBtn');
+    if (btn) btn.disabled = true;
+
+    return collect(lacStart)
+      .then(data => {
+        close();
+        const overlay = el('div', 'report-overlay');
+        overlay.id = 'reportOverlay';
+
+        const actions = el('div', 'report-actions');
+        const printBtn = el('button', 'select compact', 'Stampa / salva PDF');
+        printBtn.addEventListener('click', print);
+        const closeBtn = el('button', 'select compact', 'Chiudi');
+        closeBtn.addEventListener('click', close);
+        actions.appendChild(printBtn);
+        actions.appendChild(closeBtn);
+
+        overlay.appendChild(actions);
+        overlay.appendChild(buildDocument(data, lacStart));
+        document.body.appendChild(overlay);
+        document.addEventListener('keydown', onKey);
+        printBtn.focus();
+      })
+      .catch(err => console.warn('[report] costruzione non riuscita:', err))
+      .then(() => {
+        building = false;
+        if (btn) btn.disabled = false;
+        restoreView();
+      });
+  }
+
+  /**
+   * Stampa il report (il browser permette anche di salvarlo in PDF).
+   */
+  function print() {
+    document.body.classList.add('report-printing');
+    window.print();
+    document.body.classList.remove('report-printing');
+  }
+
+  /**
+   * Chiude l'anteprima (se aperta).
+   */
+  function close() {
+    const existing = document.getElementById('reportOverlay');
+    if (existing) existing.remove();
+    document.removeEventListener('keydown', onKey);
+  }
+
+  function onKey(ev) {
+    if (ev.key === 'Escape') close();
+  }
+
+  function bind() {
+    const btn = document.getElementById('reportBtn');
+    if (btn) btn.addEventListener('click', open);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bind);
+  } else {
+    bind();
+  }
+
+  window.FARM_REPORT = { open, close };
+})();
@@ -0,0 +1,293 @@
+// kpiRegistry.js - registro unico dei KPI (chiavi, alias, unita', etichette, scala, limiti di legge)
+// COSA FA (alto livello)
+// - Definisce in un solo punto tutti i KPI usati dalle viste allevatore/trasformatore e dai loader.
+// - Ogni KPI ha: key canonica, label, alias presenti nei dataset, unita', scala log, lowerIsBetter,
+//   limite di legge (finestra mobile in mesi + soglia), cifre decimali di visualizzazione,
+//   intervallo plausibile dei valori, fasce di valutazione dei singoli valori (urea, rapporto).
+// - Espone API su window.KPI_REGISTRY: get/normalize/aliasesFor/matches, unitOf/scaleOf/labelOf/decimalsOf/format,
+//   isLog/lowerIsBetter/legalOf/rangeOf/bandsOf/statusOf, keys/list, populateSelect, LEGAL_WARN_RATIO.
+// - Popola i select marcati con data-kpi-options (es. #indicatore) con le option dei KPI richiesti.
+// - Espone anche window.DATA_FIELDS, i campi comuni delle righe dei dataset: canon (nomi di caseificio e
+//   provincia da confrontare), provinceName/PROVINCE_SIGLE (sigle provincia), dayOf/periodOf (giorno e mese
+//   di Data), lactationOf/lactationLabel (lattazione ottobre-settembre).
+//
+// FLUSSO
+// - Caricato (defer) prima degli altri script: al momento dell'esecuzione il DOM e' gia' parsato,
+//   quindi i select KPI sono riempiti subito e gli altri moduli trovano il value iniziale.
+//
+// DIPENDENZE
+// - Nessuna. Consumatori: benchmarkAllevatore.js, performanceAllevatore.js, benchmarkTrasformatore.js,
+//   loaderCaseificio.js, loaderRegione.js.
+// - DATA_FIELDS: dataLoader.js, csvImporter.js, sampleDedup.js, accessScope.js, loaderCaseificio.js,
+//   liveRefresh.js, sampleHistory.js, deepLink.js, conferentiList.js, performanceAllevatore.js,
+//   performanceTrasformatore.js e apiServer.js (caricato in un contesto vm).
+//
+// NOTA: per aggiungere un KPI basta aggiungere una voce a KPIS (e, se serve, la sua key in data-kpi-options).
+(function () {
+  /**
+   * Definizione dei KPI.
+   * - aliases: valori del campo KPI nei dataset (minuscolo) riconosciuti come questo KPI
+   * - unit: unita' di misura del laboratorio
+   * - scale: i dataset riportano il valore diviso per scale (cellule e carica in migliaia); unitOf lo dichiara
+   *   nell'unita' mostrata (es. "\u00d71000 cell/mL")
+   * - log: aggregazione in media geometrica e confronti in scala log
+   * - legal: media geometrica mobile di legge { window: mesi, limit: soglia } oppure null
+   * - derived: KPI calcolato da altri (non presente nei dataset), escluso dai select di default
+   * - range: intervallo plausibile dei valori { min, max } nell'unita' dei dataset (validazione di dataLoader.js)
+   * - bands: fasce di valutazione [{ max, status }] in ordine crescente (status 'ok' | 'warn' | 'ko'), disegnate
+   *   nel grafico Performance e usate per colorare i valori (statusOf)
+   */
+  const KPIS = [
+    { key: 'grassi',   label: 'Grasso',            aliases: ['grassi', 'grasso', 'fat', '% fat'],            unit: '%',       log: false, lowerIsBetter: false, legal: null, decimals: 2, range: { min: 1, max: 20 } },
+    { key: 'proteine', label: 'Proteine',          aliases: ['proteine', 'proteina', 'protein', '% prot'],  unit: '%',       log: false, lowerIsBetter: false, legal: null, decimals: 2, range: { min: 1, max: 15 } },
+    { key: 'caseina',  label: 'Caseina',           aliases: ['caseina', 'caseine'],                          unit: '%',       log: false, lowerIsBetter: false, legal: null, decimals: 2, range: { min: 1, max: 10 } },
+    { key: 'lattosio', label: 'Lattosio',          aliases: ['lattosio'],                                    unit: '%',       log: false, lowerIsBetter: false, legal: null, decimals: 2, range: { min: 1, max: 8 } },
+    { key: 'cellule',  label: 'Cellule Somatiche', aliases: ['cellule', 'scc', 'cellule somatiche', 'cellule somatiche (scc)'],
+      unit: 'cell/mL', scale: 1000, log: true, lowerIsBetter: true, legal: { window: 3, limit: 1500 }, decimals: 0, range: { min: 1, max: 100000 } },
+    { key: 'carica',   label: 'Carica Batterica',  aliases: ['carica', 'cbt', 'carica batterica', 'carica batterica (cbt)', 'carica batterica totale'],
+      unit: 'UFC/mL', scale: 1000, log: true, lowerIsBetter: true, legal: { window: 2, limit: 500 }, decimals: 0, range: { min: 1, max: 100000 } },
+    { key: 'urea',     label: 'Urea',              aliases: ['urea'],                                        unit: 'mg/dL',   log: false, lowerIsBetter: false, legal: null, decimals: 1, range: { min: 1, max: 150 },
+      bands: [{ max: 30, status: 'ko' }, { max: 36, status: 'warn' }, { max: 44, status: 'ok' }, { max: 50, status: 'warn' }, { max: Infinity, status: 'ko' }] },
+    { key: 'crio',     label: 'Crioscopia',        aliases: ['crio', 'crio ft', 'crioscopia', 'punto crioscopico'], unit: 'C',       log: false, lowerIsBetter: false, legal: null, decimals: 3, range: { min: 0.4, max: 0.7 } },
+    { key: 'ph',       label: 'pH',                aliases: ['ph'],                                          unit: '',        log: false, lowerIsBetter: false, legal: null, decimals: 2, range: { min: 5, max: 8 } },
+    { key: 'nacl',     label: 'NaCl',              aliases: ['nacl', 'cloruro di sodio'],                    unit: 'g/L',     log: false, lowerIsBetter: false, legal: null, decimals: 1, range: { min: 0, max: 1000 } },
+    { key: 'rapporto', label: 'Rapporto grassi/proteine', aliases: ['rapporto'],                             unit: '',        log: false, lowerIsBetter: false, legal: null, decimals: 2, range: { min: 0.3, max: 5 }, derived: true,
+      bands: [{ max: 1, status: 'ko' }, { max: 1.4, status: 'ok' }, { max: Infinity, status: 'ko' }] }
+  ];
+
+  // oltre questa frazione del limite di legge un valore e' "vicino al limite"
+  const LEGAL_WARN_RATIO = 0.8;
+
+  // Indice alias (minuscolo) -> definizione
+  const BY_ALIAS = new Map();
+  KPIS.forEach(def => {
+    BY_ALIAS.set(def.key, def);
+    def.aliases.forEach(a => BY_ALIAS.set(norm(a), def));
+  });
+
+  /**
+   * Normalizza stringa in lower-case e trim.
+   */
+  function norm(v) {
+    return String(v || '').trim().toLowerCase();
+  }
+
+  /**
+   * Definizione del KPI a partire da key o alias.
+   * @param {string} k chiave o alias
+   * @returns {Object|null}
+   */
+  function get(k) {
+    return BY_ALIAS.get(norm(k)) || null;
+  }
+
+  /**
+   * Chiave canonica del KPI (es. 'caseine' -> 'caseina'); se sconosciuto ritorna l'input normalizzato.
+   * @param {string} k chiave o alias
+   * @returns {string}
+   */
+  function normalize(k) {
+    const def = get(k);
+    return def ? def.key : norm(k);
+  }
+
+  /**
+   * Alias accettati per un KPI (minuscolo, key inclusa).
+   * @param {string} k chiave o alias
+   * @returns {string[]}
+   */
+  function aliasesFor(k) {
+    const def = get(k);
+    return def ? [def.key].concat(def.aliases.map(norm)) : [norm(k)];
+  }
+
+  /**
+   * True se il valore del campo KPI di un record corrisponde al KPI k.
+   * @param {string} rawKpi valore del campo KPI nel dataset
+   * @param {string} k chiave o alias
+   * @returns {boolean}
+   */
+  function matches(rawKpi, k) {
+    const a = get(rawKpi);
+    const b = get(k);
+    return a && b ? a === b : norm(rawKpi) === norm(k);
+  }
+
+  /**
+   * Valore formattato con le cifre decimali previste dal KPI.
+   * @param {string} k chiave o alias
+   * @param {number} v valore
+   * @returns {string}
+   */
+  function format(k, v) {
+    if (!Number.isFinite(Number(v))) return '';
+    return Number(v).toFixed(decimalsOf(k));
+  }
+
+  /**
+   * Unita' mostrata nelle viste, con il fattore dei valori in migliaia (es. "\u00d71000 cell/mL").
+   * @param {string} k chiave o alias
+   * @returns {string}
+   */
+  function unitOf(k) {
+    const def = get(k);
+    if (!def || !def.unit) return '';
+    return scaleOf(k) > 1 ? '\u00d7' + scaleOf(k) + ' ' + def.unit : def.unit;
+  }
+
+  function scaleOf(k)       { const s = get(k)?.scale; return Number.isFinite(s) && s > 0 ? s : 1; }
+  function labelOf(k)       { return get(k)?.label || String(k || ''); }
+  function decimalsOf(k)    { const d = get(k)?.decimals; return Number.isFinite(d) ? d : 2; }
+  function isLog(k)         { return !!get(k)?.log; }
+  function lowerIsBetter(k) { return !!get(k)?.lowerIsBetter; }
+  function legalOf(k)       { return get(k)?.legal || null; }
+  function rangeOf(k)       { return get(k)?.range || null; }
+  function bandsOf(k)       { return get(k)?.bands || null; }
+
+  /**
+   * Valutazione di un singolo valore: fascia del KPI (bands) oppure confronto con il limite di legge.
+   * @param {string} k chiave o alias
+   * @param {number} v valore
+   * @returns {'ok'|'warn'|'ko'|null} null se il KPI non ha soglie o il valore manca
+   */
+  function statusOf(k, v) {
+    if (v == null || !Number.isFinite(Number(v))) return null;
+    const bands = bandsOf(k);
+    if (bands) return (bands.find(b => Number(v) < b.max) || bands[bands.length - 1]).status;
+    const legal = legalOf(k);
+    if (!legal) return null;
+    if (v > legal.limit) return 'ko';
+    return v > legal.limit * LEGAL_WARN_RATIO ? 'warn' : 'ok';
+  }
+
+  /**
+   * Chiavi dei KPI registrati (per default esclusi i derivati).
+   * @param {{derived?: boolean}} [opts]
+   * @returns {string[]}
+   */
+  function keys(opts = {}) {
+    return KPIS.filter(d => opts.derived || !d.derived).map(d => d.key);
+  }
+
+  /**
+   * Riempie un select con le option dei KPI indicati (default: tutti i KPI non derivati).
+   * Mantiene il value corrente se ancora presente.
+   * @param {HTMLSelectElement} sel select da popolare
+   * @param {string[]} [list] chiavi KPI in ordine di visualizzazione
+   */
+  function populateSelect(sel, list) {
+    if (!sel) return;
+    const wanted = (Array.isArray(list) && list.length ? list : keys()).map(normalize).filter(k => get(k));
+    const prev = sel.value;
+    sel.textContent = '';
+    wanted.forEach(k => {
+      const opt = document.createElement('option');
+      opt.value = k;
+      opt.textContent = labelOf(k);
+      sel.appendChild(opt);
+    });
+    if (prev && wanted.includes(prev)) sel.value = prev;
+  }
+
+  window.KPI_REGISTRY = {
+    get,
+    normalize,
+    aliasesFor,
+    matches,
+    format,
+    unitOf,
+    scaleOf,
+    labelOf,
+    decimalsOf,
+    isLog,
+    lowerIsBetter,
+    legalOf,
+    rangeOf,
+    bandsOf,
+    statusOf,
+    LEGAL_WARN_RATIO,
+    keys,
+    /** Copia delle definizioni (per iterare su tutti i KPI) */
+    list() { return KPIS.map(d => Object.assign({}, d)); },
+    populateSelect
+  };
+
+  // ---------- campi comuni delle righe dei dataset ----------
+  const PROVINCE_SIGLE = Object.freeze({ ca: 'Cagliari', ss: 'Sassari', or: 'Oristano', nu: 'Nuoro' });
+
+  /**
+   * Forma canonica di un nome (caseificio, provincia) per il confronto: minuscolo, solo lettere e cifre
+   * (es. "C.A.O.-COOP. ALLEVATORI OVINI SOC.C" -> "caocoopallevatoriovinisocc").
+   */
+  function canon(v) {
+    return String(v || '').trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Nome esteso della provincia dalla sigla (ss/ca/or/nu, anche maiuscola); gli altri valori restano invariati.
+   */
+  function provinceName(p) {
+    const v = String(p || '').trim();
+    return PROVINCE_SIGLE[v.toLowerCase()] || v;
+  }
+
+  /**
+   * Giorno "aaaa-mm-gg" di una Data (testo ISO, eventuale ora ignorata, o Date); '' se manca.
+   */
+  function dayOf(data) {
+    return data instanceof Date ? data.toISOString().slice(0, 10) : String(data || '').slice(0, 10);
+  }
+
+  /**
+   * Anno e mese (1..12) da una data "aaaa-mm-gg" (eventuale ora ignorata); null se non valida.
+   */
+  function periodOf(data) {
+    const m = String(data || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!m) return null;
+    const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+    if (d.getUTCMonth() !== +m[2] - 1 || d.getUTCDate() !== +m[3]) return null;
+    return { anno: +m[1], mese: +m[2] };
+  }
+
+  /**
+   * Anno di inizio lattazione e posizione (0 = Ottobre ... 11 = Settembre) di anno/mese (1..12).
+   * @returns {{startYear:number, pos:number}|null}
+   */
+  function lactationOf(anno, mese) {
+    const y = Number(anno), m = Number(mese);
+    if (!Number.isFinite(y) || !(m >= 1 && m <= 12)) return null;
+    return { startYear: m >= 10 ? y : y - 1, pos: (m + 2) % 12 };
+  }
+
+  /**
+   * Etichetta della lattazione dall'anno di inizio (2024 -> "2024-25").
+   */
+  function lactationLabel(startYear) {
+    return startYear + '-' + String((startYear + 1) % 100).padStart(2, '0');
+  }
+
+  window.DATA_FIELDS = {
+    PROVINCE_SIGLE,
+    canon,
+    provinceName,
+    dayOf,
+    periodOf,
+    lactationOf,
+    lactationLabel
+  };
+
+  // Popola i select marcati con data-kpi-options ("tutti" o lista di chiavi separate da virgola)
+  function populateMarkedSelects() {
+    document.querySelectorAll('select[data-kpi-options]').forEach(sel => {
+      const spec = String(sel.dataset.kpiOptions || '').trim();
+      const list = (!spec || spec === 'tutti') ? null : spec.split(',').map(s => s.trim()).filter(Boolean);
+      populateSelect(sel, list);
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', populateMarkedSelects);
+  } else {
+    populateMarkedSelects();
+  }
+})();
@@ -0,0 +1,261 @@
+// liveRefresh.js - aggiornamento live dei dataset e avviso "N nuovi campioni"
+// COSA FA (alto livello)
+// - Ogni POLL_MS (a pagina visibile) chiede ai loader di ricontrollare i dataset con richieste condizionali
+//   (ETag / Last-Modified): DATA_LOADER.refresh() per data.json e consegne, Caseifici.refresh() per manifest,
+//   cisterna e campioni conferitori. Se data-delta.json dichiara "eventi" (URL di un EventSource del server
+//   locale) il controllo parte anche a ogni evento ricevuto.
+// - I loader ripubblicano i dati cambiati con gli eventi di sempre ("raw:loaded", "caseificio:loaded"),
+//   quindi le viste si aggiornano con i loro handler.
+// - Confronta i dati prima/dopo: campioni nuovi di data.json (azienda, giorno, KPI) e mesi con campioni
+//   conferitori o valori cisterna in piu' (solo lattazioni gia' caricate, non i primi caricamenti).
+// - Mostra un avviso "N nuovi campioni" (#liveToast); finche' l'avviso resta aperto i grafici KPI e Performance
+//   evidenziano i punti nuovi (isNew, freshMonths). Alla chiusura emette "live:cleared" e i grafici si ridisegnano.
+// - Espone API su window.LIVE_REFRESH: refresh, isNew, freshMonths, clear.
+//
+// DIPENDENZE
+// - dataLoader.js (DATA_LOADER.refresh/index), loaderCaseificio.js (Caseifici.refresh) e datasetCache.js.
+// - KPI_REGISTRY (kpiRegistry.js) per la chiave canonica dei KPI; DATA_FIELDS (kpiRegistry.js) per giorno e
+//   lattazione dei campioni.
+// - Consumatori delle evidenziazioni: benchmarkAllevatore.js, performanceAllevatore.js, benchmarkTrasformatore.js.
+//   Va caricato prima delle viste, cosi' i confronti sono pronti quando i loro handler ridisegnano.
+(function () {
+  const POLL_MS = 5 * 60 * 1000;
+
+  let rawKeys = null;             // chiavi campione (azienda|giorno|KPI) dell'ultimo RAW visto
+  let freshRaw = new Map();       // chiave campione -> { Azienda, Caseificio, kpi, ym } dei campioni nuovi
+  const dairyCounts = new Map();  // id caseificio -> { lactations, hasTank, counts: Map('dataset|kpi|Anno-Mese' -> n) }
+  const freshDairy = new Map();   // 'dataset|id caseificio' -> Set('kpi|Anno-Mese')
+  let pendingCount = { samples: 0, tank: 0 };
+  let running = null;             // Promise del controllo in corso
+  let lastCheck = 0;
+  let source = null;              // EventSource del server locale (se dichiarato)
+
+  /**
+   * Chiave campione di una riga data.json (null se mancano azienda o data).
+   */
+  function sampleKey(azienda, data, kpi) {
+    const day = window.DATA_FIELDS.dayOf(data);
+    if (!azienda || !day) return null;
+    return azienda + '\u0001' + day + '\u0001' + KPI_REGISTRY.normalize(kpi);
+  }
+
+  /**
+   * Chiavi campione di RAW.
+   */
+  function keysOf(raw) {
+    const out = new Set();
+    for (const r of Array.isArray(raw) ? raw : []) {
+      const key = r ? sampleKey(r.Azienda, r.Data, r.KPI) : null;
+      if (key) out.add(key);
+    }
+    return out;
+  }
+
+  /**
+   * Conteggi per mese di campioni conferitori e valori cisterna di un caseificio.
+   */
+  function dairySnapshot(dairy) {
+    const counts = new Map();
+    const add = (dataset, rows) => rows.forEach(r => {
+      if (!r) return;
+      const key = dataset + '|' + KPI_REGISTRY.normalize(r.KPI) + '|' + Number(r.Anno) + '-' + Number(r.Mese);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    add('conferitori', dairy.getAll());
+    add('cisterna', dairy.getTank());
+    return { lactations: new Set(dairy.loadedLactations()), hasTank: dairy.getTank().length > 0, counts };
+  }
+
+  /**
+   * Etichetta lattazione ("2023-24") di un mese (1..12).
+   */
+  function lactationOf(anno, mese) {
+    const lac = window.DATA_FIELDS.lactationOf(anno, mese);
+    return lac ? window.DATA_FIELDS.lactationLabel(lac.startYear) : '';
+  }
+
+  /**
+   * Nuovi campioni di data.json rispetto al RAW precedente.
+   */
+  function onRaw(ev) {
+    const src = ev.detail && ev.detail.source;
+    const next = keysOf(window.RAW);
+    const prev = rawKeys;
+    rawKeys = next;
+    // il primo RAW e i CSV importati (che hanno il loro avviso) non sono novita' da segnalare
+    if (!prev || src === 'import' || src === 'none') return;
+
+    const days = new Set();
+    for (const r of window.RAW) {
+      const key = r ? sampleKey(r.Azienda, r.Data, r.KPI) : null;
+      if (!key || prev.has(key) || freshRaw.has(key)) continue;
+      freshRaw.set(key, { Azienda: r.Azienda, Caseificio: String(r.Caseificio || '').trim() || null, kpi: KPI_REGISTRY.normalize(r.KPI), ym: Number(r.Anno) + '-' + Number(r.Mese) });
+      days.add(r.Azienda + '\u0001' + window.DATA_FIELDS.dayOf(r.Data));
+    }
+    if (days.size) notify(days.size, 0);
+  }
+
+  /**
+   * Mesi con campioni conferitori o valori cisterna in piu' rispetto all'ultimo caricamento del caseificio.
+   */
+  function onDairy(ev) {
+    const d = ev.detail || {};
+    if (!d.caseificio || !window.Caseifici) return;
+    const dairy = window.Caseifici.get(d.caseificio);
+    if (!dairy) return;
+    const next = dairySnapshot(dairy);
+    const prev = dairyCounts.get(dairy.id);
+    dairyCounts.set(dairy.id, next);
+    if (!prev || d.source !== 'network') return;
+
+    // campioni per mese: il massimo tra i KPI (ogni campione porta piu' KPI)
+    const samplesByMonth = new Map();
+    let tank = 0;
+    next.counts.forEach((n, key) => {
+      const [dataset, kpi, ym] = key.split('|');
+      const [anno, mese] = ym.split('-').map(Number);
+      const known = dataset === 'cisterna' ? prev.hasTank : prev.lactations.has(lactationOf(anno, mese));
+      const diff = n - (prev.counts.get(key) || 0);
+      if (!known || diff <= 0) return;
+      const setKey = dataset + '|' + dairy.id;
+      if (!freshDairy.has(setKey)) freshDairy.set(setKey, new Set());
+      freshDairy.get(setKey).add(kpi + '|' + ym);
+      if (dataset === 'cisterna') tank++;
+      else samplesByMonth.set(ym, Math.max(samplesByMonth.get(ym) || 0, diff));
+    });
+    let samples = 0;
+    samplesByMonth.forEach(n => { samples += n; });
+    if (samples || tank) notify(samples, tank);
+  }
+
+  /**
+   * Mostra (o aggiorna) l'avviso con i conteggi accumulati dall'ultima chiusura.
+   */
+  function notify(samples, tank) {
+    pendingCount = { samples: pendingCount.samples + samples, tank: pendingCount.tank + tank };
+    const parts = [];
+    if (pendingCount.samples) parts.push(pendingCount.samples === 1 ? '1 nuovo campione' : pendingCount.samples + ' nuovi campioni');
+    if (pendingCount.tank) parts.push(pendingCount.tank === 1 ? '1 nuovo valore cisterna' : pendingCount.tank + ' nuovi valori cisterna');
+
+    let toast = document.getElementById('liveToast');
+    if (!toast) {
+      toast = document.createElement('div');
+      toast.id = 'liveToast';
+      toast.className = 'live-toast';
+      toast.setAttribute('role', 'status');
+      const text = document.createElement('span');
+      text.className = 'live-toast-text';
+      const close = document.createElement('button');
+      close.className = 'live-toast-close';
+      close.title = 'Chiudi e togli l\'evidenziazione';
+      close.textContent = '\u00d7';
+      close.addEventListener('click', clear);
+      toast.appendChild(text);
+      toast.appendChild(close);
+      document.body.appendChild(toast);
+    }
+    toast.querySelector('.live-toast-text').textContent =
+      parts.join(' \u00b7 ') + ' \u00b7 evidenziati nei grafici';
+  }
+
+  /**
+   * Chiude l'avviso, dimentica i punti nuovi e chiede ai grafici di ridisegnarsi ("live:cleared").
+   */
+  function clear() {
+    const toast = document.getElementById('liveToast');
+    if (toast) toast.remove();
+    const had = freshRaw.size > 0 || freshDairy.size > 0;
+    freshRaw = new Map();
+    freshDairy.clear();
+    pendingCount = { samples: 0, tank: 0 };
+    if (had) document.dispatchEvent(new CustomEvent('live:cleared'));
+  }
+
+  /**
+   * True se il campione (azienda, giorno, KPI) e' arrivato con l'ultimo aggiornamento live.
+   * @param {string} azienda
+   * @param {Date|string} data data del prelievo
+   * @param {string} kpi chiave o alias KPI
+   * @returns {boolean}
+   */
+  function isNew(azienda, data, kpi) {
+    if (!freshRaw.size) return false;
+    const key = sampleKey(azienda, data, kpi);
+    return !!key && freshRaw.has(key);
+  }
+
+  /**
+   * Mesi con dati nuovi per un KPI.
+   * @param {string} kpi chiave o alias KPI
+   * @param {{azienda?:string, caseificio?:string, dataset?:'conferitori'|'cisterna'}} [opts]
+   *   senza dataset: campioni data.json (filtrati per azienda e/o Caseificio);
+   *   con dataset: campioni conferitori o valori cisterna del caseificio (id o nome del registro)
+   * @returns {Set<string>} chiavi 'Anno-Mese' (Mese 1..12)
+   */
+  function freshMonths(kpi, opts = {}) {
+    const k = KPI_REGISTRY.normalize(kpi);
+    const out = new Set();
+    if (opts.dataset) {
+      const dairy = window.Caseifici ? window.Caseifici.get(opts.caseificio) : null;
+      const set = dairy ? freshDairy.get(opts.dataset + '|' + dairy.id) : null;
+      if (set) set.forEach(key => {
+        const [kk, ym] = key.split('|');
+        if (kk === k) out.add(ym);
+      });
+      return out;
+    }
+    freshRaw.forEach(f => {
+      if (f.kpi !== k) return;
+      if (opts.azienda && f.Azienda !== opts.azienda) return;
+      if (opts.caseificio && f.Caseificio !== String(opts.caseificio).trim()) return;
+      out.add(f.ym);
+    });
+    return out;
+  }
+
+  /**
+   * Ricontrolla subito i dataset (un controllo alla volta).
+   * @returns {Promise<void>}
+   */
+  function refresh() {
+    if (running) return running;
+    lastCheck = Date.now();
+    const jobs = [];
+    if (window.DATA_LOADER) jobs.push(window.DATA_LOADER.refresh());
+    if (window.Caseifici && window.Caseifici.refresh) jobs.push(window.Caseifici.refresh());
+    running = Promise.all(jobs.map(p => p.catch(err => console.warn('[liveRefresh] controllo non riuscito:', err))))
+      .then(() => undefined)
+      .finally(() => { running = null; });
+    return running;
+  }
+
+  /**
+   * Apre l'EventSource del server locale se data-delta.json lo dichiara (campo "eventi").
+   */
+  function connectEvents() {
+    const index = window.DATA_LOADER ? window.DATA_LOADER.index() : null;
+    if (source || !index || !index.eventi || typeof window.EventSource !== 'function') return;
+    source = new window.EventSource(index.eventi);
+    source.onmessage = () => refresh();
+    source.addEventListener('dataset', () => refresh());
+  }
+
+  document.addEventListener('raw:loaded', ev => {
+    onRaw(ev);
+    connectEvents();
+  });
+  document.addEventListener('caseificio:loaded', onDairy);
+
+  // controllo periodico solo a pagina visibile; al ritorno sulla pagina si recupera il controllo saltato
+  setInterval(() => { if (!document.hidden) refresh(); }, POLL_MS);
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden && Date.now() - lastCheck >= POLL_MS) refresh();
+  });
+
+  window.LIVE_REFRESH = {
+    refresh,
+    isNew,
+    freshMonths,
+    clear
+  };
+})();
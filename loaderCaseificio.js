@@ -1,95 +1,108 @@
-// loaderCaseificio.js - carica dati CAO: cisterna (datiCAO.json) + campioni conferitori (conferitoriCAO.json)
+// loaderCaseificio.js - registro dei caseifici con campioni conferitori e cisterna, secondo manifestConferitori.json
 // COSA FA (alto livello)
-// - Carica i dati CAO: valori cisterna mensili (CAO_TANK) e campioni conferitori (CAO_RAW) da file multipli.
-// - Espone API su window.CAO: ensureLoaded/load, filter/filterTank, getAll/getTank, isLoaded/isLoading.
-// - Emette evento "cao:loaded" al termine (detail: { size, tank, error? }).
+// - Legge il manifest (manifestConferitori.json) con i file disponibili per ogni caseificio: cisterna e
+//   chunk conferitori per lattazione, con numero record e checksum SHA-256 opzionali.
+// - Crea una voce di registro per ogni caseificio del manifest; ogni voce carica i propri valori cisterna
+//   mensili e i campioni conferitori delle sole lattazioni richieste.
+// - Espone API su window.Caseifici: get(nome)/list/ready/isReady/error/refresh.
+//   Ogni voce (Caseifici.get(nome)) espone: ensureLoaded/load, filter/filterTank, getAll/getTank,
+//   isLoaded/isLoading, getManifest/lactations/loadedLactations/hasLactations, failures/missingLactations.
+// - Emette evento "caseificio:loaded":
+//   - alla lettura del manifest (detail: { caseificio: null, caseifici, source, error? });
+//   - quando una voce carica nuovi dati o un file fallisce
+//     (detail: { caseificio, nome, size, tank, chunks, lactations, failed, source }).
+//   source vale 'cache' se i dati vengono dalla copia locale (IndexedDB), 'network' se dalla rete.
+// - Compatibilita' con il vecchio loader CAO: per il caseificio CAO emette anche "cao:loaded" con lo stesso detail;
+//   window.CAO (la voce Caseifici.get('CAO')), window.CAO_RAW e window.CAO_TANK restano come getter.
+// - Manifest e file passano da DATASET_CACHE (datasetCache.js): la copia locale e' usata subito e
+//   rivalidata in background; i file con sha256 nel manifest sono riscaricati solo se il checksum cambia.
+//   Se la rivalidazione trova dati piu' nuovi la voce si aggiorna e rilancia "caseificio:loaded" (source 'network').
+// - Perimetro del ruolo (accessScope.js, opzionale): le aziende dei campioni conferitori fuori perimetro sono
+//   anonimizzate appena scaricate, prima della cache (transform di DATASET_CACHE, chiavi con ACCESS_SCOPE.cacheTag).
+// - Ogni file e' indipendente: se un chunk (o la cisterna) non si scarica, i dati gia' caricati restano
+//   utilizzabili e il file e' riportato in detail.failed / failures() / missingLactations().
+// - refresh() (aggiornamento live, liveRefresh.js) ricontrolla manifest, cisterna e chunk gia' caricati con
+//   richieste condizionali: i file cambiati aggiornano la voce e rilanciano "caseificio:loaded" (source 'network').
 //
 // FLUSSO PRINCIPALE
-// - all'avvio (DOMContentLoaded) chiama ensureLoaded() per pre-caricare i dati.
-// - ensureLoaded(): se gia' caricato e non force, riusa i dati; altrimenti fetch di datiCAO.json + conferitoriCAO-*.json,
-//   flat dei campioni, set su window.CAO_RAW / window.CAO_TANK, dispatch "cao:loaded".
+// - all'avvio (DOMContentLoaded) carica il manifest e popola il registro.
+// - Caseifici.get(nome): voce del caseificio (per id, nome o alias del manifest), null se non ha file.
+// - voce.ensureLoaded(force, { lactations, tank }): scarica la cisterna (se tank !== false) e i chunk
+//   conferitori mancanti per le lattazioni indicate (tutte se non specificate), li verifica, dispatch "caseificio:loaded".
+// - Le viste chiedono le lattazioni che mostrano; un nuovo caseificio o una nuova lattazione si aggiungono solo nel manifest.
 //
 // DIPENDENZE
-// - fetch API disponibile.
-// - Dataset JSON: datiCAO.json (cisterna) + conferitoriCAO-22-23/23-24/24-25.json (campioni).
-// - Consumatori: benchmarkTrasformatore.js (modalita intraCaseificio), eventualmente altri moduli.
+// - fetch API disponibile (crypto.subtle opzionale per la verifica checksum).
+// - datasetCache.js opzionale (senza, ogni file e' scaricato dalla rete a ogni avvio).
+// - dataSource.js opzionale: con la sorgente 'api' cisterna e conferitori arrivano dagli endpoint di apiServer.js.
+// - KPI_REGISTRY (kpiRegistry.js) per gli alias dei KPI; DATA_FIELDS (kpiRegistry.js) per i nomi canonici
+//   dei caseifici e le sigle provincia.
+// - Dataset JSON: manifestConferitori.json -> per ogni caseificio cisterna (es. datiCAO.json) + conferitori (es. conferitoriCAO-*.json).
+// - Consumatori: benchmarkAllevatore.js e benchmarkTrasformatore.js (modalita intraCaseificio).
 //
-// NOTA: logica invariata, documentazione e JSDoc aggiunte per chiarezza/manutenzione.
+// NOTA: le voci del manifest hanno { id, nome, alias?, cisterna?, conferitori[] }; nome e alias sono
+// confrontati con il campo Caseificio di data.json ignorando maiuscole e punteggiatura.
 (function () {
-  const SRC_CAMPI = [
-    './conferitoriCAO-22-23.json',
-    './conferitoriCAO-23-24.json',
-    './conferitoriCAO-24-25.json'
-  ];
-  const SRC_TANK  = './datiCAO.json';
-
-  // Stato globale: dataset conferitori (campioni) e cisterna (valori mensili)
-  window.CAO_RAW  = Array.isArray(window.CAO_RAW) ? window.CAO_RAW : [];   // campioni conferitori
-  window.CAO_TANK = Array.isArray(window.CAO_TANK) ? window.CAO_TANK : []; // valori cisterna mensili
-
-  // Promise condivisa per evitare richieste parallele duplicate
-  let loadPromise = null;
-
-  /**
-   * Normalizza stringa in lower-case e trim.
-   */
-  function norm(v) {
-    return String(v || '').trim().toLowerCase();
-  }
-
-  // Alias KPI per gestire plurali / sinonimi
-  const KPI_ALIASES = {
-    grassi:    ['grassi', 'grasso'],
-    proteine:  ['proteine', 'proteina'],
-    lattosio:  ['lattosio'],
-    caseina:   ['caseina', 'caseine'],
-    cellule:   ['cellule', 'scc'],
-    carica:    ['carica', 'cbt'],
-    urea:      ['urea'],
-    crio:      ['crio', 'crio ft'],
-    nacl:      ['nacl'],
-    ph:        ['ph']
-  };
+  // Manifest dei file disponibili (cisterna + chunk conferitori per lattazione) per caseificio
+  const SRC_MANIFEST = 'manifestConferitori.json';
+  // Caseificio del vecchio loader (loaderCAO): per lui restano l'evento "cao:loaded" e i globali CAO/CAO_RAW/CAO_TANK
+  const LEGACY_ID = 'CAO';
+  // Perimetro del ruolo (accessScope.js): i file in cache sono gia' anonimizzati, la chiave lo dichiara
+  const SCOPE = window.ACCESS_SCOPE || null;
+  const TAG = SCOPE ? '@' + SCOPE.cacheTag() : '';
+
+  // Promise condivisa per evitare download paralleli del manifest
+  let manifestPromise = null;
+  let manifestLoaded = false;
+  let manifestError = null;     // errore dell'ultimo download del manifest (non ritentato senza force)
+
+  // Registro: id caseificio -> voce (creata da createCaseificio)
+  const registry = new Map();
+
+  const { canon, provinceName } = window.DATA_FIELDS;
+
+  // Indici per KPI dei dataset caricati: array di record -> Map(KPI canonico -> record, in ordine)
+  const kpiIndexes = new WeakMap();
 
   /**
-   * Normalizza le sigle provincia (ss/ca/or/nu) in nome esteso.
-   * @param {string} p codice/nome provincia.
-   * @returns {string} nome provincia normalizzato.
+   * Record di un KPI da un dataset (campioni o cisterna), tramite indice costruito alla prima richiesta.
+   * I dataset non vengono modificati sul posto (ogni caricamento crea un nuovo array), quindi
+   * l'indice resta valido finche' l'array e' in uso.
+   * @param {Array<Object>} rows record { KPI, ... }
+   * @param {string} kpi chiave o alias KPI
+   * @returns {Array<Object>}
    */
-  function mapProvincia(p) {
-    const v = norm(p);
-    if (v === 'ca') return 'Cagliari';
-    if (v === 'ss') return 'Sassari';
-    if (v === 'or') return 'Oristano';
-    if (v === 'nu') return 'Nuoro';
-    return (p || '').trim();
+  function rowsOfKpi(rows, kpi) {
+    let index = kpiIndexes.get(rows);
+    if (!index) {
+      index = new Map();
+      for (const r of rows) {
+        if (!r) continue;
+        const k = KPI_REGISTRY.normalize(r.KPI);
+        let list = index.get(k);
+        if (!list) index.set(k, list = []);
+        list.push(r);
+      }
+      kpiIndexes.set(rows, index);
+    }
+    return index.get(KPI_REGISTRY.normalize(kpi)) || [];
   }
 
   /**
-   * Filtra i campioni conferitori (CAO_RAW) per KPI/anno/mese/provincia.
-   * Dipendenze: window.CAO_RAW popolato da ensureLoaded(); usa KPI_ALIASES per match KPI.
+   * Filtra record mensili (campioni conferitori o cisterna) per KPI/anno/mese/provincia.
+   * Usa KPI_REGISTRY (kpiRegistry.js) per match KPI; con opts.kpi scorre solo i record di quel KPI (rowsOfKpi).
+   * @param {Array<Object>} rows record { KPI, Anno, Mese, Valore, Provincia? }
    * @param {Object} opts { kpi, fromYear, toYear, fromMonth, toMonth, provincia }
-   * @returns {Array<Object>} record conferitori filtrati
+   * @returns {Array<Object>} record filtrati
    */
-  function filter(opts = {}) {
+  function filterRows(rows, opts = {}) {
     const { kpi, fromYear, toYear, fromMonth, toMonth, provincia } = opts;
 
-    let kpiAccepted = null;
-    if (kpi) {
-      const key = norm(kpi);
-      kpiAccepted = KPI_ALIASES[key] ? KPI_ALIASES[key].map(norm) : [key];
-    }
-
-    const provName = provincia ? mapProvincia(provincia) : null;
+    const provName = provincia ? provinceName(provincia) : null;
 
-    return window.CAO_RAW.filter(r => {
+    return (kpi ? rowsOfKpi(rows, kpi) : rows).filter(r => {
       if (!r) return false;
 
-      if (kpiAccepted) {
-        const rk = norm(r.KPI);
-        if (!kpiAccepted.includes(rk)) return false;
-      }
-
       if (provName && r.Provincia && r.Provincia !== provName) return false;
 
       const y = Number(r.Anno);
@@ -104,124 +117,589 @@
   }
 
   /**
-   * Filtra i valori cisterna mensili (CAO_TANK) per KPI/anno/mese/provincia.
-   * Dipendenze: window.CAO_TANK popolato da ensureLoaded(); usa KPI_ALIASES per match KPI.
-   * @param {Object} opts { kpi, fromYear, toYear, fromMonth, toMonth, provincia }
-   * @returns {Array<Object>} record cisterna filtrati
+   * Anno di inizio lattazione da un'etichetta "2022-23" (o da un numero).
+   * @param {string|number} lac etichetta o anno
+   * @returns {number|null}
    */
-  function filterTank(opts = {}) {
-    const { kpi, fromYear, toYear, fromMonth, toMonth, provincia } = opts;
+  function lactationStart(lac) {
+    const y = parseInt(String(lac), 10);
+    return Number.isFinite(y) ? y : null;
+  }
 
-    let kpiAccepted = null;
-    if (kpi) {
-      const key = norm(kpi);
-      kpiAccepted = KPI_ALIASES[key] ? KPI_ALIASES[key].map(norm) : [key];
+  /**
+   * SHA-256 esadecimale di un testo (null se crypto.subtle non e' disponibile, es. file://).
+   * @param {string} text contenuto del file
+   * @returns {Promise<string|null>}
+   */
+  async function sha256Hex(text) {
+    if (!window.crypto || !window.crypto.subtle || typeof TextEncoder === 'undefined') return null;
+    const buf = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(buf)).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * URL di un file: percorso relativo, oppure con la sorgente 'api' (dataSource.js) l'endpoint di apiServer.js
+   * per i file del manifest (/api/tank per la cisterna, /api/conferitori per un chunk di lattazione).
+   * Il server risponde con il contenuto del file, quindi checksum e chiave in cache restano gli stessi.
+   * @param {string} src percorso relativo del file
+   * @returns {string}
+   */
+  function urlOf(src) {
+    const ds = window.DATA_SOURCE;
+    if (ds && ds.isApi()) {
+      for (const dairy of registry.values()) {
+        const entry = dairy.getManifest();
+        if (entry.cisterna && chunkKey(entry.cisterna) === src) return ds.url('/tank', { caseificio: entry.id });
+        const chunk = (entry.conferitori || []).find(item => chunkKey(item) === src);
+        if (chunk) return ds.url('/conferitori', { caseificio: entry.id, lattazione: chunk.lattazione });
+      }
     }
+    return './' + src;
+  }
 
-    const provName = provincia ? mapProvincia(provincia) : null;
+  /**
+   * Scarica un file JSON dalla rete senza cache (usato se datasetCache.js non e' caricato).
+   * @param {string} src percorso relativo del file
+   * @returns {Promise<{data:*, text:string, source:'network'}>}
+   */
+  async function fetchNetwork(src) {
+    const url = urlOf(src);
+    const resp = await fetch(url + (url.includes('?') ? '&' : '?') + 'v=' + Date.now(), { cache: 'no-store' });
+    if (!resp.ok) throw new Error('HTTP ' + resp.status + ' ' + src);
+    const text = await resp.text();
+    return { data: scopeFile(src)(JSON.parse(text)), text, source: 'network' };
+  }
 
-    return window.CAO_TANK.filter(r => {
-      if (!r) return false;
+  /**
+   * Carica un file JSON tramite DATASET_CACHE (se presente) o dalla rete.
+   * I file del manifest sono salvati gia' nel perimetro del ruolo, sotto la chiave cacheKey(src).
+   * @param {string} src percorso relativo del file
+   * @param {{version?: string, onUpdate?: function(Object): void}} [opts] vedi DATASET_CACHE.load
+   * @returns {Promise<{data:*, text?:string, source:'cache'|'network'}>}
+   */
+  function loadJson(src, opts) {
+    const cache = window.DATASET_CACHE;
+    return cache
+      ? cache.load(cacheKey(src), urlOf(src), Object.assign({ transform: scopeFile(src) }, opts))
+      : fetchNetwork(src);
+  }
 
-      if (kpiAccepted) {
-        const rk = norm(r.KPI);
-        if (!kpiAccepted.includes(rk)) return false;
-      }
+  /**
+   * Chiave in cache (e percorso relativo) di un file del manifest.
+   */
+  function chunkKey(item) {
+    return String(item.src).replace(/^\.\//, '');
+  }
 
-      if (provName && r.Provincia && r.Provincia !== provName) return false;
+  /**
+   * Chiave in cache di un file: il manifest e' lo stesso per tutti, i file con righe portano il perimetro.
+   */
+  function cacheKey(src) {
+    return src === SRC_MANIFEST ? src : src + TAG;
+  }
 
-      const y = Number(r.Anno);
-      const m = Number(r.Mese);
-      if (Number.isFinite(fromYear) && y < fromYear) return false;
-      if (Number.isFinite(toYear) && y > toYear) return false;
-      if (Number.isFinite(fromMonth) && m < fromMonth) return false;
-      if (Number.isFinite(toMonth)   && m > toMonth)   return false;
+  /**
+   * Perimetro del ruolo per le righe di un file del manifest (identita' per il manifest o senza ACCESS_SCOPE).
+   * I campioni conferitori non riportano il caseificio: vale quello della voce del manifest.
+   * @param {string} src percorso relativo del file
+   * @returns {function(*): *}
+   */
+  function scopeFile(src) {
+    if (!SCOPE || src === SRC_MANIFEST) return data => data;
+    let nome = '';
+    for (const dairy of registry.values()) {
+      const entry = dairy.getManifest();
+      const items = (entry.conferitori || []).concat(entry.cisterna ? [entry.cisterna] : []);
+      if (items.some(item => chunkKey(item) === src)) nome = entry.nome;
+    }
+    return data => (Array.isArray(data) ? SCOPE.scopeRows(data, nome) : data);
+  }
 
-      return Number.isFinite(y) && Number.isFinite(m) && Number.isFinite(Number(r.Valore));
+  /**
+   * Verifica numero record e checksum (se dichiarati) di un file scaricato.
+   * Il checksum si controlla solo sul testo arrivato dalla rete: un file che non corrisponde
+   * viene tolto dalla cache, cosi' al prossimo avvio e' riscaricato. Con la sorgente 'api' e un ruolo
+   * diverso da tecnico il server spedisce i campioni gia' nel perimetro (non il testo del file): vale solo il numero record.
+   * @param {{src:string, records?:number, sha256?:string}} item voce del manifest
+   * @param {{data:*, text?:string, source:string}} res esito di loadJson
+   * @returns {Promise<{rows:Array, verified:boolean, source:'cache'|'network'}>}
+   */
+  async function checkChunk(item, res) {
+    const rows = Array.isArray(res.data) ? res.data : [];
+
+    let verified = true;
+    if (Number.isFinite(item.records) && item.records !== rows.length) {
+      console.warn('[loaderCaseificio]', item.src, ': attesi', item.records, 'record, trovati', rows.length);
+      verified = false;
+    }
+    // campioni conferitori (voci con lattazione) anonimizzati dal server: il testo non e' quello del manifest
+    const scopedByServer = item.lattazione != null && !!SCOPE && SCOPE.role() !== 'tecnico' &&
+      !!(window.DATA_SOURCE && window.DATA_SOURCE.isApi());
+    if (item.sha256 && typeof res.text === 'string' && !scopedByServer) {
+      const hash = await sha256Hex(res.text);
+      if (hash && hash !== String(item.sha256).toLowerCase()) {
+        console.warn('[loaderCaseificio]', item.src, ': checksum diverso dal manifest');
+        verified = false;
+        if (window.DATASET_CACHE) window.DATASET_CACHE.remove(cacheKey(chunkKey(item))).catch(() => {});
+      }
+    }
+    return { rows, verified, source: res.source };
+  }
+
+  /**
+   * Carica un file dichiarato nel manifest (dalla cache o dalla rete) e ne verifica checksum
+   * e numero record. Le discrepanze non bloccano il caricamento: vengono loggate e riportate in verified=false.
+   * Lo sha256 del manifest fa da versione in cache: se non cambia il file non viene riscaricato;
+   * i file senza sha256 sono rivalidati in background e onUpdate riceve la versione nuova.
+   * @param {{src:string, records?:number, sha256?:string}} item voce del manifest
+   * @param {function({rows:Array, verified:boolean, source:string}): void} [onUpdate] dati piu' nuovi dalla rete
+   * @param {boolean} [force=false] ignora la cache e scarica dalla rete
+   * @returns {Promise<{rows:Array, verified:boolean, source:'cache'|'network'}>}
+   */
+  async function fetchChunk(item, onUpdate, force = false) {
+    // copia salvata prima del perimetro (chiave senza TAG, righe non anonimizzate)
+    if (TAG && window.DATASET_CACHE) window.DATASET_CACHE.remove(chunkKey(item)).catch(() => {});
+    if (force) return checkChunk(item, await fetchNetwork(chunkKey(item)));
+    const res = await loadJson(chunkKey(item), {
+      version: item.sha256 ? String(item.sha256).toLowerCase() : undefined,
+      onUpdate: onUpdate ? upd => checkChunk(item, upd).then(onUpdate) : undefined
     });
+    return checkChunk(item, res);
+  }
+
+  /**
+   * Ricontrolla in rete un file gia' caricato (richiesta condizionale tramite DATASET_CACHE.revalidate).
+   * @param {{src:string, records?:number, sha256?:string}} item voce del manifest
+   * @returns {Promise<{rows:Array, verified:boolean, source:'network'}|null>} file verificato, null se invariato
+   */
+  async function revalidateChunk(item) {
+    const src = chunkKey(item);
+    const res = await window.DATASET_CACHE.revalidate(cacheKey(src), urlOf(src), { transform: scopeFile(src) });
+    return res.changed ? checkChunk(item, { data: res.data, text: res.text, source: 'network' }) : null;
   }
 
   /**
-   * Carica i JSON CAO (cisterna + campioni) se non presenti o se force=true.
-   * Popola window.CAO_RAW e window.CAO_TANK, emette evento "cao:loaded".
-   * Dipendenze: fetch API; file JSON SRC_TANK + SRC_CAMPI; usa loadPromise per evitare ricarichi paralleli.
-   *
-   * Come avviene il caricamento:
-   * - costruiamo gli URL dei 3 file conferitori (SRC_CAMPI) e del file cisterna (SRC_TANK) aggiungendo un cache-buster.
-   * - eseguiamo in parallelo:
-   *     fetch(SRC_TANK) -> json -> window.CAO_TANK
-   *     fetch di ciascun file in SRC_CAMPI -> json -> appiattiamo tutti i chunk in un unico array window.CAO_RAW
-   * - al termine logghiamo le cardinalità e dispatchiamo l'evento "cao:loaded" con {size, tank}.
-   * @param {boolean} [force=false] forza ricarica
-   * @returns {Promise<{tank:Array,samples:Array}>}
-   */
-  async function ensureLoaded(force = false) {
-    if (window.CAO_RAW.length && window.CAO_TANK.length && !force) {
-      return { tank: window.CAO_TANK, samples: window.CAO_RAW };
-    }
-    if (!loadPromise || force) {
-      const urlTank = SRC_TANK + '?v=' + Date.now();
-      const camUrls = SRC_CAMPI.map(u => u + '?v=' + Date.now());
-      loadPromise = Promise.all([
-        fetch(urlTank, { cache: 'no-store' }).then(resp => {
-          if (!resp.ok) throw new Error('HTTP ' + resp.status);
-          return resp.json();
-        }),
-        Promise.all(camUrls.map(u => fetch(u, { cache: 'no-store' })
-          .then(resp => {
-            if (!resp.ok) throw new Error('HTTP ' + resp.status + ' ' + u);
-            return resp.json();
-          })))
-      ])
-        .then(([tank, campioniChunks]) => {
-          const flat = [];
-          const chunks = campioniChunks || [];
-          for (const chunk of chunks) {
-            if (Array.isArray(chunk)) flat.push(...chunk);
+   * Crea la voce di registro di un caseificio: stato dei file caricati/falliti e API di caricamento/filtro.
+   * @param {Object} entry voce del manifest { id, nome, alias?, cisterna?, conferitori[] }
+   * @returns {Object} voce caseificio
+   */
+  function createCaseificio(entry) {
+    // entry puo' essere sostituita da updateManifest() quando arriva un manifest piu' nuovo
+    // Promise condivisa: i caricamenti sono serializzati per evitare richieste parallele duplicate
+    let loadPromise = null;
+    let pending = 0;              // caricamenti in corso
+
+    let samples = [];             // campioni conferitori (chunk caricati, in ordine di manifest)
+    let tank = [];                // valori cisterna mensili
+    const loadedChunks = new Map(); // src -> { lattazione, rows }
+    const failedChunks = new Map(); // src -> { src, lattazione, error }: non vengono ritentati senza force
+
+    /**
+     * Ricostruisce i campioni dai chunk caricati, nell'ordine del manifest.
+     */
+    function rebuildSamples() {
+      const flat = [];
+      for (const item of entry.conferitori || []) {
+        const chunk = loadedChunks.get(item.src);
+        if (chunk) flat.push(...chunk.rows);
+      }
+      samples = flat;
+    }
+
+    /**
+     * Voci conferitori del manifest richieste: tutte, oppure solo le lattazioni indicate.
+     * @param {Array<number|string>|undefined} lactations anni di inizio o etichette "2023-24"
+     * @returns {Array<Object>}
+     */
+    function wantedChunks(lactations) {
+      const all = entry.conferitori || [];
+      if (!Array.isArray(lactations)) return all;
+      const starts = new Set(lactations.map(lactationStart).filter(Number.isFinite));
+      return all.filter(item => starts.has(lactationStart(item.lattazione)));
+    }
+
+    /**
+     * Come wantedChunks, ma senza i chunk gia' caricati o falliti (evita di ritentarli a ogni render).
+     */
+    function pendingChunks(lactations, force) {
+      return wantedChunks(lactations).filter(item => force || (!loadedChunks.has(item.src) && !failedChunks.has(item.src)));
+    }
+
+    /**
+     * Dispatch di "caseificio:loaded" per questa voce.
+     * @param {Array<Object>} chunks chunk caricati { lattazione, src, records, verified, source }
+     * @param {Array<Object>} failed file non scaricati
+     * @param {'cache'|'network'} source provenienza dei dati
+     */
+    function dispatchLoaded(chunks, failed, source) {
+      const detail = {
+        caseificio: entry.id,
+        nome: entry.nome,
+        size: samples.length,
+        tank: tank.length,
+        chunks,
+        lactations: loadedLactations(),
+        failed,
+        source
+      };
+      document.dispatchEvent(new CustomEvent('caseificio:loaded', { detail }));
+      // alias del vecchio evento per chi ascolta ancora "cao:loaded" (stesso detail)
+      if (entry.id === LEGACY_ID) {
+        document.dispatchEvent(new CustomEvent('cao:loaded', { detail: Object.assign({}, detail) }));
+      }
+    }
+
+    /**
+     * Applica la versione piu' nuova di un file trovata dalla rivalidazione in background.
+     * Accodata su loadPromise, cosi' non viene sovrascritta da un caricamento ancora in corso.
+     * @param {Object} item voce del manifest
+     * @param {{rows:Array, verified:boolean}} res file verificato
+     */
+    function queueUpdate(item, res) {
+      const run = () => {
+        const isTank = !!entry.cisterna && item.src === entry.cisterna.src;
+        if (isTank) {
+          tank = res.rows;
+        } else if (loadedChunks.has(item.src)) {
+          loadedChunks.set(item.src, { lattazione: item.lattazione, rows: res.rows });
+          rebuildSamples();
+        } else {
+          return;
+        }
+        console.log('[loaderCaseificio]', entry.id + ':', item.src, 'aggiornato dalla rete');
+        dispatchLoaded(isTank ? [] : [{
+          lattazione: item.lattazione,
+          src: item.src,
+          records: res.rows.length,
+          verified: res.verified,
+          source: 'network'
+        }], [], 'network');
+      };
+      loadPromise = (loadPromise || Promise.resolve()).then(run, run);
+    }
+
+    /**
+     * Carica cisterna e chunk conferitori richiesti che non sono gia' in memoria.
+     * Emette "caseificio:loaded" solo se ha caricato o perso qualcosa.
+     *
+     * Come avviene il caricamento:
+     * - scarichiamo in parallelo la cisterna (se manca e se richiesta) e i chunk mancanti delle lattazioni
+     *   richieste, raccogliendo l'esito di ogni file (un 404 non annulla gli altri);
+     * - verifichiamo checksum/record dichiarati, aggiorniamo cisterna/campioni con i file riusciti e
+     *   dispatchiamo "caseificio:loaded" con {caseificio, nome, size, tank, chunks, lactations, failed, source}
+     *   (source 'cache' se tutti i file riusciti vengono dalla copia locale);
+     * - i file presi dalla cache e rivalidati in background arrivano poi da queueUpdate().
+     * @param {boolean} force forza ricarica di cisterna e chunk richiesti
+     * @param {{lactations?: Array<number|string>, tank?: boolean}} opts lattazioni necessarie alla vista
+     *   (default: tutte) e se serve la cisterna (default: true)
+     * @returns {Promise<{tank:Array,samples:Array}>}
+     */
+    async function loadWanted(force, opts) {
+      pending++;
+      try {
+        if (force) failedChunks.clear();
+        const chunks = pendingChunks(opts.lactations, force);
+        const tankItem = opts.tank === false ? null : entry.cisterna;
+        const needTank = !!tankItem && (force || (!tank.length && !failedChunks.has(tankItem.src)));
+        if (!chunks.length && !needTank) {
+          return { tank, samples };
+        }
+
+        // esito per file: { item, ok, rows, verified, error }
+        const settle = item => fetchChunk(item, upd => queueUpdate(item, upd), force).then(
+          res => ({ item, ok: true, rows: res.rows, verified: res.verified, source: res.source }),
+          err => ({ item, ok: false, error: String(err) })
+        );
+        const [tankRes, results] = await Promise.all([
+          needTank ? settle(tankItem) : null,
+          Promise.all(chunks.map(settle))
+        ]);
+
+        const failed = [];
+        const markFailed = (res, lattazione) => {
+          const f = { src: res.item.src, lattazione, error: res.error };
+          failedChunks.set(res.item.src, f);
+          failed.push(f);
+          console.error('[loaderCaseificio] file', entry.id, 'non caricato:', res.item.src, res.error);
+        };
+
+        if (tankRes) {
+          if (tankRes.ok) tank = tankRes.rows;
+          else markFailed(tankRes, null);
+        }
+        const loaded = [];
+        results.forEach(res => {
+          if (!res.ok) {
+            markFailed(res, res.item.lattazione);
+            return;
           }
-          window.CAO_TANK = Array.isArray(tank) ? tank : [];
-          window.CAO_RAW  = flat;
-          console.log('[loaderCaseificio] caricati', window.CAO_TANK.length, 'valori cisterna e', window.CAO_RAW.length, 'campioni (multifile)');
-          document.dispatchEvent(new CustomEvent('cao:loaded', {
-            detail: { size: window.CAO_RAW.length, tank: window.CAO_TANK.length }
-          }));
-          return { tank: window.CAO_TANK, samples: window.CAO_RAW };
-        })
-        .catch(err => {
-          console.error('[loaderCaseificio] errore nel caricamento di dati CAO:', err);
-          window.CAO_RAW  = [];
-          window.CAO_TANK = [];
-          document.dispatchEvent(new CustomEvent('cao:loaded', {
-            detail: { size: 0, tank: 0, error: String(err) }
-          }));
-          return { tank: [], samples: [] };
+          loadedChunks.set(res.item.src, { lattazione: res.item.lattazione, rows: res.rows });
+          loaded.push({
+            lattazione: res.item.lattazione,
+            src: res.item.src,
+            records: res.rows.length,
+            verified: res.verified,
+            source: res.source
+          });
         });
+        rebuildSamples();
+
+        const fromNetwork = (tankRes && tankRes.ok && tankRes.source === 'network') ||
+          loaded.some(c => c.source === 'network');
+        const fromCache = (tankRes && tankRes.ok && tankRes.source === 'cache') ||
+          loaded.some(c => c.source === 'cache');
+        const source = fromCache && !fromNetwork ? 'cache' : 'network';
+
+        console.log('[loaderCaseificio]', entry.id + ': caricati', tank.length, 'valori cisterna e', samples.length, 'campioni da', loadedChunks.size, 'chunk',
+          failed.length ? '(' + failed.length + ' file non disponibili)' : '', '[' + source + ']');
+        dispatchLoaded(loaded, failed, source);
+        return { tank, samples };
+      } finally {
+        pending--;
+      }
+    }
+
+    /**
+     * Garantisce in memoria la cisterna e i chunk conferitori delle lattazioni richieste.
+     * I caricamenti della voce sono serializzati su loadPromise.
+     * @param {boolean} [force=false] forza ricarica di cisterna e chunk richiesti
+     * @param {{lactations?: Array<number|string>, tank?: boolean}} [opts] lattazioni necessarie alla vista
+     *   (default: tutte) e se serve la cisterna (default: true)
+     * @returns {Promise<{tank:Array,samples:Array}>}
+     */
+    function ensureLoaded(force = false, opts = {}) {
+      const run = () => loadWanted(force, opts);
+      loadPromise = (loadPromise || Promise.resolve()).then(run, run);
+      return loadPromise;
+    }
+
+    /**
+     * Etichette delle lattazioni conferitori gia' caricate (es. ["2023-24", "2024-25"]).
+     * @returns {string[]}
+     */
+    function loadedLactations() {
+      return Array.from(loadedChunks.values()).map(c => c.lattazione);
+    }
+
+    /**
+     * File non scaricati (cisterna con lattazione null).
+     * @returns {Array<{src:string, lattazione:string|null, error:string}>}
+     */
+    function failures() {
+      return Array.from(failedChunks.values()).map(f => Object.assign({}, f));
+    }
+
+    /**
+     * True se tutte le lattazioni indicate (anni di inizio o etichette) sono gia' in memoria,
+     * non hanno un chunk nel manifest oppure il loro chunk non e' scaricabile.
+     * @param {Array<number|string>} lactations
+     * @returns {boolean}
+     */
+    function hasLactations(lactations) {
+      return pendingChunks(lactations, false).length === 0;
+    }
+
+    /**
+     * Ricontrolla cisterna e chunk gia' caricati senza sha256 (quelli con sha256 cambiano solo insieme al
+     * manifest): i file cambiati sono applicati con queueUpdate.
+     * @returns {Promise<number>} numero di file cambiati
+     */
+    async function refresh() {
+      const items = (entry.conferitori || []).filter(item => loadedChunks.has(item.src));
+      if (entry.cisterna && tank.length) items.push(entry.cisterna);
+      let changed = 0;
+      for (const item of items) {
+        if (item.sha256) continue;
+        try {
+          const res = await revalidateChunk(item);
+          if (!res) continue;
+          changed++;
+          queueUpdate(item, res);
+        } catch (err) {
+          console.warn('[loaderCaseificio]', entry.id + ':', item.src, 'non ricontrollato:', err);
+        }
+      }
+      return changed;
+    }
+
+    /**
+     * Sostituisce la voce del manifest (manifest piu' nuovo trovato dalla rivalidazione).
+     * Scarta i file tolti o con checksum cambiato e dimentica i file falliti: le viste li
+     * richiedono di nuovo al prossimo render.
+     * @param {Object} next nuova voce del manifest (stesso id)
+     */
+    function updateManifest(next) {
+      const prev = entry;
+      const shaOf = item => (item && item.sha256 ? String(item.sha256).toLowerCase() : null);
+      const prevItems = new Map((prev.conferitori || []).map(item => [item.src, item]));
+      const nextItems = new Map((next.conferitori || []).map(item => [item.src, item]));
+      for (const src of Array.from(loadedChunks.keys())) {
+        if (!nextItems.has(src) || shaOf(nextItems.get(src)) !== shaOf(prevItems.get(src))) loadedChunks.delete(src);
+      }
+      const prevTank = prev.cisterna || null;
+      const nextTank = next.cisterna || null;
+      if (!nextTank || !prevTank || nextTank.src !== prevTank.src || shaOf(nextTank) !== shaOf(prevTank)) tank = [];
+      failedChunks.clear();
+      entry = next;
+      rebuildSamples();
     }
-    return loadPromise;
-  }
-
-  window.CAO = {
-    /** True se almeno uno dei dataset (campioni o cisterna) e' caricato */
-    isLoaded() { return window.CAO_RAW.length > 0 || window.CAO_TANK.length > 0; },
-    /** True se c'e' un caricamento in corso (loadPromise attivo) */
-    isLoading() { return !!loadPromise; },
-    /** Forza o garantisce il caricamento dei JSON (alias load) */
-    ensureLoaded,
-    load: ensureLoaded,
-    /** Copia dei campioni conferitori */
-    getAll() { return window.CAO_RAW.slice(); },
-    /** Copia dei valori cisterna mensili */
-    getTank() { return window.CAO_TANK.slice(); },
-    /** Filtra i campioni conferitori per KPI/periodo/provincia */
-    filter,
-    /** Filtra i valori cisterna per KPI/periodo/provincia */
-    filterTank
+
+    return {
+      /** Id e nome del caseificio nel manifest */
+      id: entry.id,
+      get nome() { return entry.nome; },
+      /** True se almeno uno dei dataset (campioni o cisterna) e' caricato */
+      isLoaded() { return samples.length > 0 || tank.length > 0; },
+      /** True se c'e' un caricamento in corso */
+      isLoading() { return pending > 0; },
+      /** Garantisce il caricamento dei JSON (alias load); opts.lactations limita i chunk conferitori */
+      ensureLoaded,
+      load: ensureLoaded,
+      /** Voce del manifest */
+      getManifest() { return entry; },
+      updateManifest,
+      /** Ricontrolla in rete i file gia' caricati (aggiornamento live) */
+      refresh,
+      /** Lattazioni con chunk conferitori dichiarati nel manifest */
+      lactations() { return (entry.conferitori || []).map(c => c.lattazione); },
+      /** Lattazioni conferitori gia' caricate */
+      loadedLactations,
+      /** True se le lattazioni indicate sono gia' caricate */
+      hasLactations,
+      /** File non scaricati e lattazioni conferitori mancanti */
+      failures,
+      missingLactations() { return failures().map(f => f.lattazione).filter(Boolean); },
+      /** Copia dei campioni conferitori */
+      getAll() { return samples.slice(); },
+      /** Copia dei valori cisterna mensili */
+      getTank() { return tank.slice(); },
+      /** Filtra i campioni conferitori per KPI/periodo/provincia */
+      filter(opts) { return filterRows(samples, opts); },
+      /** Filtra i valori cisterna per KPI/periodo/provincia */
+      filterTank(opts) { return filterRows(tank, opts); }
+    };
+  }
+
+  /**
+   * Popola il registro dalle voci del manifest.
+   * Le voci gia' presenti (stesso id) vengono mantenute con i dati caricati e aggiornate con updateManifest().
+   * Emette "caseificio:loaded" con { caseificio: null, caseifici, source }.
+   * @param {Object} json contenuto del manifest
+   * @param {'cache'|'network'} source provenienza del manifest
+   * @returns {Array<Object>} voci del registro
+   */
+  function applyManifest(json, source) {
+    const entries = (json && Array.isArray(json.caseifici) ? json.caseifici : [])
+      .filter(c => c && c.id);
+    entries.forEach(entry => {
+      const dairy = registry.get(entry.id);
+      if (dairy) dairy.updateManifest(entry);
+      else registry.set(entry.id, createCaseificio(entry));
+    });
+    manifestLoaded = true;
+    manifestError = null;
+    console.log('[loaderCaseificio] manifest (' + source + '):', registry.size, 'caseifici con dati conferitori');
+    document.dispatchEvent(new CustomEvent('caseificio:loaded', {
+      detail: { caseificio: null, caseifici: Array.from(registry.keys()), source }
+    }));
+    return list();
+  }
+
+  /**
+   * Carica il manifest (una sola volta, salvo force) e popola il registro.
+   * Se il manifest viene dalla cache e la rivalidazione ne trova uno piu' nuovo, il registro
+   * si aggiorna ed e' emesso di nuovo "caseificio:loaded" (source 'network').
+   * Emette "caseificio:loaded" con { caseificio: null, caseifici, source } o { ..., error } in caso di errore.
+   * @param {boolean} [force=false] forza il ri-download del manifest
+   * @returns {Promise<Array<Object>>} voci del registro
+   */
+  function ready(force = false) {
+    if (manifestPromise && !force) return manifestPromise;
+    const load = force
+      ? fetchNetwork(SRC_MANIFEST)
+      : loadJson(SRC_MANIFEST, { onUpdate: upd => applyManifest(upd.data, 'network') });
+    manifestPromise = load
+      .then(res => applyManifest(res.data, res.source))
+      .catch(err => {
+        console.error('[loaderCaseificio] errore nel caricamento di', SRC_MANIFEST, err);
+        manifestError = err;
+        document.dispatchEvent(new CustomEvent('caseificio:loaded', {
+          detail: { caseificio: null, caseifici: Array.from(registry.keys()), error: String(err) }
+        }));
+        return list();
+      });
+    return manifestPromise;
+  }
+
+  /**
+   * Voce del registro per id, nome o alias del manifest (confronto senza maiuscole/punteggiatura).
+   * @param {string} name id o nome caseificio (es. valore Caseificio di data.json)
+   * @returns {Object|null} voce caseificio o null se il caseificio non ha file nel manifest
+   */
+  function get(name) {
+    const key = canon(name);
+    if (!key) return null;
+    for (const dairy of registry.values()) {
+      const entry = dairy.getManifest();
+      const names = [entry.id, entry.nome].concat(Array.isArray(entry.alias) ? entry.alias : []);
+      if (names.some(n => canon(n) === key)) return dairy;
+    }
+    return null;
+  }
+
+  /**
+   * Voci del registro, nell'ordine del manifest.
+   * @returns {Array<Object>}
+   */
+  function list() {
+    return Array.from(registry.values());
+  }
+
+  /**
+   * Aggiornamento live: ricontrolla il manifest e i file gia' caricati di ogni caseificio.
+   * Un manifest cambiato aggiorna il registro (applyManifest, "caseificio:loaded" source 'network');
+   * i file cambiati sono ripubblicati dalle rispettive voci. Richiede DATASET_CACHE.
+   * @returns {Promise<number>} numero di file cambiati (manifest incluso)
+   */
+  async function refresh() {
+    const cache = window.DATASET_CACHE;
+    if (!cache || !manifestLoaded) return 0;
+    let changed = 0;
+    const res = await cache.revalidate(SRC_MANIFEST, urlOf(SRC_MANIFEST));
+    if (res.changed) {
+      applyManifest(res.data, 'network');
+      changed++;
+    }
+    for (const dairy of registry.values()) changed += await dairy.refresh();
+    return changed;
+  }
+
+  window.Caseifici = {
+    get,
+    list,
+    /** Carica il manifest e popola il registro (alias load) */
+    ready,
+    load: ready,
+    /** True se il manifest e' stato letto */
+    isReady() { return manifestLoaded; },
+    /** Errore dell'ultimo download del manifest (stringa) o null */
+    error() { return manifestError ? String(manifestError) : null; },
+    /** Ricontrolla manifest e file gia' caricati (aggiornamento live) */
+    refresh
   };
 
-  // Avvia subito il caricamento come comportamento di default
+  // Globali del vecchio loader: window.CAO e' la voce del registro (null finche' il manifest non e' letto),
+  // CAO_RAW e CAO_TANK copie di campioni conferitori e valori cisterna
+  Object.defineProperties(window, {
+    CAO:      { configurable: true, get: () => get(LEGACY_ID) },
+    CAO_RAW:  { configurable: true, get: () => { const d = get(LEGACY_ID); return d ? d.getAll() : []; } },
+    CAO_TANK: { configurable: true, get: () => { const d = get(LEGACY_ID); return d ? d.getTank() : []; } }
+  });
+
+  // All'avvio carica il manifest; cisterna e chunk conferitori li richiedono le viste per caseificio e lattazione
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => ensureLoaded().catch(() => {}));
+    document.addEventListener('DOMContentLoaded', () => ready().catch(() => {}));
   } else {
-    ensureLoaded().catch(() => {});
+    ready().catch(() => {});
   }
 })();
@@ -0,0 +1,123 @@
+// loaderGruppo.js - distribuzioni mensili del gruppo di confronto calcolate dal server (sorgente 'api')
+// COSA FA (alto livello)
+// - Con la sorgente 'api' (dataSource.js) la pagina riceve solo i campioni del proprio perimetro (dataLoader.js):
+//   il gruppo di confronto dell'allevatore arriva da /api/benchmark/monthly di apiServer.js come distribuzioni
+//   mensili nel formato di regione.json ({ KPI, Anno, Mese, n, media, p5..p95 }), gia' filtrate dal server
+//   per numerosita' minima (gruppo allargato o soppresso, mesi piccoli non restituiti).
+// - Le risposte restano in memoria per KPI/modalita/caseificio/provincia; un nuovo data.json dal server
+//   ("raw:loaded" con source 'network') le invalida.
+// - Espone API su window.GRUPPO: enabled, get, load, month.
+// - Emette evento "gruppo:loaded" all'arrivo di una risposta (detail: { kpi, error? }).
+//
+// FLUSSO
+// - get(query): risposta gia' arrivata oppure null, avviando la richiesta; all'arrivo "gruppo:loaded"
+//   fa ridisegnare i grafici (benchmarkAllevatore.js).
+// - load(query): la stessa richiesta come Promise (farmReport.js, un KPI dopo l'altro).
+//
+// DIPENDENZE
+// - fetch API; DATA_SOURCE (dataSource.js) per la sorgente e l'URL dell'endpoint.
+// - PR e istogrammi sulle distribuzioni si calcolano con le funzioni di REGIONE (loaderRegione.js: cdf,
+//   percentileOf, pooledPercentile, pooledHistogram), come per il confronto regionale.
+// - Consumatori: benchmarkAllevatore.js (getServerGroupRows) e farmReport.js.
+(function () {
+  // query -> { promise, data } (data resta null finche' la risposta non e' arrivata)
+  const responses = new Map();
+
+  /**
+   * True se il gruppo di confronto arriva dal server (sorgente 'api').
+   */
+  function enabled() {
+    return !!(window.DATA_SOURCE && window.DATA_SOURCE.isApi());
+  }
+
+  /**
+   * Chiave della risposta in memoria.
+   * @param {{kpi:string, mode?:string, caseificio?:string, provincia?:string}} query
+   */
+  function keyOf(query) {
+    return [query.kpi, query.mode || 'intraAppare', query.caseificio || '', query.provincia || ''].join('|');
+  }
+
+  /**
+   * Risposta di /api/benchmark/monthly con l'indice dei mesi ('Anno-Mese' -> riga).
+   * Se la richiesta fallisce la risposta e' un gruppo vuoto con error (nessun confronto, nessun nuovo tentativo
+   * finche' i dati non cambiano).
+   */
+  function request(query) {
+    const url = window.DATA_SOURCE.url('/benchmark/monthly', {
+      kpi: query.kpi,
+      mode: query.mode,
+      caseificio: query.caseificio,
+      provincia: query.provincia
+    });
+    return fetch(url, { cache: 'no-store' })
+      .then(resp => {
+        if (!resp.ok) throw new Error('HTTP ' + resp.status);
+        return resp.json();
+      })
+      .catch(err => {
+        console.warn('[loaderGruppo] distribuzioni del gruppo non disponibili:', query.kpi, err);
+        return { kpi: query.kpi, months: [], min: null, n: 0, widened: [], suppressed: false, error: String(err) };
+      })
+      .then(data => {
+        data.byMonth = new Map((data.months || []).map(r => [Number(r.Anno) + '-' + Number(r.Mese), r]));
+        return data;
+      });
+  }
+
+  /**
+   * Distribuzioni del gruppo come Promise (una sola richiesta per query).
+   * @param {{kpi:string, mode?:string, caseificio?:string, provincia?:string}} query
+   * @returns {Promise<Object>} { kpi, mode, source: 'aziende'|'conferitori', caseificio, min, n, widened,
+   *   suppressed, months, byMonth, error? }
+   */
+  function load(query) {
+    const key = keyOf(query);
+    let entry = responses.get(key);
+    if (!entry) {
+      entry = { data: null, promise: null };
+      responses.set(key, entry);
+      entry.promise = request(query).then(data => {
+        if (responses.get(key) !== entry) return data;   // invalidata nel frattempo
+        entry.data = data;
+        document.dispatchEvent(new CustomEvent('gruppo:loaded', {
+          detail: data.error ? { kpi: query.kpi, error: data.error } : { kpi: query.kpi }
+        }));
+        return data;
+      });
+    }
+    return entry.promise;
+  }
+
+  /**
+   * Risposta gia' arrivata per la query, oppure null (la richiesta parte e arrivera' "gruppo:loaded").
+   */
+  function get(query) {
+    const entry = responses.get(keyOf(query));
+    if (entry) return entry.data;
+    load(query);
+    return null;
+  }
+
+  /**
+   * Riga distribuzione di un mese di una risposta (null se il mese manca o e' sotto la numerosita' minima).
+   * @param {Object} data risposta di get/load
+   * @param {number} year anno
+   * @param {number} month1 mese 1..12
+   */
+  function month(data, year, month1) {
+    return (data && data.byMonth && data.byMonth.get(year + '-' + month1)) || null;
+  }
+
+  // Dati nuovi sul server: le distribuzioni vanno richieste di nuovo
+  document.addEventListener('raw:loaded', ev => {
+    if (ev.detail && ev.detail.source === 'network') responses.clear();
+  });
+
+  window.GRUPPO = {
+    enabled,
+    get,
+    load,
+    month
+  };
+})();
@@ -0,0 +1,342 @@
+// loaderRegione.js - carica il dataset di riferimento regionale (regione.json)
+// COSA FA (alto livello)
+// - Carica le distribuzioni mensili regionali per KPI (percentili, media, n) in window.REGIONE_DIST.
+// - Espone API su window.REGIONE: ensureLoaded/load, filter, guard, getMonth, isLoaded/isLoading
+//   e le funzioni di calcolo sui percentili: cdf, percentileOf, pooledPercentile, pooledHistogram.
+// - Emette evento "regione:loaded" al termine (detail: { size, error? }).
+// - Abilita l'opzione "Regione" dei select #benchmarkType solo quando il file c'e' e non e' vuoto.
+//
+// DISPONIBILITA'
+// - regione.json e' l'export ufficiale delle distribuzioni regionali e non e' versionato nel repository:
+//   si deposita accanto alle pagine quando arriva. Finche' manca (404) o e' vuoto l'opzione resta
+//   disabilitata con l'etichetta "Regione (dati non disponibili)" e nessun grafico usa dati regionali.
+//
+// FORMATO DATI (regione.json)
+// - Array di righe { KPI, Anno, Mese, Provincia?, n, media, p5, p10, p25, p50, p75, p90, p95 }.
+// - Le righe senza Provincia sono il totale regionale; quelle con Provincia il dettaglio provinciale.
+// - Il dato e' aggregato: il PR di un'azienda/caseificio si calcola interpolando i percentili
+//   (cdf/percentileOf), non confrontandolo con righe di singole aziende.
+// - Numerosita' minima (k-anonimato, ACCESS_SCOPE.minGroupSize): una riga con n sotto il minimo
+//   rivelerebbe i valori di poche aziende. filter/getMonth sostituiscono la riga provinciale piccola con
+//   il totale regionale del mese e scartano il mese se anche il totale e' sotto il minimo (guard ne da' il conto).
+//
+// FLUSSO PRINCIPALE
+// - all'avvio (DOMContentLoaded) chiama ensureLoaded() per pre-caricare il file (piccolo).
+// - ensureLoaded(): se gia' caricato e non force, riusa i dati; altrimenti fetch di regione.json,
+//   set su window.REGIONE_DIST, dispatch "regione:loaded".
+//
+// DIPENDENZE
+// - fetch API disponibile.
+// - KPI_REGISTRY (kpiRegistry.js) per gli alias dei KPI.
+// - ACCESS_SCOPE (accessScope.js, opzionale) per la numerosita' minima delle righe.
+// - Consumatori: benchmarkAllevatore.js e benchmarkTrasformatore.js (modalita "regione").
+(function () {
+  const SRC = './regione.json';
+
+  // Punti percentili presenti in ogni riga, in ordine crescente
+  const PCT_KEYS = [
+    { key: 'p5',  p: 0.05 },
+    { key: 'p10', p: 0.10 },
+    { key: 'p25', p: 0.25 },
+    { key: 'p50', p: 0.50 },
+    { key: 'p75', p: 0.75 },
+    { key: 'p90', p: 0.90 },
+    { key: 'p95', p: 0.95 }
+  ];
+
+  // Stato globale: distribuzioni mensili regionali
+  window.REGIONE_DIST = Array.isArray(window.REGIONE_DIST) ? window.REGIONE_DIST : [];
+
+  // Promise condivisa per evitare richieste parallele duplicate
+  let loadPromise = null;
+  // True finche' la fetch e' in corso (dopo un errore loadPromise resta, ma il caricamento e' concluso)
+  let loading = false;
+
+  const LABEL_ON  = 'Regione';
+  const LABEL_OFF = 'Regione (dati non disponibili)';
+
+  /**
+   * Normalizza stringa in lower-case e trim.
+   */
+  function norm(v) {
+    return String(v || '').trim().toLowerCase();
+  }
+
+  /**
+   * Numero minimo di aziende di una riga distribuzione (ACCESS_SCOPE.minGroupSize, default 5).
+   */
+  function minGroupSize() {
+    return window.ACCESS_SCOPE ? window.ACCESS_SCOPE.minGroupSize() : 5;
+  }
+
+  /**
+   * Righe mensili per KPI/anno/provincia con la numerosita' minima applicata mese per mese.
+   * @param {Object} opts { kpi, fromYear, toYear, provincia }
+   * @returns {{rows:Array<Object>, min:number, widened:number, suppressed:number}}
+   *   widened = mesi passati al totale regionale, suppressed = mesi scartati
+   */
+  function select(opts = {}) {
+    const { kpi, fromYear, toYear, provincia } = opts;
+    const min = minGroupSize();
+    const accepted = kpi ? KPI_REGISTRY.aliasesFor(kpi) : null;
+    const provName = provincia ? String(provincia).trim() : null;
+
+    const regional = new Map(); // "Anno-Mese" -> riga regionale
+    const byProv   = new Map(); // "Anno-Mese" -> riga provinciale
+
+    for (const r of window.REGIONE_DIST) {
+      if (!r) continue;
+      if (accepted && !accepted.includes(norm(r.KPI))) continue;
+      const y = Number(r.Anno);
+      const m = Number(r.Mese);
+      if (!Number.isFinite(y) || !Number.isFinite(m)) continue;
+      if (Number.isFinite(fromYear) && y < fromYear) continue;
+      if (Number.isFinite(toYear) && y > toYear) continue;
+
+      const key = y + '-' + m;
+      if (!r.Provincia) regional.set(key, r);
+      else if (provName && r.Provincia === provName) byProv.set(key, r);
+    }
+
+    const enough = r => !!r && Number(r.n) >= min;
+    const out = { rows: [], min, widened: 0, suppressed: 0 };
+    const keys = new Set([...regional.keys(), ...byProv.keys()]);
+    keys.forEach(k => {
+      const prov = provName ? byProv.get(k) : null;
+      const reg = regional.get(k);
+      if (enough(prov)) out.rows.push(prov);
+      else if (enough(reg)) {
+        out.rows.push(reg);
+        if (provName) out.widened++;
+      } else out.suppressed++;
+    });
+    return out;
+  }
+
+  /**
+   * Filtra le distribuzioni regionali per KPI/anno/provincia.
+   * Se e' indicata una provincia e per quel mese la riga provinciale manca o ha meno aziende del minimo,
+   * ricade sul totale regionale; i mesi sotto il minimo anche a livello regionale non sono restituiti.
+   * @param {Object} opts { kpi, fromYear, toYear, provincia }
+   * @returns {Array<Object>} righe distribuzione (una per anno-mese)
+   */
+  function filter(opts = {}) {
+    return select(opts).rows;
+  }
+
+  /**
+   * Esito della numerosita' minima per un filtro (per i messaggi delle viste).
+   * @param {Object} opts { kpi, fromYear, toYear, provincia }
+   * @returns {{min:number, months:number, widened:number, suppressed:number}}
+   */
+  function guard(opts = {}) {
+    const s = select(opts);
+    return { min: s.min, months: s.rows.length, widened: s.widened, suppressed: s.suppressed };
+  }
+
+  /**
+   * Distribuzione di un singolo mese.
+   * @param {string} kpi chiave KPI
+   * @param {number} year anno
+   * @param {number} month1 mese 1..12
+   * @param {string|null} provincia nome provincia o null per il totale regionale
+   * @returns {Object|null} riga distribuzione o null
+   */
+  function getMonth(kpi, year, month1, provincia) {
+    const rows = filter({ kpi, fromYear: year, toYear: year, provincia });
+    return rows.find(r => Number(r.Mese) === month1) || null;
+  }
+
+  /**
+   * Funzione di ripartizione (0..1) stimata dai percentili di una riga distribuzione.
+   * Interpolazione lineare tra i percentili noti (in scala log per KPI log), code estrapolate
+   * con la pendenza del primo/ultimo segmento e limitate a [0,1].
+   * @param {Object} dist riga distribuzione (p5..p95)
+   * @param {number} v valore da collocare
+   * @param {boolean} [useLog=false] interpola in scala logaritmica
+   * @returns {number|null}
+   */
+  function cdf(dist, v, useLog = false) {
+    if (!dist || !Number.isFinite(v)) return null;
+    const tr = x => (useLog ? Math.log(Math.max(x, 1e-9)) : x);
+    const pts = PCT_KEYS
+      .map(pk => ({ x: Number(dist[pk.key]), p: pk.p }))
+      .filter(pt => Number.isFinite(pt.x))
+      .map(pt => ({ x: tr(pt.x), p: pt.p }));
+    if (!pts.length) return null;
+
+    const x = tr(v);
+    if (pts.length === 1) return x < pts[0].x ? 0 : 1;
+    let seg = null;
+    if (x <= pts[0].x) seg = [pts[0], pts[1]];
+    else if (x >= pts[pts.length - 1].x) seg = [pts[pts.length - 2], pts[pts.length - 1]];
+    else {
+      for (let i = 1; i < pts.length; i++) {
+        if (x <= pts[i].x) { seg = [pts[i - 1], pts[i]]; break; }
+      }
+    }
+    const dx = seg[1].x - seg[0].x;
+    const p = dx > 0 ? seg[0].p + (x - seg[0].x) * (seg[1].p - seg[0].p) / dx : seg[1].p;
+    return Math.min(1, Math.max(0, p));
+  }
+
+  /**
+   * Percentile rank (0..100) di un valore rispetto a una distribuzione regionale.
+   * @param {Object} dist riga distribuzione
+   * @param {number} v valore
+   * @param {boolean} [useLog=false] interpola in scala logaritmica
+   * @returns {number|null}
+   */
+  function percentileOf(dist, v, useLog = false) {
+    const p = cdf(dist, v, useLog);
+    return p == null ? null : Math.round(p * 100);
+  }
+
+  /**
+   * Percentile rank (0..100) rispetto all'unione di piu' distribuzioni mensili, pesate per n.
+   * Usato per collocare la media di un periodo (istogramma) rispetto ai mesi del periodo.
+   * @param {Array<Object>} dists righe distribuzione
+   * @param {number} v valore
+   * @param {boolean} [useLog=false] interpola in scala logaritmica
+   * @returns {number|null}
+   */
+  function pooledPercentile(dists, v, useLog = false) {
+    let sum = 0;
+    let totW = 0;
+    for (const d of dists || []) {
+      const p = cdf(d, v, useLog);
+      if (p == null) continue;
+      const w = Number(d.n) > 0 ? Number(d.n) : 1;
+      sum += w * p;
+      totW += w;
+    }
+    return totW ? Math.round((sum / totW) * 100) : null;
+  }
+
+  /**
+   * Istogramma stimato dall'unione di piu' distribuzioni mensili (pesate per n).
+   * Le classi coprono [min p5, max p95]; le code esterne confluiscono nella prima/ultima classe.
+   * @param {Array<Object>} dists righe distribuzione
+   * @param {number} [bins=10] numero di classi
+   * @param {boolean} [useLog=false] interpola in scala logaritmica
+   * @returns {{edges:number[], share:number[], avgN:number}|null} share = frazione 0..1 per classe
+   */
+  function pooledHistogram(dists, bins = 10, useLog = false) {
+    const list = (dists || []).filter(Boolean);
+    if (!list.length) return null;
+    const lows  = list.map(d => Number(d.p5)).filter(Number.isFinite);
+    const highs = list.map(d => Number(d.p95)).filter(Number.isFinite);
+    if (!lows.length || !highs.length) return null;
+    const lo = Math.min(...lows);
+    const hi = Math.max(...highs);
+
+    let totW = 0;
+    list.forEach(d => { totW += Number(d.n) > 0 ? Number(d.n) : 1; });
+    const avgN = totW / list.length;
+
+    if (!(hi > lo)) {
+      return { edges: [lo - 0.5, lo + 0.5], share: [1], avgN };
+    }
+
+    const step = (hi - lo) / bins;
+    const edges = [];
+    for (let i = 0; i <= bins; i++) edges.push(lo + i * step);
+
+    const share = new Array(bins).fill(0);
+    for (const d of list) {
+      const w = Number(d.n) > 0 ? Number(d.n) : 1;
+      for (let i = 0; i < bins; i++) {
+        const from = (i === 0) ? 0 : cdf(d, edges[i], useLog);
+        const to   = (i === bins - 1) ? 1 : cdf(d, edges[i + 1], useLog);
+        if (from == null || to == null) continue;
+        share[i] += w * Math.max(0, to - from);
+      }
+    }
+    return { edges, share: share.map(s => s / totW), avgN };
+  }
+
+  /**
+   * Allinea le option "regione" dei select #benchmarkType alla disponibilita' del dataset.
+   * Se il dataset sparisce (ricarica fallita) con "regione" selezionato, torna a IntraAppare.
+   */
+  function syncOptions() {
+    const available = window.REGIONE_DIST.length > 0;
+    document.querySelectorAll('#benchmarkType option[value="regione"]').forEach(opt => {
+      opt.disabled = !available;
+      opt.textContent = available ? LABEL_ON : LABEL_OFF;
+      const sel = opt.parentElement;
+      if (!available && sel && sel.value === 'regione') {
+        sel.value = 'intraAppare';
+        sel.dispatchEvent(new Event('change', { bubbles: true }));
+      }
+    });
+  }
+
+  /**
+   * Carica regione.json se non presente o se force=true.
+   * Popola window.REGIONE_DIST ed emette "regione:loaded".
+   * In caso di errore lascia il dataset vuoto e notifica l'errore nel detail.
+   * @param {boolean} [force=false] forza ricarica
+   * @returns {Promise<Array<Object>>}
+   */
+  async function ensureLoaded(force = false) {
+    if (window.REGIONE_DIST.length && !force) return window.REGIONE_DIST;
+    if (!loadPromise || force) {
+      loading = true;
+      loadPromise = fetch(SRC + '?v=' + Date.now(), { cache: 'no-store' })
+        .then(resp => {
+          if (!resp.ok) throw new Error('HTTP ' + resp.status);
+          return resp.json();
+        })
+        .then(data => {
+          window.REGIONE_DIST = Array.isArray(data) ? data : [];
+          console.log('[loaderRegione] caricate', window.REGIONE_DIST.length, 'distribuzioni mensili');
+          loading = false;
+          syncOptions();
+          document.dispatchEvent(new CustomEvent('regione:loaded', {
+            detail: { size: window.REGIONE_DIST.length }
+          }));
+          return window.REGIONE_DIST;
+        })
+        .catch(err => {
+          console.warn('[loaderRegione] regione.json non disponibile, benchmark Regione disabilitato:', err);
+          window.REGIONE_DIST = [];
+          loading = false;
+          syncOptions();
+          document.dispatchEvent(new CustomEvent('regione:loaded', {
+            detail: { size: 0, error: String(err) }
+          }));
+          return [];
+        });
+    }
+    return loadPromise;
+  }
+
+  window.REGIONE = {
+    /** True se il dataset regionale e' caricato */
+    isLoaded() { return window.REGIONE_DIST.length > 0; },
+    /** True se c'e' un caricamento in corso */
+    isLoading() { return loading; },
+    /** Forza o garantisce il caricamento del JSON (alias load) */
+    ensureLoaded,
+    load: ensureLoaded,
+    /** Filtra le distribuzioni per KPI/periodo/provincia (numerosita' minima applicata) */
+    filter,
+    guard,
+    /** Distribuzione di un mese */
+    getMonth,
+    /** Ripartizione e percentile rispetto a una distribuzione */
+    cdf,
+    percentileOf,
+    /** Aggregazione di piu' mesi (istogramma periodo) */
+    pooledPercentile,
+    pooledHistogram
+  };
+
+  // Avvia subito il caricamento come comportamento di default
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => ensureLoaded().catch(() => {}));
+  } else {
+    ensureLoaded().catch(() => {});
+  }
+})();
@@ -0,0 +1,193 @@
+// monthlyMeans.js - medie mensili dei KPI (gruppo di aziende, campioni, azienda-mese)
+// COSA FA (alto livello)
+// - Calcoli puri sulle righe di data.json / conferitori ({Azienda, Anno, Mese, Data, KPI, Valore}):
+//   - groupMonthlyMeans: media per (azienda, anno, mese), poi media aritmetica delle aziende per mese;
+//   - sampleMonthlyMeans: media dei campioni per mese (geometrica per i KPI in scala log);
+//   - aziendaMonthlyMeans: media per (azienda, anno, mese) di righe gia' normalizzate {Azienda, year, month, value};
+//   - rowsMonthlyMeans: media per (anno, mese) di righe normalizzate (DATA_STORE.select o aziendaMonthlyMeans).
+// - Lo stesso file gira in due contesti:
+//   - nella pagina: espone window.MONTHLY_MEANS (benchmarkTrasformatore.js);
+//   - in Node: module.exports (apiServer.js, medie delle distribuzioni di /api/benchmark/monthly).
+//
+// DIPENDENZE
+// - Nessuna: alias e scala log del KPI arrivano dal chiamante (KPI_REGISTRY.aliasesFor / isLog).
+(function (root) {
+  /**
+   * Media aritmetica ignorando valori non numerici.
+   * @param {Array<number>} values
+   * @returns {number|null} media o null se nessun valore valido
+   */
+  function arithmeticMean(values) {
+    let sum = 0;
+    let n = 0;
+    for (const v of values) {
+      const x = Number(v);
+      if (Number.isFinite(x)) {
+        sum += x;
+        n++;
+      }
+    }
+    return n ? (sum / n) : null;
+  }
+
+  /**
+   * Media geometrica (KPI log) filtrando numeri finiti > 0.
+   * @param {Array<number>} values
+   * @returns {number|null} media o null se non calcolabile
+   */
+  function aggGeometric(values) {
+    let sum = 0;
+    let n = 0;
+    for (const v of values) {
+      const x = Number(v);
+      if (Number.isFinite(x) && x > 0) {
+        sum += Math.log(x);
+        n++;
+      }
+    }
+    return n ? Math.exp(sum / n) : null;
+  }
+
+  /**
+   * Anno e mese (1..12) di una riga: campi Anno/Mese, altrimenti dalla Data (null se mancano entrambi).
+   */
+  function monthOf(r) {
+    if (r.Anno != null && r.Mese != null) return { anno: Number(r.Anno), mese: Number(r.Mese) };
+    if (!r.Data) return null;
+    const d = new Date(r.Data);
+    if (!Number.isFinite(d.getTime())) return null;
+    return { anno: d.getFullYear(), mese: d.getMonth() + 1 };
+  }
+
+  /**
+   * Valori per chiave delle righe del KPI (alias in minuscolo).
+   * @param {Array<Object>} rows righe grezze
+   * @param {string[]} aliases alias del KPI
+   * @param {function(Object, {anno:number, mese:number}): string} keyOf chiave di raggruppamento
+   * @returns {Map<string, number[]>}
+   */
+  function collect(rows, aliases, keyOf) {
+    const out = new Map();
+    for (const r of rows) {
+      if (!r) continue;
+      if (!aliases.includes(String(r.KPI || '').toLowerCase())) continue;
+      const ym = monthOf(r);
+      if (!ym) continue;
+      const val = Number(r.Valore);
+      if (!Number.isFinite(val)) continue;
+      const key = keyOf(r, ym);
+      if (!out.has(key)) out.set(key, []);
+      out.get(key).push(val);
+    }
+    return out;
+  }
+
+  /**
+   * Media mensile del gruppo: media per (azienda, anno, mese), poi media delle aziende per mese.
+   * @param {Array<Object>} rows righe grezze (data.json) gia' filtrate per caseificio/provincia
+   * @param {string[]} aliases alias del KPI
+   * @returns {Array<{Anno:number, Mese:number, Valore:number}>}
+   */
+  function groupMonthlyMeans(rows, aliases) {
+    if (!Array.isArray(rows) || !rows.length) return [];
+    const aziYM = collect(rows, aliases, (r, ym) => String(r.Azienda || '') + '|' + ym.anno + '|' + ym.mese);
+
+    const ymValues = new Map(); // "Anno|Mese" -> [media_azienda]
+    aziYM.forEach((vals, key) => {
+      const mAzi = arithmeticMean(vals);
+      if (mAzi == null) return;
+      const parts = key.split('|');
+      const ymKey = parts[1] + '|' + parts[2];
+      if (!ymValues.has(ymKey)) ymValues.set(ymKey, []);
+      ymValues.get(ymKey).push(mAzi);
+    });
+
+    const out = [];
+    ymValues.forEach((vals, ymKey) => {
+      const mediaGruppo = arithmeticMean(vals);
+      if (mediaGruppo == null) return;
+      const parts = ymKey.split('|');
+      out.push({ Anno: Number(parts[0]), Mese: Number(parts[1]), Valore: mediaGruppo });
+    });
+    return out;
+  }
+
+  /**
+   * Media mensile dei campioni (senza distinguere per azienda).
+   * @param {Array<Object>} rows righe grezze (campioni conferitori o data.json)
+   * @param {string[]} aliases alias del KPI
+   * @param {boolean} log true per i KPI in scala log (media geometrica)
+   * @returns {Array<{Anno:number, Mese:number, Valore:number}>}
+   */
+  function sampleMonthlyMeans(rows, aliases, log) {
+    if (!Array.isArray(rows) || !rows.length) return [];
+    const ym = collect(rows, aliases, (r, m) => m.anno + '|' + m.mese);
+
+    const out = [];
+    ym.forEach((vals, key) => {
+      const parts = key.split('|');
+      const agg = log ? aggGeometric(vals) : arithmeticMean(vals);
+      if (agg != null) out.push({ Anno: Number(parts[0]), Mese: Number(parts[1]), Valore: agg });
+    });
+    return out;
+  }
+
+  /**
+   * Media per (azienda, anno, mese) di righe normalizzate.
+   * @param {Array<{Azienda:string, year:number, month:number, value:number}>} rows
+   * @param {boolean} log true per i KPI in scala log (media geometrica)
+   * @returns {Array<{Azienda:string, year:number, month:number, value:number}>}
+   */
+  function aziendaMonthlyMeans(rows, log) {
+    const byKey = new Map();
+    rows.forEach(r => {
+      const key = r.year + '|' + r.month + '|' + r.Azienda;
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(r.value);
+    });
+
+    const out = [];
+    byKey.forEach((vals, keyStr) => {
+      const [y, m, az] = keyStr.split('|');
+      const agg = log ? aggGeometric(vals) : arithmeticMean(vals);
+      if (agg != null) out.push({ Azienda: az, year: Number(y), month: Number(m), value: agg });
+    });
+    return out;
+  }
+
+  /**
+   * Media per (anno, mese) di righe normalizzate, nel formato di groupMonthlyMeans/sampleMonthlyMeans.
+   * Sulle righe dei campioni e' la media dei campioni; su quelle di aziendaMonthlyMeans la media delle aziende.
+   * @param {Array<{year:number, month:number, value:number}>} rows month 0..11
+   * @param {boolean} log true per i KPI in scala log (media geometrica)
+   * @returns {Array<{Anno:number, Mese:number, Valore:number}>}
+   */
+  function rowsMonthlyMeans(rows, log) {
+    const byYM = new Map();
+    rows.forEach(r => {
+      const key = r.year + '|' + r.month;
+      if (!byYM.has(key)) byYM.set(key, []);
+      byYM.get(key).push(r.value);
+    });
+
+    const out = [];
+    byYM.forEach((vals, key) => {
+      const parts = key.split('|');
+      const agg = log ? aggGeometric(vals) : arithmeticMean(vals);
+      if (agg != null) out.push({ Anno: Number(parts[0]), Mese: Number(parts[1]) + 1, Valore: agg });
+    });
+    return out;
+  }
+
+  const api = {
+    groupMonthlyMeans,
+    sampleMonthlyMeans,
+    aziendaMonthlyMeans,
+    rowsMonthlyMeans,
+    arithmeticMean,
+    aggGeometric
+  };
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.MONTHLY_MEANS = api;
+})(typeof self !== 'undefined' ? self : this);
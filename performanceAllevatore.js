@@ -3,6 +3,8 @@
 // - Mostra il grafico a linee dei campioni giornalieri dell'azienda selezionata (solo azienda, nessuna mediana gruppo).
 // - Supporta KPI standard e il KPI derivato "rapporto grassi/proteine".
 // - Gestisce le checkbox delle lattazioni (max 3) per filtrare le serie e assegnare colori coerenti.
+// - Marca con un triangolo i campioni rianalizzati (Rianalisi da sampleDedup.js): il tooltip riporta i valori consegnati.
+// - Evidenzia in arancio i campioni arrivati con l'aggiornamento live (LIVE_REFRESH.isNew, liveRefresh.js).
 //
 // FLUSSO PRINCIPALE (entry point in fondo: DOMContentLoaded -> waitRaw -> bind/render)
 // 1) waitRaw() attende che RAW sia caricato da dataLoader, poi chiama bind().
@@ -11,9 +13,13 @@
 // 4) draw() costruisce i dataset Chart.js, applica annotazioni KPI-specifiche (urea, rapporto) e disegna il grafico.
 //
 // SORGENTI DATI E DIPENDENZE
-// - RAW globale popolato da dataLoader.js (campioni azienda, campo Data/KPI/Valore).
+// - RAW globale popolato da dataLoader.js (campioni azienda, campo Data/KPI/Valore), letto tramite
+//   l'indice DATA_STORE (dataStore.js): campioni giornalieri per azienda e KPI.
+// - KPI_REGISTRY (kpiRegistry.js) per alias, unita', etichette e limiti di legge dei KPI; DATA_FIELDS
+//   (kpiRegistry.js) per le etichette delle lattazioni.
 // - Stato globale opzionale window.state.{azienda,currentKpi}; fallback sui controlli DOM (#aziendaHeader, #indicatore).
 // - UI: toggle view (#miei-dati / #confronto, #viewToggle), canvas #md-chart, container checkbox #md-year-boxes.
+// - Espone window.LEGAL_MEANS (rule, compute) con le medie geometriche di legge, usate anche da farmReport.js.
 // - Libreria: Chart.js (necessaria per il grafico e le annotazioni).
 //
 // NOTA
@@ -39,7 +45,7 @@
   function lactationFromDate(d) {
     const y = d.getFullYear(), m = d.getMonth();
     const start = (m >= 9) ? y : (y - 1);
-    const label = `${start}-${String((start + 1) % 100).padStart(2,'0')}`;
+    const label = window.DATA_FIELDS.lactationLabel(start);
     const xMonth = (m + 3) % 12; // Ott(9)->0 ... Set(8)->11
     const frac = (d.getDate() - 1) / daysInMonth(y, m);
     return { startYear: start, label, x: xMonth + frac };
@@ -65,48 +71,41 @@
   }
 
   /**
-   * Alias del KPI logico per confrontare i valori RAW (minuscolo).
-   * Dipende da window.KPI_ALIASES popolato da benchmarkAllevatore.
-   */
-  function getAliases(k) {
-    const key = String(k).toLowerCase();
-    if (window.KPI_ALIASES && KPI_ALIASES[key]) return KPI_ALIASES[key].map(s => String(s).toLowerCase());
-    return [key];
+   * Testo delle rianalisi di un campione (valori consegnati, es. "861 / 231"); null se non rianalizzato.
+   */
+  function reanalysisText(kpi, analyses) {
+    return analyses ? analyses.map(v => KPI_REGISTRY.format(kpi, v)).join(' / ') : null;
   }
 
-  /**
-   * Estrae le righe rilevanti per l'azienda/KPI correnti dal RAW globale.
+  /**
+   * Estrae le righe rilevanti per l'azienda/KPI correnti dall'indice di RAW (DATA_STORE).
    * - Supporta KPI derivato "rapporto": calcola grassi/proteine medi per giorno e ne fa il rapporto.
-   * - Per KPI standard filtra per alias e ritorna {date, value}.
-   * Dipendenze: usa getAzienda(), getKpi(), getAliases() e legge window.RAW (dataLoader).
-   * @returns {Array<{date: Date, value: number}>} punti giornalieri
+   * - Per KPI standard ritorna i campioni {date, value}.
+   * - reanalysis: valori consegnati per i campioni rianalizzati (null altrimenti).
+   * - fresh: campione arrivato con l'ultimo aggiornamento live (LIVE_REFRESH).
+   * Dipendenze: usa getAzienda(), getKpi() e DATA_STORE.samples (dataStore.js).
+   * @returns {Array<{date: Date, value: number, reanalysis: string|null, fresh: boolean}>} punti giornalieri
    */
   function rowsForCurrent() {
     const az = getAzienda();
     const kpiSel = getKpi();
+    const isNew = (date, kpi) => !!window.LIVE_REFRESH && window.LIVE_REFRESH.isNew(az, date, kpi);
 
     // KPI derivato: rapporto grassi/proteine
     if (kpiSel === 'rapporto') {
-      const fats = new Map();   // dateKey -> {values, date}
-      const prots = new Map();  // dateKey -> {values, date}
-      const src = Array.isArray(window.RAW) ? window.RAW : [];
-      for (const r of src) {
-        if (!r || !r.Data) continue;
-        if (String(r.Azienda || '') !== az) continue;
-        const k = String(r.KPI || '').toLowerCase();
-        const v = Number(r.Valore);
-        if (!isFinite(v)) continue;
-        const d = new Date(r.Data);
-        if (isNaN(+d)) continue;
-        const key = d.toISOString().slice(0,10); // yyyy-mm-dd
-        if (k === 'grassi' || k === 'fat' || k === '% fat') {
-          if (!fats.has(key)) fats.set(key, { values: [], date: d });
-          fats.get(key).values.push(v);
-        } else if (k === 'proteine' || k === 'protein' || k === '% prot') {
-          if (!prots.has(key)) prots.set(key, { values: [], date: d });
-          prots.get(key).values.push(v);
+      // dateKey (yyyy-mm-dd) -> {values, date, reanalysis}
+      const byDay = (kpi) => {
+        const map = new Map();
+        for (const s of DATA_STORE.samples(kpi, az)) {
+          const key = s.date.toISOString().slice(0,10);
+          if (!map.has(key)) map.set(key, { values: [], date: s.date, reanalysis: null });
+          map.get(key).values.push(s.value);
+          if (s.analyses) map.get(key).reanalysis = KPI_REGISTRY.labelOf(kpi) + ' ' + reanalysisText(kpi, s.analyses);
         }
-      }
+        return map;
+      };
+      const fats = byDay('grassi');
+      const prots = byDay('proteine');
       const out = [];
       for (const [key, g] of fats.entries()) {
         if (!prots.has(key)) continue;
@@ -114,41 +113,50 @@
         const gAvg = g.values.reduce((a,b)=>a+b,0) / g.values.length;
         const pAvg = p.values.reduce((a,b)=>a+b,0) / p.values.length;
         if (pAvg === 0 || !isFinite(gAvg) || !isFinite(pAvg)) continue;
-        out.push({ date: g.date, value: gAvg / pAvg });
+        const notes = [g.reanalysis, p.reanalysis].filter(Boolean);
+        out.push({
+          date: g.date,
+          value: gAvg / pAvg,
+          reanalysis: notes.length ? notes.join('; ') : null,
+          fresh: isNew(g.date, 'grassi') || isNew(g.date, 'proteine')
+        });
       }
       return out;
     }
 
     // KPI standard
-    const aliases = getAliases(kpiSel);
-    const src = Array.isArray(window.RAW) ? window.RAW : [];
-    const out = [];
-    for (const r of src) {
-      if (!r || !r.Data) continue;
-      if (String(r.Azienda || '') !== az) continue;
-      const kpi = String(r.KPI || '').toLowerCase();
-      if (!aliases.includes(kpi)) continue;
-      const d = new Date(r.Data);
-      const v = Number(r.Valore);
-      if (!isFinite(v) || isNaN(+d)) continue;
-      out.push({ date: d, value: v });
-    }
-    return out;
+    return samplesForKpi(kpiSel).map(s => ({
+      date: s.date,
+      value: s.value,
+      reanalysis: reanalysisText(kpiSel, s.analyses),
+      fresh: isNew(s.date, kpiSel)
+    }));
+  }
+
+  /**
+   * Campioni giornalieri dell'azienda corrente per un KPI logico (indipendente dal select).
+   * Usato da rowsForCurrent (KPI standard) e dalla card delle medie geometriche di legge.
+   * @param {string} kpiSel KPI logico (es. 'cellule', 'carica')
+   * @returns {Array<{date: Date, value: number}>} punti giornalieri
+   */
+  function samplesForKpi(kpiSel) {
+    return DATA_STORE.samples(kpiSel, getAzienda());
   }
 
   /**
    * Raggruppa i punti per lattazione: label -> { startYear, points[] }.
-   * Ogni punto contiene x (posizione frazionaria), y (valore), date (Date originale).
+   * Ogni punto contiene x (posizione frazionaria), y (valore), date (Date originale), reanalysis (rianalisi o null)
+   * e fresh (campione nuovo dell'aggiornamento live).
    * Dipendenze: usa lactationFromDate per mappare ogni campione nel ciclo Ott-Set e ordina i punti per x.
-   * @param {Array<{date:Date,value:number}>} rows punti giornalieri
-   * @returns {Map<string,{startYear:number,points:Array<{x:number,y:number,date:Date}>}>}
+   * @param {Array<{date:Date,value:number,reanalysis?:string|null,fresh?:boolean}>} rows punti giornalieri
+   * @returns {Map<string,{startYear:number,points:Array<{x:number,y:number,date:Date,reanalysis:string|null,fresh:boolean}>}>}
    */
   function groupByLactation(rows) {
     const map = new Map();
     for (const r of rows) {
       const lx = lactationFromDate(r.date);
       if (!map.has(lx.label)) map.set(lx.label, { startYear: lx.startYear, points: [] });
-      map.get(lx.label).points.push({ x: lx.x, y: r.value, date: r.date });
+      map.get(lx.label).points.push({ x: lx.x, y: r.value, date: r.date, reanalysis: r.reanalysis || null, fresh: !!r.fresh });
     }
     for (const v of map.values()) v.points.sort((a,b)=>a.x-b.x);
     return map;
@@ -376,9 +384,10 @@ function activeYearsMD() {
     setTimeout(() => {
       boxes.forEach(b => {
         const el = document.getElementById(b.id);
-        if (el) el.addEventListener('change', () => draw(by));
+        if (el) el.addEventListener('change', () => { draw(by); renderLegalMeans(); });
       });
       draw(by);
+      renderLegalMeans();
     }, 0);
   }
 
@@ -454,16 +463,19 @@ function activeYearsMD() {
 
         backgroundColor: 'rgba(0,0,0,0)',
         tension: .25,
-        pointRadius: 3,
+        // campioni rianalizzati: triangolo piu' grande; campioni nuovi (aggiornamento live): pieni in arancio
+        pointRadius: c => c.raw?.reanalysis ? 6 : c.raw?.fresh ? 5 : 3,
+        pointStyle: c => c.raw?.reanalysis ? 'triangle' : 'circle',
+        pointBackgroundColor: c => c.raw?.fresh ? '#f97316' : 'rgba(0,0,0,0)',
         spanGaps: true,
       });
     }
 
 
-    // usa le stesse unita di benchmarkAllevatore.js
+    // unita e limiti di legge dal registro KPI
     const kpiSel = getKpi();
-    const unit = (window.KPI_UNITS && KPI_UNITS[kpiSel]) || '';
-    const limitLine = (kpiSel === 'cellule') ? 1500 : (kpiSel === 'carica' ? 500 : null);
+    const unit = KPI_REGISTRY.unitOf(kpiSel);
+    const limitLine = KPI_REGISTRY.legalOf(kpiSel)?.limit ?? null;
 
         const options = {
       responsive: true,
@@ -492,8 +504,13 @@ function activeYearsMD() {
               return `${dd}/${mm}`;
             },
             label(ctx) {
-              const v = ctx.parsed.y;
-              return `${v}`;
+              return KPI_REGISTRY.format(kpiSel, ctx.parsed.y);
+            },
+            afterLabel(ctx) {
+              const note = ctx.raw?.reanalysis;
+              if (!note) return '';
+              const dedup = window.SAMPLE_DEDUP;
+              return 'Rianalizzato: ' + note + (dedup ? ' (' + dedup.POLICIES[dedup.policy()].toLowerCase() + ')' : '');
             }
           }
         }
@@ -545,43 +562,46 @@ function activeYearsMD() {
         return v;
       };
 
+      // estremi delle fasce dal registro KPI (30, 36, 44, 50 mg/dL), gli stessi che colorano lo Storico
+      const edge = KPI_REGISTRY.bandsOf('urea').map(b => b.max);
       annotations.ureaLow = {
         type: 'box',
         yMin: (ctx) => clamp(ctx, 0),
-        yMax: (ctx) => clamp(ctx, 30),
+        yMax: (ctx) => clamp(ctx, edge[0]),
         backgroundColor: solid.low,
         borderWidth: 0
       };
       annotations.ureaMidLow = {
         type: 'box',
-        yMin: (ctx) => clamp(ctx, 30),
-        yMax: (ctx) => clamp(ctx, 36),
+        yMin: (ctx) => clamp(ctx, edge[0]),
+        yMax: (ctx) => clamp(ctx, edge[1]),
         backgroundColor: (ctx) => grad(ctx, 'rgba(239,68,68,0.32)', solid.yellowLow),
         borderWidth: 0
       };
       annotations.ureaMid = {
         type: 'box',
-        yMin: (ctx) => clamp(ctx, 36),
-        yMax: (ctx) => clamp(ctx, 44),
+        yMin: (ctx) => clamp(ctx, edge[1]),
+        yMax: (ctx) => clamp(ctx, edge[2]),
         backgroundColor: solid.green,
         borderWidth: 0
       };
       annotations.ureaMidHigh = {
         type: 'box',
-        yMin: (ctx) => clamp(ctx, 44),
-        yMax: (ctx) => clamp(ctx, 50),
+        yMin: (ctx) => clamp(ctx, edge[2]),
+        yMax: (ctx) => clamp(ctx, edge[3]),
         backgroundColor: solid.yellowHigh, // fascia 44-50 resta gialla
         borderWidth: 0
       };
       annotations.ureaHigh = {
         type: 'box',
-        yMin: (ctx) => clamp(ctx, 50),
+        yMin: (ctx) => clamp(ctx, edge[3]),
         yMax: (ctx) => clamp(ctx, Number.POSITIVE_INFINITY),
         backgroundColor: solid.high,
         borderWidth: 0
       };
     } else if (kpiSel === 'rapporto') {
-      // banda verde 1.0-1.4, rosso fuori; etichette di rischio
+      // banda verde 1.0-1.4, rosso fuori; etichette di rischio (estremi dal registro KPI)
+      const [ratioMin, ratioMax] = KPI_REGISTRY.bandsOf('rapporto').map(b => b.max);
       const clamp = (ctx, v) => {
         const s = ctx?.chart?.scales?.y;
         if (!s) return v;
@@ -592,7 +612,7 @@ function activeYearsMD() {
       annotations.ratioLow = {
         type: 'box',
         yMin: (ctx) => clamp(ctx, ctx?.chart?.scales?.y?.min ?? Number.NEGATIVE_INFINITY),
-        yMax: (ctx) => clamp(ctx, 1),
+        yMax: (ctx) => clamp(ctx, ratioMin),
         backgroundColor: 'rgba(239,68,68,0.25)',
         borderWidth: 0,
         label: {
@@ -606,14 +626,14 @@ function activeYearsMD() {
       };
       annotations.ratioMid = {
         type: 'box',
-        yMin: (ctx) => clamp(ctx, 1),
-        yMax: (ctx) => clamp(ctx, 1.4),
+        yMin: (ctx) => clamp(ctx, ratioMin),
+        yMax: (ctx) => clamp(ctx, ratioMax),
         backgroundColor: 'rgba(34,197,94,0.18)',
         borderWidth: 0
       };
       annotations.ratioHigh = {
         type: 'box',
-        yMin: (ctx) => clamp(ctx, 1.4),
+        yMin: (ctx) => clamp(ctx, ratioMax),
         yMax: (ctx) => clamp(ctx, ctx?.chart?.scales?.y?.max ?? Number.POSITIVE_INFINITY),
         backgroundColor: 'rgba(239,68,68,0.25)',
         borderWidth: 0,
@@ -632,6 +652,234 @@ function activeYearsMD() {
     chart = new Chart(ctx, { type: 'line', data: { datasets }, options });
   }
 
+  // ---------- medie geometriche a norma di legge ----------
+  /**
+   * Regola della media geometrica mobile per un KPI (finestra in mesi e limite, stesse unita' del dataset),
+   * letta dal registro KPI; null se il KPI non ha limiti di legge.
+   * @param {string} kpi KPI logico
+   * @returns {{label:string, window:number, limit:number}|null}
+   */
+  function legalRule(kpi) {
+    const legal = KPI_REGISTRY.legalOf(kpi);
+    return legal ? { label: KPI_REGISTRY.labelOf(kpi), window: legal.window, limit: legal.limit } : null;
+  }
+  // oltre questa frazione del limite il mese e' segnalato "a rischio"
+  const LEGAL_WARN_RATIO = KPI_REGISTRY.LEGAL_WARN_RATIO;
+  const LEGAL_STATUS_COLORS = { ok: '#16a34a', warn: '#f59e0b', ko: '#ef4444' };
+
+  let legalChart = null;            // istanza Chart.js della card medie di legge
+
+  /**
+   * Classifica una media rispetto al limite: 'ok' (conforme), 'warn' (vicino al limite), 'ko' (non conforme).
+   * @param {number|null} v media geometrica
+   * @param {number} limit limite di legge
+   * @returns {'ok'|'warn'|'ko'|null}
+   */
+  function legalStatus(v, limit) {
+    if (v == null || !isFinite(v)) return null;
+    if (v > limit) return 'ko';
+    if (v > limit * LEGAL_WARN_RATIO) return 'warn';
+    return 'ok';
+  }
+
+  /**
+   * Calcola per ogni mese della lattazione (Ott-Set):
+   * - rolling: media geometrica mobile sui campioni degli ultimi N mesi di calendario (N da legalRule),
+   *   anche a cavallo della lattazione precedente;
+   * - cumulative: media geometrica progressiva dei campioni da inizio lattazione al mese corrente;
+   * - status: conformita' della media mobile rispetto al limite.
+   * I mesi senza campioni restano null (nessun punto, nessun giudizio).
+   * Dipendenze: aggGeometric() di benchmarkAllevatore.js, samplesForKpi().
+   * @param {string} kpi 'carica' | 'cellule'
+   * @param {number} lacStart anno di inizio lattazione
+   * @returns {{rolling:Array<number|null>, cumulative:Array<number|null>, status:Array<string|null>}}
+   */
+  function computeLegalMeans(kpi, lacStart) {
+    const rule = legalRule(kpi);
+    const byMonth = new Map(); // indice assoluto mese (anno*12 + mese 0..11) -> valori
+    for (const s of samplesForKpi(kpi)) {
+      const idx = s.date.getFullYear() * 12 + s.date.getMonth();
+      if (!byMonth.has(idx)) byMonth.set(idx, []);
+      byMonth.get(idx).push(s.value);
+    }
+
+    const rolling = new Array(12).fill(null);
+    const cumulative = new Array(12).fill(null);
+    const status = new Array(12).fill(null);
+    const cumVals = [];
+    const startIdx = lacStart * 12 + 9; // Ottobre dell'anno di inizio
+
+    for (let pos = 0; pos < 12; pos++) {
+      const idx = startIdx + pos;
+      const current = byMonth.get(idx) || [];
+      cumVals.push(...current);
+      if (!current.length) continue;
+
+      const win = [];
+      for (let k = idx - rule.window + 1; k <= idx; k++) win.push(...(byMonth.get(k) || []));
+      rolling[pos] = aggGeometric(win);
+      cumulative[pos] = aggGeometric(cumVals);
+      status[pos] = legalStatus(rolling[pos], rule.limit);
+    }
+    return { rolling, cumulative, status };
+  }
+
+  // medie di legge anche per il report stampabile (farmReport.js)
+  window.LEGAL_MEANS = {
+    rule: legalRule,
+    compute: computeLegalMeans
+  };
+
+  /**
+   * Lattazione mostrata nella card: la piu' recente spuntata nei checkbox Performance,
+   * altrimenti l'ultima con campioni per il KPI.
+   * @param {string} kpi KPI di legge
+   * @returns {number|null} anno di inizio lattazione
+   */
+  function legalLactation(kpi) {
+    const active = Array.from(activeYearsMD()).filter(Number.isFinite);
+    if (active.length) return Math.max(...active);
+    const years = yearsFromData(groupByLactation(samplesForKpi(kpi)));
+    return years.length ? years[years.length - 1] : null;
+  }
+
+  /**
+   * Allinea il select della card al KPI principale quando questo e' un KPI di legge.
+   */
+  function syncLegalKpi() {
+    const legalSel = document.getElementById('md-legal-kpi');
+    const k = getKpi();
+    if (legalSel && legalRule(k)) legalSel.value = k;
+  }
+
+  /**
+   * Disegna la card "medie geometriche a norma di legge" su #md-legal-chart:
+   * media mobile (punti colorati per conformita'), progressiva cumulativa tratteggiata,
+   * linea del limite e striscia mensile conforme/non conforme in #md-legal-status.
+   * Dipendenze: select #md-legal-kpi, checkbox #md-year-boxes, Chart.js + annotation.
+   */
+  function renderLegalMeans() {
+    const canvas = document.getElementById('md-legal-chart');
+    if (!canvas || typeof aggGeometric !== 'function') return;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+
+    const existing = Chart.getChart(canvas);
+    if (existing) existing.destroy();
+    if (legalChart) { legalChart.destroy(); legalChart = null; }
+
+    const legalSel = document.getElementById('md-legal-kpi');
+    const kpi = (legalSel && legalRule(legalSel.value)) ? legalSel.value : 'carica';
+    const rule = legalRule(kpi);
+    const unit = KPI_REGISTRY.unitOf(kpi);
+    const lacStart = legalLactation(kpi);
+    const sub = document.getElementById('md-legal-sub');
+    const strip = document.getElementById('md-legal-status');
+    if (strip) strip.innerHTML = '';
+
+    if (lacStart == null) {
+      if (sub) sub.textContent = 'Nessun campione disponibile';
+      return;
+    }
+
+    const res = computeLegalMeans(kpi, lacStart);
+    const lacLabel = (typeof lactationLabel === 'function')
+      ? lactationLabel(lacStart)
+      : `${lacStart}-${String((lacStart + 1) % 100).padStart(2,'0')}`;
+    if (sub) {
+      sub.textContent = `${rule.label} · lattazione ${lacLabel} · media mobile ${rule.window} mesi, limite ${rule.limit}`;
+    }
+
+    const pointColors = res.status.map(s => LEGAL_STATUS_COLORS[s] || '#64748b');
+    const datasets = [
+      {
+        label: `Media mobile ${rule.window} mesi`,
+        data: res.rolling,
+        borderColor: '#334155',
+        backgroundColor: pointColors,
+        pointBackgroundColor: pointColors,
+        pointBorderColor: pointColors,
+        pointRadius: 4,
+        borderWidth: 2,
+        spanGaps: true
+      },
+      {
+        label: 'Progressiva lattazione',
+        data: res.cumulative,
+        borderColor: '#6366f1',
+        backgroundColor: 'rgba(0,0,0,0)',
+        borderDash: [6, 4],
+        borderWidth: 2,
+        pointRadius: 0,
+        spanGaps: true
+      }
+    ];
+
+    legalChart = new Chart(ctx, {
+      type: 'line',
+      data: { labels: MONTHS_LACT, datasets },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: { duration: 0 },
+        interaction: { mode: 'index', intersect: false },
+        scales: {
+          y: {
+            beginAtZero: true,
+            suggestedMax: rule.limit * 1.1,
+            title: { display: !!unit, text: unit }
+          }
+        },
+        plugins: {
+          legend: { display: true, position: 'bottom', labels: { boxWidth: 14, usePointStyle: true } },
+          tooltip: {
+            callbacks: {
+              label(c) {
+                const v = c.parsed.y;
+                if (v == null) return '';
+                const st = c.datasetIndex === 0 ? res.status[c.dataIndex] : null;
+                const tag = st === 'ko' ? ' (non conforme)' : (st === 'warn' ? ' (vicino al limite)' : (st === 'ok' ? ' (conforme)' : ''));
+                return `${c.dataset.label}: ${v.toFixed(0)}${tag}`;
+              }
+            }
+          },
+          annotation: {
+            annotations: {
+              limit: {
+                type: 'line',
+                yMin: rule.limit,
+                yMax: rule.limit,
+                borderColor: '#ef4444',
+                borderWidth: 2,
+                borderDash: [6, 4],
+                label: {
+                  display: true,
+                  content: 'Limite ' + rule.limit,
+                  position: 'end',
+                  backgroundColor: 'rgba(239,68,68,0.18)',
+                  color: '#ef4444'
+                }
+              }
+            }
+          }
+        }
+      }
+    });
+
+    // Striscia mensile conforme / a rischio / non conforme
+    if (strip) {
+      const txt = { ok: 'conforme', warn: 'vicino al limite', ko: 'non conforme' };
+      res.status.forEach((st, i) => {
+        if (!st) return;
+        const badge = document.createElement('span');
+        badge.className = 'legal-badge ' + st;
+        badge.textContent = MONTHS_LACT[i];
+        badge.title = `${MONTHS_LACT[i]}: ${res.rolling[i].toFixed(0)} ${unit} - ${txt[st]}`;
+        strip.appendChild(badge);
+      });
+    }
+  }
+
   // ---------- wiring ----------
 
   // Gestione dinamica dell'opzione "rapporto" solo in vista Performance
@@ -647,7 +895,7 @@ function activeYearsMD() {
     if (!exists) {
       const opt = document.createElement('option');
       opt.value = RATIO_VALUE;
-      opt.textContent = 'Rapporto grassi/proteine';
+      opt.textContent = KPI_REGISTRY.labelOf(RATIO_VALUE);
       // inserisci in fondo ai KPI
       sel.appendChild(opt);
     }
@@ -671,6 +919,7 @@ function activeYearsMD() {
    * - toggle miei/confronto: in miei disegna + abilita rapporto, in confronto rimuove rapporto e riallinea benchmark.
    * - select KPI: ridisegna se la vista miei e' attiva.
    * - osserva cambi azienda via MutationObserver e polling su window.state/RAW.
+   * - ridisegna su "raw:loaded" (es. dati aggiornati dalla rete dopo la copia in cache).
    * - se la vista miei e' attiva all'avvio, disegna subito.
    */
   function bind() {
@@ -693,9 +942,18 @@ function activeYearsMD() {
   // cambio KPI esterno
   const sel = document.getElementById('indicatore');
   if (sel) sel.addEventListener('change', () => {
+    syncLegalKpi();
     if (document.getElementById('view-miei')?.classList.contains('active')) render();
   });
 
+  // KPI della card medie di legge: quelli con limite nel registro KPI
+  const legalSel = document.getElementById('md-legal-kpi');
+  if (legalSel) {
+    KPI_REGISTRY.populateSelect(legalSel, KPI_REGISTRY.keys().filter(k => legalRule(k)));
+    syncLegalKpi();
+    legalSel.addEventListener('change', renderLegalMeans);
+  }
+
   // osserva cambio azienda (se l'header cambia testo)
   const hdr = document.getElementById('aziendaHeader');
   if (hdr && 'MutationObserver' in window) {
@@ -705,6 +963,16 @@ function activeYearsMD() {
     mo.observe(hdr, { childList:true, characterData:true, subtree:true });
   }
 
+  // nuovo dataset: il polling non lo vede se il numero di record non cambia
+  document.addEventListener('raw:loaded', () => {
+    if (document.getElementById('view-miei')?.classList.contains('active')) render();
+  });
+
+  // avviso aggiornamento live chiuso: togli l'evidenziazione dei campioni nuovi
+  document.addEventListener('live:cleared', () => {
+    if (document.getElementById('view-miei')?.classList.contains('active')) render();
+  });
+
   // piccolo polling per catturare cambi di state.azienda / currentKpi fuori dal DOM
   setInterval(() => {
     const sig = `${getAzienda()}|${getKpi()}|${document.getElementById('view-miei')?.classList.contains('active')}|${(window.RAW||[]).length}`;
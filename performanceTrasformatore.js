@@ -1,54 +1,390 @@
-﻿// performanceTrasformatore.js - Vista "Performance" per il caseificio (placeholder attuale)
+﻿// performanceTrasformatore.js - Vista "Performance" per il caseificio (storico della cisterna)
 /**
  * Flusso della vista Performance (trasformatore):
- * - init() e' l'entry point: aggancia i toggle UI e, se la vista "miei dati" e' attiva, disegna il placeholder.
+ * - init() e' l'entry point: aggancia i toggle UI e gli eventi dei dati; se la vista "miei dati" e' attiva disegna.
  * - setupToggle() gestisce lo switch Performance/Benchmark: mostra/nasconde i container e,
  *   quando passa a Benchmark, emette l'evento custom "trasfo:benchmark:activate" per far avviare la vista benchmark.
- * - renderEmptyPerformance() prepara un grafico vuoto su #md-chart per non lasciare la card bianca.
+ * - render() legge i valori mensili della cisterna del caseificio per il KPI scelto, costruisce le checkbox
+ *   delle lattazioni (ultime 3, come performanceAllevatore.js) e chiama drawTank() e drawDeltas().
+ * - drawTank(): una linea per lattazione (Ott-Set) su #md-chart; dietro la lattazione piu' recente spuntata,
+ *   la banda P10-P90 dei campioni conferitori di ogni mese (dispersione dei conferitori attorno alla cisterna).
+ * - drawDeltas(): su #md-delta-chart la variazione mese per mese della lattazione piu' recente spuntata rispetto
+ *   alla precedente (verde se migliora secondo il verso del KPI), con la media delle variazioni in #md-delta-sub.
  *
  * Dipendenze/dati:
- * - elementi DOM: radio #miei-dati, #confronto, contenitori #view-miei e #view-conf, toggle #viewToggle, canvas #md-chart.
- * - Chart.js deve essere disponibile (placeholder altrimenti salta).
- *
- * Nota: questa e' ancora una vista placeholder; quando arriveranno i dati performance reali,
- * si potra' sostituire renderEmptyPerformance con il rendering effettivo.
+ * - Caseifici (loaderCaseificio.js): cisterna (filterTank) e campioni conferitori (filter) del caseificio scelto
+ *   in #aziendaSelect (il testo dell'option e' il nome); i chunk conferitori mancanti si chiedono con
+ *   ensureLoaded e arrivano con "caseificio:loaded". Senza chunk la banda non viene disegnata.
+ * - KPI_REGISTRY (kpiRegistry.js) per etichette, unita', decimali, verso e intervallo plausibile dei KPI;
+ *   DATA_FIELDS (kpiRegistry.js) per lattazione ed etichetta di ogni mese.
+ * - elementi DOM: radio #miei-dati, #confronto, contenitori #view-miei e #view-conf, toggle #viewToggle,
+ *   select #indicatore, canvas #md-chart e #md-delta-chart, checkbox in #md-year-boxes, testi #md-sub e #md-delta-sub.
+ * - Chart.js (senza, la vista resta vuota).
  */
 (function () {
-  /** @type {Chart|null} handler Chart.js per il grafico performance (placeholder) */
+  const MONTHS_LACT = ['Ott','Nov','Dic','Gen','Feb','Mar','Apr','Mag','Giu','Lug','Ago','Set'];
+  const PALETTE = ['#3b82f6', '#f59e0b', '#22c55e']; // blu, arancio, verde (come performanceAllevatore.js)
+  const BAND_P = [0.10, 0.90];                       // percentili della banda conferitori
+
+  /** @type {Chart|null} grafico cisterna per lattazione */
   let perfChart = null;
+  /** @type {Chart|null} grafico delle variazioni lattazione su lattazione */
+  let deltaChart = null;
+
+  const byId = id => document.getElementById(id);
+  const { lactationOf, lactationLabel } = window.DATA_FIELDS;
+
+  /**
+   * Caseificio selezionato: testo dell'option di #aziendaSelect.
+   */
+  function getCaseificioName() {
+    const sel = byId('aziendaSelect');
+    if (!sel || sel.selectedIndex < 0) return null;
+    return sel.options[sel.selectedIndex].textContent.trim() || null;
+  }
+
+  /**
+   * Voce del registro Caseifici del caseificio selezionato (null se non ha file).
+   */
+  function getDairy() {
+    return window.Caseifici ? window.Caseifici.get(getCaseificioName()) : null;
+  }
+
+  /**
+   * KPI scelto in #indicatore.
+   */
+  function getKpi() {
+    return byId('indicatore')?.value || 'grassi';
+  }
+
+  /**
+   * True se la vista Performance e' visibile.
+   */
+  function isActive() {
+    return !!byId('view-miei')?.classList.contains('active');
+  }
+
+  /**
+   * True se il valore sta nell'intervallo plausibile del KPI: i mesi futuri della cisterna arrivano con 0.
+   */
+  function plausible(kpi, v) {
+    const range = KPI_REGISTRY.rangeOf(kpi);
+    return Number.isFinite(v) && (!range || (v >= range.min && v <= range.max));
+  }
+
+  /**
+   * Quantile (interpolazione lineare) di un array ordinato.
+   */
+  function quantile(sorted, p) {
+    if (!sorted.length) return null;
+    const i = (sorted.length - 1) * p;
+    const lo = Math.floor(i), hi = Math.ceil(i);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+  }
+
+  /**
+   * Valori mensili della cisterna per lattazione: startYear -> 12 valori (Ott-Set, null se manca).
+   * Piu' valori dello stesso mese sono mediati.
+   * @returns {Map<number, Array<number|null>>}
+   */
+  function tankByLactation(dairy, kpi) {
+    const acc = new Map(); // startYear -> [{sum, n}] x12
+    for (const r of dairy.filterTank({ kpi })) {
+      const lac = lactationOf(r.Anno, r.Mese);
+      const v = Number(r.Valore);
+      if (!lac || !plausible(kpi, v)) continue;
+      if (!acc.has(lac.startYear)) acc.set(lac.startYear, Array.from({ length: 12 }, () => ({ sum: 0, n: 0 })));
+      const cell = acc.get(lac.startYear)[lac.pos];
+      cell.sum += v;
+      cell.n++;
+    }
+    const out = new Map();
+    acc.forEach((cells, y) => out.set(y, cells.map(c => (c.n ? c.sum / c.n : null))));
+    return out;
+  }
+
+  /**
+   * Banda P10-P90 dei campioni conferitori per mese della lattazione indicata.
+   * @returns {{low:Array<number|null>, high:Array<number|null>, n:Array<number>}|null} null se non ci sono campioni
+   */
+  function conferitoriBand(dairy, kpi, startYear) {
+    const byPos = Array.from({ length: 12 }, () => []);
+    for (const r of dairy.filter({ kpi })) {
+      const lac = lactationOf(r.Anno, r.Mese);
+      const v = Number(r.Valore);
+      if (!lac || lac.startYear !== startYear || !plausible(kpi, v)) continue;
+      byPos[lac.pos].push(v);
+    }
+    if (!byPos.some(vals => vals.length)) return null;
+    const sorted = byPos.map(vals => vals.sort((a, b) => a - b));
+    return {
+      low: sorted.map(vals => quantile(vals, BAND_P[0])),
+      high: sorted.map(vals => quantile(vals, BAND_P[1])),
+      n: sorted.map(vals => vals.length)
+    };
+  }
+
+  /**
+   * Costruisce le checkbox delle lattazioni (max 3, pallino colorato come la linea).
+   * Mantiene le spunte delle lattazioni ancora presenti; altrimenti le spunta tutte (confronto lattazione su lattazione).
+   * @param {number[]} years anni di inizio lattazione (ascendenti)
+   */
+  function buildYearBoxes(years) {
+    const host = byId('md-year-boxes');
+    if (!host) return;
+    const prev = Array.from(host.querySelectorAll('input[type="checkbox"]'));
+    if (prev.map(i => Number(i.value)).join(',') === years.join(',')) return;
+    const kept = new Set(prev.filter(i => i.checked).map(i => Number(i.value)).filter(y => years.includes(y)));
+
+    host.innerHTML = '';
+    years.forEach((yStart, idx) => {
+      const wrap = document.createElement('label');
+      wrap.className = 'select compact';
+      wrap.style.display = 'inline-flex';
+      wrap.style.alignItems = 'center';
+      wrap.style.gap = '6px';
+
+      const chk = document.createElement('input');
+      chk.type = 'checkbox';
+      chk.id = 'md-yr' + yStart;
+      chk.value = String(yStart);
+      chk.checked = kept.size ? kept.has(yStart) : true;
+      chk.addEventListener('change', render);
+
+      const dot = document.createElement('span');
+      dot.style.width = '10px';
+      dot.style.height = '10px';
+      dot.style.borderRadius = '999px';
+      dot.style.background = PALETTE[idx] || '#64748b';
+      dot.style.display = 'inline-block';
+      dot.style.boxShadow = '0 0 0 1px rgba(0,0,0,.12) inset';
+
+      const txt = document.createElement('span');
+      txt.textContent = lactationLabel(yStart);
+
+      wrap.append(chk, dot, txt);
+      host.appendChild(wrap);
+    });
+  }
+
+  /**
+   * Anni di inizio delle lattazioni spuntate (ascendenti).
+   */
+  function activeYears() {
+    return Array.from(document.querySelectorAll('#md-year-boxes input[type="checkbox"]:checked'))
+      .map(i => Number(i.value))
+      .filter(Number.isFinite)
+      .sort((a, b) => a - b);
+  }
 
   /**
-   * Disegna un grafico vuoto di placeholder sulla vista Performance.
-   * Distrugge eventuali grafici esistenti su #md-chart.
-   * Dipendenze: richiede che Chart.js sia caricato e che esista il canvas #md-chart.
+   * Colore con trasparenza da un colore esadecimale "#rrggbb".
    */
-  function renderEmptyPerformance() {
-    const canvas = document.getElementById('md-chart');
-    if (!canvas || !canvas.getContext) return;
-    const ctx = canvas.getContext('2d');
-    if (!ctx || typeof Chart === 'undefined') return;
+  function alpha(hex, a) {
+    const n = parseInt(hex.slice(1), 16);
+    return `rgba(${(n >> 16) & 255},${(n >> 8) & 255},${n & 255},${a})`;
+  }
 
+  /**
+   * Distrugge il grafico associato a un canvas (istanza del modulo o rimasta da altri render).
+   */
+  function destroyOn(canvas, instance) {
     const existing = Chart.getChart(canvas);
     if (existing) existing.destroy();
-    if (perfChart) { perfChart.destroy(); perfChart = null; }
+    if (instance && instance !== existing) instance.destroy();
+  }
 
-    perfChart = new Chart(ctx, {
+  /**
+   * Grafico principale: valori mensili della cisterna per lattazione e banda P10-P90 dei conferitori.
+   * @param {string} kpi KPI logico
+   * @param {Map<number, Array<number|null>>} tank valori per lattazione
+   * @param {number[]} years lattazioni con checkbox (ascendenti)
+   * @param {{startYear:number, low:Array, high:Array, n:Array}|null} band banda conferitori
+   */
+  function drawTank(kpi, tank, years, band) {
+    const canvas = byId('md-chart');
+    if (!canvas || typeof Chart === 'undefined') return;
+    destroyOn(canvas, perfChart);
+    perfChart = null;
+
+    const active = new Set(activeYears());
+    const unit = KPI_REGISTRY.unitOf(kpi);
+    const datasets = [];
+
+    if (band) {
+      const color = PALETTE[years.indexOf(band.startYear)] || '#64748b';
+      const label = 'Conferitori P10-P90 ' + lactationLabel(band.startYear);
+      datasets.push(
+        { label: label + ' (P10)', data: band.low, borderWidth: 0, pointRadius: 0, spanGaps: true, fill: false,
+          backgroundColor: 'rgba(0,0,0,0)', _band: 'low' },
+        { label, data: band.high, borderWidth: 0, pointRadius: 0, spanGaps: true, fill: '-1',
+          backgroundColor: alpha(color, 0.15), borderColor: alpha(color, 0.15), _band: 'high' }
+      );
+    }
+
+    years.forEach((y, idx) => {
+      if (!active.has(y)) return;
+      datasets.push({
+        label: lactationLabel(y),
+        data: tank.get(y),
+        borderColor: PALETTE[idx] || '#64748b',
+        backgroundColor: 'rgba(0,0,0,0)',
+        pointRadius: 3,
+        tension: .25,
+        spanGaps: true
+      });
+    });
+
+    perfChart = new Chart(canvas.getContext('2d'), {
       type: 'line',
-      data: { labels: [], datasets: [] },
+      data: { labels: MONTHS_LACT, datasets },
       options: {
         responsive: true,
         maintainAspectRatio: false,
-        plugins: { legend: { display: false }, title: { display: false } },
-        scales: { x: { display: true }, y: { display: true } }
+        animation: { duration: 0 },
+        interaction: { mode: 'index', intersect: false },
+        scales: {
+          y: { beginAtZero: false, grace: '5%', title: { display: !!unit, text: unit } }
+        },
+        plugins: {
+          legend: {
+            display: !!band,
+            position: 'bottom',
+            labels: { boxWidth: 14, filter: item => datasets[item.datasetIndex]?._band !== 'low' }
+          },
+          tooltip: {
+            filter: item => item.dataset._band == null,
+            callbacks: {
+              label(c) {
+                return c.parsed.y == null ? '' : `${c.dataset.label}: ${KPI_REGISTRY.format(kpi, c.parsed.y)}`;
+              },
+              afterBody(items) {
+                const i = items[0]?.dataIndex;
+                if (!band || i == null || band.low[i] == null) return '';
+                return `Conferitori ${lactationLabel(band.startYear)}: P10 ${KPI_REGISTRY.format(kpi, band.low[i])}` +
+                  ` - P90 ${KPI_REGISTRY.format(kpi, band.high[i])} (${band.n[i]} campioni)`;
+              }
+            }
+          }
+        }
       }
     });
   }
 
+  /**
+   * Grafico delle variazioni: lattazione piu' recente spuntata meno la precedente, mese per mese.
+   * Le barre sono verdi se la variazione va nel verso buono del KPI, rosse altrimenti.
+   */
+  function drawDeltas(kpi, tank, years) {
+    const canvas = byId('md-delta-chart');
+    const sub = byId('md-delta-sub');
+    if (!canvas || typeof Chart === 'undefined') return;
+    destroyOn(canvas, deltaChart);
+    deltaChart = null;
+
+    const active = activeYears();
+    const cur = active[active.length - 1];
+    const prev = years.filter(y => y < cur).pop();
+    if (cur == null || prev == null) {
+      if (sub) sub.textContent = 'Servono almeno due lattazioni con dati (la piu\' recente spuntata e la precedente)';
+      return;
+    }
+
+    const a = tank.get(cur), b = tank.get(prev);
+    const deltas = a.map((v, i) => (v != null && b[i] != null ? v - b[i] : null));
+    const valid = deltas.filter(d => d != null);
+    const lower = KPI_REGISTRY.lowerIsBetter(kpi);
+    const neutral = !!KPI_REGISTRY.bandsOf(kpi);
+    const colorOf = d => (neutral || d === 0 ? '#94a3b8' : ((d < 0) === lower ? '#16a34a' : '#ef4444'));
+    const unit = KPI_REGISTRY.unitOf(kpi);
+    const fmt = d => (d > 0 ? '+' : '') + KPI_REGISTRY.format(kpi, d) + (unit ? ' ' + unit : '');
+
+    if (sub) {
+      const meanDelta = valid.length ? valid.reduce((s, d) => s + d, 0) / valid.length : null;
+      sub.textContent = `${KPI_REGISTRY.labelOf(kpi)} \u00b7 ${lactationLabel(cur)} rispetto a ${lactationLabel(prev)}` +
+        (meanDelta == null ? ' \u00b7 nessun mese confrontabile' : ` \u00b7 media ${fmt(meanDelta)} su ${valid.length} ${valid.length === 1 ? 'mese' : 'mesi'}`);
+    }
+
+    deltaChart = new Chart(canvas.getContext('2d'), {
+      type: 'bar',
+      data: {
+        labels: MONTHS_LACT,
+        datasets: [{
+          label: `${lactationLabel(cur)} - ${lactationLabel(prev)}`,
+          data: deltas,
+          backgroundColor: deltas.map(d => (d == null ? 'rgba(0,0,0,0)' : colorOf(d))),
+          borderWidth: 0
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: { duration: 0 },
+        scales: { y: { title: { display: !!unit, text: unit } } },
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: {
+              label(c) {
+                const i = c.dataIndex;
+                if (deltas[i] == null) return '';
+                return `${fmt(deltas[i])} (${KPI_REGISTRY.format(kpi, a[i])} contro ${KPI_REGISTRY.format(kpi, b[i])})`;
+              }
+            }
+          },
+          annotation: {
+            annotations: { zero: { type: 'line', yMin: 0, yMax: 0, borderColor: '#64748b', borderWidth: 1 } }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Disegna la vista Performance con i dati correnti del caseificio (no-op se la vista non e' attiva).
+   * Chiede a loaderCaseificio la cisterna e i chunk conferitori della lattazione della banda se mancano.
+   */
+  function render() {
+    if (!isActive() || typeof Chart === 'undefined') return;
+    const kpi = getKpi();
+    const dairy = getDairy();
+    const sub = byId('md-sub');
+
+    const tank = dairy ? tankByLactation(dairy, kpi) : new Map();
+    const years = Array.from(tank.keys()).sort((a, b) => a - b).slice(-3);
+    buildYearBoxes(years);
+
+    const active = activeYears();
+    const bandYear = active.length ? active[active.length - 1] : null;
+    let band = null;
+    if (dairy && bandYear != null) {
+      if (!dairy.hasLactations([bandYear]) && !dairy.isLoading()) {
+        dairy.ensureLoaded(false, { lactations: [bandYear] }).catch(() => {});
+      }
+      band = conferitoriBand(dairy, kpi, bandYear);
+      if (band) band.startYear = bandYear;
+    } else if (dairy && !dairy.isLoaded() && !dairy.isLoading()) {
+      dairy.ensureLoaded(false, { lactations: [] }).catch(() => {});
+    }
+
+    if (sub) {
+      sub.textContent = !dairy ? 'Nessun dato per il caseificio selezionato'
+        : !years.length ? (dairy.isLoading() ? 'Caricamento dati in corso...'
+          : dairy.failures().some(f => !f.lattazione) ? 'Valori cisterna non disponibili'
+          : 'La cisterna non misura questo KPI: nel Benchmark il caseificio \u00e8 la media dei campioni conferitori')
+        : 'Valori mensili della cisterna' + (band ? ' e dispersione dei campioni conferitori (P10-P90)'
+          : bandYear != null ? ' (campioni conferitori non disponibili per ' + lactationLabel(bandYear) + ')' : '');
+    }
+
+    drawTank(kpi, tank, years, band);
+    drawDeltas(kpi, tank, years);
+  }
+
   /**
    * Gestisce il toggle Performance/Benchmark nel trasformatore.
    * - attiva/disattiva le viste DOM
    * - emette evento custom 'trasfo:benchmark:activate' quando si passa a benchmark
-   * - in Performance disegna il placeholder vuoto
+   * - in Performance disegna lo storico della cisterna
    * Dipendenze: radio #miei-dati/#confronto, container #view-miei/#view-conf, toggle #viewToggle.
    */
   function setupToggle() {
@@ -65,7 +401,7 @@
         viewMiei.classList.add('active');
         viewConf.classList.remove('active');
         if (toggle) toggle.dataset.active = 'miei';
-        renderEmptyPerformance();
+        render();
       } else {
         viewConf.classList.add('active');
         viewMiei.classList.remove('active');
@@ -81,15 +417,15 @@
   }
 
   /**
-   * Inizializzazione vista Performance: setup toggle e placeholder iniziale.
+   * Inizializzazione vista Performance: setup toggle ed eventi che ridisegnano la vista se visibile.
    * Entry point chiamato a DOMContentLoaded (o subito se il DOM e' gia' pronto).
    */
   function init() {
     setupToggle();
-    const mieiRadio = document.getElementById('miei-dati');
-    if (mieiRadio && mieiRadio.checked) {
-      renderEmptyPerformance();
-    }
+    byId('indicatore')?.addEventListener('change', render);
+    byId('aziendaSelect')?.addEventListener('change', render);
+    // l'evento parte mentre la voce risulta ancora in caricamento: si ridisegna subito dopo
+    document.addEventListener('caseificio:loaded', () => setTimeout(render, 0));
   }
 
   if (document.readyState === 'loading') {
@@ -0,0 +1,190 @@
+// qualityReport.js - pannello "Qualita' dati" con il report di validazione di data.json
+// COSA FA (alto livello)
+// - Legge il report prodotto da dataLoader.js (window.DATA_QUALITY.report() o detail.quality di "raw:loaded").
+// - Aggiorna il bottone #qualityBtn con il numero di righe scartate/riparate.
+// - Al click apre un pannello modale con riepilogo (valide, riparate, scartate, avvisi), problemi trovati
+//   con alcuni esempi di righe, campioni ripetuti (duplicati e rianalisi) e conteggi per KPI.
+// - Nella sezione dei campioni ripetuti si sceglie la politica per le rianalisi (SAMPLE_DEDUP.setPolicy):
+//   dataLoader.js ripubblica RAW e il pannello si aggiorna.
+//
+// DIPENDENZE
+// - dataLoader.js (DATA_QUALITY, evento "raw:loaded"); KPI_REGISTRY per le etichette dei KPI.
+// - sampleDedup.js (SAMPLE_DEDUP) opzionale per la politica delle rianalisi.
+// - UI: bottone #qualityBtn nella topbar; stili .quality-* in styles.css.
+(function () {
+  const STATUS_LABEL = { rejected: 'Scartata', repaired: 'Riparata', warning: 'Avviso' };
+
+  /**
+   * Crea un elemento con classe e testo.
+   */
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  /**
+   * Tabella semplice da intestazioni e righe di celle (testo).
+   */
+  function table(headers, rows) {
+    const t = el('table', 'quality-table');
+    const head = t.createTHead().insertRow();
+    headers.forEach(h => head.appendChild(el('th', null, h)));
+    const body = t.createTBody();
+    rows.forEach(cells => {
+      const tr = body.insertRow();
+      cells.forEach(c => { tr.insertCell().textContent = c == null ? '' : String(c); });
+    });
+    return t;
+  }
+
+  /**
+   * Aggiorna il testo del bottone con il numero di righe scartate o riparate.
+   */
+  function updateButton(report) {
+    const btn = document.getElementById('qualityBtn');
+    if (!btn) return;
+    const flagged = report ? report.rejected + report.repaired : 0;
+    btn.textContent = flagged ? 'Qualit\u00e0 dati (' + flagged + ')' : 'Qualit\u00e0 dati';
+    btn.classList.toggle('quality-flag', !!(report && report.rejected));
+  }
+
+  /**
+   * Sezione campioni ripetuti: conteggi, scelta della politica e alcuni campioni rianalizzati.
+   * @param {{policy:string, exact:number, conflicts:number, examples:Array}} dup riepilogo di SAMPLE_DEDUP.dedupe
+   */
+  function duplicatesSection(dup) {
+    const box = el('div');
+    box.appendChild(el('div', 'quality-subtitle', 'Campioni ripetuti'));
+    box.appendChild(el('p', null,
+      (dup.exact === 1 ? '1 riga duplicata rimossa' : dup.exact + ' righe duplicate rimosse') + ' \u00b7 ' +
+      (dup.conflicts === 1 ? '1 campione rianalizzato' : dup.conflicts + ' campioni rianalizzati') + ' con valori diversi.'));
+
+    const dedup = window.SAMPLE_DEDUP;
+    if (dedup) {
+      const label = el('label', 'quality-policy', 'Per i campioni rianalizzati: ');
+      const select = el('select', 'select compact');
+      Object.keys(dedup.POLICIES).forEach(p => {
+        const opt = el('option', null, dedup.POLICIES[p]);
+        opt.value = p;
+        select.appendChild(opt);
+      });
+      select.value = dedup.policy();
+      select.addEventListener('change', () => {
+        dedup.setPolicy(select.value);
+        open();
+      });
+      label.appendChild(select);
+      box.appendChild(label);
+    }
+
+    if (dup.examples.length) {
+      box.appendChild(table(['Azienda', 'Data', 'KPI', 'Valori consegnati', 'Valore usato'], dup.examples.map(ex => [
+        ex.Azienda, ex.Data, KPI_REGISTRY.labelOf(ex.KPI),
+        ex.values.map(v => KPI_REGISTRY.format(ex.KPI, v)).join(' / '),
+        KPI_REGISTRY.format(ex.KPI, ex.kept)
+      ])));
+    }
+    return box;
+  }
+
+  /**
+   * Apre il pannello con il report corrente.
+   */
+  function open() {
+    const report = window.DATA_QUALITY ? window.DATA_QUALITY.report() : null;
+    close();
+
+    const overlay = el('div', 'quality-overlay');
+    overlay.id = 'qualityOverlay';
+    overlay.addEventListener('click', ev => { if (ev.target === overlay) close(); });
+
+    const panel = el('div', 'quality-panel');
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', 'Qualit\u00e0 dati');
+
+    const closeBtn = el('button', 'quality-close', '\u00d7');
+    closeBtn.title = 'Chiudi';
+    closeBtn.addEventListener('click', close);
+    panel.appendChild(closeBtn);
+    panel.appendChild(el('div', 'quality-title', 'Qualit\u00e0 dati \u00b7 data.json'));
+
+    if (!report) {
+      panel.appendChild(el('p', 'muted', 'Dati non ancora caricati.'));
+    } else {
+      const when = new Date(report.generatedAt);
+      panel.appendChild(el('p', 'muted',
+        'Verificato il ' + when.toLocaleString('it-IT') + ' (dati da ' + (report.source === 'cache' ? 'copia locale' : 'rete') + ').'));
+
+      const summary = el('div', 'quality-summary');
+      [['Righe', report.total, ''], ['Valide', report.valid, 'ok'], ['Riparate', report.repaired, 'fix'],
+       ['Scartate', report.rejected, 'ko'], ['Con avvisi', report.warnings, '']].forEach(([label, n, cls]) => {
+        const box = el('div', 'quality-count ' + cls);
+        box.appendChild(el('strong', null, String(n)));
+        box.appendChild(el('span', null, label));
+        summary.appendChild(box);
+      });
+      panel.appendChild(summary);
+
+      if (report.issues.length) {
+        panel.appendChild(el('div', 'quality-subtitle', 'Problemi trovati'));
+        panel.appendChild(table(['Problema', 'Esito', 'Righe', 'Esempi'], report.issues.map(i => [
+          i.label,
+          STATUS_LABEL[i.status] || i.status,
+          i.count,
+          i.examples.map(ex => '#' + ex.index + ' ' + [ex.Azienda, ex.Data, ex.KPI, ex.Valore].filter(v => v != null && v !== '').join(' \u00b7 ') +
+            (ex.detail ? ' (' + ex.detail + ')' : '')).join('\n')
+        ])));
+      } else {
+        panel.appendChild(el('p', null, 'Nessun problema trovato: tutte le righe sono valide.'));
+      }
+
+      if (report.duplicates) panel.appendChild(duplicatesSection(report.duplicates));
+
+      const kpis = Object.keys(report.byKpi).sort();
+      if (kpis.length) {
+        panel.appendChild(el('div', 'quality-subtitle', 'Righe per KPI'));
+        panel.appendChild(table(['KPI', 'Valide', 'Riparate', 'Scartate'], kpis.map(k => {
+          const c = report.byKpi[k];
+          return [KPI_REGISTRY.get(k) ? KPI_REGISTRY.labelOf(k) : k || '(vuoto)', c.valid, c.repaired, c.rejected];
+        })));
+      }
+    }
+
+    overlay.appendChild(panel);
+    document.body.appendChild(overlay);
+    document.addEventListener('keydown', onKey);
+    closeBtn.focus();
+  }
+
+  /**
+   * Chiude il pannello (se aperto).
+   */
+  function close() {
+    const existing = document.getElementById('qualityOverlay');
+    if (existing) existing.remove();
+    document.removeEventListener('keydown', onKey);
+  }
+
+  function onKey(ev) {
+    if (ev.key === 'Escape') close();
+  }
+
+  document.addEventListener('raw:loaded', ev => {
+    const quality = ev.detail && ev.detail.quality;
+    if (quality !== undefined) updateButton(quality);
+  });
+
+  function bind() {
+    const btn = document.getElementById('qualityBtn');
+    if (btn) btn.addEventListener('click', open);
+    updateButton(window.DATA_QUALITY ? window.DATA_QUALITY.report() : null);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bind);
+  } else {
+    bind();
+  }
+})();
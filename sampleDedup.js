@@ -0,0 +1,146 @@
+// sampleDedup.js - campioni ripetuti nel dataset: duplicati esatti e rianalisi in conflitto
+// COSA FA (alto livello)
+// - Raggruppa le righe per campione (Azienda, Caseificio, giorno di Data, KPI canonico):
+//   - duplicato esatto: stesso campione consegnato piu' volte con lo stesso valore -> resta una sola riga;
+//   - conflitto: stesso campione con valori diversi (rianalisi del laboratorio) -> resta una riga con il
+//     valore scelto dalla politica e il campo Rianalisi = [valori in ordine di consegna].
+// - Politiche: 'latest' (ultimo valore consegnato, default), 'first' (primo valore), 'average' (media dei valori).
+//   La scelta e' salvata in localStorage e cambiarla emette l'evento "dedup:policy" (detail: { policy }).
+// - Espone API su window.SAMPLE_DEDUP: POLICIES, policy, setPolicy, dedupe.
+//
+// FLUSSO
+// - dataLoader.js applica dedupe() alle righe validate prima di pubblicare RAW e ripubblica a ogni "dedup:policy".
+// - csvImporter.js applica dedupe() a RAW + righe importate: un CSV con campioni gia' presenti in data.json
+//   e' una nuova consegna (rianalisi) dello stesso campione.
+// - Le righe gia' risolte conservano Rianalisi: una nuova consegna si aggiunge ai valori precedenti,
+//   quindi dedupe() applicato piu' volte da' lo stesso risultato.
+//
+// DIPENDENZE
+// - KPI_REGISTRY (kpiRegistry.js) per la chiave canonica dei KPI, DATA_FIELDS (kpiRegistry.js) per il giorno di Data.
+// - Consumatori del flag Rianalisi: dataStore.js (campioni), performanceAllevatore.js (punti rianalizzati).
+(function () {
+  const STORAGE_KEY = 'sampleDedupPolicy';
+  const POLICIES = {
+    latest:  'Tieni l\'ultima analisi',
+    first:   'Tieni la prima analisi',
+    average: 'Media delle analisi'
+  };
+  const DEFAULT_POLICY = 'latest';
+  const MAX_EXAMPLES = 5;
+
+  let current = readPolicy();
+
+  /**
+   * Politica salvata (default se assente o non valida, o se localStorage non e' disponibile).
+   */
+  function readPolicy() {
+    try {
+      const p = window.localStorage && window.localStorage.getItem(STORAGE_KEY);
+      return POLICIES[p] ? p : DEFAULT_POLICY;
+    } catch (err) {
+      return DEFAULT_POLICY;
+    }
+  }
+
+  /**
+   * Chiave del campione: azienda, caseificio, giorno del prelievo, KPI canonico (null se manca la data).
+   */
+  function sampleKey(r) {
+    const day = DATA_FIELDS.dayOf(r.Data);
+    if (!day) return null;
+    return [r.Azienda, r.Caseificio || '', day, KPI_REGISTRY.normalize(r.KPI)].join('\u0001');
+  }
+
+  /**
+   * Valori consegnati per un campione, in ordine di consegna (Rianalisi delle righe gia' risolte inclusa).
+   * Si scartano solo le consegne identiche alla precedente: A, B, A resta tale e 'latest' tiene A.
+   * @returns {{values:number[], repeats:number}} repeats = righe che non aggiungono valori (duplicati esatti)
+   */
+  function analysesOf(rows) {
+    const out = [];
+    let repeats = 0;
+    for (const r of rows) {
+      const values = Array.isArray(r.Rianalisi) && r.Rianalisi.length ? r.Rianalisi : [+r.Valore];
+      const before = out.length;
+      for (const v of values) if (out[out.length - 1] !== v) out.push(v);
+      if (out.length === before) repeats++;
+    }
+    return { values: out, repeats };
+  }
+
+  /**
+   * Valore del campione secondo la politica.
+   */
+  function resolve(values, policy) {
+    if (policy === 'first') return values[0];
+    if (policy === 'average') return +(values.reduce((a, b) => a + b, 0) / values.length).toFixed(4);
+    return values[values.length - 1];
+  }
+
+  /**
+   * Riduce i campioni ripetuti a una riga per campione.
+   * Le righe senza Data restano invariate; ogni campione resta nella posizione della sua prima riga.
+   * @param {Array<Object>} rows righe {Azienda, Caseificio, Data, KPI, Valore, Rianalisi?}
+   * @param {'latest'|'first'|'average'} [policy] politica per i conflitti (default: quella corrente)
+   * @returns {{rows:Array<Object>, report:{policy:string, exact:number, conflicts:number,
+   *   examples:Array<{Azienda:string, Caseificio:string, Data:string, KPI:string, values:number[], kept:number}>}}}
+   *   exact = righe rimosse perche' identiche alla consegna precedente (anche nei campioni in conflitto),
+   *   conflicts = campioni con valori diversi
+   */
+  function dedupe(rows, policy) {
+    const pol = POLICIES[policy] ? policy : current;
+    const src = Array.isArray(rows) ? rows : [];
+    const groups = new Map();   // chiave campione -> righe
+    const order = [];           // righe singole o chiavi di gruppo, nell'ordine di RAW
+
+    for (const r of src) {
+      const key = r ? sampleKey(r) : null;
+      if (key == null) { order.push({ row: r }); continue; }
+      let list = groups.get(key);
+      if (!list) { groups.set(key, list = []); order.push({ key }); }
+      list.push(r);
+    }
+
+    const report = { policy: pol, exact: 0, conflicts: 0, examples: [] };
+    const out = [];
+    for (const item of order) {
+      if (!item.key) { out.push(item.row); continue; }
+      const list = groups.get(item.key);
+      if (list.length === 1) { out.push(list[0]); continue; }
+
+      const { values, repeats } = analysesOf(list);
+      report.exact += repeats;
+      if (values.length === 1) {
+        out.push(list[0]);
+        continue;
+      }
+      const kept = resolve(values, pol);
+      report.conflicts++;
+      if (report.examples.length < MAX_EXAMPLES) {
+        report.examples.push({ Azienda: list[0].Azienda, Caseificio: list[0].Caseificio, Data: list[0].Data, KPI: list[0].KPI, values, kept });
+      }
+      const last = list[list.length - 1];
+      out.push(Object.assign({}, pol === 'first' ? list[0] : last, { Valore: kept, Rianalisi: values }));
+    }
+    return { rows: out, report };
+  }
+
+  /**
+   * Imposta la politica per i conflitti, la salva e notifica "dedup:policy" se cambia.
+   * @param {'latest'|'first'|'average'} policy
+   */
+  function setPolicy(policy) {
+    if (!POLICIES[policy] || policy === current) return;
+    current = policy;
+    try { window.localStorage && window.localStorage.setItem(STORAGE_KEY, policy); } catch (err) { /* solo sessione */ }
+    document.dispatchEvent(new CustomEvent('dedup:policy', { detail: { policy } }));
+  }
+
+  window.SAMPLE_DEDUP = {
+    POLICIES,
+    /** Politica corrente per i campioni in conflitto */
+    policy() { return current; },
+    setPolicy,
+    dedupe
+  };
+})();
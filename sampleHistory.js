@@ -0,0 +1,437 @@
+// sampleHistory.js - scheda "Storico": tabella dei campioni con ordinamento, filtri per colonna e paginazione
+// COSA FA (alto livello)
+// - Scheda "Storico" delle sottoschede (subTabs.js): la vista #view-storico prende il posto di
+//   Performance/Benchmark; "Qualita' del Latte" riporta la vista che era attiva.
+// - Allevatore: campioni dell'azienda selezionata presi da RAW, una riga per data di campionamento e una
+//   colonna per KPI (piu' il rapporto grassi/proteine calcolato dalla riga); piu' campioni dello stesso KPI
+//   nella stessa data sono mediati.
+// - Trasformatore: stessa tabella per il caseificio selezionato, con sorgente "Cisterna" (valori mensili)
+//   o "Conferitori" (una riga per data e azienda). I dati arrivano dal registro Caseifici (loaderCaseificio.js).
+// - Click sull'intestazione: ordinamento (di nuovo click: verso opposto); di default data piu' recente in alto.
+// - Riga dei filtri sotto le intestazioni: testo contenuto per Data/Lattazione/Azienda; per i KPI un numero
+//   (valore che inizia con quelle cifre), ">x", "<x", ">=x", "<=x" o un intervallo "a-b".
+// - Celle colorate con le stesse soglie del grafico Performance (KPI_REGISTRY.statusOf: fasce di urea e
+//   rapporto, limite di legge e soglia di attenzione per cellule e carica).
+// - Paginazione con 25/50/100 righe per pagina.
+// - Espone API su window.SAMPLE_HISTORY: open (anche con sorgente e conferitore preimpostati), close, isOpen,
+//   rows, render.
+//
+// FLUSSO
+// - click "Storico" -> SUB_TABS.show('storico') -> render(); cambio azienda/caseificio, "raw:loaded" e
+//   "caseificio:loaded" ridisegnano la tabella se la scheda e' aperta.
+//
+// DIPENDENZE
+// - KPI_REGISTRY (kpiRegistry.js) per etichette, unita', decimali e soglie dei KPI; DATA_FIELDS (kpiRegistry.js)
+//   per la lattazione di ogni data.
+// - Allevatore: RAW globale (dataLoader.js) e state.azienda (benchmarkAllevatore.js).
+// - Trasformatore: Caseifici (loaderCaseificio.js) e #aziendaSelect (il testo dell'option e' il caseificio).
+// - subTabs.js (SUB_TABS) per il passaggio tra le sottoschede.
+// - UI: contenitore #view-storico; stili .history-* in styles.css.
+(function () {
+  const PAGE_SIZES = [25, 50, 100];
+  const SOURCES = [{ value: 'tank', label: 'Cisterna' }, { value: 'conferitori', label: 'Conferitori' }];
+
+  const byId = id => document.getElementById(id);
+  const isTrasformatore = () =>
+    (document.querySelector('.role-label')?.textContent || '').trim().toLowerCase() === 'trasformatore';
+
+  // stato della tabella (sopravvive a chiusura e riapertura della scheda)
+  const table = {
+    sortKey: 'date',
+    sortDir: -1,          // -1 decrescente, 1 crescente
+    filters: {},          // chiave colonna -> testo del filtro
+    page: 0,
+    pageSize: PAGE_SIZES[0],
+    source: 'tank'        // solo trasformatore
+  };
+
+  const isOpen = () => window.SUB_TABS.current() === 'storico';
+
+  /**
+   * Crea un elemento con classe e testo.
+   */
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  /**
+   * Etichetta della lattazione (ottobre-settembre) di una data "yyyy-mm-dd".
+   */
+  function lactationOf(iso) {
+    const p = window.DATA_FIELDS.periodOf(iso);
+    return p ? window.DATA_FIELDS.lactationLabel(window.DATA_FIELDS.lactationOf(p.anno, p.mese).startYear) : '';
+  }
+
+  /**
+   * Data "yyyy-mm-dd" -> "dd/mm/yyyy".
+   */
+  function formatDate(iso) {
+    const [y, m, d] = iso.split('-');
+    return d && m ? d + '/' + m + '/' + y : iso;
+  }
+
+  /**
+   * Data del record normalizzata a "yyyy-mm-dd" (campo Data, altrimenti Anno/Mese della cisterna).
+   */
+  function isoDate(r) {
+    const s = window.DATA_FIELDS.dayOf(r.Data);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
+    const y = Number(r.Anno), m = Number(r.Mese);
+    if (Number.isFinite(y) && m >= 1 && m <= 12) return y + '-' + String(m).padStart(2, '0') + '-01';
+    return null;
+  }
+
+  /**
+   * Caseificio selezionato (pagina trasformatore): testo dell'option di #aziendaSelect.
+   */
+  function caseificioName() {
+    const sel = byId('aziendaSelect');
+    if (!sel || sel.selectedIndex < 0) return null;
+    return sel.options[sel.selectedIndex].textContent.trim() || null;
+  }
+
+  /**
+   * Record sorgente della tabella: campioni RAW dell'azienda (allevatore) oppure cisterna/conferitori
+   * del caseificio (trasformatore). Chiede il caricamento dei dati del caseificio se mancano.
+   * @returns {{records:Array<Object>, byAzienda:boolean, loading:boolean, failed?:boolean}}
+   */
+  function sourceRecords() {
+    if (!isTrasformatore()) {
+      const az = String(window.state?.azienda || byId('aziendaHeader')?.textContent || '').trim();
+      const raw = Array.isArray(window.RAW) ? window.RAW : [];
+      return { records: raw.filter(r => r && r.Azienda === az), byAzienda: false, loading: !window.RAW };
+    }
+    const dairy = window.Caseifici ? window.Caseifici.get(caseificioName()) : null;
+    if (!dairy) return { records: [], byAzienda: false, loading: !(window.Caseifici && window.Caseifici.isReady()) };
+    // la cisterna non richiede i chunk conferitori; i file falliti non vengono ritentati (niente attesa infinita)
+    const tank = table.source === 'tank';
+    const lactations = tank ? [] : undefined;
+    const missing = tank ? !dairy.getTank().length : !dairy.hasLactations();
+    if (missing && !dairy.isLoading()) dairy.ensureLoaded(false, { lactations }).catch(() => {});
+    const failed = dairy.failures().some(f => (f.lattazione == null) === tank);
+    const loading = dairy.isLoading() || (missing && !failed);
+    return { records: tank ? dairy.getTank() : dairy.getAll(), byAzienda: !tank, loading, failed };
+  }
+
+  /**
+   * Righe della tabella: una per data (e azienda per i conferitori), colonne KPI con la media dei campioni.
+   * @returns {{rows:Array<Object>, kpis:string[], byAzienda:boolean, loading:boolean, failed:boolean}}
+   */
+  function rows() {
+    const src = sourceRecords();
+    const byKey = new Map();
+    const present = new Set();
+
+    for (const r of src.records) {
+      const k = KPI_REGISTRY.get(r.KPI)?.key;
+      const v = Number(r.Valore);
+      const date = isoDate(r);
+      if (!k || !date || r.Valore == null || !Number.isFinite(v)) continue;
+      const azienda = src.byAzienda ? String(r.Azienda || '') : '';
+      const key = date + '|' + azienda;
+      let row = byKey.get(key);
+      if (!row) byKey.set(key, row = { date, lattazione: lactationOf(date), azienda, sums: {} });
+      const s = row.sums[k] || (row.sums[k] = { sum: 0, n: 0 });
+      s.sum += v;
+      s.n++;
+      present.add(k);
+    }
+
+    const kpis = KPI_REGISTRY.keys().filter(k => present.has(k));
+    const ratio = present.has('grassi') && present.has('proteine') && KPI_REGISTRY.get('rapporto');
+    if (ratio) kpis.push('rapporto');
+
+    const out = [];
+    for (const row of byKey.values()) {
+      for (const k in row.sums) row[k] = row.sums[k].sum / row.sums[k].n;
+      delete row.sums;
+      if (ratio && row.grassi != null && row.proteine > 0) row.rapporto = row.grassi / row.proteine;
+      out.push(row);
+    }
+    return { rows: out, kpis, byAzienda: src.byAzienda, loading: src.loading, failed: !!src.failed };
+  }
+
+  /**
+   * Colonne della tabella per l'elenco di KPI presenti.
+   */
+  function columnsFor(kpis, byAzienda) {
+    const cols = [
+      { key: 'date', label: 'Data', type: 'date' },
+      { key: 'lattazione', label: 'Lattazione', type: 'text' }
+    ];
+    if (byAzienda) cols.push({ key: 'azienda', label: 'Azienda', type: 'text' });
+    kpis.forEach(k => {
+      const unit = KPI_REGISTRY.unitOf(k);
+      cols.push({ key: k, label: KPI_REGISTRY.labelOf(k) + (unit ? ' (' + unit + ')' : ''), type: 'num' });
+    });
+    return cols;
+  }
+
+  /**
+   * Filtro numerico di una colonna KPI: ">x", "<x", ">=x", "<=x", "a-b" oppure cifre iniziali del valore.
+   * @returns {function(number, string): boolean|null} predicato (valore, valore formattato); null se il testo non e' valido
+   */
+  function numericFilter(text) {
+    const t = text.replace(/\s+/g, '').replace(/,/g, '.');
+    const cmp = t.match(/^(>=|<=|>|<)(-?\d+(?:\.\d+)?)$/);
+    if (cmp) {
+      const x = Number(cmp[2]);
+      return {
+        '>=': v => v >= x,
+        '<=': v => v <= x,
+        '>': v => v > x,
+        '<': v => v < x
+      }[cmp[1]];
+    }
+    const range = t.match(/^(\d+(?:\.\d+)?)(?:-|\.\.)(\d+(?:\.\d+)?)$/);
+    if (range) {
+      const lo = Math.min(Number(range[1]), Number(range[2]));
+      const hi = Math.max(Number(range[1]), Number(range[2]));
+      return v => v >= lo && v <= hi;
+    }
+    if (/^-?\d+(?:\.\d*)?$/.test(t)) return (v, shown) => shown.startsWith(t);
+    return null;
+  }
+
+  /**
+   * Applica i filtri delle colonne alle righe.
+   */
+  function applyFilters(list, cols) {
+    const tests = [];
+    cols.forEach(c => {
+      const text = (table.filters[c.key] || '').trim();
+      if (!text) return;
+      if (c.type === 'num') {
+        const pred = numericFilter(text);
+        if (!pred) return;
+        tests.push(row => row[c.key] != null && pred(row[c.key], KPI_REGISTRY.format(c.key, row[c.key])));
+      } else {
+        const needle = text.toLowerCase();
+        const shown = c.type === 'date' ? row => formatDate(row.date) + ' ' + row.date : row => String(row[c.key] || '');
+        tests.push(row => shown(row).toLowerCase().includes(needle));
+      }
+    });
+    return tests.length ? list.filter(row => tests.every(t => t(row))) : list;
+  }
+
+  /**
+   * Ordina le righe per la colonna scelta; i valori mancanti restano in fondo in entrambi i versi.
+   */
+  function sortRows(list, cols) {
+    const col = cols.find(c => c.key === table.sortKey) || cols[0];
+    const dir = table.sortDir;
+    const value = row => row[col.key];
+    return list.slice().sort((a, b) => {
+      const va = value(a), vb = value(b);
+      const ma = va == null || va === '', mb = vb == null || vb === '';
+      if (ma || mb) return ma === mb ? 0 : (ma ? 1 : -1);
+      const diff = col.type === 'num' ? va - vb : String(va).localeCompare(String(vb), 'it');
+      return diff * dir || (col.key !== 'date' ? b.date.localeCompare(a.date) : 0);
+    });
+  }
+
+  /**
+   * Costruisce la struttura fissa della vista (barra, tabella, paginazione) la prima volta.
+   */
+  function ensureView() {
+    const host = byId('view-storico');
+    if (!host) return null;
+    if (host.querySelector('.history-table')) return host;
+
+    const bar = el('div', 'history-bar');
+    if (isTrasformatore()) {
+      const label = el('label', null, 'Dati ');
+      const src = el('select', 'history-source');
+      SOURCES.forEach(s => {
+        const o = el('option', null, s.label);
+        o.value = s.value;
+        src.appendChild(o);
+      });
+      src.value = table.source;
+      src.addEventListener('change', () => { table.source = src.value; table.page = 0; render(); });
+      label.appendChild(src);
+      bar.appendChild(label);
+    }
+    bar.appendChild(el('span', 'history-count'));
+    const reset = el('button', 'select compact history-reset', 'Azzera filtri');
+    reset.type = 'button';
+    reset.addEventListener('click', () => {
+      table.filters = {};
+      table.page = 0;
+      host.querySelectorAll('.history-filter').forEach(i => { i.value = ''; i.classList.remove('invalid'); });
+      render();
+    });
+    bar.appendChild(reset);
+
+    const wrap = el('div', 'history-wrap');
+    wrap.appendChild(el('table', 'history-table'));
+
+    const pager = el('div', 'history-pager');
+    const sizeLabel = el('label', null, 'Righe per pagina ');
+    const size = el('select', 'history-size');
+    PAGE_SIZES.forEach(n => {
+      const o = el('option', null, String(n));
+      o.value = String(n);
+      size.appendChild(o);
+    });
+    size.value = String(table.pageSize);
+    size.addEventListener('change', () => { table.pageSize = Number(size.value); table.page = 0; render(); });
+    sizeLabel.appendChild(size);
+    const prev = el('button', 'select compact history-prev', '\u2039 Precedenti');
+    const next = el('button', 'select compact history-next', 'Successive \u203a');
+    prev.type = next.type = 'button';
+    prev.addEventListener('click', () => { table.page--; render(); });
+    next.addEventListener('click', () => { table.page++; render(); });
+    pager.append(sizeLabel, prev, el('span', 'history-range'), next);
+
+    host.append(bar, wrap, pager);
+    return host;
+  }
+
+  /**
+   * Intestazioni (con verso di ordinamento) e riga dei filtri; ricostruite solo se cambiano le colonne,
+   * cosi' il campo filtro in cui si sta scrivendo non perde il fuoco.
+   */
+  function renderHead(tbl, cols) {
+    const sig = cols.map(c => c.key).join('|');
+    if (tbl.dataset.cols !== sig) {
+      tbl.dataset.cols = sig;
+      tbl.deleteTHead();
+      const head = tbl.createTHead();
+      const titles = head.insertRow();
+      const filters = head.insertRow();
+      filters.className = 'history-filters';
+      cols.forEach(c => {
+        const th = el('th', c.type === 'num' ? 'num' : null);
+        th.dataset.key = c.key;
+        th.appendChild(el('span', null, c.label));
+        th.appendChild(el('span', 'history-arrow'));
+        th.addEventListener('click', () => {
+          table.sortDir = table.sortKey === c.key ? -table.sortDir : (c.type === 'num' ? -1 : 1);
+          table.sortKey = c.key;
+          table.page = 0;
+          render();
+        });
+        titles.appendChild(th);
+
+        const input = el('input', 'history-filter');
+        input.type = 'text';
+        input.dataset.key = c.key;
+        input.value = table.filters[c.key] || '';
+        input.placeholder = c.type === 'num' ? '>, <, a-b' : 'contiene';
+        input.addEventListener('input', () => {
+          table.filters[c.key] = input.value;
+          input.classList.toggle('invalid', c.type === 'num' && !!input.value.trim() && !numericFilter(input.value));
+          table.page = 0;
+          render();
+        });
+        const cell = el('th');
+        cell.appendChild(input);
+        filters.appendChild(cell);
+      });
+    }
+    tbl.tHead.rows[0].querySelectorAll('th').forEach(th => {
+      const active = th.dataset.key === table.sortKey;
+      th.classList.toggle('sorted', active);
+      th.querySelector('.history-arrow').textContent = active ? (table.sortDir < 0 ? ' \u25bc' : ' \u25b2') : '';
+    });
+  }
+
+  /**
+   * Ridisegna la tabella con i dati correnti (no-op se la scheda e' chiusa).
+   */
+  function render() {
+    if (!isOpen()) return;
+    const host = ensureView();
+    if (!host) return;
+
+    const data = rows();
+    const cols = columnsFor(data.kpis, data.byAzienda);
+    const tbl = host.querySelector('.history-table');
+    renderHead(tbl, cols);
+
+    const list = sortRows(applyFilters(data.rows, cols), cols);
+    const pages = Math.max(1, Math.ceil(list.length / table.pageSize));
+    table.page = Math.min(Math.max(0, table.page), pages - 1);
+    const from = table.page * table.pageSize;
+    const shown = list.slice(from, from + table.pageSize);
+
+    const oldBody = tbl.tBodies[0];
+    const body = document.createElement('tbody');
+    shown.forEach(row => {
+      const tr = body.insertRow();
+      cols.forEach(c => {
+        const td = tr.insertCell();
+        if (c.type === 'date') td.textContent = formatDate(row.date);
+        else if (c.type === 'text') td.textContent = row[c.key] || '';
+        else {
+          td.className = 'num';
+          const v = row[c.key];
+          if (v == null) return;
+          td.textContent = KPI_REGISTRY.format(c.key, v);
+          const status = KPI_REGISTRY.statusOf(c.key, v);
+          if (status) td.classList.add(status);
+        }
+      });
+    });
+    if (!shown.length) {
+      const td = body.insertRow().insertCell();
+      td.colSpan = cols.length;
+      td.className = 'history-empty';
+      td.textContent = data.loading ? 'Caricamento dati in corso...'
+        : data.rows.length ? 'Nessun campione corrisponde ai filtri.'
+        : data.failed ? 'Dati non disponibili: file non scaricati.' : 'Nessun campione disponibile.';
+    }
+    if (oldBody) tbl.replaceChild(body, oldBody); else tbl.appendChild(body);
+
+    const subject = isTrasformatore() ? caseificioName() : (window.state?.azienda || '');
+    host.querySelector('.history-count').textContent =
+      (subject ? subject + ': ' : '') + data.rows.length + (data.rows.length === 1 ? ' campionamento' : ' campionamenti');
+    host.querySelector('.history-range').textContent = list.length
+      ? 'Righe ' + (from + 1) + '-' + (from + shown.length) + ' di ' + list.length
+      : 'Nessuna riga';
+    host.querySelector('.history-prev').disabled = table.page <= 0;
+    host.querySelector('.history-next').disabled = table.page >= pages - 1;
+  }
+
+  /**
+   * Apre la scheda Storico; opts (trasformatore) sceglie la sorgente e filtra un conferitore,
+   * es. dal dettaglio della Lista conferenti.
+   * @param {{source?:'tank'|'conferitori', azienda?:string}} [opts]
+   */
+  function open(opts) {
+    if (opts && opts.source) {
+      table.source = opts.source;
+      const src = document.querySelector('#view-storico .history-source');
+      if (src) src.value = opts.source;
+    }
+    if (opts && opts.azienda != null) {
+      table.filters = { azienda: opts.azienda };
+      document.querySelectorAll('#view-storico .history-filter').forEach(i => { i.value = table.filters[i.dataset.key] || ''; });
+    }
+    if (opts) table.page = 0;
+    window.SUB_TABS.show('storico');
+  }
+
+  window.SUB_TABS.register('storico', { view: 'view-storico', onShow: render });
+
+  // delega su document: #aziendaSelect dell'allevatore e' creato da benchmarkAllevatore.js, e il suo
+  // listener (che aggiorna state.azienda) gira prima di questo
+  document.addEventListener('change', ev => {
+    if (ev.target && ev.target.id === 'aziendaSelect') { table.page = 0; render(); }
+  });
+  document.addEventListener('raw:loaded', () => render());
+  // l'evento parte mentre la voce risulta ancora in caricamento: si ridisegna subito dopo
+  document.addEventListener('caseificio:loaded', () => setTimeout(render, 0));
+
+  window.SAMPLE_HISTORY = {
+    open,
+    close() { if (isOpen()) window.SUB_TABS.show('qualita'); },
+    isOpen,
+    rows,
+    render
+  };
+})();
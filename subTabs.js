@@ -0,0 +1,82 @@
+// subTabs.js - sottoschede della pagina (Qualita' del Latte, Storico, Lista conferenti)
+// COSA FA (alto livello)
+// - I link .subtabs a[data-tab] passano da una scheda all'altra. "qualita" e' la scheda principale con le viste
+//   Performance/Benchmark (gestite da benchmark*.js e performance*.js); le altre schede sono registrate dai
+//   moduli che le disegnano (register) e mostrano il proprio contenitore .view.
+// - Aprendo una scheda ricorda le viste attive della Qualita' del Latte e le ripristina al ritorno.
+// - Un cambio del toggle Performance/Benchmark (anche da link con hash) riporta sulla Qualita' del Latte.
+// - Con una scheda secondaria aperta la body ha la classe "subtab-open" (toggle e opzioni del benchmark
+//   nascosti, vedi styles.css) e data-subtab con il nome della scheda.
+// - Espone API su window.SUB_TABS: register, show, current.
+//
+// DIPENDENZE
+// - Nessuna (solo DOM). Va caricato prima dei moduli che registrano le schede (sampleHistory.js, conferentiList.js).
+(function () {
+  const MAIN = 'qualita';
+
+  const tabs = new Map();   // nome -> { view, onShow?, onHide? }
+  let active = MAIN;
+  let mainViews = [];       // id delle viste attive della scheda principale prima dell'uscita
+
+  const byId = id => document.getElementById(id);
+
+  /**
+   * Registra una scheda secondaria.
+   * @param {string} name valore di data-tab del link
+   * @param {{view:string, onShow?:function(), onHide?:function()}} opts id del contenitore .view e callback
+   */
+  function register(name, opts) {
+    tabs.set(name, opts);
+  }
+
+  /**
+   * Mostra una scheda (di nuovo sulla scheda corrente: richiama solo onShow).
+   * @param {string} name nome della scheda ("qualita" per la principale)
+   */
+  function show(name) {
+    const next = tabs.get(name) || null;
+    if (name !== MAIN && !next) return;
+    if (name === active) {
+      if (next && next.onShow) next.onShow();
+      return;
+    }
+
+    const prev = tabs.get(active) || null;
+    if (!prev) mainViews = Array.from(document.querySelectorAll('.view.active')).map(v => v.id).filter(Boolean);
+    if (prev) {
+      byId(prev.view)?.classList.remove('active');
+      if (prev.onHide) prev.onHide();
+    }
+
+    if (next) {
+      document.querySelectorAll('.view.active').forEach(v => v.classList.remove('active'));
+      byId(next.view)?.classList.add('active');
+    } else if (!document.querySelector('.view.active')) {
+      // se nel frattempo il toggle ha gia' attivato una vista, vale quella
+      mainViews.forEach(id => byId(id)?.classList.add('active'));
+    }
+
+    active = name;
+    document.body.classList.toggle('subtab-open', !!next);
+    if (next) document.body.dataset.subtab = name; else delete document.body.dataset.subtab;
+    document.querySelectorAll('.subtabs a.tab').forEach(a => a.classList.toggle('active', a.dataset.tab === name));
+    if (next && next.onShow) next.onShow();
+  }
+
+  document.querySelectorAll('.subtabs a[data-tab]').forEach(a => {
+    a.addEventListener('click', ev => {
+      const name = a.dataset.tab;
+      if (name !== MAIN && !tabs.has(name)) return;
+      ev.preventDefault();
+      show(name);
+    });
+  });
+  ['miei-dati', 'confronto'].forEach(id => byId(id)?.addEventListener('change', () => show(MAIN)));
+
+  window.SUB_TABS = {
+    register,
+    show,
+    /** Nome della scheda visibile */
+    current() { return active; }
+  };
+})();